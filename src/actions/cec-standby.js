@@ -0,0 +1,107 @@
+/**
+ * CEC Standby Action
+ * Puts the device to sleep and sends CEC <Standby> to the whole chain (TV, soundbar, receiver):
+ *   { "type": "cec-standby" }
+ * On Android 12+ the HDMI-CEC power control mode is switched to "broadcast" for the
+ * standby and restored afterwards. Older versions only sleep with KEYCODE_SLEEP, which
+ * reaches the TV (and whatever follows the TV into standby)
+ */
+import { logger } from '../utils/logger.js';
+import { detectCecSupport, DETECT_COMMAND } from '../services/hdmi-cec.js';
+import { runShell } from '../services/device-state.js';
+import { successResult, errorResult } from './result.js';
+
+const SLEEP_COMMAND = 'input keyevent KEYCODE_SLEEP';
+const GET_MODE_COMMAND = 'cmd hdmi_control cec_setting get power_control_mode';
+
+// Time the device gets to send <Standby> before the power control mode is restored
+const RESTORE_DELAY = 1000;
+
+/**
+ * Build the command that sets the HDMI-CEC power control mode
+ * @param {string} mode - e.g. 'broadcast' or 'to_tv'
+ * @returns {string}
+ */
+function setModeCommand(mode) {
+  return `cmd hdmi_control cec_setting set power_control_mode ${mode}`;
+}
+
+/**
+ * Broadcast standby with the power control mode temporarily set to "broadcast"
+ * The previous mode is restored even when the sleep key fails
+ * @param {object} device - ADB device object
+ * @returns {Promise<string|null>} Power control mode before the standby
+ */
+async function broadcastStandby(device) {
+  const output = await runShell(device, GET_MODE_COMMAND);
+  const match = output.match(/=\s*([a-z_]+)\s*$/);
+  const previousMode = match ? match[1] : null;
+  const restore = previousMode && previousMode !== 'broadcast';
+
+  if (previousMode !== 'broadcast') {
+    await runShell(device, setModeCommand('broadcast'));
+  }
+  try {
+    await runShell(device, SLEEP_COMMAND);
+    if (restore) {
+      await new Promise(resolve => setTimeout(resolve, RESTORE_DELAY));
+    }
+  } finally {
+    if (restore) {
+      await runShell(device, setModeCommand(previousMode));
+    }
+  }
+  return previousMode;
+}
+
+const cecStandbyAction = {
+  name: 'cec-standby',
+
+  /**
+   * Put the device and its CEC chain into standby
+   * @param {object} device - ADB device object
+   * @returns {object} Action result; data carries the detected support and the method used
+   */
+  async execute(device) {
+    try {
+      const support = await detectCecSupport(device);
+
+      if (support.hdmiShell) {
+        const previousMode = await broadcastStandby(device);
+        logger.info('CEC standby broadcast', { previousMode });
+        return successResult('Standby sent to all CEC devices', {
+          method: 'broadcast',
+          previousMode,
+          detection: support
+        });
+      }
+
+      await runShell(device, SLEEP_COMMAND);
+      logger.info('CEC standby via sleep key', { sdk: support.sdk });
+      return successResult('Device put to sleep', {
+        method: 'sleep',
+        detection: support,
+        note: support.hdmiControl
+          ? 'Android before 12: standby reaches the TV only'
+          : 'No HDMI-CEC service: only this device sleeps'
+      });
+    } catch (err) {
+      logger.error('Failed to send CEC standby', { reason: err.message });
+      return errorResult('CEC_STANDBY_FAILED', 'Failed to send CEC standby', {
+        reason: err.message
+      });
+    }
+  },
+
+  /**
+   * Describe the commands execute would send on Android 12+, without a device
+   * @returns {object} Result with data.commands
+   */
+  plan() {
+    return successResult('Would put the device and its CEC chain into standby', {
+      commands: [DETECT_COMMAND, GET_MODE_COMMAND, setModeCommand('broadcast'), SLEEP_COMMAND, setModeCommand('<previous mode>')]
+    });
+  }
+};
+
+export { cecStandbyAction };
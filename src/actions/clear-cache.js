@@ -7,6 +7,15 @@ import { logger, logAdbCommand } from '../utils/logger.js';
 import { successResult, errorResult } from './result.js';
 import { shellQuote, isValidPackageName } from '../utils/shell.js';
 
+/**
+ * Build the pm clear command for a package
+ * @param {string} packageName - Valid package name
+ * @returns {string} Shell command
+ */
+function buildCommand(packageName) {
+  return `pm clear ${shellQuote(packageName)}`;
+}
+
 const clearCacheAction = {
   name: 'clear-cache',
   async execute(device, params) {
@@ -20,7 +29,7 @@ const clearCacheAction = {
     }
 
     try {
-      const command = `pm clear ${shellQuote(packageName)}`;
+      const command = buildCommand(packageName);
       logAdbCommand(command, device.id);
       const stream = await device.shell(command);
       const output = (await AdbKit.Adb.util.readAll(stream)).toString().trim();
@@ -48,6 +57,23 @@ const clearCacheAction = {
         reason: error.message
       });
     }
+  },
+
+  /**
+   * Describe the command execute would send, without a device
+   * @param {object} params - Action parameters
+   * @returns {object} Result with data.commands, or the error execute would return
+   */
+  plan(params) {
+    const { package: packageName } = params || {};
+    if (!isValidPackageName(packageName)) {
+      return errorResult('INVALID_PARAMS', 'Valid package name is required', {
+        required: ['package'],
+        package: packageName
+      });
+    }
+
+    return successResult(`Would clear the data of ${packageName}`, { commands: [buildCommand(packageName)] });
   }
 };
 
@@ -7,6 +7,15 @@ import { logger, logAdbCommand } from '../utils/logger.js';
 import { successResult, errorResult } from './result.js';
 import { shellQuote, isValidPackageName } from '../utils/shell.js';
 
+/**
+ * Build the am force-stop command for a package
+ * @param {string} packageName - Valid package name
+ * @returns {string} Shell command
+ */
+function buildCommand(packageName) {
+  return `am force-stop ${shellQuote(packageName)}`;
+}
+
 const forceStopAction = {
   name: 'force-stop',
   async execute(device, params) {
@@ -20,7 +29,7 @@ const forceStopAction = {
     }
 
     try {
-      const command = `am force-stop ${shellQuote(packageName)}`;
+      const command = buildCommand(packageName);
       logAdbCommand(command, device.id);
       const stream = await device.shell(command);
       await AdbKit.Adb.util.readAll(stream);
@@ -34,6 +43,23 @@ const forceStopAction = {
         reason: error.message
       });
     }
+  },
+
+  /**
+   * Describe the command execute would send, without a device
+   * @param {object} params - Action parameters
+   * @returns {object} Result with data.commands, or the error execute would return
+   */
+  plan(params) {
+    const { package: packageName } = params || {};
+    if (!isValidPackageName(packageName)) {
+      return errorResult('INVALID_PARAMS', 'Valid package name is required', {
+        required: ['package'],
+        package: packageName
+      });
+    }
+
+    return successResult(`Would force-stop ${packageName}`, { commands: [buildCommand(packageName)] });
   }
 };
 
@@ -13,12 +13,18 @@ import { installAppAction } from './install-app.js';
 import { uninstallAppAction } from './uninstall-app.js';
 import { forceStopAction } from './force-stop.js';
 import { clearCacheAction } from './clear-cache.js';
+import { keysAction } from './keys.js';
+import { typeTextAction } from './type-text.js';
+import { setVolumeAction } from './set-volume.js';
+import { switchInputAction } from './switch-input.js';
+import { cecStandbyAction } from './cec-standby.js';
+import { openIntentAction } from './open-intent.js';
 
 const actionRegistry = new Map();
 
 /**
  * Register a new action in the registry
- * @param {object} action - Action object with name and execute function
+ * @param {object} action - Action object with name and execute function, and optionally plan(params, context) for dry runs
  * @throws {Error} If action is invalid
  */
 function registerAction(action) {
@@ -56,5 +62,11 @@ registerAction(installAppAction);
 registerAction(uninstallAppAction);
 registerAction(forceStopAction);
 registerAction(clearCacheAction);
+registerAction(keysAction);
+registerAction(typeTextAction);
+registerAction(setVolumeAction);
+registerAction(switchInputAction);
+registerAction(cecStandbyAction);
+registerAction(openIntentAction);
 
 export { registerAction, getAction, listActions };
@@ -7,6 +7,15 @@ import { logger, logAdbCommand } from '../utils/logger.js';
 import { successResult, errorResult } from './result.js';
 import { shellQuote } from '../utils/shell.js';
 
+/**
+ * Build the pm install command for an APK on the device
+ * @param {string} apkPath - APK path on the device
+ * @returns {string} Shell command
+ */
+function buildCommand(apkPath) {
+  return `pm install -r ${shellQuote(apkPath)}`;
+}
+
 const installAppAction = {
   name: 'install-app',
   async execute(device, params) {
@@ -19,7 +28,7 @@ const installAppAction = {
     }
 
     try {
-      const command = `pm install -r ${shellQuote(apkPath)}`;
+      const command = buildCommand(apkPath);
       logAdbCommand(command, device.id);
       const stream = await device.shell(command);
       const output = (await AdbKit.Adb.util.readAll(stream)).toString().trim();
@@ -42,6 +51,22 @@ const installAppAction = {
         apkPath
       });
     }
+  },
+
+  /**
+   * Describe the command execute would send, without a device
+   * @param {object} params - Action parameters
+   * @returns {object} Result with data.commands, or the error execute would return
+   */
+  plan(params) {
+    const { apkPath } = params || {};
+    if (!apkPath || typeof apkPath !== 'string') {
+      return errorResult('INVALID_PARAMS', 'APK path is required', {
+        required: ['apkPath']
+      });
+    }
+
+    return successResult(`Would install ${apkPath}`, { commands: [buildCommand(apkPath)] });
   }
 };
 
@@ -0,0 +1,157 @@
+/**
+ * Keys Action
+ * Sends a sequence of key events, e.g. to navigate app menus that have no deep link:
+ *   { "type": "keys", "sequence": ["DPAD_DOWN", { "key": "ENTER", "longPress": true },
+ *     { "key": "DPAD_RIGHT", "repeat": 3, "interval": 200 }] }
+ * Keys are Android keycode names, with or without the KEYCODE_ prefix, or numeric keycodes
+ */
+import AdbKit from '@devicefarmer/adbkit';
+import { logger, logAdbCommand } from '../utils/logger.js';
+import { successResult, errorResult } from './result.js';
+
+// Keycode names (prefix optional) or numbers; nothing else reaches the shell
+const KEY_PATTERN = /^(KEYCODE_)?[A-Z0-9_]+$/;
+
+// Default pause after each key press
+const DEFAULT_INTERVAL = 100;
+
+// Upper bounds of a single sequence
+const MAX_PRESSES = 100;
+const MAX_INTERVAL = 60000;
+
+/**
+ * Turn a key name into its keycode argument
+ * @param {string} key - Key, e.g. "DPAD_DOWN", "KEYCODE_ENTER" or "66"
+ * @returns {string} e.g. "KEYCODE_DPAD_DOWN", or the number as-is
+ */
+function toKeycode(key) {
+  return /^\d+$/.test(key) || key.startsWith('KEYCODE_') ? key : `KEYCODE_${key}`;
+}
+
+/**
+ * Validate a key sequence and expand it into single presses
+ * @param {object} params - Action parameters
+ * @param {Array<string|object>} params.sequence - Keys, or { key, longPress, repeat, interval } entries
+ * @param {number} [params.interval=100] - Pause after each press in ms, unless the entry sets its own
+ * @returns {{presses?: Array<{command: string, interval: number}>, error?: string}}
+ */
+function expandSequence({ sequence, interval = DEFAULT_INTERVAL }) {
+  if (!Array.isArray(sequence) || sequence.length === 0) {
+    return { error: 'sequence must be a non-empty list of keys' };
+  }
+  if (!Number.isInteger(interval) || interval < 0 || interval > MAX_INTERVAL) {
+    return { error: `interval must be an integer from 0 to ${MAX_INTERVAL}` };
+  }
+
+  const presses = [];
+  for (const [index, entry] of sequence.entries()) {
+    const step = typeof entry === 'string' ? { key: entry } : entry;
+    const { key, longPress = false, repeat = 1, interval: stepInterval = interval } = step || {};
+
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      return { error: `sequence[${index}]: invalid key ${JSON.stringify(key)}` };
+    }
+    if (typeof longPress !== 'boolean') {
+      return { error: `sequence[${index}]: longPress must be true or false` };
+    }
+    if (!Number.isInteger(repeat) || repeat < 1) {
+      return { error: `sequence[${index}]: repeat must be a positive integer` };
+    }
+    if (!Number.isInteger(stepInterval) || stepInterval < 0 || stepInterval > MAX_INTERVAL) {
+      return { error: `sequence[${index}]: interval must be an integer from 0 to ${MAX_INTERVAL}` };
+    }
+
+    const command = `input keyevent ${longPress ? '--longpress ' : ''}${toKeycode(key)}`;
+    for (let i = 0; i < repeat; i++) {
+      presses.push({ command, interval: stepInterval });
+    }
+    if (presses.length > MAX_PRESSES) {
+      return { error: `sequence has more than ${MAX_PRESSES} key presses` };
+    }
+  }
+
+  return { presses };
+}
+
+/**
+ * Pause between key presses
+ * @param {number} ms - Pause in milliseconds
+ * @param {AbortSignal} [signal] - Ends the pause early when aborted
+ * @returns {Promise<void>}
+ */
+function pause(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+const keysAction = {
+  name: 'keys',
+  // Retrying a sequence that failed halfway would press its first keys again
+  defaultRetries: 0,
+
+  /**
+   * Send the key sequence
+   * @param {object} device - ADB device object
+   * @param {object} params - Action parameters (sequence, interval)
+   * @param {object} [context={}] - Action context
+   * @param {AbortSignal} [context.signal] - Stops the sequence when the run is cancelled
+   * @returns {object} Action result
+   */
+  async execute(device, params, context = {}) {
+    const { presses, error } = expandSequence(params);
+    if (error) {
+      return errorResult('INVALID_PARAMS', error, { required: ['sequence'] });
+    }
+
+    const { signal } = context;
+    let sent = 0;
+    try {
+      for (const [index, { command, interval }] of presses.entries()) {
+        if (signal?.aborted) {
+          return errorResult('CANCELLED', 'Key sequence cancelled', { sent });
+        }
+
+        logAdbCommand(command, device.id);
+        const stream = await device.shell(command);
+        await AdbKit.Adb.util.readAll(stream);
+        sent++;
+
+        if (index < presses.length - 1 && interval > 0) {
+          await pause(interval, signal);
+        }
+      }
+
+      logger.info('Key sequence sent', { presses: sent });
+      return successResult(`Sent ${sent} key press${sent === 1 ? '' : 'es'}`, { presses: sent });
+    } catch (err) {
+      logger.error('Failed to send key sequence', { sent, reason: err.message });
+      return errorResult('KEYS_FAILED', 'Failed to send key sequence', {
+        sent,
+        reason: err.message
+      });
+    }
+  },
+
+  /**
+   * Describe the commands execute would send, without a device
+   * @param {object} params - Action parameters
+   * @returns {object} Result with data.commands, or the error execute would return
+   */
+  plan(params) {
+    const { presses, error } = expandSequence(params);
+    if (error) {
+      return errorResult('INVALID_PARAMS', error, { required: ['sequence'] });
+    }
+
+    return successResult(`Would send ${presses.length} key press${presses.length === 1 ? '' : 'es'}`, {
+      commands: presses.map(press => press.command)
+    });
+  }
+};
+
+export { keysAction };
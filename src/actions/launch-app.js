@@ -5,6 +5,44 @@
  */
 import { logger, logAdbCommand } from '../utils/logger.js';
 import { successResult, errorResult } from './result.js';
+import { shellQuote, isValidPackageName } from '../utils/shell.js';
+
+// Activity class, relative (.MainActivity) or fully qualified
+const ACTIVITY_PATTERN = /^[A-Za-z0-9_.$]+$/;
+
+/**
+ * Validate the package and activity to launch
+ * Both may come from run params, so they are checked before reaching the shell
+ * @param {object} params - Action parameters
+ * @param {string} params.package - App package
+ * @param {string} [params.activity] - Activity to start
+ * @returns {string|null} Error message, or null when valid
+ */
+function findLaunchError({ package: packageName, activity }) {
+  if (!packageName) {
+    return 'Package name is required';
+  }
+  if (!isValidPackageName(packageName)) {
+    return `Invalid package name: ${packageName}`;
+  }
+  if (activity !== undefined && activity !== '' && (typeof activity !== 'string' || !ACTIVITY_PATTERN.test(activity))) {
+    return `Invalid activity: ${activity}`;
+  }
+  return null;
+}
+
+/**
+ * Build the am start command for an app
+ * If activity provided, use it; otherwise fallback to .MainActivity
+ * @param {string} packageName - App package
+ * @param {string} [activity] - Activity to start
+ * @returns {{command: string, activityName: string}}
+ */
+function buildLaunchCommand(packageName, activity) {
+  const activityName = activity || '.MainActivity';
+  // am start -n automatically brings app to foreground if already running (AC3)
+  return { command: `am start -n ${shellQuote(`${packageName}/${activityName}`)}`, activityName };
+}
 
 const launchAppAction = {
   name: 'launch-app',
@@ -12,21 +50,15 @@ const launchAppAction = {
     const { package: packageName, activity } = params;
 
     // Validate required parameters
-    if (!packageName) {
-      return errorResult('INVALID_PARAMS', 'Package name is required', {
+    const invalid = findLaunchError(params);
+    if (invalid) {
+      return errorResult('INVALID_PARAMS', invalid, {
         required: ['package']
       });
     }
 
     try {
-      // Build component string
-      // If activity provided, use it; otherwise fallback to .MainActivity
-      const activityName = activity || '.MainActivity';
-      const component = `${packageName}/${activityName}`;
-
-      // Execute am start command
-      // am start -n automatically brings app to foreground if already running (AC3)
-      const command = `am start -n ${component}`;
+      const { command, activityName } = buildLaunchCommand(packageName, activity);
       logAdbCommand(command, device.id);
       await device.shell(command);
 
@@ -43,6 +75,24 @@ const launchAppAction = {
         { reason: error.message }
       );
     }
+  },
+
+  /**
+   * Describe the command execute would send, without a device
+   * @param {object} params - Action parameters
+   * @returns {object} Result with data.commands, or the error execute would return
+   */
+  plan(params) {
+    const { package: packageName, activity } = params;
+    const invalid = findLaunchError(params);
+    if (invalid) {
+      return errorResult('INVALID_PARAMS', invalid, {
+        required: ['package']
+      });
+    }
+
+    const { command, activityName } = buildLaunchCommand(packageName, activity);
+    return successResult(`Would launch ${packageName}/${activityName}`, { commands: [command] });
   }
 };
 
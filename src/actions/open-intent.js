@@ -0,0 +1,221 @@
+/**
+ * Open-Intent Action
+ * Starts an activity from an arbitrary intent, e.g. to deep-link into an app:
+ *   { "type": "open-intent", "action": "android.intent.action.VIEW",
+ *     "data": "https://www.netflix.com/title/80100172", "package": "com.netflix.ninja" }
+ * Every part of the intent is passed through shellQuote
+ */
+import AdbKit from '@devicefarmer/adbkit';
+import { logger, logAdbCommand } from '../utils/logger.js';
+import { shellQuote, isValidPackageName } from '../utils/shell.js';
+import { successResult, errorResult } from './result.js';
+
+// Intent action and category names, e.g. android.intent.category.LEANBACK_LAUNCHER
+const INTENT_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_.]*$/;
+
+// Intent flags by name, as in android.content.Intent
+const INTENT_FLAGS = {
+  FLAG_GRANT_READ_URI_PERMISSION: 0x00000001,
+  FLAG_ACTIVITY_CLEAR_TASK: 0x00008000,
+  FLAG_ACTIVITY_NO_ANIMATION: 0x00010000,
+  FLAG_ACTIVITY_REORDER_TO_FRONT: 0x00020000,
+  FLAG_ACTIVITY_RESET_TASK_IF_NEEDED: 0x00200000,
+  FLAG_ACTIVITY_EXCLUDE_FROM_RECENTS: 0x00800000,
+  FLAG_ACTIVITY_CLEAR_TOP: 0x04000000,
+  FLAG_ACTIVITY_MULTIPLE_TASK: 0x08000000,
+  FLAG_ACTIVITY_NEW_TASK: 0x10000000,
+  FLAG_ACTIVITY_SINGLE_TOP: 0x20000000,
+  FLAG_ACTIVITY_NO_HISTORY: 0x40000000
+};
+
+// am start option and value check per extra type
+const EXTRA_TYPES = {
+  string: { option: '--es', isValid: value => typeof value === 'string' },
+  boolean: { option: '--ez', isValid: value => typeof value === 'boolean' },
+  int: { option: '--ei', isValid: value => Number.isInteger(value) },
+  long: { option: '--el', isValid: value => Number.isInteger(value) },
+  float: { option: '--ef', isValid: value => typeof value === 'number' },
+  uri: { option: '--eu', isValid: value => typeof value === 'string' && value.length > 0 }
+};
+
+/**
+ * Resolve an extra to its type and value
+ * Plain strings, booleans and numbers are typed by their JSON type; other types
+ * (long, uri) are given as { "type", "value" }
+ * @param {string} key - Extra name
+ * @param {*} extra - Extra value or { type, value }
+ * @returns {{type?: string, value?: *, error?: string}}
+ */
+function resolveExtra(key, extra) {
+  if (typeof extra === 'string') return { type: 'string', value: extra };
+  if (typeof extra === 'boolean') return { type: 'boolean', value: extra };
+  if (typeof extra === 'number') return { type: Number.isInteger(extra) ? 'int' : 'float', value: extra };
+
+  const { type, value } = extra || {};
+  if (!Object.hasOwn(EXTRA_TYPES, type)) {
+    return { error: `extras.${key}: type must be one of: ${Object.keys(EXTRA_TYPES).join(', ')}` };
+  }
+  if (!EXTRA_TYPES[type].isValid(value)) {
+    return { error: `extras.${key}: value does not match type ${type}` };
+  }
+  return { type, value };
+}
+
+/**
+ * Combine intent flags into their numeric value
+ * @param {number|string[]} flags - Flags value, or flag names (e.g. FLAG_ACTIVITY_NEW_TASK)
+ * @returns {{value?: number, error?: string}}
+ */
+function resolveFlags(flags) {
+  if (Number.isInteger(flags) && flags >= 0) {
+    return { value: flags };
+  }
+  if (!Array.isArray(flags)) {
+    return { error: 'flags must be a non-negative integer or a list of flag names' };
+  }
+
+  let value = 0;
+  for (const name of flags) {
+    if (!Object.hasOwn(INTENT_FLAGS, name)) {
+      return { error: `Unknown intent flag: ${name}` };
+    }
+    value |= INTENT_FLAGS[name];
+  }
+  return { value: value >>> 0 };
+}
+
+/**
+ * Validate the intent and build the am start command
+ * @param {object} params - Action parameters
+ * @param {string} [params.action] - Intent action
+ * @param {string} [params.data] - Data URI
+ * @param {string} [params.mimeType] - MIME type
+ * @param {string} [params.component] - Component, e.g. "org.xbmc.kodi/.Splash"
+ * @param {string} [params.package] - Package that must handle the intent
+ * @param {string|string[]} [params.category] - Intent categories
+ * @param {number|string[]} [params.flags] - Intent flags
+ * @param {object} [params.extras] - Extras by name
+ * @returns {{command?: string, error?: string}}
+ */
+function buildIntentCommand({ action, data, mimeType, component, package: packageName, category, flags, extras }) {
+  if (![action, data, component, packageName].some(Boolean)) {
+    return { error: 'One of action, data, component or package is required' };
+  }
+
+  const args = ['am start'];
+
+  if (action !== undefined) {
+    if (typeof action !== 'string' || !INTENT_NAME_PATTERN.test(action)) {
+      return { error: `Invalid intent action: ${action}` };
+    }
+    args.push(`-a ${shellQuote(action)}`);
+  }
+  if (data !== undefined) {
+    if (typeof data !== 'string' || data.length === 0) {
+      return { error: 'data must be a non-empty URI' };
+    }
+    args.push(`-d ${shellQuote(data)}`);
+  }
+  if (mimeType !== undefined) {
+    if (typeof mimeType !== 'string' || !/^[\w.+-]+\/[\w.+*-]+$/.test(mimeType)) {
+      return { error: `Invalid MIME type: ${mimeType}` };
+    }
+    args.push(`-t ${shellQuote(mimeType)}`);
+  }
+  for (const name of category === undefined ? [] : [].concat(category)) {
+    if (typeof name !== 'string' || !INTENT_NAME_PATTERN.test(name)) {
+      return { error: `Invalid intent category: ${name}` };
+    }
+    args.push(`-c ${shellQuote(name)}`);
+  }
+  if (component !== undefined) {
+    const [pkg, cls, rest] = typeof component === 'string' ? component.split('/') : [];
+    if (!isValidPackageName(pkg) || !cls || rest !== undefined || !/^[A-Za-z0-9_.$]+$/.test(cls)) {
+      return { error: `Invalid component: ${component} (expected package/activity)` };
+    }
+    args.push(`-n ${shellQuote(component)}`);
+  }
+  if (packageName !== undefined) {
+    if (!isValidPackageName(packageName)) {
+      return { error: `Invalid package name: ${packageName}` };
+    }
+    args.push(`-p ${shellQuote(packageName)}`);
+  }
+  if (flags !== undefined) {
+    const { value, error } = resolveFlags(flags);
+    if (error) return { error };
+    args.push(`-f ${shellQuote(`0x${value.toString(16)}`)}`);
+  }
+  if (extras !== undefined) {
+    if (typeof extras !== 'object' || extras === null || Array.isArray(extras)) {
+      return { error: 'extras must be an object of extras by name' };
+    }
+    for (const [key, extra] of Object.entries(extras)) {
+      const { type, value, error } = resolveExtra(key, extra);
+      if (error) return { error };
+      args.push(`${EXTRA_TYPES[type].option} ${shellQuote(key)} ${shellQuote(value)}`);
+    }
+  }
+
+  return { command: args.join(' ') };
+}
+
+const openIntentAction = {
+  name: 'open-intent',
+
+  /**
+   * Start the intent
+   * @param {object} device - ADB device object
+   * @param {object} params - Action parameters (action, data, mimeType, component, package, category, flags, extras)
+   * @returns {object} Action result
+   */
+  async execute(device, params) {
+    const { command, error } = buildIntentCommand(params);
+    if (error) {
+      return errorResult('INVALID_PARAMS', error, { required: ['action|data|component|package'] });
+    }
+
+    try {
+      logAdbCommand(command, device.id);
+      const stream = await device.shell(command);
+      const output = (await AdbKit.Adb.util.readAll(stream)).toString().trim();
+
+      // am start exits with 0 over adb even when nothing could handle the intent
+      const failure = output.match(/^Error: (.+)$/m);
+      if (failure) {
+        throw new Error(failure[1]);
+      }
+
+      const warning = output.match(/^Warning: (.+)$/m);
+      logger.info('Intent started', { action: params.action, data: params.data, component: params.component });
+      return successResult('Intent started', {
+        action: params.action,
+        data: params.data,
+        component: params.component,
+        package: params.package,
+        ...(warning && { warning: warning[1] })
+      });
+    } catch (err) {
+      logger.error('Failed to start intent', { reason: err.message });
+      return errorResult('OPEN_INTENT_FAILED', 'Failed to start intent', {
+        reason: err.message
+      });
+    }
+  },
+
+  /**
+   * Describe the command execute would send, without a device
+   * @param {object} params - Action parameters
+   * @returns {object} Result with data.commands, or the error execute would return
+   */
+  plan(params) {
+    const { command, error } = buildIntentCommand(params);
+    if (error) {
+      return errorResult('INVALID_PARAMS', error, { required: ['action|data|component|package'] });
+    }
+
+    return successResult('Would start the intent', { commands: [command] });
+  }
+};
+
+export { openIntentAction };
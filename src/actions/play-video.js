@@ -5,6 +5,7 @@
  */
 import { logger, logAdbCommand } from '../utils/logger.js';
 import { successResult, errorResult } from './result.js';
+import { shellQuote } from '../utils/shell.js';
 
 /**
  * Normalize YouTube URL from various input formats
@@ -54,6 +55,22 @@ function normalizeYouTubeUrl(url, videoId) {
   return null;
 }
 
+/**
+ * Build the VIEW intent command for a video
+ * @param {string} videoUrl - Normalized YouTube URL
+ * @param {object} [youtubeConfig] - Configured YouTube client (package and activity)
+ * @returns {string} am start command
+ */
+function buildPlayCommand(videoUrl, youtubeConfig) {
+  // If youtube client configured, use explicit component
+  if (youtubeConfig?.package && youtubeConfig?.activity) {
+    const component = `${youtubeConfig.package}/${youtubeConfig.activity}`;
+    return `am start -a android.intent.action.VIEW -d ${shellQuote(videoUrl)} -n ${shellQuote(component)}`;
+  }
+  // Default: generic VIEW intent (works for official YouTube TV)
+  return `am start -a android.intent.action.VIEW -d ${shellQuote(videoUrl)}`;
+}
+
 const playVideoAction = {
   name: 'play-video',
   async execute(device, params, context = {}) {
@@ -71,16 +88,9 @@ const playVideoAction = {
     }
 
     try {
-      let command;
-      
-      // If youtube client configured, use explicit component
+      const command = buildPlayCommand(videoUrl, youtubeConfig);
       if (youtubeConfig?.package && youtubeConfig?.activity) {
-        const component = `${youtubeConfig.package}/${youtubeConfig.activity}`;
-        command = `am start -a android.intent.action.VIEW -d "${videoUrl}" -n ${component}`;
         logger.debug('Using configured YouTube client', { package: youtubeConfig.package });
-      } else {
-        // Default: generic VIEW intent (works for official YouTube TV)
-        command = `am start -a android.intent.action.VIEW -d "${videoUrl}"`;
       }
 
       logAdbCommand(command, device.id);
@@ -117,6 +127,26 @@ const playVideoAction = {
         { reason: error.message }
       );
     }
+  },
+
+  /**
+   * Describe the command execute would send, without a device
+   * @param {object} params - Action parameters
+   * @param {object} [context={}] - Action context (youtube client)
+   * @returns {object} Result with data.commands, or the error execute would return
+   */
+  plan(params, context = {}) {
+    const { url, videoId } = params;
+    const videoUrl = normalizeYouTubeUrl(url, videoId);
+    if (!videoUrl) {
+      return errorResult(
+        'INVALID_PARAMS',
+        'Valid YouTube URL or video ID is required',
+        { provided: { url, videoId } }
+      );
+    }
+
+    return successResult(`Would play ${videoUrl}`, { commands: [buildPlayCommand(videoUrl, context.youtube)] });
   }
 };
 
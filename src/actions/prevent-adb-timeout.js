@@ -64,6 +64,16 @@ const preventAdbTimeoutAction = {
         reason: error.message
       });
     }
+  },
+
+  /**
+   * Describe the commands execute would send, without a device
+   * @returns {object} Result with data.commands
+   */
+  plan() {
+    return successResult('Would disable the ADB connection timeout unless it already is', {
+      commands: ['settings get global adb_allowed_connection_time', 'settings put global adb_allowed_connection_time 0']
+    });
   }
 };
 
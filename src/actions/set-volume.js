@@ -0,0 +1,100 @@
+/**
+ * Set Volume Action
+ * Sets the media volume to an absolute step or a percentage of the device's range:
+ *   { "type": "set-volume", "level": 12 }
+ *   { "type": "set-volume", "percent": 40 }
+ * The level is capped at the device's maxVolume, if configured. The volume is read back
+ * afterwards, so the result reports the level the device settled on
+ */
+import { logger } from '../utils/logger.js';
+import { readVolume, setVolume, volumeSetCommand, VOLUME_GET_COMMAND } from '../services/device-state.js';
+import { capVolumeLevel } from '../services/volume-watchdog.js';
+import { successResult, errorResult } from './result.js';
+
+/**
+ * Validate the requested volume
+ * @param {object} params - Action parameters
+ * @param {number} [params.level] - Volume step
+ * @param {number} [params.percent] - Percentage of the maximum step (0-100)
+ * @returns {string|null} Error message, or null when valid
+ */
+function findVolumeError({ level, percent }) {
+  if ((level === undefined) === (percent === undefined)) {
+    return 'Exactly one of level or percent is required';
+  }
+  if (level !== undefined && (!Number.isInteger(level) || level < 0)) {
+    return 'level must be a non-negative integer';
+  }
+  if (percent !== undefined && (typeof percent !== 'number' || percent < 0 || percent > 100)) {
+    return 'percent must be a number from 0 to 100';
+  }
+  return null;
+}
+
+/**
+ * Turn the requested volume into a step within the device's range
+ * @param {object} params - Valid action parameters
+ * @param {number} max - Maximum volume step of the device
+ * @returns {number}
+ */
+function targetLevel({ level, percent }, max) {
+  return level !== undefined ? Math.min(level, max) : Math.round((max * percent) / 100);
+}
+
+const setVolumeAction = {
+  name: 'set-volume',
+
+  /**
+   * Set the media volume
+   * @param {object} device - ADB device object
+   * @param {object} params - Action parameters (level or percent)
+   * @returns {object} Action result
+   */
+  async execute(device, params) {
+    const invalid = findVolumeError(params);
+    if (invalid) {
+      return errorResult('INVALID_PARAMS', invalid, { required: ['level|percent'] });
+    }
+
+    try {
+      const { level: previous, max } = await readVolume(device);
+      const { level: target, limit } = capVolumeLevel(device, targetLevel(params, max), max);
+      await setVolume(device, target);
+      const { level } = await readVolume(device);
+
+      logger.info('Volume set', { previous, level, max, limit });
+      return successResult(`Volume set to ${level}/${max}`, {
+        previous,
+        level,
+        max,
+        percent: max > 0 ? Math.round((level / max) * 100) : 0,
+        ...(limit !== null && { limit })
+      });
+    } catch (err) {
+      logger.error('Failed to set volume', { reason: err.message });
+      return errorResult('VOLUME_FAILED', 'Failed to set volume', {
+        reason: err.message
+      });
+    }
+  },
+
+  /**
+   * Describe the commands execute would send, without a device
+   * A percentage is turned into a step once the device reports its range
+   * @param {object} params - Action parameters
+   * @returns {object} Result with data.commands, or the error execute would return
+   */
+  plan(params) {
+    const invalid = findVolumeError(params);
+    if (invalid) {
+      return errorResult('INVALID_PARAMS', invalid, { required: ['level|percent'] });
+    }
+
+    const level = params.level !== undefined ? params.level : `<${params.percent}% of max>`;
+    return successResult(`Would set volume to ${params.level !== undefined ? `step ${level}` : `${params.percent}%`}`, {
+      commands: [VOLUME_GET_COMMAND, volumeSetCommand(level), VOLUME_GET_COMMAND]
+    });
+  }
+};
+
+export { setVolumeAction };
@@ -41,7 +41,7 @@ async function getScreenState(device) {
 
 /**
  * Shutdown action implementation
- * @type {{name: string, execute: function(object, object): Promise<object>}}
+ * @type {{name: string, execute: function(object, object): Promise<object>, plan: function(): object}}
  */
 const shutdownAction = {
   name: 'shutdown',
@@ -93,6 +93,16 @@ const shutdownAction = {
         reason: error.message
       });
     }
+  },
+
+  /**
+   * Describe the commands execute would send, without a device
+   * @returns {object} Result with data.commands
+   */
+  plan() {
+    return successResult('Would press power unless the screen is already off', {
+      commands: ["dumpsys power | grep 'Display Power'", 'input keyevent KEYCODE_POWER']
+    });
   }
 };
 
@@ -0,0 +1,151 @@
+/**
+ * Switch Input Action
+ * Switches the TV to an HDMI input:
+ *   { "type": "switch-input", "input": 2 }       TV input HDMI 2 (also "hdmi2")
+ *   { "type": "switch-input", "input": "self" }  the input this device is plugged into
+ * Both use `cmd hdmi_control` where the device supports it and fall back to a key event:
+ * a numbered input selects the CEC device on that input with `cmd hdmi_control deviceselect`
+ * on an Android 12+ TV, otherwise presses KEYCODE_TV_INPUT_HDMI_n, which only an Android TV
+ * (not a streaming box) can act on. "self" uses CEC one-touch play: `cmd hdmi_control
+ * onetouchplay` on Android 12+, otherwise KEYCODE_WAKEUP, which starts one-touch play
+ * on devices that are asleep
+ */
+import { logger } from '../utils/logger.js';
+import { detectCecSupport, findCecDeviceOnPort, DETECT_COMMAND, LIST_DEVICES_COMMAND } from '../services/hdmi-cec.js';
+import { runShell } from '../services/device-state.js';
+import { successResult, errorResult } from './result.js';
+
+// HDMI inputs with a keycode (KEYCODE_TV_INPUT_HDMI_1..4)
+const MAX_HDMI_INPUT = 4;
+
+/**
+ * Read the requested input
+ * @param {number|string} input - HDMI input number, 'hdmiN', or 'self'
+ * @returns {number|string} The input number, or 'self'
+ */
+function normalizeInput(input) {
+  const match = typeof input === 'string' && input.match(/^hdmi ?(\d+)$/i);
+  return match ? Number(match[1]) : input;
+}
+
+/**
+ * Validate the requested input
+ * @param {object} params - Action parameters
+ * @param {number|string} params.input - HDMI input number, 'hdmiN', or 'self'
+ * @returns {string|null} Error message, or null when valid
+ */
+function findInputError({ input }) {
+  const normalized = normalizeInput(input);
+  if (normalized === 'self') {
+    return null;
+  }
+  if (!Number.isInteger(normalized) || normalized < 1 || normalized > MAX_HDMI_INPUT) {
+    return `input must be "self" or an HDMI input from 1 to ${MAX_HDMI_INPUT}`;
+  }
+  return null;
+}
+
+/**
+ * Command that selects a CEC device through the TV
+ * @param {number|string} address - Logical address of the device
+ * @returns {string} Shell command
+ */
+function deviceSelectCommand(address) {
+  return `cmd hdmi_control deviceselect ${address}`;
+}
+
+/**
+ * Pick the command that switches to the input
+ * `cmd hdmi_control` is used where the device supports it, a key event otherwise
+ * @param {object} device - ADB device object
+ * @param {number|string} input - HDMI input number, or 'self'
+ * @param {object} support - Result of detectCecSupport
+ * @returns {Promise<{command: string, method: string}>}
+ */
+async function switchCommand(device, input, support) {
+  if (input !== 'self') {
+    // Only a TV selects CEC devices, and only those it has found on its inputs
+    const address = support.hdmiShell && support.tv ? await findCecDeviceOnPort(device, input) : null;
+    if (address !== null) {
+      return { command: deviceSelectCommand(address), method: 'deviceselect' };
+    }
+    return { command: `input keyevent KEYCODE_TV_INPUT_HDMI_${input}`, method: 'keyevent' };
+  }
+  if (support.hdmiShell) {
+    return { command: 'cmd hdmi_control onetouchplay', method: 'onetouchplay' };
+  }
+  return { command: 'input keyevent KEYCODE_WAKEUP', method: 'wakeup' };
+}
+
+/**
+ * Describe the input for result messages
+ * @param {number|string} input - HDMI input number, or 'self'
+ * @returns {string}
+ */
+function describeInput(input) {
+  return input === 'self' ? 'this device' : `HDMI ${input}`;
+}
+
+const switchInputAction = {
+  name: 'switch-input',
+
+  /**
+   * Switch the TV input
+   * @param {object} device - ADB device object
+   * @param {object} params - Action parameters (input)
+   * @returns {object} Action result; data carries the detected support and the method used
+   */
+  async execute(device, params) {
+    const invalid = findInputError(params);
+    if (invalid) {
+      return errorResult('INVALID_PARAMS', invalid, { required: ['input'] });
+    }
+
+    const input = normalizeInput(params.input);
+    try {
+      const support = await detectCecSupport(device);
+      const { command, method } = await switchCommand(device, input, support);
+      const output = await runShell(device, command);
+
+      // cmd hdmi_control prints its result; anything but success means the TV did not switch
+      if (command.startsWith('cmd hdmi_control') && /fail|error/i.test(output)) {
+        throw new Error(output);
+      }
+
+      logger.info('Input switched', { input, method });
+      return successResult(`Switched to ${describeInput(input)}`, {
+        input,
+        method,
+        detection: support,
+        ...(method === 'keyevent' && !support.tv && { note: 'Device is not a TV; the input key may be ignored' })
+      });
+    } catch (err) {
+      logger.error('Failed to switch input', { input, reason: err.message });
+      return errorResult('SWITCH_INPUT_FAILED', 'Failed to switch input', {
+        input,
+        reason: err.message
+      });
+    }
+  },
+
+  /**
+   * Describe the commands execute would send, without a device
+   * The command depends on the Android version, so the Android 12+ (TV) one is listed
+   * @param {object} params - Action parameters
+   * @returns {object} Result with data.commands, or the error execute would return
+   */
+  plan(params) {
+    const invalid = findInputError(params);
+    if (invalid) {
+      return errorResult('INVALID_PARAMS', invalid, { required: ['input'] });
+    }
+
+    const input = normalizeInput(params.input);
+    const commands = input === 'self'
+      ? [DETECT_COMMAND, 'cmd hdmi_control onetouchplay']
+      : [DETECT_COMMAND, LIST_DEVICES_COMMAND, deviceSelectCommand(`<device on HDMI ${input}>`)];
+    return successResult(`Would switch to ${describeInput(input)}`, { commands });
+  }
+};
+
+export { switchInputAction };
@@ -0,0 +1,109 @@
+/**
+ * Type Text Action
+ * Types text into the focused field, e.g. a search box:
+ *   { "type": "type-text", "text": "lo-fi beats" }
+ * Printable ASCII is sent with `input text`; anything else (accents, emoji, newlines)
+ * is sent as a broadcast to the ADBKeyBoard IME, which must be installed and active
+ */
+import AdbKit from '@devicefarmer/adbkit';
+import { logger, logAdbCommand } from '../utils/logger.js';
+import { shellQuote } from '../utils/shell.js';
+import { successResult, errorResult } from './result.js';
+
+// Upper bound of a single text
+const MAX_TEXT_LENGTH = 1000;
+
+// Text `input text` can type as-is
+const INPUT_TEXT_PATTERN = /^[\x20-\x7E]+$/;
+
+// Broadcast understood by ADBKeyBoard (https://github.com/senzhk/ADBKeyBoard)
+const IME_BROADCAST = 'ADB_INPUT_B64';
+
+const METHODS = ['auto', 'input', 'ime'];
+
+/**
+ * Validate the text and build the shell command that types it
+ * @param {object} params - Action parameters
+ * @param {string} params.text - Text to type
+ * @param {string} [params.method='auto'] - 'input', 'ime', or 'auto' to use input for printable ASCII only
+ * @returns {{command?: string, method?: string, error?: string}}
+ */
+function buildTextCommand({ text, method = 'auto' }) {
+  if (typeof text !== 'string' || text.length === 0) {
+    return { error: 'text must be a non-empty string' };
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { error: `text is longer than ${MAX_TEXT_LENGTH} characters` };
+  }
+  if (!METHODS.includes(method)) {
+    return { error: `method must be one of: ${METHODS.join(', ')}` };
+  }
+
+  const ascii = INPUT_TEXT_PATTERN.test(text);
+  if (method === 'input' && !ascii) {
+    return { error: 'method "input" only supports printable ASCII text' };
+  }
+
+  if (method === 'input' || (method === 'auto' && ascii)) {
+    // input text treats %s as a space and splits its argument on real ones
+    return { command: `input text ${shellQuote(text.replace(/ /g, '%s'))}`, method: 'input' };
+  }
+
+  const encoded = Buffer.from(text, 'utf8').toString('base64');
+  return { command: `am broadcast -a ${IME_BROADCAST} --es msg ${shellQuote(encoded)}`, method: 'ime' };
+}
+
+const typeTextAction = {
+  name: 'type-text',
+  // Retrying after a partial failure would type the text twice
+  defaultRetries: 0,
+
+  /**
+   * Type the text on the device
+   * @param {object} device - ADB device object
+   * @param {object} params - Action parameters (text, method)
+   * @returns {object} Action result
+   */
+  async execute(device, params) {
+    const { command, method, error } = buildTextCommand(params);
+    if (error) {
+      return errorResult('INVALID_PARAMS', error, { required: ['text'] });
+    }
+
+    try {
+      logAdbCommand(command, device.id);
+      const stream = await device.shell(command);
+      await AdbKit.Adb.util.readAll(stream);
+
+      logger.info('Text typed', { length: params.text.length, method });
+      return successResult(`Typed ${params.text.length} character${params.text.length === 1 ? '' : 's'}`, {
+        length: params.text.length,
+        method
+      });
+    } catch (err) {
+      logger.error('Failed to type text', { method, reason: err.message });
+      return errorResult('TYPE_TEXT_FAILED', 'Failed to type text', {
+        method,
+        reason: err.message
+      });
+    }
+  },
+
+  /**
+   * Describe the command execute would send, without a device
+   * @param {object} params - Action parameters
+   * @returns {object} Result with data.commands, or the error execute would return
+   */
+  plan(params) {
+    const { command, method, error } = buildTextCommand(params);
+    if (error) {
+      return errorResult('INVALID_PARAMS', error, { required: ['text'] });
+    }
+
+    return successResult(`Would type ${params.text.length} character${params.text.length === 1 ? '' : 's'} via ${method}`, {
+      commands: [command]
+    });
+  }
+};
+
+export { typeTextAction };
@@ -5,15 +5,19 @@ import { logger } from '../utils/logger.js';
 
 const waitAction = {
   name: 'wait',
+  // Retrying a wait only repeats it
+  defaultRetries: 0,
 
   /**
    * Execute wait action
    * @param {object} device - ADB device object (unused but required by interface)
    * @param {object} params - Action parameters
    * @param {number} params.duration - Wait duration in milliseconds
+   * @param {object} [context={}] - Action context
+   * @param {AbortSignal} [context.signal] - Ends the wait early when the run is cancelled
    * @returns {object} Action result
    */
-  async execute(device, params) {
+  async execute(device, params, context = {}) {
     const { duration } = params;
 
     if (duration === undefined || typeof duration !== 'number' || duration < 0) {
@@ -27,13 +31,66 @@ const waitAction = {
       };
     }
 
+    const { signal } = context;
+    if (signal?.aborted) {
+      return {
+        success: false,
+        error: { code: 'CANCELLED', message: 'Wait cancelled' }
+      };
+    }
+
     logger.info(`Waiting for ${duration}ms`);
-    await new Promise((resolve) => setTimeout(resolve, duration));
+    const completed = await new Promise((resolve) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve(false);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(true);
+      }, duration);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    if (!completed) {
+      logger.info(`Wait cancelled before ${duration}ms elapsed`);
+      return {
+        success: false,
+        error: { code: 'CANCELLED', message: 'Wait cancelled' }
+      };
+    }
 
     return {
       success: true,
       message: `Waited ${duration}ms`
     };
+  },
+
+  /**
+   * Describe the wait without running it (no commands are sent)
+   * @param {object} params - Action parameters
+   * @param {number} params.duration - Wait duration in milliseconds
+   * @returns {object} Result with empty data.commands, or the error execute would return
+   */
+  plan(params) {
+    const { duration } = params;
+
+    if (duration === undefined || typeof duration !== 'number' || duration < 0) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_DURATION',
+          message: 'Duration must be a non-negative number',
+          details: { duration }
+        }
+      };
+    }
+
+    return {
+      success: true,
+      message: `Would wait ${duration}ms`,
+      data: { commands: [] }
+    };
   }
 };
 
@@ -61,6 +61,16 @@ const wakeUpAction = {
         reason: error.message
       });
     }
+  },
+
+  /**
+   * Describe the commands execute would send, without a device
+   * @returns {object} Result with data.commands
+   */
+  plan() {
+    return successResult('Would press power unless the device is already awake', {
+      commands: ['dumpsys power | grep mWakefulness=', 'input keyevent KEYCODE_POWER']
+    });
   }
 };
 
@@ -1,13 +1,20 @@
 /**
  * Start command - starts the scheduler service
  */
-import { loadConfig } from '../utils/config.js';
-import { connect, disconnect, getDevice, startHealthCheck, stopHealthCheck, reconnect, stopReconnect } from '../services/adb-client.js';
-import { startScheduler, stopScheduler, recordExecution } from '../services/scheduler.js';
+import { loadConfig, getConfiguredDevices } from '../utils/config.js';
+import { connect, disconnect, getDevice, isDeviceGroup, resolveDeviceTargets, setDeviceGroups, startHealthCheck, stopHealthCheck, reconnect, stopReconnect } from '../services/adb-client.js';
+import { startScheduler, stopScheduler, recordExecution, runCatchUp, getRegisteredTasks } from '../services/scheduler.js';
 import { executeTask, setActionContext } from '../services/executor.js';
 import { initMqtt, stopMqtt } from '../services/mqtt.js';
+import { initHistoryStore, pruneHistory } from '../services/history-store.js';
+import { loadCalendars } from '../services/calendars.js';
+import { startDeviceMonitor, stopDeviceMonitor } from '../services/device-monitor.js';
+import { startVolumeWatchdog, stopVolumeWatchdog } from '../services/volume-watchdog.js';
 import { logger } from '../utils/logger.js';
+import { parseDuration } from '../utils/duration.js';
+import { needsDeviceMonitor } from '../utils/triggers.js';
 import { WebServer } from '../web/server.js';
+import { onBroadcast } from '../web/websocket/broadcaster.js';
 
 let webServer = null;
 
@@ -26,6 +33,9 @@ async function gracefulShutdown(signal) {
 
   stopHealthCheck();
   stopReconnect();
+  stopDeviceMonitor();
+  stopVolumeWatchdog();
+  // Stopped before disconnect() so that device:disconnected triggers do not start runs during shutdown
   stopScheduler();
   await stopMqtt();
   await disconnect();
@@ -52,46 +62,94 @@ export async function startCommand(options = {}) {
 
     // Build context for actions (e.g., play-video needs youtube config)
     const context = {
-      youtube: config.youtube
+      youtube: config.youtube,
+      timezone: config.timezone
     };
 
     // Set global context for Web API calls (executeAction uses this)
     setActionContext(context);
 
-    // Connect to device - if unavailable, keep service running and retry
-    const result = await connect(config.device.ip, config.device.port);
-    if (result.connected) {
-      startHealthCheck();
-    } else {
-      logger.warn(`Device unavailable at startup, will retry in background: ${result.error?.message || 'Unknown error'}`);
-      reconnect();
+    // Persist execution history and apply retention from previous runs
+    initHistoryStore(config.history);
+    pruneHistory().catch((error) => {
+      logger.warn(`Failed to prune execution history: ${error.message}`);
+    });
+
+    // Exclusion calendars must be loaded before tasks referencing them are registered
+    await loadCalendars(config.calendars);
+
+    // Connect to each device - if unavailable, keep service running and retry
+    for (const { name, ip, port } of getConfiguredDevices(config)) {
+      const result = await connect(ip, port, name);
+      if (result.connected) {
+        startHealthCheck(undefined, name);
+      } else {
+        logger.warn(`Device '${name}' unavailable at startup, will retry in background: ${result.error?.message || 'Unknown error'}`);
+        reconnect(name);
+      }
     }
 
-    // Task executor callback
-    const executor = async (task) => {
+    setDeviceGroups(config.groups);
+
+    // Task executor callback (group tasks resolve member devices in the executor)
+    // options.scheduledFor is set when the scheduler replays a missed run,
+    // options.params when a run supplies task parameters (MQTT),
+    // options.parent when another task's onSuccess/onFailure started the run,
+    // options.trigger when a device event started it,
+    // options.members when a replay only runs on the group members that missed the run
+    const executor = async (task, options = {}) => {
       const startTime = Date.now();
-      const device = getDevice();
+      const device = getDevice(task.device);
 
       let result;
-      if (!device) {
+      if (!device && !isDeviceGroup(task.device)) {
         result = {
           success: false,
           status: 'failed',
           error: 'Device not connected',
+          code: 'DEVICE_DISCONNECTED',
           results: [],
           duration: 0
         };
         logger.warn(`Task skipped because device is disconnected: ${task.name}`);
       } else {
-        result = await executeTask(task, device, context);
+        result = await executeTask(task, device, context, { params: options.params, parent: options.parent, trigger: options.trigger, members: options.members });
       }
 
       const endTime = Date.now();
-      recordExecution(task.name, result, startTime, endTime);
+      recordExecution(task.name, { ...result, scheduledFor: options.scheduledFor, parent: options.parent }, startTime, endTime);
     };
 
     // Start scheduler with all tasks
-    const schedulerResult = startScheduler(config.tasks || [], executor);
+    const schedulerResult = startScheduler(config.tasks || [], executor, {
+      timezone: config.timezone,
+      location: config.location
+    });
+
+    // Replay runs missed while the service was down, for devices that are reachable now
+    runCatchUp(task => Boolean(getDevice(task.device)) || isDeviceGroup(task.device)).catch((error) => {
+      logger.warn(`Catch-up after startup failed: ${error.message}`);
+    });
+
+    // Replay runs missed during a device outage once the device is back
+    onBroadcast(({ type, data }) => {
+      if (type !== 'status:device:connected') return;
+      runCatchUp(task => resolveDeviceTargets(task.device).includes(data.device)).catch((error) => {
+        logger.warn(`Catch-up after reconnect failed: ${error.message}`);
+      });
+    });
+
+    // Poll device state for screen and app triggers while any task has one
+    startDeviceMonitor({
+      interval: parseDuration(config.monitor?.interval ?? '5s'),
+      isNeeded: () => getRegisteredTasks().some(task => task.enabled && needsDeviceMonitor(task.trigger))
+    });
+
+    // Hold devices with a maxVolume at or below it
+    startVolumeWatchdog({
+      devices: getConfiguredDevices(config),
+      interval: parseDuration(config.monitor?.interval ?? '5s')
+    });
 
     // Init MQTT service if configured
     if (config.mqtt) {
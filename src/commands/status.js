@@ -3,9 +3,52 @@
  */
 import { connect, getConnectionStatus, getDeviceInfo } from '../services/adb-client.js';
 import { isSchedulerRunning, getRegisteredTasks } from '../services/scheduler.js';
-import { loadConfig } from '../utils/config.js';
+import { initHistoryStore, readHistory } from '../services/history-store.js';
+import { formatSchedule } from '../utils/cron-validator.js';
+import { loadConfig, getConfiguredDevices } from '../utils/config.js';
 import { logger } from '../utils/logger.js';
 
+// Stored executions shown per task
+const MAX_STATUS_HISTORY = 10;
+
+/**
+ * Fill in run history from the persistent store
+ * The status command runs in its own process, so the scheduler's in-memory
+ * history is empty unless the store provides it
+ * @param {Array<object>} tasks - Registered or configured tasks
+ * @returns {Promise<Array<object>>} Tasks with lastRun*, failureCount and executionHistory
+ */
+async function withStoredHistory(tasks) {
+  const records = await readHistory();
+  if (records.length === 0) {
+    return tasks;
+  }
+
+  return tasks.map(task => {
+    if (task.executionHistory && task.executionHistory.length > 0) {
+      return task;
+    }
+
+    const runs = records.filter(record => record.task === task.name);
+    if (runs.length === 0) {
+      return task;
+    }
+
+    const last = runs[runs.length - 1];
+    return {
+      ...task,
+      lastRunStatus: last.status,
+      lastRunTime: new Date(last.endTime),
+      failureCount: runs.filter(run => run.status === 'failed' || run.status === 'partial').length,
+      executionHistory: runs.slice(-MAX_STATUS_HISTORY).map(run => ({
+        ...run,
+        startTime: new Date(run.startTime),
+        endTime: new Date(run.endTime)
+      }))
+    };
+  });
+}
+
 /**
  * Build JSON output object
  */
@@ -24,6 +67,7 @@ function buildJsonOutput(serviceRunning, result, connectionStatus, deviceInfo, t
     tasks: tasks.map(task => ({
       name: task.name,
       schedule: task.schedule,
+      at: task.at || null,
       nextRun: task.nextRun?.toISOString() || null,
       lastRunStatus: task.lastRunStatus || null,
       lastRunTime: task.lastRunTime?.toISOString() || null,
@@ -33,7 +77,8 @@ function buildJsonOutput(serviceRunning, result, connectionStatus, deviceInfo, t
         startTime: h.startTime?.toISOString() || null,
         endTime: h.endTime?.toISOString() || null,
         duration: h.duration || null,
-        error: h.error || null
+        error: h.error || null,
+        devices: h.devices || null
       }))
     }))
   };
@@ -84,7 +129,7 @@ function displayHumanOutput(serviceRunning, result, connectionStatus, deviceInfo
     console.log(`Scheduled Tasks (${tasks.length}):`);
     for (const task of tasks) {
       console.log(`  ${task.name}:`);
-      console.log(`    Schedule: ${task.schedule}`);
+      console.log(`    Schedule: ${task.at ? `once at ${task.at}` : formatSchedule(task.schedule)}`);
       console.log(`    Next Run: ${task.nextRun ? task.nextRun.toISOString() : '(unknown)'}`);
       if (task.lastRunStatus) {
         console.log(`    Last Run: ${task.lastRunStatus} (${task.lastRunTime?.toISOString() || 'unknown'})`);
@@ -98,13 +143,19 @@ function displayHumanOutput(serviceRunning, result, connectionStatus, deviceInfo
         console.log(`    Recent Executions:`);
         const recentHistory = task.executionHistory.slice(-3).reverse();
         for (const exec of recentHistory) {
-          const statusStr = exec.status === 'completed' ? '✓' : '✗';
+          const statusStr = exec.status === 'completed' ? '✓' : exec.status === 'partial' ? '~' : exec.status === 'skipped' ? '-' : exec.status === 'cancelled' ? '○' : '✗';
           const durationStr = `${exec.duration}ms`;
           const timeStr = exec.endTime ? exec.endTime.toLocaleString() : 'unknown';
           console.log(`      ${statusStr} ${exec.status} (${timeStr}) - ${durationStr}`);
           if (exec.error) {
             console.log(`        Error: ${exec.error}`);
           }
+          if (exec.reason) {
+            console.log(`        Reason: ${exec.reason}`);
+          }
+          if (exec.parentTask) {
+            console.log(`        Started by: ${exec.parentTask}${exec.parentRunId ? ` (${exec.parentRunId})` : ''}`);
+          }
         }
       }
     }
@@ -120,18 +171,24 @@ function displayHumanOutput(serviceRunning, result, connectionStatus, deviceInfo
 export async function statusCommand(options = {}) {
   try {
     const config = await loadConfig();
-    const { ip, port } = config.device;
+    const { name, ip, port } = getConfiguredDevices(config)[0];
 
     // Check scheduler status first
     const serviceRunning = isSchedulerRunning();
 
     // Try to connect to device for status
-    const result = await connect(ip, port);
-    const connectionStatus = getConnectionStatus();
-    const deviceInfo = getDeviceInfo();
+    const result = await connect(ip, port, name);
+    const connectionStatus = getConnectionStatus(name);
+    const deviceInfo = getDeviceInfo(name);
 
-    // Get task information
-    const tasks = getRegisteredTasks();
+    // Get task information (configured tasks when the scheduler is not in this process)
+    const registeredTasks = getRegisteredTasks();
+    initHistoryStore(config.history);
+    const tasks = await withStoredHistory(
+      registeredTasks.length > 0
+        ? registeredTasks
+        : (config.tasks || []).map(task => ({ name: task.name, schedule: task.schedule, at: task.at }))
+    );
 
     // JSON output mode
     if (options.json) {
@@ -2,10 +2,72 @@
  * Test command - manually trigger action or task
  */
 import { getAction, listActions } from '../actions/index.js';
-import { loadConfig } from '../utils/config.js';
+import { loadConfig, getConfiguredDevices } from '../utils/config.js';
 import { connect, getDevice, disconnect } from '../services/adb-client.js';
 import { logger } from '../utils/logger.js';
 import { executeTask } from '../services/executor.js';
+import { planTask, planAction } from '../services/dry-run.js';
+
+/**
+ * Print planned steps, indented by nesting level
+ * @param {Array<object>} steps - Planned steps (see services/dry-run.js)
+ * @param {string} indent - Prefix for each line
+ */
+function printPlanSteps(steps, indent) {
+  for (const step of steps) {
+    if (step.action === 'if') {
+      console.log(`${indent}if ${step.condition}`);
+      console.log(`${indent}  then:`);
+      printPlanSteps(step.then, `${indent}    `);
+      if (step.else.length > 0) {
+        console.log(`${indent}  else:`);
+        printPlanSteps(step.else, `${indent}    `);
+      }
+    } else if (step.action === 'repeat') {
+      const bounds = [step.times !== undefined && `${step.times} times`, step.until && `until ${step.until}`].filter(Boolean);
+      console.log(`${indent}repeat ${bounds.join(', ')}:`);
+      printPlanSteps(step.steps, `${indent}  `);
+    } else if (step.action === 'forEach') {
+      for (const iteration of step.iterations) {
+        console.log(`${indent}for ${JSON.stringify(iteration.item)}:`);
+        printPlanSteps(iteration.steps, `${indent}  `);
+      }
+    } else if (step.success) {
+      console.log(`${indent}${step.action}${step.device ? ` (${step.device})` : ''}: ${step.message}`);
+      step.commands.forEach(command => console.log(`${indent}  $ ${command}`));
+    } else {
+      console.log(`${indent}✗ ${step.action}: ${step.error.message}`);
+    }
+  }
+}
+
+/**
+ * Print what an action or task would do, without connecting to a device
+ * @param {object|null} task - Configured task, or null for a single action
+ * @param {object|null} action - Action when no task is given
+ * @param {object} params - Action parameters from the CLI options
+ * @param {object} context - Action context
+ */
+function dryRun(task, action, params, context) {
+  if (!task) {
+    const planned = planAction(action.name, params, context);
+    printPlanSteps([planned], '  ');
+    process.exit(planned.success ? 0 : 1);
+  }
+
+  const plan = planTask(task, context);
+  if (plan.error) {
+    console.error(`✗ Task '${task.name}' cannot run: ${plan.error}`);
+    process.exit(1);
+  }
+
+  console.log(`Dry run of task '${task.name}'${task.device ? ` on ${task.device}` : ''} (nothing is sent to the device):`);
+  printPlanSteps(plan.steps, '  ');
+  if (!plan.success) {
+    console.error(`✗ ${plan.errors.length} action(s) would fail`);
+  }
+  process.exit(plan.success ? 0 : 1);
+}
 
 /**
  * Execute a specific action or configured task for testing
@@ -14,6 +76,7 @@ import { executeTask } from '../services/executor.js';
  * @param {string} [options.url] - YouTube URL for play-video action
  * @param {string} [options.app] - App package for launch-app action
  * @param {string} [options.config] - Path to config file
+ * @param {boolean} [options.dryRun] - Print the commands instead of running them
  */
 export async function testCommand(name, options) {
   // 1. Validate input
@@ -51,15 +114,22 @@ export async function testCommand(name, options) {
   if (options.url) params.url = options.url;
   if (options.app) params.package = options.app;
 
-  // 5. Connect to device
-  const result = await connect(config.device.ip, config.device.port);
+  if (options.dryRun) {
+    dryRun(task, action, params, { youtube: config.youtube });
+    return;
+  }
+
+  // 5. Connect to the task's device (default device for single actions)
+  const devices = getConfiguredDevices(config);
+  const target = devices.find(d => d.name === task?.device) || devices[0];
+  const result = await connect(target.ip, target.port, target.name);
   if (!result.connected) {
     console.error(`Connection failed: ${result.error.message}`);
     process.exit(1);
   }
 
   // 6. Execute action or task
-  const device = getDevice();
+  const device = getDevice(target.name);
   const context = { youtube: config.youtube };
 
   let execResult;
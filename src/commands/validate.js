@@ -1,7 +1,7 @@
 /**
  * Validate command - validates configuration file against JSON Schema
  */
-import { loadConfig, validateConfig, validateTasks } from '../utils/config.js';
+import { loadConfig, validateConfig, validateTasks, getConfiguredDevices } from '../utils/config.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -47,7 +47,10 @@ export async function validateCommand(options) {
     }
 
     logger.info('Configuration is valid');
-    logger.info(`Device: ${config.device.ip}:${config.device.port}`);
+    const devices = getConfiguredDevices(config);
+    for (const { name, ip, port } of devices) {
+      logger.info(`Device: ${ip}:${port}${devices.length > 1 ? ` (${name})` : ''}`);
+    }
     logger.info(`Tasks: ${config.tasks.length} task(s) configured`);
     process.exitCode = 0;
   } catch (error) {
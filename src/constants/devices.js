@@ -0,0 +1,9 @@
+/**
+ * Device Constants
+ * Shared between config loading and the ADB client
+ */
+
+// Name used when the config only declares a single `device` object
+const DEFAULT_DEVICE_NAME = 'default';
+
+export { DEFAULT_DEVICE_NAME };
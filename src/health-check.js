@@ -11,7 +11,7 @@
 
 import AdbKit from '@devicefarmer/adbkit';
 const Adb = AdbKit.Adb;
-import { loadConfig } from './utils/config.js';
+import { loadConfig, getConfiguredDevices } from './utils/config.js';
 
 // Health check timeout in milliseconds (5 seconds max)
 const HEALTH_CHECK_TIMEOUT = 5000;
@@ -42,7 +42,9 @@ async function healthCheck() {
 
     // Create ADB client
     const client = Adb.createClient();
-    const deviceString = `${config.device.ip}:${config.device.port}`;
+    // Only the default (first) device decides container health
+    const { ip, port } = getConfiguredDevices(config)[0];
+    const deviceString = `${ip}:${port}`;
 
     // Get device reference
     const device = client.getDevice(deviceString);
@@ -35,6 +35,7 @@ program
   .option('--url <url>', 'YouTube URL for play-video action')
   .option('--app <package>', 'App package for launch-app action')
   .option('-c, --config <path>', 'Path to config file')
+  .option('--dry-run', 'Print the commands that would be sent without connecting to the device')
   .action(testCommand);
 
 program
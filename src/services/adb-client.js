@@ -1,246 +1,590 @@
 /**
  * ADB Client Service Module
  * SOLE OWNER of ADB connection - no other module may access ADB directly
+ * Manages one DeviceConnection (health check + reconnect loop) per named device
+ * Commands sent to a device through getDevice() are queued and issued one at a time,
+ * so scheduled tasks, MQTT commands and the web remote do not interleave
  */
+import { Readable } from 'stream';
 import AdbKit from '@devicefarmer/adbkit';
 import { logger, logAdbCommand } from '../utils/logger.js';
 import { emitEvent } from '../web/websocket/broadcaster.js';
+import { DEFAULT_DEVICE_NAME } from '../constants/devices.js';
 
 const Adb = AdbKit.Adb;
 
+const BACKOFF_DELAYS = [0, 1000, 2000, 4000, 8000, 16000, 30000];
+
+// Device methods that resolve with an output stream as soon as the command starts
+const STREAM_METHODS = new Set(['shell', 'screencap']);
+
+// Time a queued command may hold the device before the queue moves on without it
+const QUEUE_SLOT_TIMEOUT = 60000;
+
 let client = null;
-let connected = false;
-let currentDevice = null;
-let currentTarget = null;
-let currentIp = null;
-let currentPort = null;
-let healthCheckInterval = null;
-let reconnecting = false;
-let reconnectAttempt = 0;
-let lastConnectedAt = null;
 
-const BACKOFF_DELAYS = [0, 1000, 2000, 4000, 8000, 16000, 30000];
+// Map of device name -> DeviceConnection
+const connections = new Map();
+
+// Device used when callers do not name one (first registered device)
+let defaultDeviceName = null;
+
+// Map of group name -> member device names
+const deviceGroups = new Map();
+
+/**
+ * Get the shared adbkit client (one ADB server connection for all devices)
+ * @returns {object} adbkit client
+ */
+function getClient() {
+  if (!client) {
+    client = Adb.createClient();
+  }
+  return client;
+}
+
+/**
+ * Sleep for specified milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Connection manager for a single Android TV device
+ * Owns the device handle, heartbeat interval and reconnect loop
+ */
+class DeviceConnection {
+  /**
+   * @param {string} name - Device name from config
+   */
+  constructor(name) {
+    this.name = name;
+    this.connected = false;
+    this.device = null;
+    this.target = null;
+    this.ip = null;
+    this.port = null;
+    this.healthCheckInterval = null;
+    this.reconnecting = false;
+    this.reconnectAttempt = 0;
+    this.lastConnectedAt = null;
+    this.queuedDevice = null;
+    this.queueTail = Promise.resolve();
+    this.queueDepth = 0;
+    this.heartbeatPending = false;
+  }
+
+  /**
+   * Run a device command once the commands queued before it have settled
+   * @param {Function} command - Issues the command and returns a promise (see runSlot)
+   * @returns {Promise<any>} Result of the command
+   */
+  enqueue(command) {
+    this.queueDepth++;
+    const result = this.queueTail.then(() => this.runSlot(command));
+    this.queueTail = result
+      .catch(() => {}) // A failed command does not block the ones behind it
+      .finally(() => {
+        this.queueDepth--;
+      });
+    return result;
+  }
+
+  /**
+   * Run a command in its queue slot, giving the slot up after QUEUE_SLOT_TIMEOUT
+   * A command that never ends (e.g. logcat from a custom step) then fails with
+   * COMMAND_TIMEOUT instead of blocking every later command to the device
+   * @param {Function} command - Called with a function that registers how to stop the command on timeout
+   * @returns {Promise<any>} Result of the command
+   */
+  runSlot(command) {
+    let stop = () => {};
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        stop();
+        const error = new Error(`ADB command did not finish within ${QUEUE_SLOT_TIMEOUT / 1000}s`);
+        error.code = 'COMMAND_TIMEOUT';
+        reject(error);
+      }, QUEUE_SLOT_TIMEOUT);
+    });
+
+    return Promise.race([command((onTimeout) => { stop = onTimeout; }), timedOut])
+      .finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Wrap the device handle so that its methods go through the command queue
+   * Stream methods (shell, screencap) hold their queue slot until the command's
+   * output has been read, and resolve with a stream replaying that output;
+   * their stream is closed when the slot times out
+   * @param {object} device - adbkit device client
+   * @returns {object} Device whose methods are queued
+   */
+  createQueuedDevice(device) {
+    return new Proxy(device, {
+      get: (target, property) => {
+        const value = target[property];
+        if (typeof value !== 'function') {
+          return value;
+        }
+        if (STREAM_METHODS.has(property)) {
+          return (...args) => this.enqueue(async (onTimeout) => {
+            const stream = await value.apply(target, args);
+            onTimeout(() => stream.destroy?.());
+            const output = await Adb.util.readAll(stream);
+            return Readable.from([output]);
+          });
+        }
+        return (...args) => this.enqueue(() => value.apply(target, args));
+      }
+    });
+  }
+
+  /**
+   * Connect to the device via ADB over TCP
+   * @param {string} ip - Device IP address
+   * @param {number} port - ADB port
+   * @returns {Promise<{connected: boolean, device?: object, error?: object}>}
+   */
+  async connect(ip, port) {
+    try {
+      const adb = getClient();
+
+      // Always store connection details so reconnect() works after initial failure
+      this.ip = ip;
+      this.port = port;
+
+      const target = `${ip}:${port}`;
+      await adb.connect(target);
+
+      this.device = adb.getDevice(target);
+      this.queuedDevice = this.createQueuedDevice(this.device);
+      this.target = target;
+      this.connected = true;
+      this.reconnecting = false;
+      this.reconnectAttempt = 0;
+      this.lastConnectedAt = new Date();
+
+      logger.info(`Connected to device ${target}`);
+      emitEvent('status:device:connected', { target, device: this.name });
+      return { connected: true, device: this.queuedDevice };
+    } catch (error) {
+      this.connected = false;
+      this.device = null;
+      this.queuedDevice = null;
+      const errorInfo = {
+        code: 'CONNECTION_FAILED',
+        message: `Failed to connect to ${ip}:${port}`,
+        details: { ip, port, device: this.name, reason: error.message }
+      };
+      logger.error(errorInfo.message, errorInfo.details);
+      return { connected: false, error: errorInfo };
+    }
+  }
+
+  /**
+   * Disconnect from the device and stop background loops
+   */
+  async disconnect() {
+    this.stopHealthCheck();
+    this.stopReconnect();
+
+    if (this.target && client) {
+      try {
+        await client.disconnect(this.target);
+        logger.info(`Disconnected from device ${this.target}`);
+        emitEvent('status:device:disconnected', { target: this.target, device: this.name });
+      } catch (error) {
+        logger.warn('Error during disconnect', { device: this.name, reason: error.message });
+      }
+    }
+    this.connected = false;
+    this.device = null;
+    this.queuedDevice = null;
+    this.target = null;
+    this.ip = null;
+    this.port = null;
+  }
+
+  /**
+   * Get connection status
+   * @returns {{name: string, connected: boolean, reconnecting: boolean, target: string|null, device: string|null, reconnectAttempt: number, lastConnectedAt: Date|null, queueDepth: number}}
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      connected: this.connected,
+      reconnecting: this.reconnecting,
+      target: this.target,
+      device: this.target,
+      reconnectAttempt: this.reconnecting ? this.reconnectAttempt + 1 : 0,
+      lastConnectedAt: this.lastConnectedAt,
+      queueDepth: this.queueDepth
+    };
+  }
+
+  /**
+   * Get the device handle when connected
+   * @returns {object|null} Device object with shell() method (commands are queued) or null
+   */
+  getDevice() {
+    if (!this.connected || !this.device) {
+      return null;
+    }
+    return this.queuedDevice;
+  }
+
+  /**
+   * Start health check with periodic heartbeat
+   * @param {number} intervalMs - Heartbeat interval in milliseconds
+   */
+  startHealthCheck(intervalMs = 5000) {
+    this.stopHealthCheck();
+
+    this.healthCheckInterval = setInterval(async () => {
+      // A heartbeat still waiting behind a long command is not sent again
+      if (!this.queuedDevice || this.heartbeatPending) return;
+
+      this.heartbeatPending = true;
+      try {
+        logAdbCommand('echo ping', this.target);
+        // Queued like any other command, so it never interleaves with one; waiting is not a failure
+        const stream = await this.queuedDevice.shell('echo ping');
+        const output = await Adb.util.readAll(stream);
+        logger.debug('ADB command result', { command: 'echo ping', result: output.toString().trim() });
+      } catch (error) {
+        logger.warn('Connection lost, attempting reconnect...', { device: this.name, error: error.message });
+        this.stopHealthCheck();
+        this.connected = false;
+        emitEvent('status:device:disconnected', { target: this.target, device: this.name });
+        this.reconnect();
+      } finally {
+        this.heartbeatPending = false;
+      }
+    }, intervalMs);
+  }
+
+  /**
+   * Stop the health check interval
+   */
+  stopHealthCheck() {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+      this.healthCheckInterval = null;
+    }
+  }
+
+  /**
+   * Reconnect to the device with exponential backoff
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async reconnect() {
+    if (!client || !this.ip || !this.port) {
+      logger.warn('Reconnect requested but no previous connection context exists');
+      this.reconnecting = false;
+      this.reconnectAttempt = 0;
+      return { success: false, error: 'NO_CONNECTION_CONTEXT' };
+    }
+
+    this.reconnecting = true;
+    this.reconnectAttempt = 0;
+
+    while (this.reconnecting) {
+      const delay = BACKOFF_DELAYS[Math.min(this.reconnectAttempt, BACKOFF_DELAYS.length - 1)];
+      const delaySeconds = delay / 1000;
+
+      logger.warn(`Reconnection attempt ${this.reconnectAttempt + 1}, waiting ${delaySeconds}s...`, {
+        device: this.name,
+        attempt: this.reconnectAttempt + 1,
+        delay: delaySeconds
+      });
+
+      await sleep(delay);
+
+      if (!this.reconnecting) break;
+
+      try {
+        const target = `${this.ip}:${this.port}`;
+        await client.connect(target);
+        this.device = client.getDevice(target);
+        this.queuedDevice = this.createQueuedDevice(this.device);
+        this.target = target;
+        this.connected = true;
+        this.lastConnectedAt = new Date();
+        this.reconnecting = false;
+        this.reconnectAttempt = 0;
+        logger.info(`Reconnected to device ${target}`);
+        emitEvent('status:device:connected', { target, device: this.name });
+        this.startHealthCheck();
+        return { success: true };
+      } catch (error) {
+        this.reconnectAttempt++;
+        logger.error(`Reconnect failed: ${error.message}`);
+      }
+    }
+
+    return { success: false };
+  }
+
+  /**
+   * Stop ongoing reconnection attempts
+   */
+  stopReconnect() {
+    this.reconnecting = false;
+  }
+}
+
+/**
+ * Resolve a device name, falling back to the default device
+ * @param {string} [name] - Device name
+ * @returns {string} Resolved device name
+ */
+function resolveName(name) {
+  return name || defaultDeviceName || DEFAULT_DEVICE_NAME;
+}
+
+/**
+ * Get the connection manager for a device
+ * @param {string} [name] - Device name (default device when omitted)
+ * @returns {DeviceConnection|undefined}
+ */
+function getConnection(name) {
+  return connections.get(resolveName(name));
+}
+
+/**
+ * Get or create the connection manager for a device
+ * @param {string} name - Device name
+ * @returns {DeviceConnection}
+ */
+function ensureConnection(name) {
+  let connection = connections.get(name);
+  if (!connection) {
+    connection = new DeviceConnection(name);
+    connections.set(name, connection);
+    if (!defaultDeviceName) {
+      defaultDeviceName = name;
+    }
+  }
+  return connection;
+}
 
 /**
  * Connect to Android TV device via ADB over TCP
  * @param {string} ip - Device IP address
  * @param {number} port - ADB port (default 5555)
+ * @param {string} [name] - Device name (default device when omitted)
  * @returns {Promise<{connected: boolean, device?: object, error?: object}>}
  */
-async function connect(ip, port = 5555) {
-  try {
-    if (!client) {
-      client = Adb.createClient();
+async function connect(ip, port = 5555, name) {
+  return ensureConnection(resolveName(name)).connect(ip, port);
+}
+
+/**
+ * Disconnect from a device, or from every device when no name is given
+ * @param {string} [name] - Device name
+ */
+async function disconnect(name) {
+  if (name) {
+    const connection = connections.get(name);
+    if (connection) {
+      await connection.disconnect();
     }
+    return;
+  }
 
-    // Always store connection details so reconnect() works after initial failure
-    currentIp = ip;
-    currentPort = port;
-
-    const target = `${ip}:${port}`;
-    await client.connect(target);
-
-    currentDevice = client.getDevice(target);
-    currentTarget = target;
-    currentIp = ip;
-    currentPort = port;
-    connected = true;
-    reconnecting = false;
-    reconnectAttempt = 0;
-    lastConnectedAt = new Date();
-
-    logger.info(`Connected to device ${target}`);
-    emitEvent('status:device:connected', { target });
-    return { connected: true, device: currentDevice };
-  } catch (error) {
-    connected = false;
-    currentDevice = null;
-    const errorInfo = {
-      code: 'CONNECTION_FAILED',
-      message: `Failed to connect to ${ip}:${port}`,
-      details: { ip, port, reason: error.message }
+  for (const connection of connections.values()) {
+    await connection.disconnect();
+  }
+}
+
+/**
+ * Get current connection status
+ * @param {string} [name] - Device name (default device when omitted)
+ * @returns {{name: string, connected: boolean, reconnecting: boolean, target: string|null, device: string|null, reconnectAttempt: number, lastConnectedAt: Date|null, queueDepth: number}}
+ */
+function getConnectionStatus(name) {
+  const connection = getConnection(name);
+  if (!connection) {
+    return {
+      name: resolveName(name),
+      connected: false,
+      reconnecting: false,
+      target: null,
+      device: null,
+      reconnectAttempt: 0,
+      lastConnectedAt: null,
+      queueDepth: 0
     };
-    logger.error(errorInfo.message, errorInfo.details);
-    return { connected: false, error: errorInfo };
   }
+  return connection.getStatus();
+}
+
+/**
+ * Get connection status for every registered device
+ * @returns {Array<object>} Status objects (see getConnectionStatus)
+ */
+function listDeviceStatuses() {
+  return Array.from(connections.values()).map(connection => connection.getStatus());
 }
 
 /**
- * Disconnect from the current device
+ * Get names of all registered devices
+ * @returns {string[]} Device names
  */
-async function disconnect() {
-  stopHealthCheck();
-  stopReconnect();
+function listDeviceNames() {
+  return Array.from(connections.keys());
+}
 
-  if (currentTarget && client) {
-    try {
-      await client.disconnect(currentTarget);
-      logger.info(`Disconnected from device ${currentTarget}`);
-      emitEvent('status:device:disconnected', { target: currentTarget });
-    } catch (error) {
-      logger.warn('Error during disconnect', { reason: error.message });
-    }
+/**
+ * Get the name of the default device
+ * @returns {string} Default device name
+ */
+function getDefaultDeviceName() {
+  return resolveName();
+}
+
+/**
+ * Replace the configured device groups
+ * @param {Object<string, string[]>} [groups={}] - Group name -> member device names
+ */
+function setDeviceGroups(groups = {}) {
+  deviceGroups.clear();
+  for (const [name, members] of Object.entries(groups)) {
+    deviceGroups.set(name, [...members]);
   }
-  connected = false;
-  currentDevice = null;
-  currentTarget = null;
-  currentIp = null;
-  currentPort = null;
 }
 
 /**
- * Get current connection status
- * @returns {{connected: boolean, device: string|null}}
+ * Get configured device groups
+ * @returns {Object<string, string[]>} Group name -> member device names
  */
-function getConnectionStatus() {
-  return {
-    connected,
-    reconnecting,
-    target: currentTarget,
-    device: currentTarget,
-    reconnectAttempt: reconnecting ? reconnectAttempt + 1 : 0,
-    lastConnectedAt
-  };
+function listDeviceGroups() {
+  return Object.fromEntries(deviceGroups);
+}
+
+/**
+ * Check whether a name refers to a device group
+ * @param {string} [name] - Device or group name
+ * @returns {boolean}
+ */
+function isDeviceGroup(name) {
+  return Boolean(name) && deviceGroups.has(name);
+}
+
+/**
+ * Resolve a device or group name into the device names it targets
+ * @param {string} [name] - Device or group name (default device when omitted)
+ * @returns {string[]} Member device names for a group, otherwise the single device name
+ */
+function resolveDeviceTargets(name) {
+  if (isDeviceGroup(name)) {
+    return [...deviceGroups.get(name)];
+  }
+  return [resolveName(name)];
 }
 
 /**
  * Get device info when connected
+ * @param {string} [name] - Device name (default device when omitted)
  * @returns {object|null} Device info or null if not connected
  */
-function getDeviceInfo() {
-  if (!connected || !currentDevice) {
+function getDeviceInfo(name) {
+  const device = getDevice(name);
+  if (!device) {
     return null;
   }
   return {
-    id: currentTarget
+    id: getConnection(name).target
   };
 }
 
 /**
- * Get the current device object for action execution
+ * Get a device object for action execution
+ * @param {string} [name] - Device name (default device when omitted)
  * @returns {object|null} Device object with shell() method or null if not connected
  */
-function getDevice() {
-  if (!connected || !currentDevice) {
-    return null;
-  }
-  return currentDevice;
+function getDevice(name) {
+  const connection = getConnection(name);
+  return connection ? connection.getDevice() : null;
 }
 
 /**
  * Start health check with periodic heartbeat
  * @param {number} intervalMs - Heartbeat interval in milliseconds (default 5000)
+ * @param {string} [name] - Device name (default device when omitted)
  */
-function startHealthCheck(intervalMs = 5000) {
-  stopHealthCheck();
-
-  healthCheckInterval = setInterval(async () => {
-    if (!currentDevice) return;
-
-    try {
-      // Task 3.1 & 3.2: Add debug log before each ADB shell command
-      logAdbCommand('echo ping', currentTarget);
-      const result = await currentDevice.shell('echo ping');
-      // Task 3.3: Log command result/response at debug level
-      logger.debug('ADB command result', { command: 'echo ping', result });
-    } catch (error) {
-      logger.warn('Connection lost, attempting reconnect...', { error: error.message });
-      stopHealthCheck();
-      reconnect(currentIp, currentPort); // Pass stored connection details
-    }
-  }, intervalMs);
-}
-
-/**
- * Stop the health check interval
- */
-function stopHealthCheck() {
-  if (healthCheckInterval) {
-    clearInterval(healthCheckInterval);
-    healthCheckInterval = null;
+function startHealthCheck(intervalMs = 5000, name) {
+  const connection = getConnection(name);
+  if (connection) {
+    connection.startHealthCheck(intervalMs);
   }
 }
 
 /**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
+ * Stop the health check interval of a device, or of every device when no name is given
+ * @param {string} [name] - Device name
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function stopHealthCheck(name) {
+  if (name) {
+    connections.get(name)?.stopHealthCheck();
+    return;
+  }
+  for (const connection of connections.values()) {
+    connection.stopHealthCheck();
+  }
 }
 
 /**
  * Reconnect to device with exponential backoff
- * @returns {Promise<{success: boolean}>}
+ * @param {string} [name] - Device name (default device when omitted)
+ * @returns {Promise<{success: boolean, error?: string}>}
  */
-async function reconnect() {
-  if (!client || !currentIp || !currentPort) {
+async function reconnect(name) {
+  const connection = getConnection(name);
+  if (!connection) {
     logger.warn('Reconnect requested but no previous connection context exists');
-    reconnecting = false;
-    reconnectAttempt = 0;
     return { success: false, error: 'NO_CONNECTION_CONTEXT' };
   }
-
-  reconnecting = true;
-  reconnectAttempt = 0;
-
-  while (reconnecting) {
-    const delay = BACKOFF_DELAYS[Math.min(reconnectAttempt, BACKOFF_DELAYS.length - 1)];
-    const delaySeconds = delay / 1000;
-
-    logger.warn(`Reconnection attempt ${reconnectAttempt + 1}, waiting ${delaySeconds}s...`, {
-      attempt: reconnectAttempt + 1,
-      delay: delaySeconds
-    });
-
-    await sleep(delay);
-
-    if (!reconnecting) break;
-
-    try {
-      const target = `${currentIp}:${currentPort}`;
-      await client.connect(target);
-      currentDevice = client.getDevice(target);
-      connected = true;
-      lastConnectedAt = new Date();
-      reconnecting = false;
-      reconnectAttempt = 0;
-      logger.info(`Reconnected to device ${target}`);
-      emitEvent('status:device:connected', { target });
-      startHealthCheck();
-      return { success: true };
-    } catch (error) {
-      reconnectAttempt++;
-      logger.error(`Reconnect failed: ${error.message}`);
-    }
-  }
-
-  return { success: false };
+  return connection.reconnect();
 }
 
 /**
- * Stop ongoing reconnection attempts
+ * Stop ongoing reconnection attempts of a device, or of every device when no name is given
+ * @param {string} [name] - Device name
  */
-function stopReconnect() {
-  reconnecting = false;
+function stopReconnect(name) {
+  if (name) {
+    connections.get(name)?.stopReconnect();
+    return;
+  }
+  for (const connection of connections.values()) {
+    connection.stopReconnect();
+  }
 }
 
 /**
  * Get device status for API responses
  * Alias for getConnectionStatus to provide consistent naming
+ * @param {string} [name] - Device name (default device when omitted)
  * @returns {{connected: boolean, reconnecting: boolean, target: string|null, lastConnectedAt: Date|null}}
  */
-function getDeviceStatus() {
-  return getConnectionStatus();
+function getDeviceStatus(name) {
+  return getConnectionStatus(name);
 }
 
 /**
- * Capture screen from the connected device
+ * Capture screen from a connected device
+ * @param {string} [name] - Device name (default device when omitted)
  * @returns {Promise<{success: boolean, image?: string, error?: object}>}
  */
-async function captureScreen() {
-  if (!connected || !currentDevice) {
+async function captureScreen(name) {
+  const device = getDevice(name);
+  if (!device) {
     return {
       success: false,
       error: {
@@ -251,8 +595,8 @@ async function captureScreen() {
   }
 
   try {
-    logAdbCommand('screencap', currentTarget);
-    const stream = await currentDevice.screencap();
+    logAdbCommand('screencap', device.id);
+    const stream = await device.screencap();
 
     // Collect stream data into buffer
     const chunks = [];
@@ -286,4 +630,23 @@ async function captureScreen() {
   }
 }
 
-export { connect, disconnect, getConnectionStatus, getDeviceStatus, getDeviceInfo, getDevice, startHealthCheck, stopHealthCheck, reconnect, stopReconnect, captureScreen };
+export {
+  connect,
+  disconnect,
+  getConnectionStatus,
+  getDeviceStatus,
+  listDeviceStatuses,
+  listDeviceNames,
+  getDefaultDeviceName,
+  setDeviceGroups,
+  listDeviceGroups,
+  isDeviceGroup,
+  resolveDeviceTargets,
+  getDeviceInfo,
+  getDevice,
+  startHealthCheck,
+  stopHealthCheck,
+  reconnect,
+  stopReconnect,
+  captureScreen
+};
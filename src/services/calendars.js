@@ -0,0 +1,119 @@
+/**
+ * Exclusion Calendar Service
+ * Loads named calendars (inline date lists or local .ics files) and answers
+ * whether a task run falls on an excluded day
+ */
+import { readFile } from 'fs/promises';
+import { logger } from '../utils/logger.js';
+import { parseIcsDates } from '../utils/ics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Inline entry: a day ("2026-12-25") or an inclusive range ("2026-08-01/2026-08-14")
+const DATE_ENTRY_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:\/(\d{4}-\d{2}-\d{2}))?$/;
+
+// Longest inline range accepted, to keep a typo from expanding into years of days
+const MAX_RANGE_DAYS = 366;
+
+// Calendar name -> Set of excluded days (YYYY-MM-DD)
+const calendars = new Map();
+
+/**
+ * Expand inline date entries into individual days
+ * @param {Array<string>} entries - Days and inclusive day ranges
+ * @returns {Array<string>} Days (YYYY-MM-DD)
+ * @throws {Error} If an entry is malformed or a range is inverted or too long
+ */
+function expandDateEntries(entries) {
+  const days = [];
+
+  for (const entry of entries) {
+    const match = typeof entry === 'string' ? entry.match(DATE_ENTRY_PATTERN) : null;
+    const from = match ? Date.parse(`${match[1]}T00:00:00Z`) : NaN;
+    const to = match ? Date.parse(`${match[2] || match[1]}T00:00:00Z`) : NaN;
+    if (Number.isNaN(from) || Number.isNaN(to) || to < from || (to - from) / DAY_MS >= MAX_RANGE_DAYS) {
+      throw new Error(`Invalid calendar date: ${entry}`);
+    }
+
+    for (let day = from; day <= to; day += DAY_MS) {
+      days.push(new Date(day).toISOString().slice(0, 10));
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Load calendars from configuration, replacing any previously loaded ones
+ * @param {Object<string, {dates?: Array<string>, ics?: string}>} [definitions={}] - config.calendars
+ * @returns {Promise<Array<{name: string, days: number}>>} Loaded calendars
+ * @throws {Error} With code CALENDAR_LOAD_ERROR if a date is invalid or an .ics file cannot be read
+ */
+async function loadCalendars(definitions = {}) {
+  const loaded = new Map();
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    try {
+      const days = new Set(expandDateEntries(definition.dates || []));
+
+      if (definition.ics) {
+        const { dates, recurringEvents } = parseIcsDates(await readFile(definition.ics, 'utf8'));
+        dates.forEach(day => days.add(day));
+        if (recurringEvents > 0) {
+          logger.debug(`Calendar ${name}: expanded ${recurringEvents} recurring event(s)`);
+        }
+      }
+
+      loaded.set(name, days);
+    } catch (error) {
+      const err = new Error(`Failed to load calendar '${name}': ${error.message}`);
+      err.code = 'CALENDAR_LOAD_ERROR';
+      throw err;
+    }
+  }
+
+  calendars.clear();
+  for (const [name, days] of loaded) {
+    calendars.set(name, days);
+  }
+
+  logger.debug(`Loaded ${calendars.size} exclusion calendar(s)`);
+  return listCalendars();
+}
+
+/**
+ * Check whether a calendar is loaded
+ * @param {string} name - Calendar name
+ * @returns {boolean}
+ */
+function hasCalendar(name) {
+  return calendars.has(name);
+}
+
+/**
+ * List loaded calendars
+ * @returns {Array<{name: string, days: number}>}
+ */
+function listCalendars() {
+  return Array.from(calendars, ([name, days]) => ({ name, days: days.size }));
+}
+
+/**
+ * Find the first of the given calendars that excludes a date
+ * The date is compared as a calendar day in the given timezone
+ * @param {Array<string>} [names=[]] - Calendar names (task.skipOn)
+ * @param {Date} date - Run time
+ * @param {string} [timeZone] - IANA timezone of the task
+ * @returns {string|null} Name of the excluding calendar, or null
+ */
+function findExcludingCalendar(names = [], date, timeZone) {
+  if (names.length === 0) {
+    return null;
+  }
+
+  // en-CA formats dates as YYYY-MM-DD
+  const day = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+  return names.find(name => calendars.get(name)?.has(day)) || null;
+}
+
+export { loadCalendars, hasCalendar, listCalendars, findExcludingCalendar };
@@ -119,6 +119,32 @@ async function updateTask(taskName, updatedTask, configPath = DEFAULT_CONFIG_PAT
   return updatedTask;
 }
 
+/**
+ * Merge changes into an existing task in configuration
+ * Used by the scheduler to persist state it changes itself (e.g. disabling a finished one-shot task)
+ * @param {string} taskName - Name of task to change
+ * @param {object} changes - Fields to set on the task
+ * @param {string} [configPath] - Path to config file
+ * @returns {Promise<object>} The changed task
+ */
+async function patchTask(taskName, changes, configPath = DEFAULT_CONFIG_PATH) {
+  const config = await loadCurrentConfig(configPath);
+
+  const task = config.tasks.find(t => t.name === taskName);
+  if (!task) {
+    const error = new Error(`Task '${taskName}' not found`);
+    error.code = 'TASK_NOT_FOUND';
+    throw error;
+  }
+
+  Object.assign(task, changes);
+
+  await saveConfig(config, configPath);
+
+  logger.info(`Task patched: ${taskName}`);
+  return task;
+}
+
 /**
  * Delete a task from configuration
  * @param {string} taskName - Name of task to delete
@@ -161,6 +187,7 @@ export {
   saveConfig,
   addTask,
   updateTask,
+  patchTask,
   deleteTask,
   getTask
 };
@@ -0,0 +1,110 @@
+/**
+ * Device Monitor Service
+ * Polls the power state and foreground app of connected devices and broadcasts
+ * a normalized event when either changes, for tasks with event triggers:
+ *   status:device:screen:on, status:device:screen:off  { device }
+ *   status:device:foreground                           { device, package, previous }
+ */
+import { readProbe } from './device-state.js';
+import { listDeviceNames, getDevice } from './adb-client.js';
+import { emitEvent } from '../web/websocket/broadcaster.js';
+import { logger } from '../utils/logger.js';
+
+// Default time between polls
+const DEFAULT_INTERVAL = 5000;
+
+// Last known state per device name: { awake, foreground }
+const lastStates = new Map();
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Read one device's state and broadcast what changed since the last poll
+ * The first reading after (re)connecting only sets the baseline. While the
+ * screen is off no app counts as foreground, so an app is in the foreground
+ * again when the screen turns back on
+ * @param {string} name - Device name
+ * @param {object} device - ADB device object
+ * @returns {Promise<void>}
+ */
+async function pollDevice(name, device) {
+  const awake = (await readProbe(device, 'power')) === 'awake';
+  const foreground = awake ? await readProbe(device, 'foreground') : null;
+
+  const previous = lastStates.get(name);
+  lastStates.set(name, { awake, foreground });
+  if (!previous) {
+    return;
+  }
+
+  if (awake !== previous.awake) {
+    emitEvent(awake ? 'status:device:screen:on' : 'status:device:screen:off', { device: name });
+  }
+  if (foreground && foreground !== previous.foreground) {
+    emitEvent('status:device:foreground', { device: name, package: foreground, previous: previous.foreground });
+  }
+}
+
+/**
+ * Poll every connected device once
+ * A device that cannot be read keeps its last state; a disconnected one loses it
+ * @returns {Promise<void>}
+ */
+async function pollDevices() {
+  for (const name of listDeviceNames()) {
+    const device = getDevice(name);
+    if (!device) {
+      lastStates.delete(name);
+      continue;
+    }
+
+    try {
+      await pollDevice(name, device);
+    } catch (error) {
+      logger.debug(`Device monitor could not read ${name}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Start polling device state
+ * @param {object} [options={}] - Monitor options
+ * @param {number} [options.interval=5000] - Time between polls in ms
+ * @param {Function} [options.isNeeded] - Polls are skipped while isNeeded() is false
+ */
+function startDeviceMonitor({ interval = DEFAULT_INTERVAL, isNeeded = () => true } = {}) {
+  stopDeviceMonitor();
+
+  pollTimer = setInterval(async () => {
+    if (polling) {
+      return;
+    }
+    if (!isNeeded()) {
+      lastStates.clear();
+      return;
+    }
+
+    polling = true;
+    try {
+      await pollDevices();
+    } finally {
+      polling = false;
+    }
+  }, interval);
+
+  logger.debug(`Device monitor polling every ${interval}ms`);
+}
+
+/**
+ * Stop polling and forget the known device states
+ */
+function stopDeviceMonitor() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  lastStates.clear();
+}
+
+export { startDeviceMonitor, stopDeviceMonitor, pollDevices };
@@ -0,0 +1,139 @@
+/**
+ * Device State Service
+ * Reads device state over ADB (power, foreground app, volume) and evaluates
+ * conditions on it; also sets the media volume, which set-volume and the
+ * volume watchdog share
+ */
+import AdbKit from '@devicefarmer/adbkit';
+import { logger, logAdbCommand } from '../utils/logger.js';
+import { matchCondition } from '../utils/conditions.js';
+
+// Android audio stream used for media playback (STREAM_MUSIC)
+const MUSIC_STREAM = 3;
+
+// Reads the media volume and its range, e.g. "volume is 7 in range [0..15]"
+const VOLUME_GET_COMMAND = `cmd media_session volume --stream ${MUSIC_STREAM} --get`;
+
+/**
+ * Run a shell command and return its trimmed output
+ * @param {object} device - ADB device object
+ * @param {string} command - Shell command
+ * @returns {Promise<string>}
+ */
+async function runShell(device, command) {
+  logAdbCommand(command, device.id);
+  const stream = await device.shell(command);
+  const output = await AdbKit.Adb.util.readAll(stream);
+  return output.toString().trim();
+}
+
+/**
+ * Probe readers by probe name
+ * power: 'awake', 'asleep', 'dreaming' (screensaver) or 'dozing'
+ * foreground: package of the focused app, or null when nothing has focus
+ * volume: media volume step (0..max)
+ */
+const probeReaders = {
+  async power(device) {
+    const output = await runShell(device, 'dumpsys power | grep mWakefulness=');
+    const match = output.match(/mWakefulness=(\w+)/);
+    if (!match) {
+      throw new Error('Could not read power state');
+    }
+    return match[1].toLowerCase();
+  },
+
+  async foreground(device) {
+    const output = await runShell(device, "dumpsys window | grep -E 'mCurrentFocus|mFocusedApp'");
+    const match = output.match(/\s([A-Za-z0-9_.]+)\/[A-Za-z0-9_.$]+/);
+    return match ? match[1] : null;
+  },
+
+  async volume(device) {
+    return (await readVolume(device)).level;
+  }
+};
+
+/**
+ * Build the command that sets the media volume
+ * @param {number} level - Volume step
+ * @returns {string}
+ */
+function volumeSetCommand(level) {
+  return `cmd media_session volume --stream ${MUSIC_STREAM} --set ${level}`;
+}
+
+/**
+ * Read the media volume and its maximum
+ * Falls back to the STREAM_MUSIC section of `dumpsys audio` on devices
+ * whose media_session command does not report the volume
+ * @param {object} device - ADB device object
+ * @returns {Promise<{level: number, max: number}>}
+ * @throws {Error} When neither command reports the volume
+ */
+async function readVolume(device) {
+  const output = await runShell(device, VOLUME_GET_COMMAND);
+  const match = output.match(/volume is (\d+) in range \[\d+\.\.(\d+)\]/);
+  if (match) {
+    return { level: Number(match[1]), max: Number(match[2]) };
+  }
+
+  const audio = await runShell(device, 'dumpsys audio');
+  const section = audio.split(/^- STREAM_/m).find(part => part.startsWith('MUSIC:')) || '';
+  const level = section.match(/streamVolume:\s*(\d+)/);
+  const max = section.match(/Max:\s*(\d+)/);
+  if (!level || !max) {
+    throw new Error('Could not read volume');
+  }
+  return { level: Number(level[1]), max: Number(max[1]) };
+}
+
+/**
+ * Set the media volume
+ * @param {object} device - ADB device object
+ * @param {number} level - Volume step (0..max)
+ * @returns {Promise<void>}
+ */
+async function setVolume(device, level) {
+  await runShell(device, volumeSetCommand(level));
+}
+
+/**
+ * Read a device-state probe
+ * @param {object} device - ADB device object
+ * @param {string} probe - Probe name (see utils/conditions.js PROBES)
+ * @returns {Promise<string|number|null>} Probed value
+ * @throws {Error} With code UNKNOWN_PROBE or PROBE_FAILED
+ */
+async function readProbe(device, probe) {
+  const reader = probeReaders[probe];
+  if (!reader) {
+    const error = new Error(`Unknown probe: ${probe}`);
+    error.code = 'UNKNOWN_PROBE';
+    throw error;
+  }
+
+  try {
+    return await reader(device);
+  } catch (error) {
+    const err = new Error(`Failed to read ${probe}: ${error.message}`);
+    err.code = 'PROBE_FAILED';
+    throw err;
+  }
+}
+
+/**
+ * Probe the device and check a condition
+ * @param {object} device - ADB device object
+ * @param {object} condition - Valid condition (see utils/conditions.js)
+ * @returns {Promise<{matched: boolean, value: string|number|null}>}
+ * @throws {Error} When the probe cannot be read
+ */
+async function evaluateCondition(device, condition) {
+  const value = await readProbe(device, condition.probe);
+  const matched = matchCondition(value, condition);
+  logger.debug(`Condition on ${condition.probe}: value ${value}, ${matched ? 'matched' : 'not matched'}`);
+  return { matched, value };
+}
+
+export { runShell, readProbe, evaluateCondition, readVolume, setVolume, volumeSetCommand, VOLUME_GET_COMMAND };
@@ -0,0 +1,137 @@
+/**
+ * Dry-Run Service
+ * Previews what a task would do without touching a device: resolves its params,
+ * renders every step and asks each action's plan() for the shell commands it would send
+ */
+import { getAction } from '../actions/index.js';
+import { BLOCK_TYPES, renderStep, MAX_LOOP_ITERATIONS } from '../utils/action-steps.js';
+import { describeCondition } from '../utils/conditions.js';
+import { resolveRunVariables } from '../utils/task-params.js';
+import { resolvePolicy } from '../utils/run-policy.js';
+
+/**
+ * Plan a single action
+ * @param {string} type - Action type
+ * @param {object} params - Rendered action parameters
+ * @param {object} [context={}] - Action context (e.g. youtube client)
+ * @returns {{action: string, success: boolean, message?: string, commands: string[], error?: {code: string, message: string}}}
+ */
+function planAction(type, params, context = {}) {
+  const action = getAction(type);
+  if (!action) {
+    return { action: type, success: false, commands: [], error: { code: 'UNKNOWN_ACTION', message: `Unknown action: ${type}` } };
+  }
+  if (typeof action.plan !== 'function') {
+    return { action: type, success: true, message: 'No preview available for this action', commands: [] };
+  }
+
+  const result = action.plan({ type, ...params }, context);
+  if (!result.success) {
+    return { action: type, success: false, commands: [], error: result.error };
+  }
+  return { action: type, success: true, message: result.message, commands: result.data?.commands || [] };
+}
+
+/**
+ * Plan a list of steps
+ * Both branches of an `if` are planned since the condition is only known on the device;
+ * a repeat is planned once, a forEach once per item
+ * @param {object} task - Task being planned
+ * @param {Array<object>} steps - Steps to plan
+ * @param {object} variables - Template variables
+ * @param {object} context - Action context
+ * @param {string} path - Path of the step list, e.g. '/actions'
+ * @returns {Array<object>} Planned steps
+ */
+function planSteps(task, steps, variables, context, path) {
+  return steps.map((step, index) => {
+    const stepPath = `${path}/${index}`;
+    const def = renderStep(step, variables);
+    const device = def.device ? { device: def.device } : {};
+
+    if (def.type === 'if') {
+      return {
+        path: stepPath,
+        action: 'if',
+        ...device,
+        condition: describeCondition(def.condition),
+        then: planSteps(task, def.then || [], variables, context, `${stepPath}/then`),
+        else: planSteps(task, def.else || [], variables, context, `${stepPath}/else`)
+      };
+    }
+
+    if (def.type === 'repeat') {
+      return {
+        path: stepPath,
+        action: 'repeat',
+        ...device,
+        times: def.times,
+        until: def.until,
+        steps: planSteps(task, def.steps || [], variables, context, `${stepPath}/steps`)
+      };
+    }
+
+    if (def.type === 'forEach') {
+      const items = Array.isArray(def.items) ? def.items.slice(0, MAX_LOOP_ITERATIONS) : [];
+      return {
+        path: stepPath,
+        action: 'forEach',
+        ...device,
+        iterations: items.map(item => ({
+          item,
+          steps: planSteps(task, def.steps || [], { ...variables, [def.as || 'item']: item }, context, `${stepPath}/steps`)
+        }))
+      };
+    }
+
+    const policy = resolvePolicy(task, def, getAction(def.type));
+    return {
+      path: stepPath,
+      ...planAction(def.type, def, context),
+      ...device,
+      retries: policy.retries,
+      timeout: policy.timeout,
+      onError: policy.onError
+    };
+  });
+}
+
+/**
+ * Collect the actions that would fail from planned steps
+ * @param {Array<object>} steps - Planned steps
+ * @returns {Array<{path: string, action: string, message: string}>}
+ */
+function collectPlanErrors(steps) {
+  return steps.flatMap((step) => {
+    if (!BLOCK_TYPES.includes(step.action)) {
+      return step.success ? [] : [{ path: step.path, action: step.action, message: step.error?.message || 'Invalid action' }];
+    }
+    const nested = step.iterations
+      ? step.iterations.flatMap(iteration => iteration.steps)
+      : [...(step.then || []), ...(step.else || []), ...(step.steps || [])];
+    return collectPlanErrors(nested);
+  });
+}
+
+/**
+ * Preview a task run without touching a device
+ * @param {object} task - Task with actions
+ * @param {object} [context={}] - Action context (e.g. youtube client)
+ * @param {object} [options={}] - Run options (params, parent, trigger), as for executeTask
+ * @returns {{success: boolean, dryRun: true, task: string, steps: Array<object>, errors: Array<object>, error?: string, code?: string}}
+ * success is false when the params cannot be resolved or an action would be rejected
+ */
+function planTask(task, context = {}, options = {}) {
+  let variables;
+  try {
+    variables = resolveRunVariables(task, options);
+  } catch (error) {
+    return { success: false, dryRun: true, task: task.name, error: error.message, code: error.code, steps: [], errors: [] };
+  }
+
+  const steps = planSteps(task, task.actions || [], variables, context, '/actions');
+  const errors = collectPlanErrors(steps);
+  return { success: errors.length === 0, dryRun: true, task: task.name, steps, errors };
+}
+
+export { planTask, planAction };
@@ -5,6 +5,14 @@
 import { logger, logTaskStart, logTaskComplete, logTaskFailed } from '../utils/logger.js';
 import { getAction } from '../actions/index.js';
 import { emitEvent } from '../web/websocket/broadcaster.js';
+import { getDevice, isDeviceGroup, resolveDeviceTargets } from './adb-client.js';
+import { evaluateCondition } from './device-state.js';
+import { isBlock, renderStep, MAX_LOOP_ITERATIONS } from '../utils/action-steps.js';
+import { getNextTimeOfDay } from '../utils/timezone.js';
+import { describeCondition } from '../utils/conditions.js';
+import { resolveRunVariables } from '../utils/task-params.js';
+import { resolvePolicy } from '../utils/run-policy.js';
+import { startRun, finishRun, cancelRun, listTaskRuns, waitForTaskRuns } from './run-registry.js';
 
 // Retry configuration constants (NFR6: Max 3 retries)
 const MAX_RETRIES = 3;
@@ -60,21 +68,32 @@ function getRetryConfig() {
 /**
  * Sleep helper function
  * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} [signal] - Ends the sleep early when aborted
  * @returns {Promise<void>}
  */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
 }
 
 /**
  * Retry a function with exponential backoff
  * @param {Function} fn - Async function to retry
- * @param {number} maxRetries - Maximum retry attempts (default: 3)
+ * @param {number} maxRetries - Maximum attempts (default: 3)
  * @param {number} initialDelay - Initial delay in ms (default: 1000)
+ * @param {object} [options={}] - Retry options
+ * @param {AbortSignal} [options.signal] - Stops retrying once aborted
+ * @param {number} [options.multiplier=2] - Backoff multiplier between attempts
  * @returns {Promise<{result: any, retryCount: number}>} Result with retry count
- * @throws {Error} Last error after all retries exhausted
+ * @throws {Error} Last error after all retries exhausted (or after the attempt during which the signal was aborted), with `retryCount` set to the retries made
  */
-async function retryWithBackoff(fn, maxRetries = MAX_RETRIES, initialDelay = INITIAL_DELAY) {
+async function retryWithBackoff(fn, maxRetries = MAX_RETRIES, initialDelay = INITIAL_DELAY, options = {}) {
+  const { signal, multiplier = BACKOFF_MULTIPLIER } = options;
   let lastError;
   let retryCount = 0;
 
@@ -85,125 +104,283 @@ async function retryWithBackoff(fn, maxRetries = MAX_RETRIES, initialDelay = INI
     } catch (error) {
       lastError = error;
       retryCount = attempt + 1;
-      const delay = initialDelay * Math.pow(BACKOFF_MULTIPLIER, attempt);
+      if (signal?.aborted) {
+        break;
+      }
+      const delay = initialDelay * Math.pow(multiplier, attempt);
 
       logger.warn(`Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms`, {
         error: error.message
       });
 
       if (attempt < maxRetries - 1) {
-        await sleep(delay);
+        await sleep(delay, signal);
       }
     }
   }
 
+  if (lastError && typeof lastError === 'object') {
+    lastError.retryCount = retryCount - 1;
+  }
   throw lastError;
 }
 
+/**
+ * Run one attempt of an action, failing it when it takes longer than the timeout
+ * The attempt gets its own signal, aborted on timeout or when the run is cancelled
+ * @param {Function} fn - Receives the attempt's AbortSignal and returns a promise
+ * @param {number|null} timeout - Time limit in ms, or null for none
+ * @param {AbortSignal} runSignal - Cancellation signal of the run
+ * @returns {Promise<any>} Result of fn
+ * @throws {Error} With code ACTION_TIMEOUT when the time limit is reached
+ */
+async function attemptWithTimeout(fn, timeout, runSignal) {
+  if (!timeout) {
+    return fn(runSignal);
+  }
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  runSignal?.addEventListener('abort', onAbort, { once: true });
+
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeout}ms`);
+      error.code = 'ACTION_TIMEOUT';
+      reject(error);
+      controller.abort();
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timedOut]);
+  } finally {
+    clearTimeout(timer);
+    runSignal?.removeEventListener('abort', onAbort);
+  }
+}
+
 /**
  * Execute a task's action chain
+ * When task.device names a device group the chain runs on every member in parallel.
+ * A task triggered while it is still running follows its `concurrency` policy (default: skip).
  * @param {object} task - Task with actions array
- * @param {object} device - ADB device object
+ * @param {object} device - ADB device object (ignored for group tasks; actions with a `device` field use that device instead)
  * @param {object} [context={}] - Context object with config (e.g., { youtube: {...} })
- * @returns {{success: boolean, status: 'completed'|'failed', results: Array<{action: string, success: boolean, duration: number, retryCount?: number}>, duration: number, error?: string, failedAtIndex?: number, failedAction?: string}} Execution result with status, duration, and action results
+ * @param {object} [options={}] - Run options
+ * @param {object} [options.params] - Values for the task's declared params (defaults fill the rest)
+ * @param {{runId?: string, task: string, error?: string}} [options.parent] - Run whose onSuccess/onFailure hook started this one, available to actions as ${parent.*}
+ * @param {{event: string, device: string, package?: string}} [options.trigger] - Device event that started this run, available to actions as ${trigger.*}
+ * @param {boolean} [options.concurrent=false] - Run alongside runs already in progress, ignoring the concurrency policy
+ * @param {string[]} [options.members] - Group members to run on (all members by default), e.g. those that missed a run
+ * @returns {{success: boolean, status: 'completed'|'partial'|'failed'|'cancelled'|'skipped', runId?: string, reason?: string, results: Array<{action: string, success: boolean, duration: number, retryCount?: number, device?: string}>, duration: number, error?: string, failedAtIndex?: number, failedAction?: string, devices?: Array<object>}} Execution result with status, duration, and action results
  */
-async function executeTask(task, device, context = {}) {
-  const startTime = Date.now();
-
-  // Task 2.1: Add task start log in executor.js with taskName and actions
-  logTaskStart(task.name, task.actions || []);
-  addActivityLog(`Started: ${task.name}`, 'INFO');
+async function executeTask(task, device, context = {}, options = {}) {
+  let variables;
+  try {
+    variables = resolveRunVariables(task, options);
+  } catch (error) {
+    logger.error(`Task '${task.name}' not run: ${error.message}`);
+    logTaskFailed(task.name, 0, error.message, 0);
+    return {
+      success: false,
+      status: 'failed',
+      error: error.message,
+      code: error.code,
+      results: [],
+      duration: 0
+    };
+  }
 
-  // Emit task:triggered event for WebSocket broadcast
-  emitEvent('task:triggered', {
-    taskName: task.name,
-    triggeredAt: new Date().toISOString(),
-    triggerType: 'manual'
-  });
+  // A run in progress is skipped over, waited for, or cancelled
+  const concurrency = task.concurrency || 'skip';
+  if (!options.concurrent && concurrency === 'skip' && listTaskRuns(task.name).length > 0) {
+    return skipRunningTask(task);
+  }
+  while (!options.concurrent && listTaskRuns(task.name).length > 0) {
+    if (concurrency === 'replace') {
+      logger.info(`Replacing the run in progress of task: ${task.name}`);
+      listTaskRuns(task.name).forEach(run => cancelRun(run.id));
+    } else {
+      logger.info(`Task '${task.name}' is running, queued behind it`);
+    }
+    await waitForTaskRuns(task.name);
+  }
 
-  if (!task.actions || task.actions.length === 0) {
-    logger.warn(`Task '${task.name}' has no actions to execute`);
+  // Register the run so it can be cancelled while in progress
+  const { id: runId, signal } = startRun(task.name);
+  const execution = { runId, signal, variables, parentRunId: options.parent?.runId, triggerEvent: options.trigger?.event, members: options.members };
+
+  try {
+    const result = isDeviceGroup(task.device)
+      ? await executeTaskOnGroup(task, context, execution)
+      : await runActionChain(task, device, context, execution);
+    return { ...result, runId };
+  } finally {
+    finishRun(runId);
   }
+}
 
-  const results = [];
+/**
+ * Result of a run skipped because the task is still running
+ * @param {object} task - Task that triggered
+ * @returns {{success: true, status: 'skipped', reason: string, code: string, results: Array, duration: number}}
+ */
+function skipRunningTask(task) {
+  const reason = 'Already running';
+  logger.info(`Task skipped: ${task.name} (${reason})`);
+  addActivityLog(`Skipped: ${task.name} (${reason})`, 'INFO');
+  emitEvent('task:skipped', { task: task.name, reason });
+
+  return {
+    success: true,
+    status: 'skipped',
+    reason,
+    code: 'TASK_RUNNING',
+    results: [],
+    duration: 0
+  };
+}
 
-  for (let i = 0; i < task.actions.length; i++) {
-    const actionDef = task.actions[i];
-    const action = getAction(actionDef.type);
+/**
+ * Run a task on every member of its device group in parallel
+ * Members that are not connected are recorded with code DEVICE_DISCONNECTED, and so is
+ * the whole run when no member was connected, so that catch-up replays it for them.
+ * Steps that name their own device run once, not once per member (see runPinnedStep).
+ * @param {object} task - Task whose device field is a group name
+ * @param {object} context - Action context
+ * @param {{runId: string, signal: AbortSignal, variables: object, members?: string[]}} execution - Run ID, cancellation signal, template variables and the members to run on
+ * @returns {Promise<object>} Aggregated result with per-device results in `devices`
+ */
+async function executeTaskOnGroup(task, context, execution) {
+  const startTime = Date.now();
+  const members = execution.members ?? resolveDeviceTargets(task.device);
 
-    if (!action) {
-      logger.error(`Unknown action type: ${actionDef.type}`);
-      const duration = Date.now() - startTime;
+  logger.info(`Running task '${task.name}' on group '${task.device}'`, { devices: members });
 
-      // Task 2.2: Add task failure log with duration and result status
-      logTaskFailed(task.name, duration, `Unknown action: ${actionDef.type}`, 0);
+  // Runs of the steps pinned to a device, shared by the members' chains
+  const groupExecution = { ...execution, pinnedSteps: new Map() };
 
+  const devices = await Promise.all(members.map(async (name) => {
+    const memberDevice = getDevice(name);
+    if (!memberDevice) {
+      logger.warn(`Group member not connected: ${name}`, { task: task.name });
       return {
+        device: name,
         success: false,
         status: 'failed',
-        error: `Unknown action: ${actionDef.type}`,
-        failedAtIndex: i,
-        results,
-        duration
+        error: 'Device not connected',
+        code: 'DEVICE_DISCONNECTED',
+        results: [],
+        duration: 0
       };
     }
+    const result = await runActionChain(task, memberDevice, context, groupExecution);
+    return { device: name, ...result };
+  }));
+
+  const failed = devices.filter(result => !result.success);
+  let status = 'completed';
+  if (failed.length > 0 && execution.signal.aborted) {
+    status = 'cancelled';
+  } else if (failed.length === devices.length) {
+    status = 'failed';
+  } else if (failed.length > 0) {
+    status = 'partial';
+  }
 
-    // Task 2.3: Add action-level logging (start/complete for each action)
-    logger.info(`Executing action: ${actionDef.type}`);
-    const actionStart = Date.now();
+  const result = {
+    success: failed.length === 0,
+    status,
+    devices,
+    results: devices.flatMap(d => d.results.map(r => ({ ...r, device: d.device }))),
+    duration: Date.now() - startTime
+  };
+  if (failed.length > 0) {
+    result.error = failed.map(d => `${d.device}: ${d.error}`).join('; ');
+  }
+  if (devices.every(d => d.code === 'DEVICE_DISCONNECTED')) {
+    result.code = 'DEVICE_DISCONNECTED';
+  }
 
-    try {
-      const { result, retryCount } = await retryWithBackoff(() => action.execute(device, actionDef, context));
+  if (status === 'partial') {
+    addActivityLog(`Partial: ${task.name} (${devices.length - failed.length}/${devices.length} devices)`, 'WARN');
+    emitEvent('task:partial', {
+      task: task.name,
+      error: result.error,
+      duration: result.duration,
+      devices: devices.map(d => ({ device: d.device, status: d.status }))
+    });
+  }
 
-      if (!result.success) {
-        throw new Error(result.error || 'Action returned failure');
-      }
+  return result;
+}
 
-      const actionResult = {
-        action: actionDef.type,
-        success: true,
-        duration: Date.now() - actionStart
-      };
-      if (retryCount > 0) {
-        actionResult.retryCount = retryCount;
-      }
-      results.push(actionResult);
+/**
+ * Run a task's action chain on a single device
+ * @param {object} task - Task with actions array
+ * @param {object} device - ADB device object
+ * @param {object} context - Action context
+ * @param {{runId: string, signal: AbortSignal, variables: object, pinnedSteps?: Map}} execution - Run ID, cancellation signal, template variables and, in group runs, the shared runs of pinned steps
+ * @returns {Promise<object>} Execution result (see executeTask)
+ */
+async function runActionChain(task, device, context, execution) {
+  const { runId, signal, variables, parentRunId, triggerEvent, pinnedSteps } = execution;
+  const startTime = Date.now();
 
-      // Task 2.3: Log action completion
-      logger.info(`Action completed: ${actionDef.type}`, {
-        action: actionDef.type,
-        duration: actionResult.duration,
-        retryCount: retryCount || 0
-      });
-    } catch (error) {
-      const duration = Date.now() - startTime;
-
-      // Task 2.4: Include retry information in failure logs
-      // When retryWithBackoff throws, all MAX_RETRIES attempts have been exhausted
-      logTaskFailed(task.name, duration, error.message, MAX_RETRIES);
-      addActivityLog(`Failed: ${task.name} (${error.message})`, 'ERROR');
-      emitEvent('task:failed', { 
-        task: task.name, 
-        error: error.message, 
-        duration 
-      });
+  // Task 2.1: Add task start log in executor.js with taskName and actions
+  logTaskStart(task.name, task.actions || []);
+  addActivityLog(`Started: ${task.name}`, 'INFO');
 
-      logger.error(`Action failed after ${MAX_RETRIES} retries: ${actionDef.type}`, {
-        task: task.name,
-        action: actionDef.type,
-        error: error.message
-      });
+  // Emit task:triggered event for WebSocket broadcast
+  emitEvent('task:triggered', {
+    taskName: task.name,
+    runId,
+    triggeredAt: new Date().toISOString(),
+    triggerType: parentRunId ? 'hook' : (triggerEvent ? 'event' : 'manual'),
+    parentRunId,
+    triggerEvent
+  });
 
-      return {
-        success: false,
-        status: 'failed',
-        error: error.message,
-        failedAtIndex: i,
-        failedAction: actionDef.type,
-        results,
-        duration
-      };
-    }
+  if (!task.actions || task.actions.length === 0) {
+    logger.warn(`Task '${task.name}' has no actions to execute`);
+  }
+
+  const results = [];
+  // Actions receive the cancellation signal with their context
+  const run = { task, context: { ...context, signal }, startTime, runId, signal, pinnedSteps, pinnedOccurrences: new Map() };
+  const failure = await runSteps(run, task.actions || [], device, variables, results);
+
+  if (failure?.cancelled) {
+    const { cancelled, ...details } = failure;
+    const duration = Date.now() - startTime;
+    logTaskComplete(task.name, duration, 'cancelled');
+    addActivityLog(`Cancelled: ${task.name}`, 'WARN');
+    emitEvent('task:cancelled', {
+      task: task.name,
+      runId,
+      status: 'cancelled',
+      duration
+    });
+
+    return {
+      success: false,
+      status: 'cancelled',
+      ...details,
+      results,
+      duration
+    };
+  }
+
+  if (failure) {
+    return {
+      success: false,
+      status: 'failed',
+      ...failure,
+      results,
+      duration: Date.now() - startTime
+    };
   }
 
   const duration = Date.now() - startTime;
@@ -213,6 +390,7 @@ async function executeTask(task, device, context = {}) {
   addActivityLog(`Completed: ${task.name}`, 'INFO');
   emitEvent('task:completed', { 
     task: task.name, 
+    runId,
     duration 
   });
 
@@ -224,6 +402,353 @@ async function executeTask(task, device, context = {}) {
   };
 }
 
+/**
+ * Run a list of steps in order, stopping at the first failure
+ * @param {{task: object, context: object, startTime: number, runId: string, signal: AbortSignal}} run - Task being run, action context, start timestamp and cancellation signal
+ * @param {Array<object>} steps - Actions and control blocks
+ * @param {object} device - ADB device object the steps run on by default
+ * @param {object} variables - Template variables for ${name} placeholders (params, env and loop items)
+ * @param {Array<object>} results - Collects the result of every executed step
+ * @param {number} [rootIndex] - Index of the enclosing top-level step (nested steps report failures there)
+ * @returns {Promise<{error: string, failedAtIndex: number, failedAction?: string, cancelled?: boolean, goto?: string}|null>} Failure, or null when all steps succeeded
+ */
+async function runSteps(run, steps, device, variables, results, rootIndex) {
+  for (let i = 0; i < steps.length; i++) {
+    if (run.signal.aborted) {
+      return cancellation(rootIndex ?? i);
+    }
+    const failure = await runStep(run, steps[i], device, variables, results, rootIndex ?? i);
+    if (!failure) {
+      continue;
+    }
+    // onError "goto" jumps are resolved at the top level of the chain, and only forward
+    if (failure.goto === undefined || rootIndex !== undefined) {
+      return failure;
+    }
+
+    const { goto, ...details } = failure;
+    const target = steps.findIndex(step => step.id === goto);
+    if (target <= i) {
+      const error = `${details.error} (goto target '${goto}' is not a later step)`;
+      reportStepFailure(run, error, 0);
+      return { ...details, error };
+    }
+    logger.info(`Going to step '${goto}' after failed action: ${details.failedAction}`, { task: run.task.name });
+    i = target - 1;
+  }
+  return null;
+}
+
+/**
+ * Failure returned when a run is cancelled
+ * @param {number} index - Top-level step index at which the run stopped
+ * @returns {{error: string, failedAtIndex: number, cancelled: true}}
+ */
+function cancellation(index) {
+  return { error: 'Run cancelled', failedAtIndex: index, cancelled: true };
+}
+
+/**
+ * Report a failed step (task log, activity log and WebSocket event)
+ * @param {{task: object, startTime: number, runId: string}} run - Task being run
+ * @param {string} error - Error message
+ * @param {number} retries - Attempts made before giving up
+ * @returns {void}
+ */
+function reportStepFailure(run, error, retries) {
+  const duration = Date.now() - run.startTime;
+  logTaskFailed(run.task.name, duration, error, retries);
+  addActivityLog(`Failed: ${run.task.name} (${error})`, 'ERROR');
+  emitEvent('task:failed', {
+    task: run.task.name,
+    runId: run.runId,
+    error,
+    duration
+  });
+}
+
+/**
+ * Run a single step: an action from the registry or a control block
+ * In a group run, a step that names its own device runs once for all members
+ * @param {{task: object, context: object, startTime: number}} run - Task being run
+ * @param {object} step - Step definition
+ * @param {object} device - ADB device object the step runs on unless it names its own
+ * @param {object} variables - Template variables
+ * @param {Array<object>} results - Collects step results
+ * @param {number} index - Top-level step index reported on failure
+ * @returns {Promise<{error: string, failedAtIndex: number, failedAction?: string}|null>} Failure, or null on success
+ */
+async function runStep(run, step, device, variables, results, index) {
+  const { task } = run;
+  const actionDef = renderStep(step, variables);
+  const action = isBlock(actionDef) ? null : getAction(actionDef.type);
+
+  if (!isBlock(actionDef) && !action) {
+    logger.error(`Unknown action type: ${actionDef.type}`);
+
+    // Task 2.2: Add task failure log with duration and result status
+    logTaskFailed(task.name, Date.now() - run.startTime, `Unknown action: ${actionDef.type}`, 0);
+
+    return {
+      error: `Unknown action: ${actionDef.type}`,
+      failedAtIndex: index
+    };
+  }
+
+  if (actionDef.device && run.pinnedSteps) {
+    return runPinnedStep(run, step, () => runStepOnDevice(run, actionDef, action, device, variables, results, index));
+  }
+  return runStepOnDevice(run, actionDef, action, device, variables, results, index);
+}
+
+/**
+ * Run a step pinned to its own device once for every member of a group run
+ * Each member's chain reaches the step; the first runs it and records its results,
+ * the others wait for the same outcome. Occurrences are counted per member, so a
+ * pinned step inside a loop still runs once per iteration.
+ * @param {{pinnedSteps: Map, pinnedOccurrences: Map}} run - Member's run with the group's shared step runs
+ * @param {object} step - Step definition, as written in the task
+ * @param {Function} runOnce - Runs the step
+ * @returns {Promise<object|null>} Failure, or null on success
+ */
+function runPinnedStep(run, step, runOnce) {
+  const occurrence = run.pinnedOccurrences.get(step) ?? 0;
+  run.pinnedOccurrences.set(step, occurrence + 1);
+
+  if (!run.pinnedSteps.has(step)) {
+    run.pinnedSteps.set(step, []);
+  }
+  const runs = run.pinnedSteps.get(step);
+  runs[occurrence] ??= runOnce();
+  return runs[occurrence];
+}
+
+/**
+ * Run a rendered step on its device: an action, or a control block
+ * @param {{task: object, context: object, startTime: number}} run - Task being run
+ * @param {object} actionDef - Step with its placeholders rendered
+ * @param {object|null} action - Action from the registry (null for control blocks)
+ * @param {object} device - ADB device object the step runs on unless it names its own
+ * @param {object} variables - Template variables
+ * @param {Array<object>} results - Collects step results
+ * @param {number} index - Top-level step index reported on failure
+ * @returns {Promise<{error: string, failedAtIndex: number, failedAction?: string}|null>} Failure, or null on success
+ */
+async function runStepOnDevice(run, actionDef, action, device, variables, results, index) {
+  const { task, context } = run;
+
+  // Actions may target a different device than the task
+  const actionDevice = actionDef.device ? getDevice(actionDef.device) : device;
+  if (!actionDevice) {
+    const error = `Device not connected: ${actionDef.device}`;
+    logger.error(error, { task: task.name, action: actionDef.type });
+    reportStepFailure(run, error, 0);
+
+    return {
+      error,
+      failedAtIndex: index,
+      failedAction: actionDef.type
+    };
+  }
+
+  if (actionDef.type === 'if') {
+    return runIfStep(run, actionDef, actionDevice, variables, results, index);
+  }
+  if (actionDef.type === 'repeat' || actionDef.type === 'forEach') {
+    return runLoopStep(run, actionDef, actionDevice, variables, results, index);
+  }
+
+  // Task 2.3: Add action-level logging (start/complete for each action)
+  logger.info(`Executing action: ${actionDef.type}`);
+  const actionStart = Date.now();
+  const policy = resolvePolicy(task, actionDef, action);
+
+  try {
+    const { result, retryCount } = await retryWithBackoff(
+      () => attemptWithTimeout(signal => action.execute(actionDevice, actionDef, { ...context, signal }), policy.timeout, run.signal),
+      policy.retries + 1,
+      policy.delay,
+      { signal: run.signal, multiplier: policy.multiplier }
+    );
+
+    // Failures reported by the action are final; only thrown errors and timeouts are retried
+    if (!result.success) {
+      const error = new Error(result.error?.message || result.error || 'Action returned failure');
+      error.retryCount = retryCount;
+      throw error;
+    }
+
+    const actionResult = {
+      action: actionDef.type,
+      success: true,
+      duration: Date.now() - actionStart
+    };
+    if (retryCount > 0) {
+      actionResult.retryCount = retryCount;
+    }
+    results.push(actionResult);
+
+    // Task 2.3: Log action completion
+    logger.info(`Action completed: ${actionDef.type}`, {
+      action: actionDef.type,
+      duration: actionResult.duration,
+      retryCount: retryCount || 0
+    });
+    return null;
+  } catch (error) {
+    // A cancelled action is not a failure of the task
+    if (run.signal.aborted) {
+      logger.info(`Action interrupted by cancellation: ${actionDef.type}`, { task: task.name });
+      return cancellation(index);
+    }
+
+    // Task 2.4: Include retry information in failure logs
+    const retries = error.retryCount ?? 0;
+    logger.error(`Action failed after ${retries} retries: ${actionDef.type}`, {
+      task: task.name,
+      action: actionDef.type,
+      error: error.message,
+      onError: policy.onError
+    });
+
+    return settleActionFailure(run, policy, {
+      action: actionDef.type,
+      error: error.message,
+      retryCount: retries,
+      duration: Date.now() - actionStart
+    }, results, index);
+  }
+}
+
+/**
+ * Apply an action's onError policy once it has failed all of its attempts
+ * stop ends the chain; continue records the failure and carries on;
+ * goto records it and asks the top-level chain to jump to the named step
+ * @param {{task: object, startTime: number, runId: string}} run - Task being run
+ * @param {object} policy - Resolved run policy of the action
+ * @param {{action: string, error: string, retryCount: number, duration: number}} failed - Failed action
+ * @param {Array<object>} results - Collects step results
+ * @param {number} index - Top-level step index reported on failure
+ * @returns {{error: string, failedAtIndex: number, failedAction: string, goto?: string}|null} Failure, or null when the chain continues
+ */
+function settleActionFailure(run, policy, failed, results, index) {
+  const failure = { error: failed.error, failedAtIndex: index, failedAction: failed.action };
+
+  if (policy.onError === 'stop') {
+    reportStepFailure(run, failed.error, failed.retryCount);
+    return failure;
+  }
+
+  results.push({ action: failed.action, success: false, ...failed });
+  addActivityLog(`Action failed: ${failed.action} in ${run.task.name} (${failed.error})`, 'WARN');
+
+  if (policy.onError === 'continue') {
+    logger.warn(`Continuing after failed action: ${failed.action}`, { task: run.task.name });
+    return null;
+  }
+  return { ...failure, goto: policy.goto };
+}
+
+/**
+ * Run an `if` block: probe the device, then run the `then` or `else` steps
+ * Nested steps run on the block's device unless they name their own
+ * @param {{task: object, context: object, startTime: number}} run - Task being run
+ * @param {object} step - If block with condition, then and optional else
+ * @param {object} device - ADB device object to probe
+ * @param {object} variables - Template variables
+ * @param {Array<object>} results - Collects step results
+ * @param {number} index - Top-level step index reported on failure
+ * @returns {Promise<{error: string, failedAtIndex: number, failedAction?: string}|null>} Failure, or null on success
+ */
+async function runIfStep(run, step, device, variables, results, index) {
+  const stepStart = Date.now();
+
+  let evaluation;
+  try {
+    evaluation = await evaluateCondition(device, step.condition);
+  } catch (error) {
+    reportStepFailure(run, error.message, 0);
+    logger.error(`Condition could not be evaluated: ${describeCondition(step.condition)}`, {
+      task: run.task.name,
+      error: error.message
+    });
+
+    return {
+      error: error.message,
+      failedAtIndex: index,
+      failedAction: 'if'
+    };
+  }
+
+  const branch = evaluation.matched ? 'then' : 'else';
+  logger.info(`Condition ${describeCondition(step.condition)}: ${evaluation.matched}, running ${branch}`, {
+    task: run.task.name,
+    value: evaluation.value
+  });
+  results.push({
+    action: 'if',
+    success: true,
+    branch,
+    value: evaluation.value,
+    duration: Date.now() - stepStart
+  });
+
+  return runSteps(run, step[branch] || [], device, variables, results, index);
+}
+
+/**
+ * Run a `repeat` or `forEach` block
+ * repeat runs its steps `times` times and/or until the next `until` time of day (task timezone);
+ * forEach runs them once per entry of `items`, available to nested steps as ${item} (or ${<as>}).
+ * Every iteration is recorded as one entry in results, holding the results of its steps.
+ * @param {{task: object, context: object, startTime: number}} run - Task being run
+ * @param {object} step - Loop block
+ * @param {object} device - ADB device object the nested steps run on by default
+ * @param {object} variables - Template variables
+ * @param {Array<object>} results - Collects iteration results
+ * @param {number} index - Top-level step index reported on failure
+ * @returns {Promise<{error: string, failedAtIndex: number, failedAction?: string}|null>} Failure, or null on success
+ */
+async function runLoopStep(run, step, device, variables, results, index) {
+  const timeZone = run.task.timezone || run.context.timezone;
+  const deadline = step.until ? getNextTimeOfDay(step.until, timeZone) : null;
+  const items = step.type === 'forEach' ? step.items : null;
+  const limit = Math.min(items ? items.length : (step.times ?? Infinity), MAX_LOOP_ITERATIONS);
+
+  let iteration = 0;
+  while (iteration < limit && (!deadline || Date.now() < deadline.getTime())) {
+    const iterationStart = Date.now();
+    const iterationResults = [];
+    const iterationVariables = items ? { ...variables, [step.as || 'item']: items[iteration] } : variables;
+
+    const failure = await runSteps(run, step.steps, device, iterationVariables, iterationResults, index);
+
+    const entry = {
+      action: step.type,
+      iteration,
+      success: !failure,
+      duration: Date.now() - iterationStart,
+      results: iterationResults
+    };
+    if (items) {
+      entry.item = items[iteration];
+    }
+    results.push(entry);
+
+    if (failure) {
+      return failure;
+    }
+    iteration++;
+  }
+
+  // An until-only repeat still ends at the cap
+  if (iteration === MAX_LOOP_ITERATIONS && !items && step.times === undefined) {
+    logger.warn(`Loop stopped at the limit of ${MAX_LOOP_ITERATIONS} iterations`, { task: run.task.name });
+  }
+  logger.info(`${step.type} finished after ${iteration} iteration(s)`, { task: run.task.name });
+  return null;
+}
+
 /**
  * Execute a single action directly
  * @param {object} device - ADB device object
@@ -238,8 +763,9 @@ async function executeAction(device, actionName, params = {}) {
     actions: [{ type: actionName, ...params }]
   };
   
-  // Use the global context (contains youtube config etc.)
-  return await executeTask(task, device, actionContext);
+  // Use the global context (contains youtube config etc.); direct actions of the same type may
+  // overlap, as the device command queue already orders their commands
+  return await executeTask(task, device, actionContext, { concurrent: true });
 }
 
 /**
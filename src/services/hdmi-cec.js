@@ -0,0 +1,55 @@
+/**
+ * HDMI-CEC Service
+ * Detects what a device supports for input switching and CEC standby, so the
+ * switch-input and cec-standby actions can pick a command per Android version:
+ * `cmd hdmi_control` (Android 12+) where the HDMI-CEC service exposes it, key events otherwise
+ */
+import { runShell } from './device-state.js';
+
+// First Android SDK whose hdmi_control service has shell commands (Android 12)
+const HDMI_SHELL_MIN_SDK = 31;
+
+// Prints the SDK level, whether the HDMI-CEC service runs, and "live_tv" on TVs
+const DETECT_COMMAND = 'getprop ro.build.version.sdk; service check hdmi_control; pm list features | grep -q android.software.live_tv && echo live_tv';
+
+// Dumps the HDMI-CEC service state, including the CEC devices a TV has found on its inputs
+const LIST_DEVICES_COMMAND = 'dumpsys hdmi_control';
+
+/**
+ * Detect HDMI-CEC support
+ * @param {object} device - ADB device object
+ * @returns {Promise<{sdk: number|null, hdmiControl: boolean, hdmiShell: boolean, tv: boolean}>}
+ * hdmiShell is true when `cmd hdmi_control` can be used; tv when the device is the TV itself
+ */
+async function detectCecSupport(device) {
+  const output = await runShell(device, DETECT_COMMAND);
+  const sdkMatch = output.match(/^\d+$/m);
+  const sdk = sdkMatch ? Number(sdkMatch[0]) : null;
+  const hdmiControl = /hdmi_control: found/.test(output);
+
+  return {
+    sdk,
+    hdmiControl,
+    hdmiShell: hdmiControl && sdk !== null && sdk >= HDMI_SHELL_MIN_SDK,
+    tv: /^live_tv$/m.test(output)
+  };
+}
+
+/**
+ * Find the CEC device plugged into an HDMI input of the TV
+ * @param {object} device - ADB device object (the TV)
+ * @param {number} port - HDMI input number
+ * @returns {Promise<number|null>} Logical address of the device, or null when none is known
+ */
+async function findCecDeviceOnPort(device, port) {
+  const output = await runShell(device, LIST_DEVICES_COMMAND);
+
+  for (const [, address, portId] of output.matchAll(/logical_address: 0x([0-9a-f]+).*?port_id: (\d+)/gi)) {
+    if (Number(portId) === port) {
+      return parseInt(address, 16);
+    }
+  }
+  return null;
+}
+
+export { detectCecSupport, findCecDeviceOnPort, DETECT_COMMAND, LIST_DEVICES_COMMAND };
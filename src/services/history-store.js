@@ -0,0 +1,211 @@
+/**
+ * History Store Service
+ * Persists task execution records to an append-only JSONL file
+ * The store stays disabled (no reads or writes) until initHistoryStore() is called
+ */
+import { appendFile, readFile, writeFile, rename, mkdir, unlink } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+import { logger } from '../utils/logger.js';
+
+// Default history file path
+const DEFAULT_HISTORY_PATH = process.env.ATV_HISTORY_PATH || './data/history.jsonl';
+
+// Default retention settings
+const DEFAULT_MAX_ENTRIES = 5000;
+const DEFAULT_MAX_AGE_DAYS = 30;
+
+// Prune the file after this many appends
+const PRUNE_INTERVAL = 100;
+
+// Query page size limits
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+let historyPath = null;
+let retention = { maxEntries: DEFAULT_MAX_ENTRIES, maxAgeDays: DEFAULT_MAX_AGE_DAYS };
+let appendsSincePrune = 0;
+
+// Serializes file writes so appends and prunes never interleave
+let writeQueue = Promise.resolve();
+
+/**
+ * Initialize the history store
+ * @param {object} [options={}] - History settings from config
+ * @param {string} [options.path] - JSONL file path
+ * @param {number} [options.maxEntries] - Maximum records kept
+ * @param {number} [options.maxAgeDays] - Maximum record age in days
+ */
+function initHistoryStore(options = {}) {
+  historyPath = options.path || DEFAULT_HISTORY_PATH;
+  retention = {
+    maxEntries: options.maxEntries || DEFAULT_MAX_ENTRIES,
+    maxAgeDays: options.maxAgeDays || DEFAULT_MAX_AGE_DAYS
+  };
+  appendsSincePrune = 0;
+  logger.debug(`History store initialized at ${historyPath}`, retention);
+}
+
+/**
+ * Check whether the store has been initialized
+ * @returns {boolean}
+ */
+function isHistoryEnabled() {
+  return historyPath !== null;
+}
+
+/**
+ * Queue a file operation behind any pending write
+ * @param {Function} operation - Async function performing the write
+ * @returns {Promise<any>} Result of the operation
+ */
+function enqueueWrite(operation) {
+  const result = writeQueue.then(operation);
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Append an execution record to the store
+ * @param {{task: string, status: string, startTime: Date|string, endTime: Date|string, duration: number, error?: string, devices?: Array<object>}} record - Execution record
+ * @returns {Promise<void>}
+ */
+async function appendHistory(record) {
+  if (!isHistoryEnabled()) {
+    return;
+  }
+
+  const entry = {
+    ...record,
+    startTime: new Date(record.startTime).toISOString(),
+    endTime: new Date(record.endTime).toISOString()
+  };
+
+  await enqueueWrite(async () => {
+    await mkdir(dirname(historyPath), { recursive: true });
+    await appendFile(historyPath, `${JSON.stringify(entry)}\n`, 'utf8');
+  });
+
+  appendsSincePrune++;
+  if (appendsSincePrune >= PRUNE_INTERVAL) {
+    appendsSincePrune = 0;
+    await pruneHistory();
+  }
+}
+
+/**
+ * Read all records from the store, oldest first
+ * Malformed lines (e.g. a partial write during a crash) are skipped
+ * @returns {Promise<Array<object>>} Execution records
+ */
+async function readHistory() {
+  if (!isHistoryEnabled() || !existsSync(historyPath)) {
+    return [];
+  }
+
+  const content = await readFile(historyPath, 'utf8');
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      logger.warn('Skipping malformed history line');
+    }
+  }
+  return records;
+}
+
+/**
+ * Query execution history, newest first
+ * @param {object} [filters={}] - Query filters
+ * @param {string} [filters.task] - Task name
+ * @param {string} [filters.status] - Execution status (completed, failed, partial, ...)
+ * @param {Date|string} [filters.from] - Only runs started at or after this time
+ * @param {Date|string} [filters.to] - Only runs started at or before this time
+ * @param {string} [filters.lineage] - Only this run and the runs its onSuccess/onFailure hooks started, directly or not
+ * @param {number} [filters.limit=50] - Page size (max 500)
+ * @param {number} [filters.offset=0] - Number of records to skip
+ * @returns {Promise<{entries: Array<object>, total: number, limit: number, offset: number}>}
+ */
+async function queryHistory({ task, status, from, to, lineage, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  // A hook run is recorded after the run that started it, so one pass collects the whole lineage
+  const lineageRuns = new Set(lineage ? [lineage] : []);
+  const inLineage = record => {
+    if (record.runId === lineage || lineageRuns.has(record.parentRunId)) {
+      if (record.runId) lineageRuns.add(record.runId);
+      return true;
+    }
+    return false;
+  };
+
+  const matches = (await readHistory()).filter(record => {
+    const startTime = new Date(record.startTime).getTime();
+    if (lineage && !inLineage(record)) return false;
+    if (task && record.task !== task) return false;
+    if (status && record.status !== status) return false;
+    if (fromTime !== null && startTime < fromTime) return false;
+    if (toTime !== null && startTime > toTime) return false;
+    return true;
+  }).reverse();
+
+  const effectiveLimit = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+  const effectiveOffset = Math.max(0, offset);
+
+  return {
+    entries: matches.slice(effectiveOffset, effectiveOffset + effectiveLimit),
+    total: matches.length,
+    limit: effectiveLimit,
+    offset: effectiveOffset
+  };
+}
+
+/**
+ * Apply retention settings, rewriting the file atomically
+ * @returns {Promise<{removed: number}>} Number of records dropped
+ */
+async function pruneHistory() {
+  if (!isHistoryEnabled()) {
+    return { removed: 0 };
+  }
+
+  return enqueueWrite(async () => {
+    const records = await readHistory();
+    const cutoff = Date.now() - retention.maxAgeDays * 24 * 60 * 60 * 1000;
+    const kept = records
+      .filter(record => new Date(record.startTime).getTime() >= cutoff)
+      .slice(-retention.maxEntries);
+
+    const removed = records.length - kept.length;
+    if (removed === 0) {
+      return { removed };
+    }
+
+    const tempPath = `${historyPath}.tmp`;
+    try {
+      const content = kept.map(record => `${JSON.stringify(record)}\n`).join('');
+      await writeFile(tempPath, content, 'utf8');
+      await rename(tempPath, historyPath);
+    } catch (error) {
+      if (existsSync(tempPath)) {
+        await unlink(tempPath).catch(() => {});
+      }
+      throw error;
+    }
+
+    logger.info(`Pruned ${removed} history entries`);
+    return { removed };
+  });
+}
+
+export {
+  initHistoryStore,
+  isHistoryEnabled,
+  appendHistory,
+  readHistory,
+  queryHistory,
+  pruneHistory
+};
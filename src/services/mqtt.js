@@ -19,6 +19,28 @@ function sanitizeName(name) {
   return name.toLowerCase().replace(/[^a-z0-9_-]/g, '_');
 }
 
+/**
+ * Read a task command payload
+ * 'PRESS' runs the task with its default params; a JSON object such as
+ * {"params": {"videoUrl": "..."}} supplies params for the run
+ * @param {string} payload - Raw message payload
+ * @returns {{params?: object}|null} Run options, or null when the payload is not a command
+ */
+function parseCommandPayload(payload) {
+  if (payload === 'PRESS') {
+    return {};
+  }
+  try {
+    const command = JSON.parse(payload);
+    if (command !== null && typeof command === 'object' && !Array.isArray(command)) {
+      return { params: command.params ?? {} };
+    }
+  } catch {
+    // Not JSON: ignored below like any other unknown payload
+  }
+  return null;
+}
+
 /**
  * Initialize MQTT connection and setup handlers
  * @param {object} config - Application configuration
@@ -76,8 +98,8 @@ export function initMqtt(config, executor) {
     // Example topic: homeassistant/button/atv_super_controller_morning_routine/set
     const prefix = `${topic_prefix}/button/atv_super_controller_`;
     if (topic.startsWith(prefix) && topic.endsWith('/set')) {
-      const payload = message.toString();
-      if (payload === 'PRESS') {
+      const command = parseCommandPayload(message.toString());
+      if (command) {
         const taskIdStr = topic.substring(prefix.length, topic.length - 4); // Remove prefix and '/set'
         
         // Find matching task by sanitized name
@@ -87,7 +109,8 @@ export function initMqtt(config, executor) {
           logger.info(`MQTT command received to execute task: ${task.name}`);
           if (currentExecutor) {
             // Execute in background so we don't block the MQTT message handler
-            currentExecutor(task).catch(err => {
+            const run = command.params ? currentExecutor(task, { params: command.params }) : currentExecutor(task);
+            run.catch(err => {
               logger.error(`Error executing task ${task.name} via MQTT:`, err);
             });
           }
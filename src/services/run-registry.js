@@ -0,0 +1,104 @@
+/**
+ * Run Registry Service
+ * Tracks task runs in progress so they can be listed and cancelled
+ * Each run owns an AbortController whose signal is passed to its actions
+ */
+import { logger } from '../utils/logger.js';
+
+// runId -> { id, task, startedAt, controller, finished, resolveFinished }
+const activeRuns = new Map();
+
+/**
+ * Generate a unique run ID
+ * @returns {string} Run ID
+ */
+function generateRunId() {
+  return `run_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+}
+
+/**
+ * Register a starting run
+ * @param {string} taskName - Task being run
+ * @returns {{id: string, signal: AbortSignal}} Run ID and the signal aborted on cancellation
+ */
+function startRun(taskName) {
+  const id = generateRunId();
+  const controller = new AbortController();
+  let resolveFinished;
+  const finished = new Promise(resolve => {
+    resolveFinished = resolve;
+  });
+  activeRuns.set(id, { id, task: taskName, startedAt: new Date(), controller, finished, resolveFinished });
+  return { id, signal: controller.signal };
+}
+
+/**
+ * Remove a run from the registry once it has ended
+ * @param {string} runId - Run ID
+ */
+function finishRun(runId) {
+  activeRuns.get(runId)?.resolveFinished();
+  activeRuns.delete(runId);
+}
+
+/**
+ * Cancel a run in progress
+ * The run stops at its next step boundary or as soon as its current action honours the signal
+ * @param {string} runId - Run ID
+ * @returns {{id: string, task: string, startedAt: string, cancelling: boolean}|null} Cancelled run, or null when no such run is active
+ */
+function cancelRun(runId) {
+  const run = activeRuns.get(runId);
+  if (!run) {
+    return null;
+  }
+
+  if (!run.controller.signal.aborted) {
+    logger.info(`Cancelling run ${runId} of task: ${run.task}`);
+    run.controller.abort();
+  }
+  return describeRun(run);
+}
+
+/**
+ * List runs in progress
+ * @returns {Array<{id: string, task: string, startedAt: string, cancelling: boolean}>} Active runs, oldest first
+ */
+function listRuns() {
+  return Array.from(activeRuns.values()).map(describeRun);
+}
+
+/**
+ * List the runs of one task in progress
+ * @param {string} taskName - Task name
+ * @returns {Array<{id: string, task: string, startedAt: string, cancelling: boolean}>} Active runs of the task
+ */
+function listTaskRuns(taskName) {
+  return listRuns().filter(run => run.task === taskName);
+}
+
+/**
+ * Wait until the runs of a task that are in progress now have finished
+ * @param {string} taskName - Task name
+ * @returns {Promise<void>}
+ */
+async function waitForTaskRuns(taskName) {
+  const runs = Array.from(activeRuns.values()).filter(run => run.task === taskName);
+  await Promise.all(runs.map(run => run.finished));
+}
+
+/**
+ * Public view of a run
+ * @param {object} run - Registry entry
+ * @returns {{id: string, task: string, startedAt: string, cancelling: boolean}}
+ */
+function describeRun(run) {
+  return {
+    id: run.id,
+    task: run.task,
+    startedAt: run.startedAt.toISOString(),
+    cancelling: run.controller.signal.aborted
+  };
+}
+
+export { startRun, finishRun, cancelRun, listRuns, listTaskRuns, waitForTaskRuns };
@@ -3,8 +3,18 @@
  * Manages task registration and scheduling using node-schedule
  */
 import schedule from 'node-schedule';
+import cronParser from 'cron-parser';
 import { logger } from '../utils/logger.js';
-import { validateCronExpression } from '../utils/cron-validator.js';
+import { validateSchedule, isSolarSchedule, validateTaskTiming, normalizeSchedule, formatSchedule } from '../utils/cron-validator.js';
+import { getNextSolarTime } from '../utils/solar.js';
+import { validateTimezone, getSystemTimezone } from '../utils/timezone.js';
+import { parseDuration } from '../utils/duration.js';
+import { appendHistory, readHistory } from './history-store.js';
+import { patchTask as patchTaskInConfig, deleteTask as deleteTaskFromConfig } from './config-persistence.js';
+import { hasCalendar, findExcludingCalendar } from './calendars.js';
+import { resolveHooks } from '../utils/task-hooks.js';
+import { validateTrigger, toTriggerEvent, matchTrigger, describeTrigger } from '../utils/triggers.js';
+import { onBroadcast } from '../web/websocket/broadcaster.js';
 
 // Store registered tasks with job references
 const registeredTasks = new Map();
@@ -18,11 +28,234 @@ let schedulerRunning = false;
 // Store the executor callback for task execution
 let executorCallback = null;
 
+// Default timezone for tasks without their own (config.timezone)
+let defaultTimezone = null;
+
+// Observer location for solar schedules (config.location)
+let solarLocation = null;
+
+// Catch-up policies for runs missed while the service was down or the device was disconnected
+const CATCH_UP_POLICIES = ['none', 'runOnce', 'runAll'];
+
+// Catch-up defaults: missed runs older than this are dropped
+const DEFAULT_MAX_LATENESS = '1h';
+
+// Upper bound of replays per task and catch-up pass (runAll)
+const MAX_CATCH_UP_RUNS = 50;
+
+// Upper bound of upcoming runs listed per task (e.g. for a calendar)
+const MAX_UPCOMING_RUNS = 500;
+
+// Upper bound of schedule ticks examined per task when listing invocations, so a
+// frequent schedule whose runs are mostly excluded (skipOn) cannot block the event loop
+const MAX_INVOCATION_STEPS = 5000;
+
+// Scheduler state stored next to a task's definition in the registry
+const RUNTIME_FIELDS = ['job', 'ended', 'nextRun', 'lastRunStatus', 'lastRunTime', 'lastError', 'lastReason', 'failureCount', 'executionHistory'];
+
+// Tasks currently replaying missed runs (guards against overlapping reconnect events)
+const catchingUp = new Set();
+
+// Unsubscribes the scheduler from device events while it runs
+let unsubscribeDeviceEvents = null;
+
+// Pending app:time-limit runs by "task|device": { task, device, timer }
+const timeLimitTimers = new Map();
+
+/**
+ * Resolve the timezone a task is scheduled in
+ * @param {object} task - Task configuration
+ * @returns {string} IANA timezone name (task, then global default, then host timezone)
+ */
+function resolveTimezone(task) {
+  return task.timezone || defaultTimezone || getSystemTimezone();
+}
+
+/**
+ * Check whether a task only runs on its event trigger (no schedule and no one-shot time)
+ * @param {object} task - Task configuration
+ * @returns {boolean}
+ */
+function isTriggerOnly(task) {
+  return task.trigger !== undefined && task.schedule === undefined && task.at === undefined;
+}
+
+/**
+ * Create the node-schedule job for a task
+ * @param {object} task - Task configuration
+ * @param {Function} [onTrigger] - Callback when task triggers
+ * @returns {object|null} node-schedule Job or null when scheduling failed
+ */
+function createJob(task, onTrigger) {
+  if (task.at !== undefined) {
+    return createOneShotJob(task, onTrigger);
+  }
+
+  if (isSolarSchedule(task.schedule)) {
+    return createSolarJob(task, onTrigger);
+  }
+
+  const { start, end } = validateTaskTiming(task, resolveTimezone(task));
+  const rule = { rule: task.schedule, tz: resolveTimezone(task) };
+  if (start) {
+    rule.start = start;
+  }
+  if (end) {
+    rule.end = end;
+  }
+  return schedule.scheduleJob(rule, () => triggerTask(task, onTrigger));
+}
+
+/**
+ * Run a task whose job fired, unless one of its skipOn calendars excludes today
+ * Skipped runs are recorded in the execution history with status 'skipped'
+ * @param {object} task - Task configuration
+ * @param {Function} [onTrigger] - Callback when task triggers
+ * @returns {Promise<void>}
+ */
+async function triggerTask(task, onTrigger) {
+  const now = Date.now();
+  const calendar = findExcludingCalendar(task.skipOn, new Date(now), resolveTimezone(task));
+  if (calendar) {
+    const reason = `Excluded by calendar: ${calendar}`;
+    logger.info(`Task skipped: ${task.name} (${reason})`);
+    recordExecution(task.name, { success: true, status: 'skipped', reason, duration: 0 }, now, now);
+
+    import('../web/websocket/broadcaster.js')
+      .then(({ emitEvent }) => {
+        emitEvent('task:skipped', { task: task.name, calendar, reason });
+      })
+      .catch((err) => {
+        logger.warn(`Failed to emit task:skipped event: ${err.message}`);
+      });
+    return;
+  }
+
+  logger.info(`Task triggered: ${task.name}`);
+  if (onTrigger) {
+    await onTrigger(task);
+  }
+}
+
+/**
+ * Create a job for a solar schedule
+ * Solar times change daily, so the job is a one-shot date that moves itself
+ * to the next day's event each time it fires
+ * @param {object} task - Task with a { solar, offset } schedule
+ * @param {Function} [onTrigger] - Callback when task triggers
+ * @returns {object|null} node-schedule Job or null when no upcoming event exists
+ */
+function createSolarJob(task, onTrigger) {
+  const { start, end } = validateTaskTiming(task, resolveTimezone(task));
+  const from = start && start > Date.now() ? start : new Date();
+  const firstRun = getNextSolarTime(task.schedule, solarLocation, from);
+  if (!firstRun || (end && firstRun > end)) {
+    return null;
+  }
+
+  const job = schedule.scheduleJob(firstRun, async () => {
+    const nextRun = getNextSolarTime(task.schedule, solarLocation, new Date(Date.now() + 1000));
+    if (nextRun && end && nextRun > end) {
+      const registered = registeredTasks.get(task.name);
+      if (registered && registered.job === job) {
+        registered.nextRun = null;
+      }
+      logger.info(`Solar task ${task.name} reached its endDate`);
+    } else if (nextRun) {
+      job.reschedule(nextRun);
+      const registered = registeredTasks.get(task.name);
+      if (registered && registered.job === job) {
+        registered.nextRun = job.nextInvocation();
+      }
+      logger.debug(`Solar task ${task.name} rescheduled for ${nextRun.toISOString()}`);
+    } else {
+      logger.warn(`No upcoming ${task.schedule.solar} found for task: ${task.name}`);
+    }
+
+    await triggerTask(task, onTrigger);
+  });
+  return job;
+}
+
+/**
+ * Create a job for a one-shot task that runs once at `task.at`
+ * After the run the task disables itself, or removes itself when `afterRun` is 'delete',
+ * and the outcome is written back to the config file
+ * @param {object} task - Task with an `at` date-time
+ * @param {Function} [onTrigger] - Callback when task triggers
+ * @returns {object|null} node-schedule Job or null when the time has passed
+ */
+function createOneShotJob(task, onTrigger) {
+  const { runAt } = validateTaskTiming(task, resolveTimezone(task));
+
+  const job = schedule.scheduleJob(runAt, async () => {
+    try {
+      await triggerTask(task, onTrigger);
+    } finally {
+      const registered = registeredTasks.get(task.name);
+      if (registered && registered.job === job) {
+        await finishOneShotTask(task.name, task.afterRun);
+      }
+    }
+  });
+  return job;
+}
+
+/**
+ * Disable or delete a one-shot task after it ran, and persist the change
+ * @param {string} taskName - Task name
+ * @param {string} [afterRun='disable'] - 'disable' or 'delete'
+ * @returns {Promise<void>}
+ */
+async function finishOneShotTask(taskName, afterRun = 'disable') {
+  try {
+    if (afterRun === 'delete') {
+      removeTask(taskName);
+      await deleteTaskFromConfig(taskName);
+    } else {
+      setTaskEnabled(taskName, false);
+      await patchTaskInConfig(taskName, { enabled: false });
+    }
+    logger.info(`One-shot task ${taskName} ${afterRun === 'delete' ? 'deleted' : 'disabled'} after running`);
+  } catch (error) {
+    logger.warn(`Failed to persist one-shot task ${taskName}: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a task can never run again (one-shot time or endDate in the past)
+ * @param {{runAt: Date|null, end: Date|null}} timing - Result of validateTaskTiming
+ * @returns {boolean}
+ */
+function hasTaskEnded(timing) {
+  const now = Date.now();
+  return Boolean((timing.runAt && timing.runAt <= now) || (timing.end && timing.end <= now));
+}
+
 /**
  * Register a task for scheduling
  * @param {object} task - Task configuration
  * @param {string} task.name - Task name
- * @param {string} task.schedule - 6-field cron expression
+ * @param {string|object} [task.schedule] - Cron expression (5 or 6 fields, or a macro such as @daily) or { solar, offset } schedule
+ * @param {string} [task.at] - One-shot run time (instead of schedule)
+ * @param {string} [task.afterRun='disable'] - What a one-shot task does after running: 'disable' or 'delete'
+ * @param {string} [task.startDate] - Date or date-time the task becomes active
+ * @param {string} [task.endDate] - Last active date (inclusive) or date-time
+ * @param {boolean} [task.enabled=true] - Register without scheduling when false
+ * @param {string} [task.catchUp='none'] - Missed-run policy: 'none', 'runOnce' or 'runAll'
+ * @param {string|number} [task.maxLateness='1h'] - Oldest missed run that is still replayed
+ * @param {Array<string>} [task.skipOn] - Exclusion calendars on whose days runs are skipped
+ * @param {string} [task.timezone] - IANA timezone (defaults to the scheduler default)
+ * @param {object} [task.params] - Declared parameters referenced by actions as ${params.name}
+ * @param {number} [task.retries] - Retries of each action after a thrown error or timeout
+ * @param {object} [task.backoff] - Delay and multiplier between retries
+ * @param {string|number} [task.timeout] - Time limit of each action attempt
+ * @param {string} [task.onError] - What a failed action does: 'stop', 'continue' or 'goto'
+ * @param {string} [task.goto] - Step id to go to when onError is 'goto'
+ * @param {string} [task.concurrency='skip'] - When triggered while running: 'skip', 'queue' or 'replace'
+ * @param {string|string[]} [task.onSuccess] - Tasks started after a completed run
+ * @param {string|string[]} [task.onFailure] - Tasks started after a failed or partial run
+ * @param {object} [task.trigger] - Device event that runs the task (with or instead of a schedule)
  * @param {Array} task.actions - Array of actions to execute
  * @param {Function} [onTrigger] - Callback when task triggers
  * @returns {object} Registration result
@@ -32,37 +265,87 @@ function registerTask(task, onTrigger) {
     return { success: false, error: 'Task name is required' };
   }
 
-  const cronResult = validateCronExpression(task.schedule);
-  if (!cronResult.valid) {
-    return { success: false, error: cronResult.error };
+  // 5-field expressions and macros are scheduled (and reported) as 6-field expressions
+  if (typeof task.schedule === 'string') {
+    task = { ...task, schedule: normalizeSchedule(task.schedule) };
   }
 
-  // Create actual scheduled job using node-schedule
-  const job = schedule.scheduleJob(task.schedule, async () => {
-    logger.info(`Task triggered: ${task.name}`);
-    if (onTrigger) {
-      await onTrigger(task);
+  if (task.at === undefined && !isTriggerOnly(task)) {
+    const scheduleResult = validateSchedule(task.schedule);
+    if (!scheduleResult.valid) {
+      return { success: false, error: scheduleResult.error };
     }
-  });
 
-  if (!job) {
+    if (isSolarSchedule(task.schedule) && !solarLocation) {
+      return { success: false, error: 'Solar schedules require location latitude and longitude in config' };
+    }
+  }
+
+  if (task.timezone) {
+    const tzResult = validateTimezone(task.timezone);
+    if (!tzResult.valid) {
+      return { success: false, error: tzResult.error };
+    }
+  }
+
+  if (task.trigger !== undefined) {
+    const triggerError = validateTrigger(task.trigger);
+    if (triggerError) {
+      return { success: false, error: triggerError };
+    }
+  }
+
+  const timing = validateTaskTiming(task, resolveTimezone(task));
+  if (!timing.valid) {
+    return { success: false, error: timing.error };
+  }
+
+  if (task.catchUp !== undefined && !CATCH_UP_POLICIES.includes(task.catchUp)) {
+    return { success: false, error: `Invalid catchUp policy: expected one of ${CATCH_UP_POLICIES.join(', ')}` };
+  }
+
+  if (task.maxLateness !== undefined && parseDuration(task.maxLateness) === null) {
+    return { success: false, error: `Invalid maxLateness: ${task.maxLateness}` };
+  }
+
+  const unknownCalendar = (task.skipOn || []).find(name => !hasCalendar(name));
+  if (unknownCalendar) {
+    return { success: false, error: `Unknown calendar: ${unknownCalendar}` };
+  }
+
+  // Create actual scheduled job using node-schedule (disabled and trigger-only tasks are kept without one)
+  const job = task.enabled === false || isTriggerOnly(task) ? null : createJob(task, onTrigger);
+  const ended = task.enabled !== false && hasTaskEnded(timing);
+
+  if (!job && task.enabled !== false && !ended && !isTriggerOnly(task)) {
     return { success: false, error: 'Failed to schedule job' };
   }
 
   // Store task with job reference for later cancellation
   registeredTasks.set(task.name, {
-    name: task.name,
-    schedule: task.schedule,
-    actions: task.actions,
+    ...task,
+    enabled: task.enabled !== false,
     job: job,
-    nextRun: job.nextInvocation(),
+    ended: !job && ended, // Out of runs because its time passed (not disabled by the user)
+    nextRun: job ? job.nextInvocation() : null,
     lastRunStatus: null,
     lastRunTime: null,
     lastError: null,
+    lastReason: null,
     failureCount: 0,
     executionHistory: []
   });
 
+  if (!job && isTriggerOnly(task)) {
+    logger.info(`Task registered: ${task.name}, ${describeTrigger(task.trigger)}`);
+    return { success: true, nextRun: null };
+  }
+
+  if (!job) {
+    logger.info(`Task registered without upcoming runs: ${task.name}`);
+    return { success: true, nextRun: null };
+  }
+
   logger.info(`Task registered: ${task.name}, next run: ${job.nextInvocation()}`);
 
   return { success: true, nextRun: job.nextInvocation() };
@@ -76,6 +359,15 @@ function getRegisteredTasks() {
   return Array.from(registeredTasks.values());
 }
 
+/**
+ * Get the definition of a registered task, without its scheduler state
+ * @param {object} task - Registered task
+ * @returns {object} Task configuration as registered
+ */
+function getTaskDefinition(task) {
+  return Object.fromEntries(Object.entries(task).filter(([key]) => !RUNTIME_FIELDS.includes(key)));
+}
+
 /**
  * Get next run times for all registered tasks
  * @returns {Map} Map of task names to next run dates
@@ -99,6 +391,7 @@ function clearTasks() {
     }
   }
   registeredTasks.clear();
+  clearTimeLimits();
   schedulerRunning = false;
 }
 
@@ -106,11 +399,22 @@ function clearTasks() {
  * Start the scheduler with an array of tasks
  * @param {Array} tasks - Array of task configurations
  * @param {Function} executor - Function to execute when task triggers
+ * @param {object} [options={}] - Scheduler options
+ * @param {string} [options.timezone] - Default IANA timezone for tasks without one
+ * @param {{latitude: number, longitude: number}} [options.location] - Location for solar schedules
  * @returns {object} Result with success flag and task count
  */
-function startScheduler(tasks, executor) {
+function startScheduler(tasks, executor, options = {}) {
   // Store executor callback for use in setTaskEnabled
   executorCallback = executor;
+  defaultTimezone = options.timezone || null;
+  solarLocation = options.location || null;
+
+  // Event-triggered tasks listen to device events from the broadcaster
+  if (unsubscribeDeviceEvents) {
+    unsubscribeDeviceEvents();
+  }
+  unsubscribeDeviceEvents = onBroadcast(handleDeviceEvent);
 
   let registeredCount = 0;
 
@@ -139,9 +443,99 @@ function stopScheduler() {
     }
   }
   registeredTasks.clear();
+  clearTimeLimits();
+  if (unsubscribeDeviceEvents) {
+    unsubscribeDeviceEvents();
+    unsubscribeDeviceEvents = null;
+  }
   schedulerRunning = false;
 }
 
+/**
+ * Start the tasks whose trigger matches a device event
+ * An app:time-limit trigger starts a countdown when its app comes to the foreground;
+ * the next event from that device (another app, screen off, disconnect) cancels it
+ * @param {{type: string, data?: object}} broadcast - Event from the broadcaster
+ */
+function handleDeviceEvent(broadcast) {
+  const event = toTriggerEvent(broadcast);
+  if (!event || !executorCallback) {
+    return;
+  }
+
+  clearTimeLimits(entry => entry.device === event.device);
+
+  for (const task of registeredTasks.values()) {
+    if (!task.trigger || !task.enabled || !matchTrigger(task.trigger, event) || !isWithinDateWindow(task)) {
+      continue;
+    }
+
+    if (task.trigger.event === 'app:time-limit') {
+      startTimeLimit(task, event);
+    } else {
+      fireTrigger(task, event);
+    }
+  }
+}
+
+/**
+ * Check whether now lies within a task's startDate/endDate window
+ * @param {object} task - Registered task
+ * @returns {boolean}
+ */
+function isWithinDateWindow(task) {
+  const { start, end } = validateTaskTiming(task, resolveTimezone(task));
+  const now = Date.now();
+  return (!start || start <= now) && (!end || end > now);
+}
+
+/**
+ * Run a task for the device event that triggered it
+ * A task without a device of its own runs on the device that fired the event.
+ * A task that was removed, replaced or disabled in the meantime does not run
+ * @param {object} task - Registered task
+ * @param {{event: string, device: string, package?: string}} event - Trigger event
+ */
+function fireTrigger(task, event) {
+  if (registeredTasks.get(task.name) !== task || !task.enabled) {
+    return;
+  }
+
+  logger.info(`${describeTrigger(task.trigger)}: ${event.event} on ${event.device}`, { task: task.name });
+  const target = task.device ? task : { ...task, device: event.device };
+  triggerTask(target, triggered => executorCallback(triggered, { trigger: event })).catch((error) => {
+    logger.error(`Triggered task ${task.name} failed to run: ${error.message}`);
+  });
+}
+
+/**
+ * Start the countdown of an app:time-limit trigger
+ * @param {object} task - Registered task with an app:time-limit trigger
+ * @param {{event: string, device: string, package: string}} event - The app:foreground event
+ */
+function startTimeLimit(task, event) {
+  const key = `${task.name}|${event.device}`;
+  const timer = setTimeout(() => {
+    timeLimitTimers.delete(key);
+    fireTrigger(task, { ...event, event: 'app:time-limit' });
+  }, parseDuration(task.trigger.limit));
+
+  timeLimitTimers.set(key, { task: task.name, device: event.device, timer });
+}
+
+/**
+ * Cancel pending app:time-limit countdowns
+ * @param {Function} [filter] - Only cancel entries for which filter(entry) is true
+ */
+function clearTimeLimits(filter = () => true) {
+  for (const [key, entry] of timeLimitTimers) {
+    if (filter(entry)) {
+      clearTimeout(entry.timer);
+      timeLimitTimers.delete(key);
+    }
+  }
+}
+
 /**
  * Get scheduler statistics
  * @returns {object} Stats with running status and task count
@@ -164,7 +558,8 @@ function isSchedulerRunning() {
 /**
  * Record execution with history tracking
  * @param {string} taskName - Task name
- * @param {{success: boolean, status: string, error?: string, duration: number}} result - Execution result
+ * Starts the task's onSuccess or onFailure tasks once the run is recorded
+ * @param {{success: boolean, status: string, error?: string, code?: string, reason?: string, scheduledFor?: Date, duration: number, devices?: Array<object>, parent?: {runId?: string, task: string, error?: string, chain: string[]}}} result - Execution result ('partial' when only some group members failed, 'skipped' on excluded days); `parent` is set on runs started by another task's hook
  * @param {number} startTime - Execution start timestamp
  * @param {number} endTime - Execution end timestamp
  */
@@ -199,14 +594,62 @@ function recordExecution(taskName, result, startTime, endTime) {
     executionRecord.error = result.error;
   }
 
+  // Runs skipped for a disconnected device count as missed for catch-up
+  if (result.code) {
+    executionRecord.code = result.code;
+  }
+
+  // Skipped runs say why nothing happened
+  if (result.reason) {
+    executionRecord.reason = result.reason;
+  }
+
+  // Runs started by the executor carry the ID they were registered (and cancellable) under
+  if (result.runId) {
+    executionRecord.runId = result.runId;
+  }
+
+  // Runs started by a hook point back at the run that started them
+  if (result.parent) {
+    executionRecord.parentTask = result.parent.task;
+    if (result.parent.runId) {
+      executionRecord.parentRunId = result.parent.runId;
+    }
+  }
+
+  // Catch-up replays remember the invocation they stand in for
+  if (result.scheduledFor) {
+    executionRecord.scheduledFor = new Date(result.scheduledFor);
+  }
+
+  // Group runs keep a per-device outcome so partial failures are visible
+  if (Array.isArray(result.devices)) {
+    executionRecord.devices = result.devices.map(d => {
+      const entry = { device: d.device, status: d.status };
+      if (d.error) {
+        entry.error = d.error;
+      }
+      if (d.code) {
+        entry.code = d.code;
+      }
+      return entry;
+    });
+  }
+
+  // Persist to the history store (in-memory history only keeps recent runs)
+  appendHistory({ task: taskName, ...executionRecord })
+    .catch((error) => {
+      logger.warn(`Failed to persist execution history: ${error.message}`, { task: taskName });
+    });
+
   // Add to history (circular buffer)
   task.executionHistory.push(executionRecord);
   if (task.executionHistory.length > MAX_HISTORY_ENTRIES) {
     task.executionHistory.shift(); // Remove oldest entry
   }
 
-  // Increment failure count for failed executions
-  if (!result.success) {
+  // Increment failure count for failed executions (a cancelled run did not fail)
+  if (!result.success && result.status !== 'cancelled') {
     task.failureCount++;
   }
 
@@ -214,12 +657,45 @@ function recordExecution(taskName, result, startTime, endTime) {
   updateTaskStatus(taskName, result);
 
   logger.info(`Execution recorded for task: ${taskName}, status: ${result.status}, duration: ${executionRecord.duration}ms`);
+
+  startHookTasks(task, result);
+}
+
+/**
+ * Start the onSuccess or onFailure tasks of a finished run
+ * Children run in the background with the parent run's ID, task and error;
+ * a task already in the chain is not started again
+ * @param {object} task - Registered task that ran
+ * @param {object} result - Run result (see recordExecution)
+ */
+function startHookTasks(task, result) {
+  if (!executorCallback) {
+    return;
+  }
+
+  const { start, blocked, chain } = resolveHooks(task, result, result.parent?.chain);
+  for (const name of blocked) {
+    logger.warn(`Not starting ${name} after ${task.name}: it would repeat the chain ${chain.join(' → ')}`);
+  }
+
+  const parent = { runId: result.runId, task: task.name, error: result.error, chain };
+  for (const name of start) {
+    const child = registeredTasks.get(name);
+    if (!child) {
+      logger.warn(`Task ${task.name} triggers unknown task: ${name}`);
+      continue;
+    }
+    logger.info(`Starting ${name} after ${task.name} (${result.status})`);
+    Promise.resolve(executorCallback(child, { parent })).catch((error) => {
+      logger.error(`Hook task ${name} failed to run: ${error.message}`);
+    });
+  }
 }
 
 /**
  * Update task status after execution
  * @param {string} taskName - Task name
- * @param {{success: boolean, status: string, error?: string}} result - Execution result
+ * @param {{success: boolean, status: string, error?: string, reason?: string}} result - Execution result
  */
 function updateTaskStatus(taskName, result) {
   const task = registeredTasks.get(taskName);
@@ -229,6 +705,7 @@ function updateTaskStatus(taskName, result) {
     if (result.error) {
       task.lastError = result.error;
     }
+    task.lastReason = result.reason || null;
     if (task.job) {
       task.nextRun = task.job.nextInvocation();
     }
@@ -245,17 +722,9 @@ function getTaskDetails(taskName) {
   if (!task) {
     return null;
   }
-  return {
-    name: task.name,
-    schedule: task.schedule,
-    actions: task.actions,
-    nextRun: task.nextRun,
-    lastRunStatus: task.lastRunStatus,
-    lastRunTime: task.lastRunTime,
-    lastError: task.lastError,
-    failureCount: task.failureCount,
-    executionHistory: task.executionHistory
-  };
+
+  const { job, ended, ...details } = task;
+  return { ...details, timezone: resolveTimezone(task) };
 }
 
 /**
@@ -274,13 +743,20 @@ function getSchedulerStatus() {
  */
 function getJobs() {
   return getRegisteredTasks().map(task => ({
-    name: task.name,
-    schedule: task.schedule,
-    nextRun: task.nextRun ? new Date(task.nextRun).toLocaleString() : 'Disabled',
-    enabled: task.job !== null, // Task is enabled if it has an active job
-    actions: task.actions,
+    ...getTaskDefinition(task),
+    catchUp: task.catchUp || 'none',
+    skipOn: task.skipOn || [],
+    timezone: resolveTimezone(task),
+    customTimezone: task.timezone || null, // Task's own timezone, null when using the default
+    nextRun: task.nextRun
+      ? new Date(task.nextRun).toLocaleString(undefined, { timeZone: resolveTimezone(task) })
+      : (isTriggerOnly(task) && task.enabled ? describeTrigger(task.trigger) : 'Disabled'),
+    enabled: task.job !== null || (isTriggerOnly(task) && task.enabled), // Active job, or waiting for its trigger
+    params: task.params || {},
+    concurrency: task.concurrency || 'skip',
     lastRunStatus: task.lastRunStatus,
-    lastRunTime: task.lastRunTime ? new Date(task.lastRunTime).toLocaleString() : null
+    lastRunTime: task.lastRunTime ? new Date(task.lastRunTime).toLocaleString(undefined, { timeZone: resolveTimezone(task) }) : null,
+    lastReason: task.lastReason
   }));
 }
 
@@ -298,31 +774,24 @@ function setTaskEnabled(taskName, enabled) {
   }
 
   if (enabled) {
-    // Reschedule the task - create new job
-    if (task.job) {
-      task.job.cancel(); // Cancel existing job first
-    }
+    // Reschedule the task - create new job (a trigger-only task has none and waits for its event)
+    if (!isTriggerOnly(task)) {
+      if (task.job) {
+        task.job.cancel(); // Cancel existing job first
+      }
 
-    // Create new job with executor callback
-    const taskObj = {
-      name: task.name,
-      schedule: task.schedule,
-      actions: task.actions
-    };
-
-    const newJob = schedule.scheduleJob(task.schedule, async () => {
-      logger.info(`Task triggered: ${taskName}`);
-      if (executorCallback) {
-        await executorCallback(taskObj);
+      // Create new job with executor callback
+      const newJob = createJob(getTaskDefinition(task), executorCallback);
+
+      if (!newJob) {
+        throw new Error('Failed to reschedule job');
       }
-    });
 
-    if (!newJob) {
-      throw new Error('Failed to reschedule job');
+      task.job = newJob;
+      task.ended = false;
+      task.nextRun = newJob.nextInvocation();
     }
-
-    task.job = newJob;
-    task.nextRun = newJob.nextInvocation();
+    task.enabled = true;
 
     // Emit event for WebSocket broadcast (async, with error handling)
     import('../web/websocket/broadcaster.js')
@@ -339,6 +808,8 @@ function setTaskEnabled(taskName, enabled) {
       task.job = null;
     }
     task.nextRun = null;
+    task.enabled = false;
+    clearTimeLimits(entry => entry.task === taskName);
 
     // Emit event for WebSocket broadcast (async, with error handling)
     import('../web/websocket/broadcaster.js')
@@ -403,6 +874,7 @@ function updateTaskConfig(taskName, updatedTask) {
 
   // Remove old task entry
   registeredTasks.delete(taskName);
+  clearTimeLimits(entry => entry.task === taskName);
 
   // Register updated task
   const result = registerTask(updatedTask, executorCallback);
@@ -444,6 +916,7 @@ function removeTask(taskName) {
 
   // Remove from registry
   registeredTasks.delete(taskName);
+  clearTimeLimits(entry => entry.task === taskName);
 
   logger.info(`Task removed: ${taskName}`);
 
@@ -459,10 +932,228 @@ function removeTask(taskName) {
   return { success: true };
 }
 
+/**
+ * List the scheduled invocations of a task within a time range
+ * The range is first clipped to the task's date window; invocations on days excluded by its
+ * skipOn calendars are left out. At most MAX_INVOCATION_STEPS schedule ticks are examined
+ * @param {object} task - Registered task
+ * @param {Date} since - Range start (exclusive)
+ * @param {Date} until - Range end (inclusive)
+ * @param {number} [limit=Infinity] - Stop after this many invocations
+ * @param {boolean} [newest=false] - Keep the newest invocations instead of the oldest when limited
+ * @returns {Array<Date>} Invocation times, oldest first
+ */
+function listInvocations(task, since, until, limit = Infinity, newest = false) {
+  const timezone = resolveTimezone(task);
+  const timing = validateTaskTiming(task, timezone);
+  if (timing.start && timing.start > since) {
+    since = new Date(timing.start.getTime() - 1);
+  }
+  if (timing.end && timing.end < until) {
+    until = timing.end;
+  }
+  if (since >= until) {
+    return [];
+  }
+
+  const times = [];
+  let steps = 0;
+  const add = (time) => {
+    steps++;
+    if (time > since && time <= until && !findExcludingCalendar(task.skipOn, time, timezone)) {
+      times.push(time);
+    }
+  };
+  const more = () => times.length < limit && steps < MAX_INVOCATION_STEPS;
+
+  if (task.at !== undefined) {
+    if (timing.runAt > since && timing.runAt <= until) {
+      add(timing.runAt);
+    }
+  } else if (isSolarSchedule(task.schedule)) {
+    // At most one event a day, so the walk stays short; newest are kept by trimming
+    let next = getNextSolarTime(task.schedule, solarLocation, since);
+    while (next && next <= until && steps < MAX_INVOCATION_STEPS) {
+      add(next);
+      next = getNextSolarTime(task.schedule, solarLocation, next);
+    }
+    return newest ? times.slice(-limit) : times.slice(0, limit);
+  } else if (newest) {
+    const interval = cronParser.parseExpression(task.schedule, {
+      currentDate: new Date(until.getTime() + 1),
+      startDate: since,
+      tz: timezone
+    });
+    while (interval.hasPrev() && more()) {
+      add(interval.prev().toDate());
+    }
+    times.reverse();
+  } else {
+    const interval = cronParser.parseExpression(task.schedule, {
+      currentDate: since,
+      endDate: until,
+      tz: timezone
+    });
+    while (interval.hasNext() && more()) {
+      add(interval.next().toDate());
+    }
+  }
+
+  return times;
+}
+
+/**
+ * List the scheduled invocations of a task within a time range, for catch-up
+ * @param {object} task - Registered task
+ * @param {Date} since - Range start (exclusive)
+ * @param {Date} until - Range end (inclusive)
+ * @returns {Array<Date>} Invocation times, oldest first (at most MAX_CATCH_UP_RUNS, newest kept)
+ */
+function getInvocationsBetween(task, since, until) {
+  return listInvocations(task, since, until, MAX_CATCH_UP_RUNS, true);
+}
+
+/**
+ * List the upcoming scheduled runs of every enabled task within a time range
+ * Trigger-only tasks have no scheduled runs; the past part of the range is skipped
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<{task: string, time: Date, device?: string, schedule: string}>} Runs, soonest first
+ * (at most MAX_UPCOMING_RUNS per task)
+ */
+function getUpcomingRuns(from, to) {
+  const since = new Date(Math.max(from.getTime(), Date.now()));
+  if (since >= to) {
+    return [];
+  }
+
+  return getRegisteredTasks()
+    .filter(task => task.job && !isTriggerOnly(task))
+    .flatMap(task => listInvocations(task, since, to, MAX_UPCOMING_RUNS).map(time => ({
+      task: task.name,
+      time,
+      device: task.device,
+      schedule: task.at !== undefined ? `once ${task.at}` : formatSchedule(task.schedule)
+    })))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Read a task's runs from the history store and in-memory history
+ * @param {object} task - Registered task
+ * @returns {Promise<Array<object>>} Execution records
+ */
+async function getRunRecords(task) {
+  const stored = (await readHistory()).filter(record => record.task === task.name);
+  return [...stored, ...task.executionHistory];
+}
+
+/**
+ * Find when a task, or one member of its device group, last actually ran
+ * Runs skipped because the device was disconnected do not count
+ * @param {Array<object>} records - Execution records of the task
+ * @param {string} [member] - Group member whose outcome counts (default: the run as a whole)
+ * @returns {Date|null} Last run start time, or null when it never ran
+ */
+function getLastRunTime(records, member) {
+  const ran = member === undefined
+    ? record => record.code !== 'DEVICE_DISCONNECTED'
+    : record => Boolean(record.devices?.some(entry => entry.device === member && entry.code !== 'DEVICE_DISCONNECTED'));
+  const times = records.filter(ran).map(record => new Date(record.startTime).getTime());
+
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+/**
+ * List the missed runs to replay for a task, per group member for group tasks
+ * A member that was disconnected while the rest of its group ran misses that run on its own
+ * @param {object} task - Registered task
+ * @param {Array<object>} records - Execution records of the task
+ * @param {Date} earliest - Runs before this are too late to replay
+ * @param {Date} now - Current time
+ * @returns {Array<{scheduledFor: Date, members?: string[]}>} Runs to replay, oldest first
+ */
+function findMissedRuns(task, records, earliest, now) {
+  const members = [...new Set(records.flatMap(record => (record.devices || []).map(entry => entry.device)))];
+  const targets = members.length > 0
+    ? members.map(member => ({ member, lastRun: getLastRunTime(records, member) }))
+    : [{ lastRun: getLastRunTime(records) }];
+
+  const runs = new Map();
+  for (const { member, lastRun } of targets) {
+    // Recurring tasks need a previous run to know what was missed; a one-shot task never ran before
+    if (!lastRun && task.at === undefined) {
+      continue;
+    }
+    const since = new Date(Math.max(lastRun ? lastRun.getTime() : 0, earliest.getTime()));
+    const missed = getInvocationsBetween(task, since, now);
+    for (const scheduledFor of task.catchUp === 'runOnce' ? missed.slice(-1) : missed) {
+      const run = runs.get(scheduledFor.getTime()) ?? { scheduledFor };
+      if (member !== undefined) {
+        run.members = [...(run.members || []), member];
+      }
+      runs.set(scheduledFor.getTime(), run);
+    }
+  }
+
+  return [...runs.values()].sort((a, b) => a.scheduledFor - b.scheduledFor);
+}
+
+/**
+ * Replay runs missed while the service was down or the device was disconnected
+ * Follows each task's catchUp policy: 'runOnce' replays the latest missed run,
+ * 'runAll' replays every missed run in order; runs later than maxLateness are dropped
+ * @param {Function} [filter] - Only consider tasks for which filter(task) is true
+ * @returns {Promise<Array<{task: string, runs: number}>>} Tasks that were caught up
+ */
+async function runCatchUp(filter = () => true) {
+  const caughtUp = [];
+  if (!executorCallback) {
+    return caughtUp;
+  }
+
+  for (const task of getRegisteredTasks()) {
+    const policy = task.catchUp || 'none';
+    if (policy === 'none' || (!task.job && !task.ended) || catchingUp.has(task.name) || !filter(task)) {
+      continue;
+    }
+
+    catchingUp.add(task.name);
+    try {
+      const now = new Date();
+      const maxLateness = parseDuration(task.maxLateness ?? DEFAULT_MAX_LATENESS);
+      const replays = findMissedRuns(task, await getRunRecords(task), new Date(now.getTime() - maxLateness - 1), now);
+      if (replays.length === 0) {
+        logger.debug(`No missed runs of ${task.name} to catch up`);
+        continue;
+      }
+
+      logger.info(`Catching up ${replays.length} missed run(s) for task: ${task.name}`);
+
+      for (const replay of replays) {
+        await executorCallback(task, replay);
+      }
+      caughtUp.push({ task: task.name, runs: replays.length });
+
+      if (task.at !== undefined && registeredTasks.get(task.name) === task) {
+        await finishOneShotTask(task.name, task.afterRun);
+      }
+    } catch (error) {
+      logger.error(`Catch-up failed for task ${task.name}: ${error.message}`);
+    } finally {
+      catchingUp.delete(task.name);
+    }
+  }
+
+  return caughtUp;
+}
+
 export {
   registerTask,
   getRegisteredTasks,
   getNextRunTimes,
+  getUpcomingRuns,
+  resolveTimezone,
   clearTasks,
   startScheduler,
   stopScheduler,
@@ -476,5 +1167,6 @@ export {
   setTaskEnabled,
   addTask,
   updateTaskConfig,
-  removeTask
+  removeTask,
+  runCatchUp
 };
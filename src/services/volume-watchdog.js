@@ -0,0 +1,123 @@
+/**
+ * Volume Watchdog Service
+ * Holds the media volume of devices with a configured `maxVolume` (percentage of
+ * the device's range) at or below that limit. Each poll that finds a device above
+ * its limit turns it down and broadcasts:
+ *   status:device:volume:limited  { device, level, limit, max }
+ * set-volume caps the level it sends with capVolumeLevel, so the watchdog only
+ * corrects changes made on the device itself
+ */
+import { readVolume, setVolume } from './device-state.js';
+import { getDevice } from './adb-client.js';
+import { emitEvent } from '../web/websocket/broadcaster.js';
+import { logger } from '../utils/logger.js';
+
+// Default time between polls
+const DEFAULT_INTERVAL = 5000;
+
+// maxVolume percentage per device name
+let volumeLimits = new Map();
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Highest volume step a device may use
+ * @param {number} percent - Configured maxVolume
+ * @param {number} max - Maximum volume step of the device
+ * @returns {number}
+ */
+function limitLevel(percent, max) {
+  return Math.floor((max * percent) / 100);
+}
+
+/**
+ * Cap a volume step at the limit of the device it is sent to
+ * @param {object} device - ADB device object, as returned by getDevice
+ * @param {number} level - Requested volume step
+ * @param {number} max - Maximum volume step of the device
+ * @returns {{level: number, limit: number|null}} Step to send, and the device's limit (null without one)
+ */
+function capVolumeLevel(device, level, max) {
+  for (const [name, percent] of volumeLimits) {
+    if (getDevice(name) === device) {
+      const limit = limitLevel(percent, max);
+      return { level: Math.min(level, limit), limit };
+    }
+  }
+  return { level, limit: null };
+}
+
+/**
+ * Turn down every connected device that is above its limit
+ * A device that cannot be read or set is retried on the next poll
+ * @returns {Promise<void>}
+ */
+async function enforceVolumeLimits() {
+  for (const [name, percent] of volumeLimits) {
+    const device = getDevice(name);
+    if (!device) {
+      continue;
+    }
+
+    try {
+      const { level, max } = await readVolume(device);
+      const limit = limitLevel(percent, max);
+      if (level <= limit) {
+        continue;
+      }
+
+      await setVolume(device, limit);
+      logger.info(`Volume on ${name} lowered from ${level} to its limit of ${limit}`);
+      emitEvent('status:device:volume:limited', { device: name, level, limit, max });
+    } catch (error) {
+      logger.debug(`Volume watchdog could not check ${name}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Start enforcing volume limits
+ * Does nothing when no device has a limit
+ * @param {object} [options={}] - Watchdog options
+ * @param {Array<{name: string, maxVolume?: number}>} [options.devices=[]] - Configured devices
+ * @param {number} [options.interval=5000] - Time between polls in ms
+ */
+function startVolumeWatchdog({ devices = [], interval = DEFAULT_INTERVAL } = {}) {
+  stopVolumeWatchdog();
+
+  volumeLimits = new Map(devices
+    .filter(device => device.maxVolume !== undefined)
+    .map(device => [device.name, device.maxVolume]));
+  if (volumeLimits.size === 0) {
+    return;
+  }
+
+  pollTimer = setInterval(async () => {
+    if (polling) {
+      return;
+    }
+
+    polling = true;
+    try {
+      await enforceVolumeLimits();
+    } finally {
+      polling = false;
+    }
+  }, interval);
+
+  logger.info(`Volume watchdog enforcing limits on ${[...volumeLimits.keys()].join(', ')}`);
+}
+
+/**
+ * Stop enforcing volume limits
+ */
+function stopVolumeWatchdog() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  volumeLimits = new Map();
+}
+
+export { startVolumeWatchdog, stopVolumeWatchdog, enforceVolumeLimits, capVolumeLevel };
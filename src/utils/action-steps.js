@@ -0,0 +1,185 @@
+/**
+ * Action Steps Module
+ * Helpers for task action chains that contain control blocks
+ * Blocks hold nested steps:
+ *   { type: 'if', condition, then: [...], else: [...] }
+ *   { type: 'repeat', times, until, steps: [...] }
+ *   { type: 'forEach', items: [...], as, steps: [...] }
+ * Any step may carry an `id`; top-level ids are the targets of onError "goto"
+ */
+import { getAction } from '../actions/index.js';
+import { validateCondition } from './conditions.js';
+import { getNextTimeOfDay } from './timezone.js';
+import { renderValue } from './template.js';
+import { POLICY_FIELDS, findPolicyErrors } from './run-policy.js';
+
+// Step types handled by the executor itself rather than the action registry
+const BLOCK_TYPES = ['if', 'repeat', 'forEach'];
+
+// Upper bound of iterations of a single repeat or forEach block
+const MAX_LOOP_ITERATIONS = 100;
+
+// Loop variable names usable as ${name} in nested steps
+const LOOP_VARIABLE_PATTERN = /^[A-Za-z_]\w*$/;
+
+// Template variables provided by the run, which loop variables may not shadow
+const RESERVED_VARIABLES = ['params', 'env', 'parent', 'trigger'];
+
+/**
+ * Check whether a step is a control block
+ * @param {object} step - Action chain step
+ * @returns {boolean}
+ */
+function isBlock(step) {
+  return BLOCK_TYPES.includes(step?.type);
+}
+
+/**
+ * Get the nested step lists of a block
+ * @param {object} step - Control block
+ * @returns {Array<[string, Array<object>]>} [branch name, steps] pairs
+ */
+function getBranches(step) {
+  if (step.type === 'if') {
+    return [['then', step.then || []], ['else', step.else || []]];
+  }
+  if (step.type === 'repeat' || step.type === 'forEach') {
+    return [['steps', step.steps || []]];
+  }
+  return [];
+}
+
+/**
+ * Substitute template variables in a step's own parameters
+ * Nested step lists are left alone; they are rendered when they run
+ * @param {object} step - Action or block
+ * @param {object} variables - Template variables (e.g. the forEach item)
+ * @returns {object} Rendered copy of the step
+ */
+function renderStep(step, variables) {
+  const nested = getBranches(step).map(([branch]) => branch);
+  return Object.fromEntries(Object.entries(step).map(([key, value]) => [
+    key,
+    key === 'type' || nested.includes(key) ? value : renderValue(value, variables)
+  ]));
+}
+
+/**
+ * Validate the fields of a loop block (not its nested steps)
+ * @param {object} step - repeat or forEach block
+ * @param {string} path - Path of the block
+ * @returns {Array<{path: string, message: string, value: *}>} Validation errors
+ */
+function findLoopErrors(step, path) {
+  const errors = [];
+
+  if (step.type === 'repeat') {
+    if (step.times === undefined && step.until === undefined) {
+      errors.push({ path, message: 'A repeat step needs times or until', value: step.type });
+    }
+    if (step.times !== undefined && (!Number.isInteger(step.times) || step.times < 1 || step.times > MAX_LOOP_ITERATIONS)) {
+      errors.push({ path: `${path}/times`, message: `times must be an integer from 1 to ${MAX_LOOP_ITERATIONS}`, value: step.times });
+    }
+    if (step.until !== undefined && !getNextTimeOfDay(step.until, 'UTC')) {
+      errors.push({ path: `${path}/until`, message: 'until must be a time of day (HH:mm)', value: step.until });
+    }
+  } else {
+    if (!Array.isArray(step.items) || step.items.length === 0 || step.items.length > MAX_LOOP_ITERATIONS) {
+      errors.push({ path: `${path}/items`, message: `items must be a list of 1 to ${MAX_LOOP_ITERATIONS} values`, value: step.items });
+    }
+    if (step.as !== undefined && !LOOP_VARIABLE_PATTERN.test(step.as)) {
+      errors.push({ path: `${path}/as`, message: 'as must be a variable name', value: step.as });
+    } else if (RESERVED_VARIABLES.includes(step.as)) {
+      errors.push({ path: `${path}/as`, message: `as cannot be one of ${RESERVED_VARIABLES.join(', ')}`, value: step.as });
+    }
+  }
+
+  if (!Array.isArray(step.steps) || step.steps.length === 0) {
+    errors.push({ path: `${path}/steps`, message: `A ${step.type} step needs at least one step`, value: step.steps });
+  }
+
+  return errors;
+}
+
+/**
+ * List every step of a chain, including steps nested in blocks
+ * @param {Array<object>} steps - Action chain
+ * @param {string} [basePath=''] - Path prefix, e.g. '/tasks/0/actions'
+ * @returns {Array<{step: object, path: string}>} Steps in execution order with JSON-pointer style paths
+ */
+function flattenSteps(steps, basePath = '') {
+  const flat = [];
+
+  (steps || []).forEach((step, index) => {
+    const path = `${basePath}/${index}`;
+    flat.push({ step, path });
+    if (isBlock(step)) {
+      for (const [branch, nested] of getBranches(step)) {
+        flat.push(...flattenSteps(nested, `${path}/${branch}`));
+      }
+    }
+  });
+
+  return flat;
+}
+
+/**
+ * Validate the step types and block structure of an action chain
+ * @param {Array<object>} steps - Action chain
+ * @param {string} [basePath=''] - Path prefix for error paths
+ * @returns {Array<{path: string, message: string, value: *}>} Validation errors
+ */
+function findStepErrors(steps, basePath = '') {
+  const errors = [];
+  const flat = flattenSteps(steps, basePath);
+  const topLevelIds = (steps || []).map(step => step.id);
+  const seenIds = new Set();
+
+  for (const { step, path } of flat) {
+    if (step.id !== undefined) {
+      if (typeof step.id !== 'string' || step.id === '') {
+        errors.push({ path: `${path}/id`, message: 'Step id must be a non-empty string', value: step.id });
+      } else if (seenIds.has(step.id)) {
+        errors.push({ path: `${path}/id`, message: `Duplicate step id: ${step.id}`, value: step.id });
+      }
+      seenIds.add(step.id);
+    }
+
+    if (isBlock(step)) {
+      const unsupported = POLICY_FIELDS.find(field => step[field] !== undefined);
+      if (unsupported) {
+        errors.push({ path: `${path}/${unsupported}`, message: `${unsupported} is not supported on ${step.type} steps`, value: step[unsupported] });
+      }
+    } else {
+      errors.push(...findPolicyErrors(step, path));
+      if (step.onError === 'goto' && typeof step.goto === 'string') {
+        // Jumps only go forward, to a top-level step after the one containing this step
+        const ownIndex = Number(path.slice(basePath.length + 1).split('/')[0]);
+        const target = topLevelIds.indexOf(step.goto);
+        if (target === -1) {
+          errors.push({ path: `${path}/goto`, message: `Unknown step id: ${step.goto}`, value: step.goto });
+        } else if (target <= ownIndex) {
+          errors.push({ path: `${path}/goto`, message: `goto must point to a later top-level step: ${step.goto}`, value: step.goto });
+        }
+      }
+    }
+
+    if (step.type === 'if') {
+      const conditionError = validateCondition(step.condition);
+      if (conditionError) {
+        errors.push({ path: `${path}/condition`, message: conditionError, value: step.condition });
+      }
+      if (!Array.isArray(step.then) || step.then.length === 0) {
+        errors.push({ path: `${path}/then`, message: 'An if step needs at least one step in then', value: step.then });
+      }
+    } else if (step.type === 'repeat' || step.type === 'forEach') {
+      errors.push(...findLoopErrors(step, path));
+    } else if (!getAction(step.type)) {
+      errors.push({ path: `${path}/type`, message: `Unknown action type: ${step.type}`, value: step.type });
+    }
+  }
+
+  return errors;
+}
+
+export { BLOCK_TYPES, MAX_LOOP_ITERATIONS, isBlock, getBranches, renderStep, flattenSteps, findStepErrors };
@@ -0,0 +1,80 @@
+/**
+ * Condition Module
+ * Validates and matches conditions on device-state probes, as used by `if` steps
+ * e.g. { "probe": "power", "notEquals": "awake" }
+ */
+
+// Device-state probes a condition can test (read by services/device-state.js)
+const PROBES = ['power', 'foreground', 'volume'];
+
+// Comparison operators; a condition uses exactly one
+const CONDITION_OPERATORS = ['equals', 'notEquals', 'in', 'above', 'below'];
+
+/**
+ * Validate a condition
+ * @param {object} condition - Condition with a probe and one operator
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCondition(condition) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return 'Condition must be an object';
+  }
+
+  if (!PROBES.includes(condition.probe)) {
+    return `Unknown probe: ${condition.probe} (expected one of ${PROBES.join(', ')})`;
+  }
+
+  const operators = CONDITION_OPERATORS.filter(operator => condition[operator] !== undefined);
+  if (operators.length !== 1) {
+    return `Condition needs exactly one of ${CONDITION_OPERATORS.join(', ')}`;
+  }
+
+  const [operator] = operators;
+  if (operator === 'in' && !Array.isArray(condition.in)) {
+    return 'Condition operator "in" expects an array';
+  }
+  if ((operator === 'above' || operator === 'below') && typeof condition[operator] !== 'number') {
+    return `Condition operator "${operator}" expects a number`;
+  }
+
+  return null;
+}
+
+/**
+ * Match a probed value against a condition
+ * Values are compared as strings, except for the numeric above/below operators
+ * @param {string|number|null} value - Probed value
+ * @param {object} condition - Valid condition
+ * @returns {boolean}
+ */
+function matchCondition(value, condition) {
+  const same = expected => value !== null && String(value) === String(expected);
+
+  if (condition.equals !== undefined) {
+    return same(condition.equals);
+  }
+  if (condition.notEquals !== undefined) {
+    return !same(condition.notEquals);
+  }
+  if (condition.in !== undefined) {
+    return condition.in.some(same);
+  }
+  if (condition.above !== undefined) {
+    return value !== null && Number(value) > condition.above;
+  }
+  return value !== null && Number(value) < condition.below;
+}
+
+/**
+ * Describe a condition for logs and the web UI
+ * @param {object} condition - Valid condition
+ * @returns {string} e.g. "power != awake"
+ */
+function describeCondition(condition) {
+  const symbols = { equals: '=', notEquals: '!=', in: 'in', above: '>', below: '<' };
+  const operator = CONDITION_OPERATORS.find(op => condition[op] !== undefined);
+  const expected = Array.isArray(condition[operator]) ? condition[operator].join(', ') : condition[operator];
+  return `${condition.probe} ${symbols[operator]} ${expected}`;
+}
+
+export { PROBES, CONDITION_OPERATORS, validateCondition, matchCondition, describeCondition };
@@ -5,11 +5,17 @@
 import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import Ajv from 'ajv';
+import Ajv from 'ajv/dist/2019.js';
 import addFormats from 'ajv-formats';
 import { logger } from './logger.js';
-import { validateCronExpression } from './cron-validator.js';
-import { getAction } from '../actions/index.js';
+import { validateSchedule, isSolarSchedule, validateTaskTiming, normalizeSchedule } from './cron-validator.js';
+import { validateTimezone } from './timezone.js';
+import { findStepErrors, flattenSteps } from './action-steps.js';
+import { findParamErrors } from './task-params.js';
+import { findTaskPolicyErrors } from './run-policy.js';
+import { findHookErrors } from './task-hooks.js';
+import { validateTrigger } from './triggers.js';
+import { DEFAULT_DEVICE_NAME } from '../constants/devices.js';
 
 import { readFileSync } from 'fs';
 
@@ -21,7 +27,7 @@ const schemaPath = join(__dirname, '../../schemas/config.schema.json');
 const schema = JSON.parse(readFileSync(schemaPath, 'utf8'));
 
 // Initialize ajv with formats support
-const ajv = new Ajv({ allErrors: true, verbose: true });
+const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
 addFormats(ajv);
 const validate = ajv.compile(schema);
 
@@ -72,7 +78,25 @@ function validateConfig(config) {
 }
 
 /**
- * Validate tasks configuration (cron expressions and action types)
+ * Normalize device configuration into a list of named devices
+ * A single `device` object becomes one device named 'default'
+ * @param {object} config - Configuration object
+ * @returns {Array<{name: string, ip: string, port: number, maxVolume?: number}>} Devices, default device first
+ */
+function getConfiguredDevices(config) {
+  if (Array.isArray(config.devices) && config.devices.length > 0) {
+    return config.devices.map(({ name, ip, port, maxVolume }) => ({ name, ip, port, maxVolume }));
+  }
+  if (config.device) {
+    const { name = DEFAULT_DEVICE_NAME, ip, port, maxVolume } = config.device;
+    return [{ name, ip, port, maxVolume }];
+  }
+  return [];
+}
+
+/**
+ * Validate tasks configuration (cron/solar schedules, one-shot times, event triggers, date windows,
+ * timezones, action types, device and group references) and the uniqueness of device names
  * @param {object} config - Configuration object with tasks array
  * @returns {object} Validation result with valid flag and errors array
  */
@@ -83,32 +107,158 @@ function validateTasks(config) {
     return { valid: true, errors: [] };
   }
 
+  const devices = getConfiguredDevices(config);
+  const deviceNames = new Set(devices.map(device => device.name));
+  const groups = config.groups || {};
+  const taskNames = config.tasks.map(task => task.name);
+
+  // Device names must be unique: a second entry would take over the first one's connection
+  devices.forEach(({ name }, index) => {
+    if (devices.findIndex(device => device.name === name) !== index) {
+      errors.push({
+        path: `/devices/${index}/name`,
+        message: `Duplicate device name: ${name}`,
+        value: name
+      });
+    }
+  });
+
+  // Validate group members and keep group names distinct from device names
+  for (const [groupName, members] of Object.entries(groups)) {
+    if (deviceNames.has(groupName)) {
+      errors.push({
+        path: `/groups/${groupName}`,
+        message: `Group name conflicts with device name: ${groupName}`,
+        value: groupName
+      });
+    }
+    for (const member of members) {
+      if (!deviceNames.has(member)) {
+        errors.push({
+          path: `/groups/${groupName}`,
+          message: `Unknown device in group: ${member}`,
+          value: member
+        });
+      }
+    }
+  }
+
+  // Validate global default timezone
+  if (config.timezone) {
+    const tzResult = validateTimezone(config.timezone);
+    if (!tzResult.valid) {
+      errors.push({
+        path: '/timezone',
+        message: tzResult.error,
+        value: config.timezone
+      });
+    }
+  }
+
   for (let i = 0; i < config.tasks.length; i++) {
     const task = config.tasks[i];
 
-    // Validate cron expression
-    const cronResult = validateCronExpression(task.schedule);
-    if (!cronResult.valid) {
+    // Validate task timezone
+    if (task.timezone) {
+      const tzResult = validateTimezone(task.timezone);
+      if (!tzResult.valid) {
+        errors.push({
+          path: `/tasks/${i}/timezone`,
+          message: tzResult.error,
+          value: task.timezone
+        });
+      }
+    }
+
+    // Validate device reference (tasks may target a group, actions may not)
+    if (task.device && !deviceNames.has(task.device) && !Object.hasOwn(groups, task.device)) {
+      errors.push({
+        path: `/tasks/${i}/device`,
+        message: `Unknown device: ${task.device}`,
+        value: task.device
+      });
+    }
+
+    // Validate exclusion calendar references
+    for (const calendar of task.skipOn || []) {
+      if (!Object.hasOwn(config.calendars || {}, calendar)) {
+        errors.push({
+          path: `/tasks/${i}/skipOn`,
+          message: `Unknown calendar: ${calendar}`,
+          value: calendar
+        });
+      }
+    }
+
+    // Validate one-shot time and date window (resolved in the task's timezone)
+    const timing = validateTaskTiming(task, task.timezone || config.timezone);
+    if (!timing.valid) {
       errors.push({
-        path: `/tasks/${i}/schedule`,
-        message: `Invalid cron expression: ${cronResult.error}`,
-        value: task.schedule
+        path: `/tasks/${i}`,
+        message: timing.error,
+        value: task.name
       });
     }
 
-    // Validate action types
+    // Validate schedule (cron expression or solar schedule; one-shot and trigger-only tasks have none)
+    if (task.at === undefined && isSolarSchedule(task.schedule)) {
+      const solarResult = validateSchedule(task.schedule);
+      if (!solarResult.valid) {
+        errors.push({
+          path: `/tasks/${i}/schedule`,
+          message: solarResult.error,
+          value: task.schedule
+        });
+      } else if (!config.location) {
+        errors.push({
+          path: `/tasks/${i}/schedule`,
+          message: 'Solar schedules require location latitude and longitude in config',
+          value: task.schedule
+        });
+      }
+    } else if (task.at === undefined && (task.schedule !== undefined || task.trigger === undefined)) {
+      const cronResult = validateSchedule(task.schedule);
+      if (!cronResult.valid) {
+        errors.push({
+          path: `/tasks/${i}/schedule`,
+          message: `Invalid cron expression: ${cronResult.error}`,
+          value: task.schedule
+        });
+      }
+    }
+
+    // Validate the event trigger and its device filter
+    if (task.trigger !== undefined) {
+      const triggerError = validateTrigger(task.trigger);
+      if (triggerError) {
+        errors.push({ path: `/tasks/${i}/trigger`, message: triggerError, value: task.trigger });
+      } else if (task.trigger.device && !deviceNames.has(task.trigger.device)) {
+        errors.push({ path: `/tasks/${i}/trigger/device`, message: `Unknown device: ${task.trigger.device}`, value: task.trigger.device });
+      }
+    }
+
+    // Validate action types, if conditions and device references (including nested steps)
     if (task.actions && Array.isArray(task.actions)) {
-      for (let j = 0; j < task.actions.length; j++) {
-        const action = task.actions[j];
-        if (!getAction(action.type)) {
+      errors.push(...findStepErrors(task.actions, `/tasks/${i}/actions`));
+      for (const { step, path } of flattenSteps(task.actions, `/tasks/${i}/actions`)) {
+        if (step.device && !deviceNames.has(step.device)) {
           errors.push({
-            path: `/tasks/${i}/actions/${j}/type`,
-            message: `Unknown action type: ${action.type}`,
-            value: action.type
+            path: `${path}/device`,
+            message: `Unknown device: ${step.device}`,
+            value: step.device
           });
         }
       }
     }
+
+    // Validate params declarations and check that ${params.*} references are declared
+    errors.push(...findParamErrors(task, `/tasks/${i}`));
+
+    // Validate task-wide retry, timeout and onError settings
+    errors.push(...findTaskPolicyErrors(task, `/tasks/${i}`));
+
+    // Validate the tasks started by onSuccess and onFailure
+    errors.push(...findHookErrors(task, taskNames, `/tasks/${i}`));
   }
 
   return {
@@ -120,7 +270,7 @@ function validateTasks(config) {
 /**
  * Load configuration with environment variable support
  * Resolves config path from ATV_CONFIG_PATH or defaults to ./config.json
- * Applies device overrides from ATV_DEVICE_IP and ATV_DEVICE_PORT
+ * Applies default device overrides from ATV_DEVICE_IP and ATV_DEVICE_PORT
  * @param {string} [filePath] - Optional specific config file path to load
  * @returns {object} Loaded and merged configuration object
  */
@@ -130,18 +280,30 @@ async function loadConfig(filePath) {
 
   const config = await loadConfigFile(configPath);
 
-  if (process.env.ATV_DEVICE_IP) {
-    config.device.ip = process.env.ATV_DEVICE_IP;
-    logger.debug(`Device IP overridden to ${config.device.ip}`);
+  // Overrides apply to the default device (single `device` or first of `devices`)
+  const defaultDevice = Array.isArray(config.devices) && config.devices.length > 0
+    ? config.devices[0]
+    : config.device;
+
+  if (process.env.ATV_DEVICE_IP && defaultDevice) {
+    defaultDevice.ip = process.env.ATV_DEVICE_IP;
+    logger.debug(`Device IP overridden to ${defaultDevice.ip}`);
   }
 
-  if (process.env.ATV_DEVICE_PORT) {
-    config.device.port = parseInt(process.env.ATV_DEVICE_PORT, 10);
-    logger.debug(`Device port overridden to ${config.device.port}`);
+  if (process.env.ATV_DEVICE_PORT && defaultDevice) {
+    defaultDevice.port = parseInt(process.env.ATV_DEVICE_PORT, 10);
+    logger.debug(`Device port overridden to ${defaultDevice.port}`);
+  }
+
+  // 5-field expressions and macros are handed on as 6-field expressions (invalid ones are kept for validation to report)
+  for (const task of Array.isArray(config.tasks) ? config.tasks : []) {
+    if (validateSchedule(task?.schedule).valid) {
+      task.schedule = normalizeSchedule(task.schedule);
+    }
   }
 
   logger.debug('Configuration loaded from config.json');
   return config;
 }
 
-export { loadConfigFile, validateConfig, validateTasks, loadConfig };
+export { loadConfigFile, validateConfig, validateTasks, loadConfig, getConfiguredDevices };
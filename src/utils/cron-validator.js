@@ -1,12 +1,56 @@
 /**
  * Cron Expression Validator Module
- * Validates 6-field cron expressions using node-schedule
+ * Validates cron expressions using node-schedule, solar schedules,
+ * one-shot run times and active date windows, and previews cron expressions
+ * as upcoming run times and an English description
  */
 import schedule from 'node-schedule';
+import cronParser from 'cron-parser';
+import { SOLAR_EVENTS, parseOffset, getNextSolarTime } from './solar.js';
+import { parseDateTimeInTimezone } from './timezone.js';
+
+// Named schedules and the 6-field expression each one stands for
+const CRON_MACROS = {
+  '@yearly': '0 0 0 1 1 *',
+  '@annually': '0 0 0 1 1 *',
+  '@monthly': '0 0 0 1 * *',
+  '@weekly': '0 0 0 * * 0',
+  '@daily': '0 0 0 * * *',
+  '@midnight': '0 0 0 * * *',
+  '@hourly': '0 0 * * * *',
+  '@weekdays': '0 0 0 * * 1-5',
+  '@weekends': '0 0 0 * * 0,6'
+};
+
+/**
+ * Normalize a cron expression to 6 fields
+ * A 5-field crontab line runs at second 0; a macro such as @daily is expanded
+ * @param {string} expression - 5- or 6-field cron expression or macro
+ * @returns {string} 6-field expression (anything unrecognized is returned trimmed, for validation to reject)
+ */
+function normalizeCronExpression(expression) {
+  const trimmed = expression.trim();
+  const macro = CRON_MACROS[trimmed.toLowerCase()];
+  if (macro) {
+    return macro;
+  }
+
+  const fields = trimmed.split(/\s+/);
+  return fields.length === 5 ? `0 ${fields.join(' ')}` : trimmed;
+}
+
+/**
+ * Normalize a task schedule: cron strings become 6-field expressions, solar schedules are kept
+ * @param {string|object} taskSchedule - Task schedule
+ * @returns {string|object} Normalized schedule
+ */
+function normalizeSchedule(taskSchedule) {
+  return typeof taskSchedule === 'string' ? normalizeCronExpression(taskSchedule) : taskSchedule;
+}
 
 /**
  * Validate a cron expression
- * @param {string} expression - 6-field cron expression
+ * @param {string} expression - 5- or 6-field cron expression or macro (e.g. @daily)
  * @returns {object} { valid: true, nextRun: Date } or { valid: false, error: string }
  */
 function validateCronExpression(expression) {
@@ -19,17 +63,24 @@ function validateCronExpression(expression) {
     return { valid: false, error: 'Cron expression must be a non-empty string' };
   }
 
-  // Enforce 6-field cron format (with seconds)
+  if (trimmed.startsWith('@') && !CRON_MACROS[trimmed.toLowerCase()]) {
+    return {
+      valid: false,
+      error: `Unknown cron macro: ${trimmed} (expected one of ${Object.keys(CRON_MACROS).join(', ')})`
+    };
+  }
+
+  // 6-field cron format (with seconds), or 5 fields without
   const fields = trimmed.split(/\s+/);
-  if (fields.length !== 6) {
+  if (!trimmed.startsWith('@') && fields.length !== 5 && fields.length !== 6) {
     return {
       valid: false,
-      error: `Invalid cron expression: expected 6 fields (with seconds), got ${fields.length}`
+      error: `Invalid cron expression: expected 5 or 6 fields, got ${fields.length}`
     };
   }
 
   try {
-    const job = schedule.scheduleJob(trimmed, () => {});
+    const job = schedule.scheduleJob(normalizeCronExpression(trimmed), () => {});
     if (job) {
       const nextRun = job.nextInvocation();
       job.cancel();
@@ -46,7 +97,7 @@ function validateCronExpression(expression) {
 
 /**
  * Get the next run time for a cron expression
- * @param {string} expression - 6-field cron expression
+ * @param {string} expression - 5- or 6-field cron expression or macro
  * @returns {Date|null} Next run time or null if invalid
  */
 function getNextRunTime(expression) {
@@ -54,4 +105,349 @@ function getNextRunTime(expression) {
   return result.valid ? result.nextRun : null;
 }
 
-export { validateCronExpression, getNextRunTime };
+/**
+ * Get the next run times of a cron expression
+ * @param {string} expression - 5- or 6-field cron expression or macro
+ * @param {number} [count=5] - Number of run times
+ * @param {string} [timezone] - IANA timezone the expression runs in (defaults to the host timezone)
+ * @param {Date} [from=new Date()] - Time to start from
+ * @returns {Date[]} Up to count run times, empty if the expression is invalid
+ */
+function getNextRunTimes(expression, count = 5, timezone, from = new Date()) {
+  if (!validateCronExpression(expression).valid) {
+    return [];
+  }
+
+  const times = [];
+  try {
+    const interval = cronParser.parseExpression(normalizeCronExpression(expression), { currentDate: from, tz: timezone });
+    while (times.length < count && interval.hasNext()) {
+      times.push(interval.next().toDate());
+    }
+  } catch {
+    // An expression that never matches (e.g. 30 February) ends the list early
+  }
+  return times;
+}
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Ordinals of the nth-weekday (#) values, e.g. 1#2 for the second Monday
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth'];
+
+// Cron fields after the seconds, minutes and hours: unit name, value names and the name offset
+const DATE_FIELDS = {
+  dayOfMonth: { unit: 'day' },
+  month: { unit: 'month', names: MONTH_NAMES, first: 1 },
+  dayOfWeek: { unit: 'day of the week', names: WEEKDAY_NAMES, first: 0 }
+};
+
+/**
+ * Turn one value of a cron field into a number or name
+ * @param {string} value - Field value, e.g. "5", "MON" or "jan"
+ * @param {{names?: string[], first?: number}} [field={}] - Named values of the field
+ * @returns {string|null} The value as written in a description, or null if unrecognized
+ */
+function formatCronValue(value, field = {}) {
+  if (/^\d+$/.test(value)) {
+    const number = Number(value);
+    if (!field.names) {
+      return String(number);
+    }
+    // Sunday may be written as 0 or 7
+    return field.names[(number - field.first) % field.names.length] ?? null;
+  }
+  const name = field.names?.find(candidate => candidate.slice(0, 3).toLowerCase() === value.toLowerCase());
+  return name ?? null;
+}
+
+/**
+ * Join words as an English list
+ * @param {string[]} words - Words to join
+ * @returns {string} e.g. "1, 15 and 30"
+ */
+function joinWords(words) {
+  return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words[0];
+}
+
+/**
+ * Describe one cron field as a noun phrase
+ * @param {string} value - Field value, e.g. "*", "*\/15", "1-5" or "0,30"
+ * @param {{unit: string, names?: string[], first?: number}} field - Field unit and value names
+ * @returns {string|null} e.g. "every 15 minutes", "Monday through Friday" or "hours 7 and 19", or null if unrecognized
+ */
+function describeCronField(value, field) {
+  const { unit, names } = field;
+  const plural = unit.replace(/^(\w+)/, '$1s');
+
+  if (value === '*') {
+    return `every ${unit}`;
+  }
+
+  const step = value.match(/^(.+)\/(\d+)$/);
+  if (step) {
+    const [, base, every] = step;
+    if (base === '*') {
+      return `every ${every} ${plural}`;
+    }
+    const range = base.split('-').map(part => formatCronValue(part, field));
+    if (range.includes(null) || range.length > 2) {
+      return null;
+    }
+    return range.length === 2
+      ? `every ${every} ${plural} from ${range[0]} through ${range[1]}`
+      : `every ${every} ${plural} starting at ${range[0]}`;
+  }
+
+  const items = value.split(',').map((item) => {
+    const range = item.split('-').map(part => formatCronValue(part, field));
+    if (range.includes(null) || range.length > 2) {
+      return null;
+    }
+    return range.join(' through ');
+  });
+  if (items.includes(null)) {
+    return null;
+  }
+
+  const single = items.length === 1 && !value.includes('-');
+  if (names) {
+    return joinWords(items);
+  }
+  return `${single ? unit : plural} ${joinWords(items)}`;
+}
+
+/**
+ * Describe the time of day part of a cron expression
+ * Fields above the highest restricted one are left out, as is a seconds field of 0
+ * @param {string} second - Seconds field
+ * @param {string} minute - Minutes field
+ * @param {string} hour - Hours field
+ * @returns {string|null} e.g. "At 07:30:00", "Every 15 minutes" or "At minute 30 of every 2 hours"
+ */
+function describeCronTime(second, minute, hour) {
+  const fixed = [second, minute, hour].every(field => /^\d+(,\d+)*$/.test(field));
+  if (fixed) {
+    const pad = value => value.padStart(2, '0');
+    const times = hour.split(',').flatMap(h => minute.split(',').flatMap(m => second.split(',').map(s => `${pad(h)}:${pad(m)}:${pad(s)}`)));
+    if (times.length <= 6) {
+      return `At ${joinWords(times)}`;
+    }
+  }
+
+  const fields = [[second, 'second'], [minute, 'minute'], [hour, 'hour']];
+  const highest = fields.map(([value]) => value).findLastIndex(value => value !== '*');
+  const parts = fields
+    .filter(([value], index) => index <= highest && !(index === 0 && value === '0'))
+    .map(([value, unit]) => describeCronField(value, { unit }));
+
+  if (parts.includes(null)) {
+    return null;
+  }
+  if (parts.length === 0) {
+    return second === '0' ? 'Every minute' : 'Every second';
+  }
+
+  const text = parts.join(' of ');
+  return text.startsWith('every') ? `E${text.slice(1)}` : `At ${text}`;
+}
+
+/**
+ * Describe a day field that uses last-day (L) or nth-weekday (#) values
+ * @param {string} value - Day-of-month or day-of-week field, e.g. "L", "1,L", "5L" or "1#2"
+ * @param {{names?: string[], first?: number}} field - Field value names
+ * @returns {string|null} e.g. "the last day", "day 1 and the last day" or "the second Monday", or null for other values
+ */
+function describeMonthlyDays(value, field) {
+  if (!/[L#]/.test(value)) {
+    return null;
+  }
+  const items = value.split(',').map((item) => {
+    if (!field.names) {
+      if (item === 'L') {
+        return 'the last day';
+      }
+      return /^\d+$/.test(item) ? `day ${Number(item)}` : null;
+    }
+    const match = item.match(/^(\w+)(?:L|#([1-5]))$/);
+    const name = match && formatCronValue(match[1], field);
+    if (!name) {
+      return null;
+    }
+    return `the ${match[2] ? ORDINALS[match[2] - 1] : 'last'} ${name}`;
+  });
+  return items.includes(null) ? null : joinWords(items);
+}
+
+/**
+ * Describe the fields of a valid 6-field cron expression
+ * @param {string} expression - 6-field cron expression
+ * @returns {string|null} Description, or null if a field is not describable
+ */
+function describeCronFields(expression) {
+  const [second, minute, hour, dayOfMonth, month, dayOfWeek] = expression.split(/\s+/);
+  const time = describeCronTime(second, minute, hour);
+  if (!time) {
+    return null;
+  }
+
+  const days = [];
+  for (const [value, field] of [[dayOfMonth, DATE_FIELDS.dayOfMonth], [dayOfWeek, DATE_FIELDS.dayOfWeek]]) {
+    if (value === '*' || value === '?') {
+      continue;
+    }
+    const monthly = describeMonthlyDays(value, field);
+    if (monthly) {
+      days.push(`on ${monthly} of the month`);
+      continue;
+    }
+    const text = describeCronField(value, field);
+    if (!text) {
+      return null;
+    }
+    if (text.startsWith('every')) {
+      days.push(text);
+    } else {
+      days.push(field.names ? `on ${text}` : `on ${text} of the month`);
+    }
+  }
+
+  let description = time;
+  if (days.length > 0) {
+    // cron runs on either day field when both are restricted
+    description += ` ${days.join(' or ')}`;
+  }
+  if (month !== '*') {
+    const text = describeCronField(month, DATE_FIELDS.month);
+    if (!text) {
+      return null;
+    }
+    description += ` in ${text}`;
+  }
+  return description;
+}
+
+/**
+ * Describe a cron expression in English
+ * A valid expression this cannot put into words (e.g. a step inside a list) is returned as written
+ * @param {string} expression - 5- or 6-field cron expression or macro
+ * @returns {string|null} e.g. "At 07:30:00 on Monday through Friday", or null if invalid
+ */
+function describeCronExpression(expression) {
+  if (!validateCronExpression(expression).valid) {
+    return null;
+  }
+  return describeCronFields(normalizeCronExpression(expression)) ?? expression.trim();
+}
+
+/**
+ * Check whether a schedule is a solar schedule object
+ * @param {string|object} taskSchedule - Task schedule
+ * @returns {boolean}
+ */
+function isSolarSchedule(taskSchedule) {
+  return Boolean(taskSchedule) && typeof taskSchedule === 'object' && 'solar' in taskSchedule;
+}
+
+/**
+ * Validate a solar schedule such as { solar: 'sunset', offset: '+30m' }
+ * @param {{solar: string, offset?: string}} solarSchedule - Solar schedule
+ * @param {{latitude: number, longitude: number}} [location] - Location used to compute the next run
+ * @returns {object} { valid: true, nextRun: Date|null } or { valid: false, error: string }
+ */
+function validateSolarSchedule(solarSchedule, location) {
+  if (!Object.hasOwn(SOLAR_EVENTS, solarSchedule.solar)) {
+    return {
+      valid: false,
+      error: `Invalid solar event: expected one of ${Object.keys(SOLAR_EVENTS).join(', ')}`
+    };
+  }
+
+  if (parseOffset(solarSchedule.offset) === null) {
+    return {
+      valid: false,
+      error: `Invalid solar offset '${solarSchedule.offset}': expected e.g. +30m, -1h or +1h15m`
+    };
+  }
+
+  if (!location) {
+    return { valid: true, nextRun: null };
+  }
+
+  return { valid: true, nextRun: getNextSolarTime(solarSchedule, location) };
+}
+
+/**
+ * Validate a task schedule (cron string or solar schedule object)
+ * @param {string|object} taskSchedule - Task schedule
+ * @param {object} [options={}] - Validation options
+ * @param {{latitude: number, longitude: number}} [options.location] - Location for solar schedules
+ * @returns {object} { valid: true, nextRun: Date|null } or { valid: false, error: string }
+ */
+function validateSchedule(taskSchedule, options = {}) {
+  if (isSolarSchedule(taskSchedule)) {
+    return validateSolarSchedule(taskSchedule, options.location);
+  }
+  return validateCronExpression(taskSchedule);
+}
+
+/**
+ * Format a schedule for display
+ * @param {string|object} taskSchedule - Task schedule
+ * @returns {string} Cron string as-is, or e.g. "sunset +30m" for solar schedules
+ */
+function formatSchedule(taskSchedule) {
+  if (isSolarSchedule(taskSchedule)) {
+    return taskSchedule.offset ? `${taskSchedule.solar} ${taskSchedule.offset}` : taskSchedule.solar;
+  }
+  return String(taskSchedule);
+}
+
+/**
+ * Validate the one-shot run time and active date window of a task
+ * Dates without an offset are resolved in the given timezone; a date-only endDate includes that whole day
+ * @param {{schedule?: string|object, at?: string, startDate?: string, endDate?: string}} task - Task configuration
+ * @param {string} [timezone] - IANA timezone the dates are resolved in (defaults to the host timezone)
+ * @returns {object} { valid: true, runAt: Date|null, start: Date|null, end: Date|null } or { valid: false, error: string }
+ */
+function validateTaskTiming(task, timezone) {
+  if (task.at !== undefined && task.schedule !== undefined) {
+    return { valid: false, error: 'A task cannot have both schedule and at' };
+  }
+
+  const runAt = task.at !== undefined ? parseDateTimeInTimezone(task.at, timezone) : null;
+  if (task.at !== undefined && !runAt) {
+    return { valid: false, error: `Invalid at date: ${task.at}` };
+  }
+
+  const start = task.startDate !== undefined ? parseDateTimeInTimezone(task.startDate, timezone) : null;
+  if (task.startDate !== undefined && !start) {
+    return { valid: false, error: `Invalid startDate: ${task.startDate}` };
+  }
+
+  const end = task.endDate !== undefined ? parseDateTimeInTimezone(task.endDate, timezone, { endOfDay: true }) : null;
+  if (task.endDate !== undefined && !end) {
+    return { valid: false, error: `Invalid endDate: ${task.endDate}` };
+  }
+
+  if (start && end && start >= end) {
+    return { valid: false, error: 'startDate must be before endDate' };
+  }
+
+  return { valid: true, runAt, start, end };
+}
+
+export {
+  validateCronExpression,
+  getNextRunTime,
+  getNextRunTimes,
+  describeCronExpression,
+  normalizeSchedule,
+  isSolarSchedule,
+  validateSchedule,
+  formatSchedule,
+  validateTaskTiming
+};
@@ -0,0 +1,31 @@
+/**
+ * Duration Utility Module
+ * Parses human-readable durations used in task configuration
+ */
+
+// "90s", "30m", "2h", "1d" or combinations such as "1h30m"
+const DURATION_PATTERN = /^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/;
+
+/**
+ * Parse a duration string or a number of milliseconds
+ * @param {string|number} value - Duration such as "1h30m", or milliseconds
+ * @returns {number|null} Duration in milliseconds, or null when invalid
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().match(DURATION_PATTERN);
+  if (!match || match.slice(1).every(part => part === undefined)) {
+    return null;
+  }
+
+  const [days = 0, hours = 0, minutes = 0, seconds = 0] = match.slice(1).map(part => Number(part || 0));
+  return (((days * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+export { parseDuration };
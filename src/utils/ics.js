@@ -0,0 +1,308 @@
+/**
+ * iCalendar (.ics) Parsing Module
+ * Extracts the days covered by VEVENT entries, for use as exclusion calendars
+ * Recurring events (RRULE, EXDATE) are expanded within a window around today;
+ * rules that cannot be expanded to whole days are rejected
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// DTSTART/DTEND value: 20261225 or 20261225T090000[Z]
+const ICS_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/;
+
+// Default expansion window of recurring events, in days before and after today
+const RECURRENCE_DAYS_BEFORE = 366;
+const RECURRENCE_DAYS_AFTER = 5 * 366;
+
+// Frequencies that can be expanded; finer ones are not day-based
+const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// RRULE parts that are understood (times of day do not change the days covered);
+// any other part is rejected rather than misread
+const RRULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST', 'BYHOUR', 'BYMINUTE', 'BYSECOND'];
+
+// Weekday codes by Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// BYDAY entry: MO, 2SU, -1FR
+const BYDAY_PATTERN = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+/**
+ * Unfold continuation lines (RFC 5545 section 3.1)
+ * @param {string} content - Raw .ics content
+ * @returns {Array<string>} Logical content lines
+ */
+function unfoldLines(content) {
+  return content.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+/**
+ * Parse a DTSTART/DTEND value
+ * @param {string} value - Property value
+ * @returns {{day: number, midnight: boolean}|null} UTC day timestamp and whether the time is 00:00:00
+ */
+function parseIcsDate(value) {
+  const match = value.trim().match(ICS_DATE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+  return {
+    day: Date.UTC(Number(year), Number(month) - 1, Number(day)),
+    midnight: hour === '00' && minute === '00' && second === '00'
+  };
+}
+
+/**
+ * Parse a comma-separated EXDATE value
+ * @param {string} value - Property value
+ * @returns {Array<number>} UTC day timestamps (unreadable entries are skipped)
+ */
+function parseIcsDateList(value) {
+  return value.split(',').map(parseIcsDate).filter(Boolean).map(date => date.day);
+}
+
+/**
+ * Parse a list of integer RRULE values
+ * @param {string} value - e.g. "1,-1"
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {Array<number>|null} Values, or null when one is out of range or zero
+ */
+function parseIntegerList(value, min, max) {
+  const numbers = value.split(',').map(Number);
+  return numbers.every(n => Number.isInteger(n) && n !== 0 && n >= min && n <= max) ? numbers : null;
+}
+
+/**
+ * Parse an RRULE value
+ * @param {string} value - e.g. "FREQ=YEARLY;BYMONTH=11;BYDAY=4TH"
+ * @returns {object} Recurrence rule
+ * @throws {Error} If the rule uses an unsupported frequency or part, or a value is invalid
+ */
+function parseRrule(value) {
+  const parts = {};
+  for (const part of value.trim().split(';').filter(Boolean)) {
+    const [key, partValue = ''] = part.split('=');
+    const name = key.toUpperCase();
+    if (!RRULE_PARTS.includes(name)) {
+      throw new Error(`Unsupported RRULE part ${name} in "${value.trim()}"`);
+    }
+    parts[name] = partValue.toUpperCase();
+  }
+
+  if (!RECURRENCE_FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(`Unsupported RRULE frequency ${parts.FREQ || '(none)'} in "${value.trim()}": expected one of ${RECURRENCE_FREQUENCIES.join(', ')}`);
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL !== undefined ? Number(parts.INTERVAL) : 1,
+    count: parts.COUNT !== undefined ? Number(parts.COUNT) : Infinity,
+    until: parts.UNTIL !== undefined ? parseIcsDate(parts.UNTIL)?.day : Infinity,
+    byMonth: parts.BYMONTH !== undefined ? parseIntegerList(parts.BYMONTH, 1, 12) : undefined,
+    byMonthDay: parts.BYMONTHDAY !== undefined ? parseIntegerList(parts.BYMONTHDAY, -31, 31) : undefined,
+    byDay: parts.BYDAY !== undefined ? parts.BYDAY.split(',').map(entry => entry.match(BYDAY_PATTERN)) : undefined,
+    weekStart: WEEKDAYS.indexOf(parts.WKST || 'MO')
+  };
+
+  const invalid = !(Number.isInteger(rule.interval) && rule.interval > 0)
+    || !(rule.count === Infinity || (Number.isInteger(rule.count) && rule.count > 0))
+    || rule.until === undefined
+    || rule.byMonth === null
+    || rule.byMonthDay === null
+    || (rule.byDay && rule.byDay.some(match => !match))
+    || rule.weekStart === -1;
+  if (invalid) {
+    throw new Error(`Invalid RRULE "${value.trim()}"`);
+  }
+
+  if (rule.byDay) {
+    rule.byDay = rule.byDay.map(([, ordinal, weekday]) => ({
+      ordinal: ordinal ? Number(ordinal) : null,
+      weekday: WEEKDAYS.indexOf(weekday)
+    }));
+  }
+  return rule;
+}
+
+/**
+ * Check whether a day matches a BYDAY entry
+ * An ordinal counts within the month, or within the year for YEARLY rules without BYMONTH
+ * @param {Date} date - Day to check (UTC midnight)
+ * @param {{ordinal: number|null, weekday: number}} entry - BYDAY entry
+ * @param {boolean} inYear - Whether the ordinal counts within the year
+ * @returns {boolean}
+ */
+function matchesByDay(date, { ordinal, weekday }, inYear) {
+  if (date.getUTCDay() !== weekday) {
+    return false;
+  }
+  if (ordinal === null) {
+    return true;
+  }
+
+  const year = date.getUTCFullYear();
+  const scopeStart = inYear ? Date.UTC(year, 0, 1) : Date.UTC(year, date.getUTCMonth(), 1);
+  const scopeEnd = inYear ? Date.UTC(year + 1, 0, 1) : Date.UTC(year, date.getUTCMonth() + 1, 1);
+  const fromStart = Math.floor((date.getTime() - scopeStart) / WEEK_MS) + 1;
+  const fromEnd = -(Math.floor((scopeEnd - DAY_MS - date.getTime()) / WEEK_MS) + 1);
+  return ordinal === fromStart || ordinal === fromEnd;
+}
+
+/**
+ * Check whether a day is an occurrence of a recurrence rule
+ * BYxxx parts left out default to the matching part of DTSTART, as in RFC 5545
+ * @param {number} day - UTC day timestamp (on or after start)
+ * @param {number} start - UTC day timestamp of DTSTART
+ * @param {object} rule - Result of parseRrule
+ * @returns {boolean}
+ */
+function matchesRule(day, start, rule) {
+  const date = new Date(day);
+  const first = new Date(start);
+  const { freq } = rule;
+
+  const weekOf = (time, weekday) => time - ((weekday - rule.weekStart + 7) % 7) * DAY_MS;
+  const period = {
+    DAILY: () => (day - start) / DAY_MS,
+    WEEKLY: () => (weekOf(day, date.getUTCDay()) - weekOf(start, first.getUTCDay())) / WEEK_MS,
+    MONTHLY: () => (date.getUTCFullYear() - first.getUTCFullYear()) * 12 + date.getUTCMonth() - first.getUTCMonth(),
+    YEARLY: () => date.getUTCFullYear() - first.getUTCFullYear()
+  }[freq]();
+  if (period % rule.interval !== 0) {
+    return false;
+  }
+
+  const onlyFreq = !rule.byMonth && !rule.byMonthDay && !rule.byDay;
+  const byMonth = rule.byMonth || (freq === 'YEARLY' && onlyFreq ? [first.getUTCMonth() + 1] : null);
+  if (byMonth && !byMonth.includes(date.getUTCMonth() + 1)) {
+    return false;
+  }
+
+  const byMonthDay = rule.byMonthDay
+    || ((freq === 'MONTHLY' || freq === 'YEARLY') && !rule.byDay ? [first.getUTCDate()] : null);
+  if (byMonthDay) {
+    const monthLength = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    const monthDay = date.getUTCDate();
+    if (!byMonthDay.includes(monthDay) && !byMonthDay.includes(monthDay - monthLength - 1)) {
+      return false;
+    }
+  }
+
+  const byDay = rule.byDay || (freq === 'WEEKLY' ? [{ ordinal: null, weekday: first.getUTCDay() }] : null);
+  if (byDay) {
+    const ordinals = freq === 'MONTHLY' || freq === 'YEARLY';
+    const inYear = freq === 'YEARLY' && !rule.byMonth;
+    return byDay.some(entry => matchesByDay(date, ordinals ? entry : { ...entry, ordinal: null }, inYear));
+  }
+  return true;
+}
+
+/**
+ * List the start days of a recurring event's occurrences within a window
+ * DTSTART is always the first occurrence; EXDATEs still count towards COUNT
+ * @param {{start: {day: number}, exdates: Set<number>}} event - Parsed event
+ * @param {object} rule - Result of parseRrule
+ * @param {{from: number, until: number}} window - UTC day timestamps
+ * @returns {Array<number>} Occurrence start days
+ */
+function expandOccurrences(event, rule, { from, until }) {
+  const starts = [];
+  const last = Math.min(rule.until, until);
+
+  // Without COUNT, occurrences before the window need not be walked
+  let day = rule.count === Infinity ? Math.max(event.start.day, from) : event.start.day;
+  for (let count = 0; day <= last && count < rule.count; day += DAY_MS) {
+    if (day !== event.start.day && !matchesRule(day, event.start.day, rule)) {
+      continue;
+    }
+    count++;
+    if (day >= from && !event.exdates.has(day)) {
+      starts.push(day);
+    }
+  }
+
+  return starts;
+}
+
+/**
+ * Format a UTC day timestamp as YYYY-MM-DD
+ * @param {number} day - UTC midnight timestamp
+ * @returns {string}
+ */
+function formatDay(day) {
+  return new Date(day).toISOString().slice(0, 10);
+}
+
+/**
+ * Default window for expanding recurring events: a year back to five years ahead
+ * @returns {{from: number, until: number}} UTC day timestamps
+ */
+function defaultRecurrenceWindow() {
+  const now = new Date();
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return { from: today - RECURRENCE_DAYS_BEFORE * DAY_MS, until: today + RECURRENCE_DAYS_AFTER * DAY_MS };
+}
+
+/**
+ * Extract the days covered by the events of an .ics file
+ * All-day events cover DTSTART up to (excluding) DTEND; timed events cover the days they touch,
+ * taken from the date as written. Each occurrence of a recurring event covers the same span
+ * @param {string} content - Raw .ics content
+ * @param {{from: number, until: number}} [window] - UTC day timestamps limiting recurring events
+ * (default: a year back to five years ahead)
+ * @returns {{dates: Array<string>, recurringEvents: number}} Covered days (YYYY-MM-DD) and the number of recurring events
+ * @throws {Error} If a recurring event's RRULE cannot be expanded
+ */
+function parseIcsDates(content, window = defaultRecurrenceWindow()) {
+  const dates = new Set();
+  let recurringEvents = 0;
+  let event = null;
+
+  for (const line of unfoldLines(content)) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === 'BEGIN' && value.trim() === 'VEVENT') {
+      event = { exdates: new Set() };
+    } else if (name === 'END' && value.trim() === 'VEVENT' && event) {
+      if (event.start) {
+        // Without DTEND an event covers its start day only; DTEND at midnight is exclusive
+        const end = event.end && event.end.day > event.start.day
+          ? (event.end.midnight ? event.end.day - DAY_MS : event.end.day)
+          : event.start.day;
+        const span = end - event.start.day;
+        const starts = event.rrule !== undefined
+          ? expandOccurrences(event, parseRrule(event.rrule), window)
+          : [event.start.day];
+        for (const start of starts) {
+          for (let day = start; day <= start + span; day += DAY_MS) {
+            dates.add(formatDay(day));
+          }
+        }
+        if (event.rrule !== undefined) {
+          recurringEvents++;
+        }
+      }
+      event = null;
+    } else if (event && name === 'DTSTART') {
+      event.start = parseIcsDate(value);
+    } else if (event && name === 'DTEND') {
+      event.end = parseIcsDate(value);
+    } else if (event && name === 'RRULE') {
+      event.rrule = value;
+    } else if (event && name === 'EXDATE') {
+      parseIcsDateList(value).forEach(day => event.exdates.add(day));
+    }
+  }
+
+  return { dates: [...dates].sort(), recurringEvents };
+}
+
+export { parseIcsDates };
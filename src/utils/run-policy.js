@@ -0,0 +1,110 @@
+/**
+ * Run Policy Module
+ * Retry, backoff, timeout and failure handling for action steps
+ * Settings can be given on a task (defaults for all of its actions) and on each action:
+ *   { "retries": 2, "backoff": { "delay": "1s", "multiplier": 2 }, "timeout": "30s", "onError": "goto", "goto": "cleanup" }
+ * A task's `concurrency` decides what happens when it triggers while still running
+ */
+import { parseDuration } from './duration.js';
+
+// What happens when an action still fails after its retries
+const ON_ERROR_POLICIES = ['stop', 'continue', 'goto'];
+
+// What a task triggered while still running does: skip the new run, queue it, or cancel the running one
+const CONCURRENCY_POLICIES = ['skip', 'queue', 'replace'];
+
+// Defaults keep the historical behaviour: three attempts, 1s then 2s apart
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF = { delay: 1000, multiplier: 2 };
+
+// Upper bound for configured retries
+const MAX_CONFIGURED_RETRIES = 10;
+
+const POLICY_FIELDS = ['retries', 'backoff', 'timeout', 'onError', 'goto'];
+
+/**
+ * Validate the policy fields of a task or step
+ * @param {object} settings - Task or step definition
+ * @param {string} [path=''] - Path of the task or step
+ * @returns {Array<{path: string, message: string, value: *}>} Validation errors
+ */
+function findPolicyErrors(settings, path = '') {
+  const errors = [];
+  const { retries, backoff, timeout, onError, goto } = settings;
+
+  if (retries !== undefined && (!Number.isInteger(retries) || retries < 0 || retries > MAX_CONFIGURED_RETRIES)) {
+    errors.push({ path: `${path}/retries`, message: `retries must be an integer from 0 to ${MAX_CONFIGURED_RETRIES}`, value: retries });
+  }
+
+  if (backoff !== undefined) {
+    if (backoff === null || typeof backoff !== 'object' || Array.isArray(backoff)) {
+      errors.push({ path: `${path}/backoff`, message: 'backoff must be an object with delay and/or multiplier', value: backoff });
+    } else {
+      if (backoff.delay !== undefined && parseDuration(backoff.delay) === null) {
+        errors.push({ path: `${path}/backoff/delay`, message: `Invalid backoff delay: ${backoff.delay}`, value: backoff.delay });
+      }
+      if (backoff.multiplier !== undefined && (typeof backoff.multiplier !== 'number' || backoff.multiplier < 1)) {
+        errors.push({ path: `${path}/backoff/multiplier`, message: 'backoff multiplier must be a number of at least 1', value: backoff.multiplier });
+      }
+    }
+  }
+
+  if (timeout !== undefined && !parseDuration(timeout)) {
+    errors.push({ path: `${path}/timeout`, message: `Invalid timeout: ${timeout}`, value: timeout });
+  }
+
+  if (onError !== undefined && !ON_ERROR_POLICIES.includes(onError)) {
+    errors.push({ path: `${path}/onError`, message: `onError must be one of ${ON_ERROR_POLICIES.join(', ')}`, value: onError });
+  } else if (onError === 'goto' && (typeof goto !== 'string' || goto === '')) {
+    errors.push({ path: `${path}/goto`, message: 'onError "goto" needs the id of the step to go to', value: goto });
+  } else if (goto !== undefined && onError !== 'goto') {
+    errors.push({ path: `${path}/goto`, message: 'goto is only used with onError "goto"', value: goto });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the task-level policy fields, including the target of a task-wide goto and concurrency
+ * @param {object} task - Task definition
+ * @param {string} [path=''] - Path of the task, e.g. '/tasks/0'
+ * @returns {Array<{path: string, message: string, value: *}>} Validation errors
+ */
+function findTaskPolicyErrors(task, path = '') {
+  const errors = findPolicyErrors(task, path);
+
+  if (errors.length === 0 && task.onError === 'goto' && !(task.actions || []).some(step => step.id === task.goto)) {
+    errors.push({ path: `${path}/goto`, message: `Unknown step id: ${task.goto}`, value: task.goto });
+  }
+
+  if (task.concurrency !== undefined && !CONCURRENCY_POLICIES.includes(task.concurrency)) {
+    errors.push({ path: `${path}/concurrency`, message: `concurrency must be one of ${CONCURRENCY_POLICIES.join(', ')}`, value: task.concurrency });
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve the effective policy of an action step
+ * Step settings win over task settings, which win over the action's own default retries
+ * @param {object} task - Task being run
+ * @param {object} step - Action step
+ * @param {object} [action] - Action from the registry (may set defaultRetries)
+ * @returns {{retries: number, delay: number, multiplier: number, timeout: number|null, onError: string, goto?: string}}
+ */
+function resolvePolicy(task, step, action) {
+  const backoff = { ...DEFAULT_BACKOFF, ...task.backoff, ...step.backoff };
+  const timeout = step.timeout ?? task.timeout;
+  const failure = step.onError !== undefined ? step : task;
+
+  return {
+    retries: step.retries ?? task.retries ?? action?.defaultRetries ?? DEFAULT_RETRIES,
+    delay: parseDuration(backoff.delay) ?? DEFAULT_BACKOFF.delay,
+    multiplier: backoff.multiplier,
+    timeout: timeout === undefined ? null : parseDuration(timeout),
+    onError: failure.onError || 'stop',
+    goto: failure.goto
+  };
+}
+
+export { ON_ERROR_POLICIES, CONCURRENCY_POLICIES, POLICY_FIELDS, findPolicyErrors, findTaskPolicyErrors, resolvePolicy };
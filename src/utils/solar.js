@@ -0,0 +1,173 @@
+/**
+ * Solar Calculation Module
+ * Computes sunrise, sunset and twilight times locally (no network access)
+ * Based on the NOAA/Astronomical Almanac low-precision formulas, accurate to about a minute
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+
+// Obliquity of the Earth
+const OBLIQUITY = RAD * 23.4397;
+
+// Sun altitude (degrees) at each event; negative values are below the horizon
+const SOLAR_EVENTS = {
+  dawn: { angle: -6, rising: true },
+  sunrise: { angle: -0.833, rising: true },
+  solarNoon: { angle: null, rising: null },
+  sunset: { angle: -0.833, rising: false },
+  dusk: { angle: -6, rising: false }
+};
+
+// Days searched for the next event (covers polar day/night at high latitudes)
+const MAX_SEARCH_DAYS = 370;
+
+const OFFSET_PATTERN = /^([+-])?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/;
+
+/**
+ * Convert a date to days since J2000
+ * @param {Date} date - Date
+ * @returns {number} Days since J2000
+ */
+function toDays(date) {
+  return date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+/**
+ * Convert a Julian date to a Date
+ * @param {number} julian - Julian date
+ * @returns {Date}
+ */
+function fromJulian(julian) {
+  return new Date((julian + 0.5 - J1970) * DAY_MS);
+}
+
+/**
+ * Solar mean anomaly
+ * @param {number} d - Days since J2000
+ * @returns {number} Radians
+ */
+function solarMeanAnomaly(d) {
+  return RAD * (357.5291 + 0.98560028 * d);
+}
+
+/**
+ * Ecliptic longitude of the sun
+ * @param {number} M - Solar mean anomaly (radians)
+ * @returns {number} Radians
+ */
+function eclipticLongitude(M) {
+  const center = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const perihelion = RAD * 102.9372;
+  return M + center + perihelion + Math.PI;
+}
+
+/**
+ * Julian date of the solar transit
+ * @param {number} ds - Approximate transit (days since J2000)
+ * @param {number} M - Solar mean anomaly
+ * @param {number} L - Ecliptic longitude
+ * @returns {number} Julian date
+ */
+function solarTransitJ(ds, M, L) {
+  return J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+}
+
+/**
+ * Compute the time of a solar event on the solar day closest to the given date
+ * @param {string} event - Event name (dawn, sunrise, solarNoon, sunset, dusk)
+ * @param {Date} date - Any time on the wanted day
+ * @param {number} latitude - Latitude in degrees (north positive)
+ * @param {number} longitude - Longitude in degrees (east positive)
+ * @returns {Date|null} Event time, or null when the sun never reaches that altitude that day
+ */
+function getSolarEventTime(event, date, latitude, longitude) {
+  const definition = SOLAR_EVENTS[event];
+  if (!definition) {
+    throw new Error(`Unknown solar event: ${event}`);
+  }
+
+  const lw = RAD * -longitude;
+  const phi = RAD * latitude;
+  const n = Math.round(toDays(date) - J0 - lw / (2 * Math.PI));
+  const ds = J0 + lw / (2 * Math.PI) + n;
+  const M = solarMeanAnomaly(ds);
+  const L = eclipticLongitude(M);
+  const dec = Math.asin(Math.sin(OBLIQUITY) * Math.sin(L));
+  const noon = solarTransitJ(ds, M, L);
+
+  if (definition.angle === null) {
+    return fromJulian(noon);
+  }
+
+  const h = RAD * definition.angle;
+  const cosHourAngle = (Math.sin(h) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+  if (cosHourAngle < -1 || cosHourAngle > 1) {
+    return null;
+  }
+
+  const w = Math.acos(cosHourAngle);
+  const set = solarTransitJ(J0 + (w + lw) / (2 * Math.PI) + n, M, L);
+  return fromJulian(definition.rising ? noon - (set - noon) : set);
+}
+
+/**
+ * Parse a schedule offset such as "+30m", "-1h", "+1h15m" or "90s"
+ * @param {string} [offset] - Offset string (empty means no offset)
+ * @returns {number|null} Offset in milliseconds, or null when invalid
+ */
+function parseOffset(offset) {
+  if (offset === undefined || offset === '') {
+    return 0;
+  }
+  if (typeof offset !== 'string') {
+    return null;
+  }
+
+  const match = offset.trim().match(OFFSET_PATTERN);
+  if (!match || (!match[2] && !match[3] && !match[4])) {
+    return null;
+  }
+
+  const [, sign, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Find the next occurrence of a solar schedule after a given time
+ * @param {{solar: string, offset?: string}} solarSchedule - Solar schedule
+ * @param {{latitude: number, longitude: number}} location - Observer location
+ * @param {Date} [from=new Date()] - Search start (exclusive)
+ * @returns {Date|null} Next run time, or null if the event does not occur within a year
+ */
+function getNextSolarTime(solarSchedule, location, from = new Date()) {
+  const offsetMs = parseOffset(solarSchedule.offset);
+  if (offsetMs === null) {
+    throw new Error(`Invalid solar offset: ${solarSchedule.offset}`);
+  }
+
+  const { latitude, longitude } = location;
+
+  // Local solar noon of the previous UTC day, so large offsets and longitudes are covered
+  const start = new Date(from);
+  const firstNoon = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() - 1, 12) -
+    (longitude / 360) * DAY_MS;
+
+  for (let day = 0; day < MAX_SEARCH_DAYS; day++) {
+    const eventTime = getSolarEventTime(solarSchedule.solar, new Date(firstNoon + day * DAY_MS), latitude, longitude);
+    if (!eventTime) continue;
+
+    const runTime = new Date(eventTime.getTime() + offsetMs);
+    if (runTime > start) {
+      return runTime;
+    }
+  }
+
+  return null;
+}
+
+export { SOLAR_EVENTS, getSolarEventTime, parseOffset, getNextSolarTime };
@@ -0,0 +1,85 @@
+/**
+ * Task Hooks Module
+ * A task can start other tasks when it ends:
+ *   { "name": "morning-routine", "onFailure": "notify-failure", "onSuccess": ["lights-off"] }
+ * Child runs carry their parent's run ID, task and error, and a chain never runs a task twice
+ */
+
+const HOOK_FIELDS = ['onSuccess', 'onFailure'];
+
+// Longest chain of hook runs started from one run
+const MAX_CHAIN_LENGTH = 10;
+
+/**
+ * List the task names of a hook field
+ * @param {object} task - Task definition
+ * @param {'onSuccess'|'onFailure'} field - Hook field
+ * @returns {string[]} Task names (a single name may be given as a string)
+ */
+function getHookTasks(task, field) {
+  const value = task[field];
+  if (value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate the hook fields of a task
+ * @param {object} task - Task definition
+ * @param {string[]} taskNames - Names of all tasks
+ * @param {string} [path=''] - Path of the task, e.g. '/tasks/0'
+ * @returns {Array<{path: string, message: string, value: *}>} Validation errors
+ */
+function findHookErrors(task, taskNames, path = '') {
+  const errors = [];
+
+  for (const field of HOOK_FIELDS) {
+    const value = task[field];
+    if (value === undefined) {
+      continue;
+    }
+    const names = getHookTasks(task, field);
+    if (!names.every(name => typeof name === 'string' && name !== '')) {
+      errors.push({ path: `${path}/${field}`, message: `${field} must be a task name or a list of task names`, value });
+      continue;
+    }
+    for (const name of names) {
+      if (name === task.name) {
+        errors.push({ path: `${path}/${field}`, message: `A task cannot trigger itself: ${name}`, value: name });
+      } else if (!taskNames.includes(name)) {
+        errors.push({ path: `${path}/${field}`, message: `Unknown task: ${name}`, value: name });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Decide which hook tasks to start after a run, and which are held back by the chain guard
+ * @param {object} task - Task that ran
+ * @param {{status: string}} result - Run result; completed runs start onSuccess, failed and partial runs onFailure
+ * @param {string[]} [chain=[]] - Tasks that led to this run, root first
+ * @returns {{start: string[], blocked: string[], chain: string[]}} Tasks to start, tasks blocked as cycles or by the chain length, and the chain of the children
+ */
+function resolveHooks(task, result, chain = []) {
+  let field = null;
+  if (result.status === 'completed') {
+    field = 'onSuccess';
+  } else if (result.status === 'failed' || result.status === 'partial') {
+    field = 'onFailure';
+  }
+
+  const childChain = [...chain, task.name];
+  const names = field ? getHookTasks(task, field) : [];
+  const blocked = names.filter(name => childChain.includes(name) || childChain.length >= MAX_CHAIN_LENGTH);
+
+  return {
+    start: names.filter(name => !blocked.includes(name)),
+    blocked,
+    chain: childChain
+  };
+}
+
+export { HOOK_FIELDS, MAX_CHAIN_LENGTH, getHookTasks, findHookErrors, resolveHooks };
@@ -0,0 +1,210 @@
+/**
+ * Task Parameters Module
+ * Tasks declare the inputs their actions reference as ${params.name}:
+ *   "params": { "videoUrl": { "type": "string", "default": "https://..." } }
+ * A parameter without a default must be supplied with each run
+ */
+import { flattenSteps, getBranches } from './action-steps.js';
+import { findPlaceholders } from './template.js';
+
+const PARAM_TYPES = ['string', 'number', 'boolean'];
+
+// Parameter names usable as ${params.name}
+const PARAM_NAME_PATTERN = /^[A-Za-z_]\w*$/;
+
+// Only environment variables with this prefix are visible to tasks as ${env.NAME}
+const TASK_ENV_PREFIX = 'ATV_TASK_';
+
+// Template variables that must be referenced by member (${params.name}), never as a whole
+const SCOPE_VARIABLES = ['params', 'env'];
+
+/**
+ * Convert a supplied value to a parameter's declared type
+ * Numbers and booleans are also accepted as strings (MQTT payloads, query strings)
+ * @param {*} value - Supplied value
+ * @param {string} type - Declared type
+ * @returns {string|number|boolean|undefined} Converted value, or undefined when it does not fit the type
+ */
+function coerceParam(value, type) {
+  if (type === 'number') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+  }
+  if (type === 'boolean') {
+    if (value === 'true' || value === 'false') {
+      return value === 'true';
+    }
+    return typeof value === 'boolean' ? value : undefined;
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * List the placeholders used by a chain's steps
+ * @param {Array<object>} steps - Action chain
+ * @param {string} [basePath=''] - Path prefix, e.g. '/tasks/0/actions'
+ * @returns {Array<{placeholder: string, path: string}>} Placeholder paths with the path of the step using them
+ */
+function findStepPlaceholders(steps, basePath = '') {
+  const placeholders = [];
+
+  for (const { step, path } of flattenSteps(steps, basePath)) {
+    const nested = getBranches(step).map(([branch]) => branch);
+    const own = Object.entries(step).filter(([key]) => key !== 'type' && !nested.includes(key));
+    for (const placeholder of findPlaceholders(own.map(([, value]) => value))) {
+      placeholders.push({ placeholder, path });
+    }
+  }
+
+  return placeholders;
+}
+
+/**
+ * List the ${params.*} names referenced by a chain's steps
+ * @param {Array<object>} steps - Action chain
+ * @param {string} [basePath=''] - Path prefix, e.g. '/tasks/0/actions'
+ * @returns {Array<{name: string, path: string}>} Referenced parameter names with the path of the step using them
+ */
+function findParamReferences(steps, basePath = '') {
+  const references = [];
+
+  for (const { placeholder, path } of findStepPlaceholders(steps, basePath)) {
+    const [scope, name] = placeholder.split('.');
+    if (scope === 'params' && name) {
+      references.push({ name, path });
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Check whether a task is started by its schedule, one-shot time or trigger, without supplied params
+ * @param {object} task - Task definition
+ * @returns {boolean}
+ */
+function runsOnItsOwn(task) {
+  return task.schedule !== undefined || task.at !== undefined || task.trigger !== undefined;
+}
+
+/**
+ * Validate a task's parameter declarations and the parameters its actions reference
+ * A task that runs on its own needs a default for every parameter
+ * @param {object} task - Task definition
+ * @param {string} [basePath=''] - Path of the task, e.g. '/tasks/0'
+ * @returns {Array<{path: string, message: string, value: *}>} Validation errors
+ */
+function findParamErrors(task, basePath = '') {
+  const errors = [];
+  const declared = task.params || {};
+
+  for (const [name, definition] of Object.entries(declared)) {
+    const path = `${basePath}/params/${name}`;
+    const type = definition?.type || 'string';
+    if (!PARAM_NAME_PATTERN.test(name)) {
+      errors.push({ path, message: `Invalid parameter name: ${name}`, value: name });
+    } else if (!PARAM_TYPES.includes(type)) {
+      errors.push({ path: `${path}/type`, message: `Invalid parameter type: expected one of ${PARAM_TYPES.join(', ')}`, value: type });
+    } else if (definition?.default !== undefined && typeof definition.default !== type) {
+      errors.push({ path: `${path}/default`, message: `Default of parameter ${name} must be a ${type}`, value: definition.default });
+    } else if (definition?.default === undefined && runsOnItsOwn(task)) {
+      errors.push({ path, message: `Parameter ${name} needs a default: the task runs on its schedule or trigger, where no params are supplied`, value: name });
+    }
+  }
+
+  for (const { placeholder, path } of findStepPlaceholders(task.actions, `${basePath}/actions`)) {
+    const [scope, name] = placeholder.split('.');
+    if (SCOPE_VARIABLES.includes(scope) && !name) {
+      errors.push({ path, message: `\${${scope}} cannot be used as a whole; reference a member, e.g. \${${scope}.name}`, value: placeholder });
+    } else if (scope === 'params' && !Object.hasOwn(declared, name)) {
+      errors.push({ path, message: `Undeclared parameter: ${name}`, value: name });
+    } else if (scope === 'env' && !name.startsWith(TASK_ENV_PREFIX)) {
+      errors.push({ path, message: `Environment variable ${name} is not available to tasks; only ${TASK_ENV_PREFIX}* variables are`, value: name });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve the parameter values of a run from its declarations and the supplied values
+ * @param {object} [declared={}] - Task params declarations
+ * @param {object} [supplied={}] - Values given for this run
+ * @returns {object} Parameter values by name
+ * @throws {Error} With code INVALID_PARAMS for unknown, mistyped or missing parameters
+ */
+function resolveTaskParams(declared = {}, supplied = {}) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_PARAMS';
+    throw error;
+  };
+
+  if (supplied === null || typeof supplied !== 'object' || Array.isArray(supplied)) {
+    fail('params must be an object');
+  }
+
+  const unknown = Object.keys(supplied).find(name => !Object.hasOwn(declared, name));
+  if (unknown) {
+    fail(`Unknown parameter: ${unknown}`);
+  }
+
+  const params = {};
+  for (const [name, definition] of Object.entries(declared)) {
+    const type = definition?.type || 'string';
+    if (supplied[name] === undefined) {
+      if (definition?.default === undefined) {
+        fail(`Missing required parameter: ${name}`);
+      }
+      params[name] = definition.default;
+      continue;
+    }
+
+    const value = coerceParam(supplied[name], type);
+    if (value === undefined) {
+      fail(`Parameter ${name} must be a ${type}`);
+    }
+    params[name] = value;
+  }
+
+  return params;
+}
+
+/**
+ * Collect the environment variables visible to tasks
+ * @returns {object} ATV_TASK_* variables by name
+ */
+function getTaskEnv() {
+  return Object.fromEntries(Object.entries(process.env).filter(([name]) => name.startsWith(TASK_ENV_PREFIX)));
+}
+
+/**
+ * Build the template variables of a run: ${params.*}, ${env.ATV_TASK_*} and, when set,
+ * ${parent.*} for hook runs and ${trigger.*} for event-triggered runs
+ * @param {object} task - Task being run
+ * @param {object} [options={}] - Run options
+ * @param {object} [options.params] - Values given for the task's declared params
+ * @param {{runId?: string, task: string, error?: string}} [options.parent] - Run that started this one
+ * @param {{event: string, device?: string, package?: string}} [options.trigger] - Device event that started this run
+ * @returns {object} Template variables
+ * @throws {Error} With code INVALID_PARAMS (see resolveTaskParams)
+ */
+function resolveRunVariables(task, options = {}) {
+  const variables = { params: resolveTaskParams(task.params, options.params), env: getTaskEnv() };
+
+  if (options.parent) {
+    const { runId = '', task: parentTask, error = '' } = options.parent;
+    variables.parent = { runId, task: parentTask, error };
+  }
+  if (options.trigger) {
+    const { event, device = '', package: packageName = '' } = options.trigger;
+    variables.trigger = { event, device, package: packageName };
+  }
+
+  return variables;
+}
+
+export { PARAM_TYPES, TASK_ENV_PREFIX, findParamReferences, findParamErrors, resolveTaskParams, resolveRunVariables };
@@ -0,0 +1,82 @@
+/**
+ * Template Module
+ * Substitutes ${name} placeholders in action parameters, e.g. the current
+ * item of a forEach loop, ${params.x} or ${env.ATV_TASK_X}
+ * Rendering is a single pass: substituted values are never expanded again
+ */
+
+// ${name} or ${name.path}
+const PLACEHOLDER_PATTERN = /\$\{([A-Za-z_][\w]*(?:\.[\w]+)*)\}/g;
+
+/**
+ * Look up a dotted path in the template variables
+ * @param {object} variables - Template variables
+ * @param {string} path - e.g. "item" or "params.url"
+ * @returns {*} Value, or undefined when not found
+ */
+function lookup(variables, path) {
+  return path.split('.').reduce(
+    (value, key) => (value !== null && typeof value === 'object' && Object.hasOwn(value, key) ? value[key] : undefined),
+    variables
+  );
+}
+
+/**
+ * Render placeholders in a string
+ * A string that is exactly one placeholder takes the variable's value as-is (numbers and arrays stay typed);
+ * unknown placeholders are left untouched
+ * @param {string} text - Template string
+ * @param {object} variables - Template variables
+ * @returns {*} Rendered value
+ */
+function renderTemplate(text, variables) {
+  const whole = text.match(new RegExp(`^${PLACEHOLDER_PATTERN.source}$`));
+  if (whole) {
+    const value = lookup(variables, whole[1]);
+    return value === undefined ? text : value;
+  }
+
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, path) => {
+    const value = lookup(variables, path);
+    return value === undefined ? placeholder : String(value);
+  });
+}
+
+/**
+ * Render placeholders in every string of a value (objects and arrays are copied)
+ * @param {*} value - Value to render
+ * @param {object} variables - Template variables
+ * @returns {*} Rendered copy
+ */
+function renderValue(value, variables) {
+  if (typeof value === 'string') {
+    return renderTemplate(value, variables);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderValue(item, variables));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderValue(item, variables)]));
+  }
+  return value;
+}
+
+/**
+ * List the placeholder paths used anywhere in a value
+ * @param {*} value - Value to scan
+ * @returns {string[]} Paths such as "item" or "params.url", in order of appearance
+ */
+function findPlaceholders(value) {
+  if (typeof value === 'string') {
+    return [...value.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(findPlaceholders);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.values(value).flatMap(findPlaceholders);
+  }
+  return [];
+}
+
+export { renderTemplate, renderValue, findPlaceholders };
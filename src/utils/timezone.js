@@ -0,0 +1,129 @@
+/**
+ * Timezone Utility Module
+ * Validates IANA timezone names used by task schedules and resolves
+ * local date-times (one-shot runs, date windows) in a given timezone
+ */
+
+// "2026-12-24", "2026-12-24T20:00" or "2026-12-24 20:00:30" (wall-clock time, no offset)
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// ISO date-time carrying its own offset, e.g. "2026-12-24T20:00:00Z" or "...+01:00"
+const ABSOLUTE_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T.+(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Time of day: "HH:mm" or "HH:mm:ss"
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+
+/**
+ * Validate an IANA timezone name (e.g. "Europe/Berlin")
+ * @param {string} timezone - Timezone name
+ * @returns {object} { valid: true } or { valid: false, error: string }
+ */
+function validateTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return { valid: false, error: 'Timezone must be a non-empty string' };
+  }
+
+  try {
+    // Throws RangeError for names not in the IANA database
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return { valid: true };
+  } catch {
+    return { valid: false, error: `Unknown timezone: ${timezone}` };
+  }
+}
+
+/**
+ * Get the timezone of the host process (honours the TZ environment variable)
+ * @returns {string} IANA timezone name
+ */
+function getSystemTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Get the UTC offset of a timezone at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Parse a date or date-time as wall-clock time in a timezone
+ * Values with an explicit offset ("Z", "+01:00") are taken as-is
+ * @param {string} value - "YYYY-MM-DD", "YYYY-MM-DDTHH:mm[:ss]" or an ISO string with offset
+ * @param {string} [timeZone] - IANA timezone (defaults to the host timezone)
+ * @param {object} [options={}] - Parse options
+ * @param {boolean} [options.endOfDay=false] - Resolve a date-only value to the end of that day
+ * @returns {Date|null} Parsed instant, or null when the value is not a valid date
+ */
+function parseDateTimeInTimezone(value, timeZone, options = {}) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (ABSOLUTE_DATE_TIME_PATTERN.test(trimmed)) {
+    const date = new Date(trimmed);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = trimmed.match(LOCAL_DATE_TIME_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(part => Number(part || 0));
+  const check = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || check.getUTCHours() !== hour ||
+    check.getUTCMinutes() !== minute || check.getUTCSeconds() !== second) {
+    return null;
+  }
+
+  const dateOnly = match[4] === undefined;
+  const wallClock = Date.UTC(year, month - 1, day + (dateOnly && options.endOfDay ? 1 : 0), hour, minute, second);
+  const zone = timeZone || getSystemTimezone();
+
+  // Second pass corrects the guess when a DST change lies between it and the result
+  const guess = wallClock - getTimezoneOffset(new Date(wallClock), zone);
+  return new Date(wallClock - getTimezoneOffset(new Date(guess), zone));
+}
+
+/**
+ * Find the next occurrence of a wall-clock time of day in a timezone
+ * @param {string} time - "HH:mm" or "HH:mm:ss"
+ * @param {string} [timeZone] - IANA timezone (defaults to the host timezone)
+ * @param {Date} [from=new Date()] - Search start (exclusive)
+ * @returns {Date|null} Next occurrence, or null when the time is malformed
+ */
+function getNextTimeOfDay(time, timeZone, from = new Date()) {
+  if (typeof time !== 'string' || !TIME_OF_DAY_PATTERN.test(time)) {
+    return null;
+  }
+
+  const zone = timeZone || getSystemTimezone();
+  const dayOf = date => new Intl.DateTimeFormat('en-CA', { timeZone: zone }).format(date);
+
+  const today = parseDateTimeInTimezone(`${dayOf(from)}T${time}`, zone);
+  if (today > from) {
+    return today;
+  }
+  return parseDateTimeInTimezone(`${dayOf(new Date(from.getTime() + 24 * 60 * 60 * 1000))}T${time}`, zone);
+}
+
+export { validateTimezone, getSystemTimezone, parseDateTimeInTimezone, getNextTimeOfDay };
@@ -0,0 +1,137 @@
+/**
+ * Trigger Module
+ * Validates and matches event triggers, which start a task when a device changes state
+ * instead of (or besides) on a schedule:
+ *   { "event": "app:foreground", "package": "com.netflix.ninja" }
+ *   { "event": "app:time-limit", "package": "com.google.android.youtube.tv", "limit": "2h", "device": "kids-room" }
+ */
+import { parseDuration } from './duration.js';
+
+// Events a trigger can wait for
+const TRIGGER_EVENTS = [
+  'device:connected',
+  'device:disconnected',
+  'screen:on',
+  'screen:off',
+  'app:foreground',
+  'app:time-limit'
+];
+
+// Events that need the device monitor polling device state (the rest come from the ADB connection)
+const POLLED_EVENTS = ['screen:on', 'screen:off', 'app:foreground', 'app:time-limit'];
+
+// Broadcast event types and the trigger event each one stands for
+const BROADCAST_EVENTS = {
+  'status:device:connected': 'device:connected',
+  'status:device:disconnected': 'device:disconnected',
+  'status:device:screen:on': 'screen:on',
+  'status:device:screen:off': 'screen:off',
+  'status:device:foreground': 'app:foreground'
+};
+
+const TRIGGER_FIELDS = ['_comment', 'event', 'device', 'package', 'limit'];
+
+/**
+ * Validate a trigger
+ * @param {object} trigger - Trigger with an event and optional device, package and limit
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTrigger(trigger) {
+  if (!trigger || typeof trigger !== 'object' || Array.isArray(trigger)) {
+    return 'Trigger must be an object';
+  }
+
+  if (!TRIGGER_EVENTS.includes(trigger.event)) {
+    return `Unknown trigger event: ${trigger.event} (expected one of ${TRIGGER_EVENTS.join(', ')})`;
+  }
+
+  const unknownField = Object.keys(trigger).find(field => !TRIGGER_FIELDS.includes(field));
+  if (unknownField) {
+    return `Unknown trigger field: ${unknownField}`;
+  }
+
+  if (trigger.device !== undefined && (typeof trigger.device !== 'string' || trigger.device === '')) {
+    return 'Trigger device must be a device name';
+  }
+
+  const appEvent = trigger.event.startsWith('app:');
+  if (trigger.package !== undefined && (!appEvent || typeof trigger.package !== 'string' || trigger.package === '')) {
+    return appEvent ? 'Trigger package must be a package name' : `Trigger event ${trigger.event} does not take a package`;
+  }
+
+  if (trigger.event === 'app:time-limit') {
+    if (trigger.package === undefined) {
+      return 'Trigger event app:time-limit needs a package';
+    }
+    if (!parseDuration(trigger.limit)) {
+      return `Invalid trigger limit: ${trigger.limit}`;
+    }
+  } else if (trigger.limit !== undefined) {
+    return 'Trigger limit is only used with app:time-limit';
+  }
+
+  return null;
+}
+
+/**
+ * Turn a broadcast event into a trigger event
+ * @param {{type: string, data?: object}} broadcast - Event from the broadcaster
+ * @returns {{event: string, device: string, package?: string}|null} Trigger event, or null for other broadcasts
+ */
+function toTriggerEvent({ type, data = {} }) {
+  const event = BROADCAST_EVENTS[type];
+  if (!event) {
+    return null;
+  }
+
+  const triggerEvent = { event, device: data.device };
+  if (data.package) {
+    triggerEvent.package = data.package;
+  }
+  return triggerEvent;
+}
+
+/**
+ * Match a trigger event against a trigger
+ * An app:time-limit trigger matches the app:foreground event that starts its countdown
+ * @param {object} trigger - Valid trigger
+ * @param {{event: string, device: string, package?: string}} event - Trigger event
+ * @returns {boolean}
+ */
+function matchTrigger(trigger, event) {
+  const expected = trigger.event === 'app:time-limit' ? 'app:foreground' : trigger.event;
+
+  return event.event === expected
+    && (trigger.device === undefined || trigger.device === event.device)
+    && (trigger.package === undefined || trigger.package === event.package);
+}
+
+/**
+ * Check whether a trigger needs the device monitor
+ * @param {object} [trigger] - Task trigger
+ * @returns {boolean}
+ */
+function needsDeviceMonitor(trigger) {
+  return Boolean(trigger) && POLLED_EVENTS.includes(trigger.event);
+}
+
+/**
+ * Describe a trigger for logs and the web UI
+ * @param {object} trigger - Valid trigger
+ * @returns {string} e.g. "On app:time-limit com.example after 2h (kids-room)"
+ */
+function describeTrigger(trigger) {
+  const parts = [`On ${trigger.event}`];
+  if (trigger.package) {
+    parts.push(trigger.package);
+  }
+  if (trigger.limit !== undefined) {
+    parts.push(`after ${trigger.limit}`);
+  }
+  if (trigger.device) {
+    parts.push(`(${trigger.device})`);
+  }
+  return parts.join(' ');
+}
+
+export { TRIGGER_EVENTS, validateTrigger, toTriggerEvent, matchTrigger, needsDeviceMonitor, describeTrigger };
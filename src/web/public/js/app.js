@@ -10,6 +10,17 @@ function appData() {
     isConnected: false,
     deviceIp: "Connecting...",
     tasks: [],
+    calendars: [],
+
+    // Tasks tab: "list" or "calendar" of upcoming and past runs
+    tasksView: "list",
+    calendarView: {
+      mode: "week",
+      anchor: new Date(),
+      days: [],
+      loading: false,
+      error: null,
+    },
     recentActivity: [],
     logs: [],
     logFilter: "all",
@@ -17,8 +28,9 @@ function appData() {
     toast: { visible: false, message: "" },
     ws: null,
     volumeSlider: 50,
-    lastVolumeValue: 50,
     volumeDebounceTimer: null,
+    keyboardText: "",
+    cronPreviewTimer: null,
     serviceVersion: "0.0.0",
     serviceUptime: 0,
     showYoutubeModal: false,
@@ -40,6 +52,11 @@ function appData() {
       scheduleType: "daily",
       time: "07:00",
       days: [],
+      solarEvent: "sunset",
+      solarOffset: "",
+      at: "",
+      afterRun: "disable",
+      cronPreview: null,
       errors: {},
       saving: false,
     },
@@ -79,6 +96,7 @@ function appData() {
       console.log("Initializing ATV Super Controller Dashboard...");
       this.fetchStatus();
       this.fetchTasks();
+      this.fetchCalendars();
       this.fetchActivity();
       this.connectWebSocket();
 
@@ -123,12 +141,181 @@ function appData() {
         if (data.success) {
           this.tasks = data.data.tasks;
         }
+        if (this.tasksView === "calendar") {
+          this.fetchTimeline();
+        }
       } catch (error) {
         console.error("Failed to fetch tasks:", error);
         this.addLog("Failed to fetch tasks", "ERROR");
       }
     },
 
+    /**
+     * Get the first and last day shown by the calendar view
+     * A week runs Monday to Sunday; a month is padded to whole weeks
+     * @returns {{start: Date, end: Date}} Local midnight of the first day and of the day after the last
+     */
+    calendarRange() {
+      const { mode, anchor } = this.calendarView;
+      const mondayOf = (date) => {
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+        return day;
+      };
+
+      if (mode === "week") {
+        const start = mondayOf(anchor);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 7);
+        return { start, end };
+      }
+
+      const start = mondayOf(new Date(anchor.getFullYear(), anchor.getMonth(), 1));
+      const end = mondayOf(new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0));
+      end.setDate(end.getDate() + 7);
+      return { start, end };
+    },
+
+    /**
+     * Fetch scheduled and recorded runs for the calendar view and group them by day
+     */
+    async fetchTimeline() {
+      const { start, end } = this.calendarRange();
+      const query = new URLSearchParams({
+        from: start.toISOString(),
+        to: end.toISOString(),
+      });
+
+      this.calendarView.loading = true;
+      try {
+        const res = await fetch(`/api/v1/timeline?${query}`);
+        const data = await res.json();
+        if (!data.success) {
+          this.calendarView.error = data.error.message;
+          return;
+        }
+
+        const entries = [
+          ...data.data.past.map((run) => ({ ...run, kind: "past" })),
+          ...data.data.upcoming.map((run) => ({ ...run, kind: "upcoming" })),
+        ].sort((a, b) => new Date(a.time) - new Date(b.time));
+
+        const days = [];
+        const today = new Date().toDateString();
+        for (let day = new Date(start); day < end; day.setDate(day.getDate() + 1)) {
+          const key = day.toDateString();
+          days.push({
+            key,
+            date: day.getDate(),
+            inMonth: day.getMonth() === this.calendarView.anchor.getMonth(),
+            isToday: key === today,
+            entries: entries.filter((entry) => new Date(entry.time).toDateString() === key),
+          });
+        }
+
+        this.calendarView.days = days;
+        this.calendarView.error = null;
+      } catch (error) {
+        console.error("Failed to fetch timeline:", error);
+        this.calendarView.error = "Failed to load runs";
+      } finally {
+        this.calendarView.loading = false;
+      }
+    },
+
+    /**
+     * Switch the Tasks tab between the list and the calendar
+     * @param {string} view - "list" or "calendar"
+     */
+    setTasksView(view) {
+      this.tasksView = view;
+      if (view === "calendar") {
+        this.fetchTimeline();
+      }
+    },
+
+    /**
+     * Switch the calendar between a week and a month
+     * @param {string} mode - "week" or "month"
+     */
+    setCalendarMode(mode) {
+      this.calendarView.mode = mode;
+      this.fetchTimeline();
+    },
+
+    /**
+     * Move the calendar a week or month back or forward, or to today
+     * @param {number} step - -1, 1, or 0 for today
+     */
+    shiftCalendar(step) {
+      const anchor = new Date(this.calendarView.anchor);
+      if (step === 0) {
+        this.calendarView.anchor = new Date();
+      } else if (this.calendarView.mode === "week") {
+        anchor.setDate(anchor.getDate() + step * 7);
+        this.calendarView.anchor = anchor;
+      } else {
+        this.calendarView.anchor = new Date(anchor.getFullYear(), anchor.getMonth() + step, 1);
+      }
+      this.fetchTimeline();
+    },
+
+    /**
+     * Title of the calendar view
+     * @returns {string} e.g. "October 2026" or "Oct 19 – Oct 25, 2026"
+     */
+    calendarTitle() {
+      if (this.calendarView.mode === "month") {
+        return this.calendarView.anchor.toLocaleDateString(undefined, { month: "long", year: "numeric" });
+      }
+      const { start, end } = this.calendarRange();
+      const last = new Date(end);
+      last.setDate(last.getDate() - 1);
+      const format = { month: "short", day: "numeric" };
+      return `${start.toLocaleDateString(undefined, format)} – ${last.toLocaleDateString(undefined, { ...format, year: "numeric" })}`;
+    },
+
+    /**
+     * Color of a calendar entry: upcoming runs are blue, past runs colored by status
+     * @param {object} entry - Timeline entry
+     * @returns {string} CSS classes
+     */
+    calendarEntryClass(entry) {
+      if (entry.kind === "upcoming") {
+        return "border-blue-500/50 text-blue-300 bg-blue-600/10";
+      }
+      const colors = {
+        completed: "border-green-500/50 text-green-300 bg-green-600/10",
+        partial: "border-yellow-500/50 text-yellow-300 bg-yellow-600/10",
+        failed: "border-red-500/50 text-red-300 bg-red-600/10",
+      };
+      return colors[entry.status] || "border-gray-600 text-gray-400 bg-gray-700/30";
+    },
+
+    /**
+     * Format the time of a calendar entry
+     * @param {string} iso - ISO date string
+     * @returns {string} Local time, e.g. "07:30"
+     */
+    formatCalendarTime(iso) {
+      return new Date(iso).toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+    },
+
+    /**
+     * Fetch exclusion calendars tasks can skip on
+     */
+    async fetchCalendars() {
+      try {
+        const res = await fetch("/api/v1/calendars");
+        const data = await res.json();
+        if (data.success) {
+          this.calendars = data.data.calendars;
+        }
+      } catch (error) {
+        console.error("Failed to fetch calendars:", error);
+      }
+    },
+
     /**
      * Fetch recent activity log
      */
@@ -232,6 +419,9 @@ function appData() {
         this.deviceIp = "Disconnected";
         this.showToast("Device Disconnected");
         this.addLog(`Disconnected from ${message.data.target}`, "WARN");
+      } else if (message.type === "remote:text:error") {
+        this.showToast(`Error: ${message.data.error}`);
+        this.addLog(`Text send failed: ${message.data.error}`, "ERROR");
       } else if (message.type === "task:completed") {
         this.fetchActivity(); // Refresh activity log
         this.fetchTasks(); // Refresh task list for updated next run times
@@ -258,6 +448,30 @@ function appData() {
           task.lastRunTime = new Date().toLocaleTimeString();
           task.running = false;
         }
+      } else if (message.type === "task:partial") {
+        this.fetchActivity(); // Refresh activity log
+        this.fetchTasks(); // Refresh task list
+        this.showToast(`Task Partially Failed: ${message.data.task}`);
+        this.addLog(`Task partially failed: ${message.data.task} (${message.data.error})`, "WARN");
+
+        // Group run where only some devices failed
+        const task = this.tasks.find((t) => t.name === message.data.task);
+        if (task) {
+          task.lastStatus = "partial";
+          task.lastRunTime = new Date().toLocaleTimeString();
+          task.running = false;
+        }
+      } else if (message.type === "task:skipped") {
+        this.fetchTasks(); // Refresh task list
+        this.addLog(`Task skipped: ${message.data.task} (${message.data.reason})`, "INFO");
+
+        // Run excluded by one of the task's skipOn calendars
+        const task = this.tasks.find((t) => t.name === message.data.task);
+        if (task) {
+          task.lastStatus = "skipped";
+          task.lastReason = message.data.reason;
+          task.lastRunTime = new Date().toLocaleTimeString();
+        }
       } else if (message.type === "task:triggered") {
         this.addLog(`Task triggered: ${message.data.taskName}`, "INFO");
 
@@ -265,6 +479,20 @@ function appData() {
         const task = this.tasks.find((t) => t.name === message.data.taskName);
         if (task) {
           task.running = true;
+          task.runId = message.data.runId;
+        }
+      } else if (message.type === "task:cancelled") {
+        this.fetchActivity(); // Refresh activity log
+        this.fetchTasks(); // Refresh task list
+        this.showToast(`Task Cancelled: ${message.data.task}`);
+        this.addLog(`Task cancelled: ${message.data.task}`, "WARN");
+
+        const task = this.tasks.find((t) => t.name === message.data.task);
+        if (task) {
+          task.lastStatus = "cancelled";
+          task.lastRunTime = new Date().toLocaleTimeString();
+          task.running = false;
+          task.runId = null;
         }
       } else if (
         message.type === "task:enabled" ||
@@ -742,14 +970,6 @@ function appData() {
       this.scrollLogsToBottom();
     },
 
-    /**
-     * Helper function to create a delay
-     * @param {number} ms - Milliseconds to delay
-     */
-    delay(ms) {
-      return new Promise((resolve) => setTimeout(resolve, ms));
-    },
-
     /**
      * Format uptime seconds to human readable string
      * @param {number} seconds - Uptime in seconds
@@ -826,6 +1046,15 @@ function appData() {
         return;
       }
 
+      // Ask for declared params that have no default
+      const params = {};
+      for (const [name, definition] of Object.entries(task.params || {})) {
+        if (definition.default !== undefined) continue;
+        const value = window.prompt(`Value for ${name}${definition.description ? ` (${definition.description})` : ""}`);
+        if (value === null) return;
+        params[name] = value;
+      }
+
       task.running = true;
 
       try {
@@ -834,15 +1063,25 @@ function appData() {
           {
             method: "POST",
             headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ params }),
           },
         );
 
         const data = await res.json();
 
-        if (data.success) {
+        if (data.success && data.data.status === "partial") {
+          this.showToast(`Task partially failed: ${taskName}`);
+          this.addLog(`Manual trigger: ${taskName} (${data.data.message})`, "WARN");
+        } else if (data.success) {
           this.showToast(`Task triggered: ${taskName}`);
           this.addLog(`Manual trigger: ${taskName}`, "INFO");
           // Note: task.running will be reset by WebSocket task:completed/task:failed events
+        } else if (data.error?.code === "TASK_CANCELLED") {
+          // Reported by the task:cancelled WebSocket event
+          task.running = false;
+        } else if (data.error?.code === "TASK_RUNNING") {
+          // The earlier run keeps going; this one was skipped
+          this.showToast(`Already running: ${taskName}`);
         } else {
           task.running = false;
           this.showToast(`Error: ${data.error.message}`);
@@ -855,6 +1094,32 @@ function appData() {
       }
     },
 
+    /**
+     * Cancel the run in progress of a task
+     * Uses the WebSocket when connected, otherwise the REST API
+     * @param {object} task - Task whose run to cancel
+     */
+    async cancelTaskRun(task) {
+      if (!task.runId) return;
+
+      if (this.ws?.readyState === WebSocket.OPEN) {
+        this.ws.send(JSON.stringify({ type: "run:cancel", runId: task.runId }));
+        return;
+      }
+
+      try {
+        const res = await fetch(`/api/v1/runs/${encodeURIComponent(task.runId)}`, {
+          method: "DELETE",
+        });
+        const data = await res.json();
+        if (!data.success) {
+          this.showToast(`Error: ${data.error.message}`);
+        }
+      } catch (error) {
+        this.showToast("Network Error");
+      }
+    },
+
     /**
      * Send a key event to the device via remote control API
      * @param {string} keycode - Android keycode to send
@@ -913,13 +1178,76 @@ function appData() {
       this.sendKeyEvent(keycode);
     },
 
+    /**
+     * Type text into the focused field on the device via remote control API
+     * @param {string} text - Text to type
+     */
+    async sendText(text) {
+      try {
+        const res = await fetch("/api/v1/remote/text", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ text }),
+        });
+
+        const data = await res.json();
+
+        if (data.success) {
+          this.showToast(`Typed ${text.length} character${text.length === 1 ? "" : "s"}`);
+          this.addLog(`Text sent (${data.data.method})`, "DEBUG");
+        } else {
+          this.showToast(`Error: ${data.error.message}`);
+          this.addLog(`Text send failed: ${data.error.message}`, "ERROR");
+        }
+      } catch (error) {
+        this.showToast("Network Error");
+        this.addLog("Network error sending text", "ERROR");
+      }
+    },
+
+    /**
+     * Send the keyboard field via WebSocket (fire-and-forget) and clear it
+     * Falls back to HTTP if WebSocket is not connected
+     */
+    submitKeyboardText() {
+      const text = this.keyboardText;
+      if (!text) return;
+      this.keyboardText = "";
+
+      if (this.ws?.readyState === WebSocket.OPEN) {
+        this.ws.send(
+          JSON.stringify({
+            type: "remote:text",
+            text,
+          }),
+        );
+        return;
+      }
+
+      this.sendText(text);
+    },
+
+    /**
+     * Move the volume slider to the device's current media volume
+     */
+    async fetchVolume() {
+      try {
+        const res = await fetch("/api/v1/remote/volume");
+        const data = await res.json();
+        if (data.success) {
+          this.volumeSlider = data.data.percent;
+        }
+      } catch (error) {
+        // Slider keeps its position
+      }
+    },
+
     /**
      * Handle volume slider changes with debounce
      * @param {Event} event - Input event from slider
      */
     handleVolumeChange(event) {
-      const newValue = parseInt(event.target.value, 10);
-      const diff = newValue - this.lastVolumeValue;
+      const percent = parseInt(event.target.value, 10);
 
       // Clear existing debounce timer
       if (this.volumeDebounceTimer) {
@@ -928,22 +1256,23 @@ function appData() {
 
       // Debounce volume changes (150ms)
       this.volumeDebounceTimer = setTimeout(async () => {
-        if (diff > 0) {
-          // Volume increased - send volume up events with delay between each
-          const steps = Math.min(Math.ceil(diff / 10), 5);
-          for (let i = 0; i < steps; i++) {
-            await this.sendKeyEvent("KEYCODE_VOLUME_UP");
-            if (i < steps - 1) await this.delay(50);
-          }
-        } else if (diff < 0) {
-          // Volume decreased - send volume down events with delay between each
-          const steps = Math.min(Math.ceil(Math.abs(diff) / 10), 5);
-          for (let i = 0; i < steps; i++) {
-            await this.sendKeyEvent("KEYCODE_VOLUME_DOWN");
-            if (i < steps - 1) await this.delay(50);
+        try {
+          const res = await fetch("/api/v1/remote/volume", {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ percent }),
+          });
+          const data = await res.json();
+
+          if (data.success) {
+            this.volumeSlider = data.data.percent;
+            this.addLog(`Volume set to ${data.data.level}/${data.data.max}`, "DEBUG");
+          } else {
+            this.showToast(`Error: ${data.error.message}`);
           }
+        } catch (error) {
+          this.showToast("Network Error");
         }
-        this.lastVolumeValue = newValue;
       }, 150);
     },
 
@@ -1076,10 +1405,30 @@ function appData() {
       this.taskModal = {
         isOpen: true,
         mode: "create",
-        task: { name: "", schedule: "", actions: [{ type: "wake" }] },
+        task: {
+          name: "",
+          schedule: "",
+          timezone: "",
+          startDate: "",
+          endDate: "",
+          catchUp: "none",
+          maxLateness: "",
+          concurrency: "skip",
+          skipOn: [],
+          params: {},
+          actions: [{ type: "wake" }],
+        },
         scheduleType: "daily",
         time: "07:00",
         days: [],
+        solarEvent: "sunset",
+        solarOffset: "",
+        at: "",
+        afterRun: "disable",
+        triggerEvent: "screen:on",
+        triggerPackage: "",
+        triggerLimit: "",
+        cronPreview: null,
         errors: {},
         saving: false,
       };
@@ -1096,16 +1445,59 @@ function appData() {
         mode: "edit",
         task: {
           name: task.name,
-          schedule: task.cron,
+          schedule: typeof task.cron === "string" ? task.cron : "",
+          timezone: task.customTimezone || "",
+          startDate: task.startDate || "",
+          endDate: task.endDate || "",
+          catchUp: task.catchUp || "none",
+          maxLateness: task.maxLateness ?? "",
+          concurrency: task.concurrency || "skip",
+          skipOn: [...(task.skipOn || [])],
+          device: task.device,
+          params: JSON.parse(JSON.stringify(task.params || {})),
+          // Retry, timeout and onError settings are kept as configured
+          retries: task.retries,
+          backoff: task.backoff,
+          timeout: task.timeout,
+          onError: task.onError,
+          goto: task.goto,
+          onSuccess: task.onSuccess,
+          onFailure: task.onFailure,
+          trigger: task.trigger,
           actions: JSON.parse(JSON.stringify(task.actions || [])),
         },
-        scheduleType: parsed.scheduleType,
+        scheduleType: task.at ? "once" : (task.trigger && !task.cron ? "event" : parsed.scheduleType),
         time: parsed.time,
         days: parsed.days,
+        solarEvent: parsed.solarEvent || "sunset",
+        solarOffset: parsed.solarOffset || "",
+        at: task.at ? task.at.slice(0, 16) : "",
+        afterRun: task.afterRun || "disable",
+        triggerEvent: task.trigger?.event || "screen:on",
+        triggerPackage: task.trigger?.package || "",
+        triggerLimit: task.trigger?.limit ?? "",
         originalName: task.name,
+        cronPreview: null,
         errors: {},
         saving: false,
       };
+      if (this.taskModal.scheduleType === "advanced") {
+        this.previewCron();
+      }
+    },
+
+    /**
+     * Toggle an exclusion calendar in the task being edited
+     * @param {string} name - Calendar name
+     */
+    toggleSkipCalendar(name) {
+      const skipOn = this.taskModal.task.skipOn;
+      const index = skipOn.indexOf(name);
+      if (index === -1) {
+        skipOn.push(name);
+      } else {
+        skipOn.splice(index, 1);
+      }
     },
 
     /**
@@ -1117,11 +1509,20 @@ function appData() {
 
     /**
      * Parse existing cron to UI state
-     * @param {string} cron - 6-field cron expression
-     * @returns {object} { scheduleType, time, days }
+     * @param {string|object} cron - 6-field cron expression or solar schedule
+     * @returns {object} { scheduleType, time, days, solarEvent?, solarOffset? }
      */
     parseCronToUI(cron) {
       if (!cron) return { scheduleType: "daily", time: "07:00", days: [] };
+      if (typeof cron === "object" && cron.solar) {
+        return {
+          scheduleType: "solar",
+          time: "07:00",
+          days: [],
+          solarEvent: cron.solar,
+          solarOffset: cron.offset || "",
+        };
+      }
       const parts = cron.trim().split(/\s+/);
       if (parts.length !== 6)
         return { scheduleType: "advanced", time: "07:00", days: [] };
@@ -1144,13 +1545,20 @@ function appData() {
 
     /**
      * Generate cron string from UI state
-     * @returns {string} Generated 6-field cron expression
+     * @returns {string|object} Generated 6-field cron expression or solar schedule
      */
     generateCronFromUI() {
       if (this.taskModal.scheduleType === "advanced") {
         return this.taskModal.task.schedule;
       }
 
+      if (this.taskModal.scheduleType === "solar") {
+        const offset = this.taskModal.solarOffset.trim();
+        return offset
+          ? { solar: this.taskModal.solarEvent, offset }
+          : { solar: this.taskModal.solarEvent };
+      }
+
       const [hour, min] = this.taskModal.time.split(":");
       const formattedHour = parseInt(hour, 10).toString(); // remove leading zeros for cron
       const formattedMin = parseInt(min, 10).toString();
@@ -1191,6 +1599,23 @@ function appData() {
         this.taskModal.days.length === 0
       ) {
         this.taskModal.errors.schedule = "Please select at least one day";
+      } else if (
+        this.taskModal.scheduleType === "once" &&
+        !this.taskModal.at
+      ) {
+        this.taskModal.errors.schedule = "Please pick a date and time";
+      } else if (
+        this.taskModal.scheduleType === "solar" &&
+        !/^[+-]?(\d+h)?(\d+m)?(\d+s)?$/.test(this.taskModal.solarOffset.trim())
+      ) {
+        this.taskModal.errors.schedule = "Offset must look like +30m, -1h or +1h15m";
+      } else if (
+        this.taskModal.scheduleType === "event" &&
+        this.taskModal.triggerEvent === "app:time-limit" &&
+        (!this.taskModal.triggerPackage.trim() ||
+          !/^(?=\d)(\d+d)?(\d+h)?(\d+m)?(\d+s)?$/.test(String(this.taskModal.triggerLimit).trim()))
+      ) {
+        this.taskModal.errors.schedule = "Enter the app package and a limit such as 2h or 45m";
       }
 
       if (
@@ -1198,6 +1623,38 @@ function appData() {
         this.taskModal.task.actions.length === 0
       ) {
         this.taskModal.errors.actions = "At least one action is required";
+      } else if (
+        this.taskModal.task.actions.some(
+          (action) =>
+            action.type === "if" && (!action.then || action.then.length === 0),
+        )
+      ) {
+        this.taskModal.errors.actions = "Each If step needs at least one step in Then";
+      } else if (
+        this.taskModal.task.actions.some(
+          (action) =>
+            (action.type === "repeat" || action.type === "forEach") &&
+            (!action.steps || action.steps.length === 0),
+        )
+      ) {
+        this.taskModal.errors.actions = "Each loop needs at least one step";
+      } else if (
+        this.taskModal.task.actions.some(
+          (action) =>
+            action.type === "repeat" &&
+            action.times === undefined &&
+            action.until === undefined,
+        )
+      ) {
+        this.taskModal.errors.actions = "Repeat needs a number of times or an end time";
+      } else if (
+        this.taskModal.task.actions.some(
+          (action) =>
+            action.type === "forEach" &&
+            (!action.items || action.items.length === 0),
+        )
+      ) {
+        this.taskModal.errors.actions = "For each needs at least one item";
       }
 
       return Object.keys(this.taskModal.errors).length === 0;
@@ -1207,8 +1664,12 @@ function appData() {
      * Save task (create or update)
      */
     async saveTask() {
-      // First generate cron before validation if not in advanced mode
-      if (this.taskModal.scheduleType !== "advanced") {
+      // First generate cron before validation if not in advanced, one-shot or event mode
+      if (
+        this.taskModal.scheduleType !== "advanced" &&
+        this.taskModal.scheduleType !== "once" &&
+        this.taskModal.scheduleType !== "event"
+      ) {
         this.taskModal.task.schedule = this.generateCronFromUI();
       }
 
@@ -1223,10 +1684,34 @@ function appData() {
           : "/api/v1/tasks";
         const method = isEdit ? "PUT" : "POST";
 
+        // One-shot tasks send `at` instead of a schedule
+        const payload = { ...this.taskModal.task };
+        if (this.taskModal.scheduleType === "once") {
+          delete payload.schedule;
+          payload.at = this.taskModal.at;
+          payload.afterRun = this.taskModal.afterRun;
+        }
+
+        // Event tasks send a `trigger` instead of a schedule (keeping its device filter)
+        if (this.taskModal.scheduleType === "event") {
+          delete payload.schedule;
+          const trigger = { event: this.taskModal.triggerEvent };
+          if (trigger.event.startsWith("app:") && this.taskModal.triggerPackage.trim()) {
+            trigger.package = this.taskModal.triggerPackage.trim();
+          }
+          if (trigger.event === "app:time-limit") {
+            trigger.limit = String(this.taskModal.triggerLimit).trim();
+          }
+          if (payload.trigger?.device) {
+            trigger.device = payload.trigger.device;
+          }
+          payload.trigger = trigger;
+        }
+
         const res = await fetch(url, {
           method,
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(this.taskModal.task),
+          body: JSON.stringify(payload),
         });
 
         const data = await res.json();
@@ -1235,6 +1720,8 @@ function appData() {
           this.showToast(`Task ${isEdit ? "updated" : "created"} successfully`);
           this.closeTaskModal();
           this.fetchTasks();
+        } else if (data.error.code === "INVALID_TIMEZONE") {
+          this.taskModal.errors.timezone = data.error.message;
         } else {
           this.taskModal.errors.name = data.error.message;
         }
@@ -1321,7 +1808,14 @@ function appData() {
      * @param {number} index - Action index
      */
     resetActionParams(index) {
-      const action = this.taskModal.task.actions[index];
+      this.resetStepParams(this.taskModal.task.actions[index]);
+    },
+
+    /**
+     * Reset a step's params for its (new) type
+     * @param {object} action - Action or block
+     */
+    resetStepParams(action) {
       const type = action.type;
 
       // Clear all params except type
@@ -1335,6 +1829,175 @@ function appData() {
       if (type === "launch-app") action.package = "";
       if (type === "force-stop") action.package = "";
       if (type === "clear-cache") action.package = "";
+      if (type === "keys") action.sequence = ["DPAD_CENTER"];
+      if (type === "type-text") action.text = "";
+      if (type === "set-volume") action.percent = 30;
+      if (type === "switch-input") action.input = 1;
+      if (type === "open-intent") {
+        action.action = "android.intent.action.VIEW";
+        action.data = "";
+      }
+      if (type === "if") {
+        action.condition = { probe: "power", notEquals: "awake" };
+        action.then = [{ type: "wake" }];
+        action.else = [];
+      }
+      if (type === "repeat") {
+        action.times = 2;
+        action.steps = [{ type: "wake" }];
+      }
+      if (type === "forEach") {
+        action.items = [];
+        action.steps = [{ type: "play-video", url: "${item}" }];
+      }
+    },
+
+    /**
+     * Names of the nested step lists of a block
+     * @param {object} step - Action or block
+     * @returns {string[]} ['then', 'else'] for if, ['steps'] for loops, [] otherwise
+     */
+    blockBranches(step) {
+      if (step.type === "if") return ["then", "else"];
+      if (step.type === "repeat" || step.type === "forEach") return ["steps"];
+      return [];
+    },
+
+    /**
+     * Set or clear the iteration count of a repeat step
+     * @param {object} step - Repeat step
+     * @param {string} raw - Value as typed
+     */
+    setLoopTimes(step, raw) {
+      if (raw.trim() === "") delete step.times;
+      else step.times = Number(raw);
+    },
+
+    /**
+     * Set or clear the end time of a repeat step
+     * @param {object} step - Repeat step
+     * @param {string} raw - Time from the time input (HH:mm)
+     */
+    setLoopUntil(step, raw) {
+      if (raw) step.until = raw;
+      else delete step.until;
+    },
+
+    /**
+     * Set the items of a forEach step from a comma separated list
+     * @param {object} step - forEach step
+     * @param {string} raw - Items as typed
+     */
+    setLoopItems(step, raw) {
+      step.items = raw
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    },
+
+    /**
+     * Main parameter of an action type, edited inline for steps nested in blocks
+     * @param {string} type - Action type
+     * @returns {{key: string, placeholder: string, number?: boolean, json?: boolean}|null}
+     */
+    stepParam(type) {
+      const params = {
+        keys: { key: "sequence", placeholder: '["DPAD_DOWN", "ENTER"]', json: true },
+        wait: { key: "duration", placeholder: "Duration (ms)", number: true },
+        "play-video": { key: "url", placeholder: "YouTube URL" },
+        "launch-app": { key: "package", placeholder: "Package name" },
+        "force-stop": { key: "package", placeholder: "Package name" },
+        "clear-cache": { key: "package", placeholder: "Package name" },
+        "type-text": { key: "text", placeholder: "Text to type" },
+        "set-volume": { key: "percent", placeholder: "Volume (%)", number: true },
+        "switch-input": { key: "input", placeholder: "HDMI input (1-4)", number: true },
+        "open-intent": { key: "data", placeholder: "URI to open" },
+      };
+      return params[type] || null;
+    },
+
+    /**
+     * Set the sequence of a keys step from JSON as typed
+     * The sequence is kept until the text is a valid JSON list again
+     * @param {object} step - Keys step
+     * @param {string} raw - JSON list of keys or { key, longPress, repeat, interval } entries
+     */
+    setKeySequence(step, raw) {
+      try {
+        const sequence = JSON.parse(raw);
+        if (Array.isArray(sequence)) step.sequence = sequence;
+      } catch {
+        // Still typing
+      }
+    },
+
+    /**
+     * Add a step to a branch of an if or loop step
+     * @param {object} step - Block
+     * @param {string} branch - 'then', 'else' or 'steps'
+     */
+    addBranchStep(step, branch) {
+      if (!step[branch]) step[branch] = [];
+      step[branch].push({ type: "wake" });
+    },
+
+    /**
+     * Remove a step from a branch of an if or loop step
+     * @param {object} step - Block
+     * @param {string} branch - 'then', 'else' or 'steps'
+     * @param {number} index - Index in the branch
+     */
+    removeBranchStep(step, branch, index) {
+      step[branch].splice(index, 1);
+    },
+
+    /**
+     * Operator used by a condition
+     * @param {object} condition - Condition object
+     * @returns {string} equals, notEquals, in, above or below
+     */
+    conditionOperator(condition) {
+      return (
+        ["equals", "notEquals", "in", "above", "below"].find(
+          (op) => condition && condition[op] !== undefined,
+        ) || "equals"
+      );
+    },
+
+    /**
+     * Change the operator of a condition, keeping its value
+     * @param {object} condition - Condition object
+     * @param {string} operator - New operator
+     */
+    setConditionOperator(condition, operator) {
+      const previous = this.conditionOperator(condition);
+      const value = condition[previous];
+      delete condition[previous];
+      condition[operator] = value ?? "";
+      this.setConditionValue(condition, String(condition[operator]));
+    },
+
+    /**
+     * Set the compared value of a condition
+     * Numeric operators and the volume probe store numbers
+     * @param {object} condition - Condition object
+     * @param {string} raw - Value as typed
+     */
+    setConditionValue(condition, raw) {
+      const operator = this.conditionOperator(condition);
+      if (operator === "in") {
+        condition.in = raw
+          .split(",")
+          .map((value) => value.trim())
+          .filter(Boolean);
+        return;
+      }
+      const numeric =
+        operator === "above" ||
+        operator === "below" ||
+        condition.probe === "volume";
+      condition[operator] =
+        numeric && raw.trim() !== "" && !isNaN(Number(raw)) ? Number(raw) : raw;
     },
 
     /**
@@ -1344,36 +2007,69 @@ function appData() {
     applyCronPreset(preset) {
       if (preset) {
         this.taskModal.task.schedule = preset;
+        this.previewCron();
       }
     },
 
     /**
-     * Describe a cron expression in human-readable format
-     * @param {string} cron - 6-field cron expression
-     * @returns {string} Human-readable description
+     * Preview the advanced cron expression: its description and next runs
+     * Debounced while typing; the task's timezone is used when set
      */
-    describeCron(cron) {
-      if (!cron) return "";
+    previewCron() {
+      if (this.cronPreviewTimer) {
+        clearTimeout(this.cronPreviewTimer);
+      }
 
-      const parts = cron.trim().split(/\s+/);
-      if (parts.length !== 6) return "Invalid cron format (need 6 fields)";
+      this.cronPreviewTimer = setTimeout(async () => {
+        const expr = (this.taskModal.task.schedule || "").trim();
+        if (!expr) {
+          this.taskModal.cronPreview = null;
+          return;
+        }
 
-      const [sec, min, hour, dom, mon, dow] = parts;
+        const query = new URLSearchParams({ expr });
+        if (this.taskModal.task.timezone) {
+          query.set("tz", this.taskModal.task.timezone);
+        }
 
-      // Simple descriptions for common patterns
-      if (sec === "0" && min === "0" && hour === "*") {
-        return "Runs every hour at :00";
-      }
-      if (sec === "0" && min === "0" && dom === "*" && mon === "*") {
-        if (dow === "*") return `Runs daily at ${hour}:00`;
-        if (dow === "1-5") return `Runs weekdays at ${hour}:00`;
-        if (dow === "0,6") return `Runs weekends at ${hour}:00`;
+        try {
+          const res = await fetch(`/api/v1/cron/preview?${query}`);
+          const data = await res.json();
+          this.taskModal.cronPreview = data.success
+            ? data.data
+            : { error: data.error.message };
+        } catch (error) {
+          console.error("Failed to preview cron:", error);
+          this.taskModal.cronPreview = null;
+        }
+      }, 300);
+    },
+
+    /**
+     * Format a task schedule for display
+     * @param {object} task - Task with `cron` (cron string or solar schedule) or one-shot `at`
+     * @returns {string} Cron string, e.g. "sunset +30m", or "once 2026-12-24 20:00"
+     */
+    formatSchedule(task) {
+      if (task.at) {
+        return `once ${task.at.replace("T", " ")}`;
       }
-      if (sec === "0" && dom === "*" && mon === "*" && dow === "*") {
-        return `Runs daily at ${hour}:${min.padStart(2, "0")}`;
+      const schedule = task.cron;
+      if (schedule && typeof schedule === "object" && schedule.solar) {
+        return schedule.offset
+          ? `${schedule.solar} ${schedule.offset}`
+          : schedule.solar;
       }
+      return schedule;
+    },
 
-      return `Runs at second ${sec}, minute ${min}, hour ${hour}`;
+    /**
+     * Format a run time of the cron preview
+     * @param {string} iso - ISO date string
+     * @returns {string} Local date and time
+     */
+    formatPreviewRun(iso) {
+      return new Date(iso).toLocaleString();
     },
   };
 }
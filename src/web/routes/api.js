@@ -7,12 +7,24 @@ import path from 'path';
 import os from 'os';
 import AdbKit from '@devicefarmer/adbkit';
 import multer from 'multer';
-import { getDeviceStatus, getDevice, connect, reconnect, captureScreen } from '../../services/adb-client.js';
-import { getSchedulerStatus, getJobs, setTaskEnabled, getTaskDetails, addTask, updateTaskConfig, removeTask } from '../../services/scheduler.js';
+import { getDeviceStatus, listDeviceStatuses, listDeviceNames, listDeviceGroups, isDeviceGroup, getDevice, connect, reconnect, captureScreen } from '../../services/adb-client.js';
+import { getSchedulerStatus, getJobs, setTaskEnabled, getTaskDetails, addTask, updateTaskConfig, removeTask, recordExecution, resolveTimezone, getUpcomingRuns } from '../../services/scheduler.js';
+import { queryHistory } from '../../services/history-store.js';
+import { hasCalendar, listCalendars } from '../../services/calendars.js';
 import { executeAction, executeTask, getActivityLog, getActionContext } from '../../services/executor.js';
 import { getRecentLogs } from '../../utils/logger.js';
 import { addTask as addTaskToConfig, updateTask as updateTaskInConfig, deleteTask as deleteTaskFromConfig } from '../../services/config-persistence.js';
-import { validateCronExpression } from '../../utils/cron-validator.js';
+import { validateSchedule, validateTaskTiming, normalizeSchedule, validateCronExpression, getNextRunTimes, describeCronExpression } from '../../utils/cron-validator.js';
+import { validateTimezone } from '../../utils/timezone.js';
+import { parseDuration } from '../../utils/duration.js';
+import { findStepErrors, flattenSteps } from '../../utils/action-steps.js';
+import { findParamErrors, resolveTaskParams } from '../../utils/task-params.js';
+import { POLICY_FIELDS, findTaskPolicyErrors } from '../../utils/run-policy.js';
+import { HOOK_FIELDS, findHookErrors } from '../../utils/task-hooks.js';
+import { validateTrigger } from '../../utils/triggers.js';
+import { planTask } from '../../services/dry-run.js';
+import { readVolume } from '../../services/device-state.js';
+import { cancelRun, listRuns } from '../../services/run-registry.js';
 import { listActions, getAction } from '../../actions/index.js';
 import { listInstalledApps, getAppApkPath } from '../../services/app-manager.js';
 import { shellQuote, isValidPackageName } from '../../utils/shell.js';
@@ -27,6 +39,12 @@ let serviceStartTime = Date.now();
 
 const APK_EXTENSION_PATTERN = /\.apk$/i;
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range and most recorded runs returned by the timeline (a month view plus its edges)
+const MAX_TIMELINE_DAYS = 62;
+const MAX_TIMELINE_RUNS = 500;
+
 const upload = multer({
   dest: os.tmpdir(),
   limits: {
@@ -47,13 +65,193 @@ function parsePackageParam(rawValue) {
   return packageName;
 }
 
+/**
+ * Find the first device reference in a task that is not a registered device
+ * Tasks may also target a device group; actions may not
+ * @param {object} task - Task with optional device and actions[].device (including steps nested in blocks)
+ * @returns {string|null} Unknown device name or null when all are known
+ */
+function findUnknownDevice(task) {
+  const known = listDeviceNames();
+  if (task.device && !known.includes(task.device) && !isDeviceGroup(task.device)) {
+    return task.device;
+  }
+  const refs = flattenSteps(task.actions).map(({ step }) => step.device).filter(Boolean);
+  return refs.find(name => !known.includes(name)) || null;
+}
+
+/**
+ * Validate the params declarations of a task request and copy them onto the task
+ * Expects task.actions to be set so that parameter references can be checked
+ * @param {object} [params] - Declared params from the request body
+ * @param {object} task - Task being built
+ * @returns {{code: string, message: string, details?: object}|null} API error, or null when valid
+ */
+function applyTaskParams(params, task) {
+  if (params !== undefined && (params === null || typeof params !== 'object' || Array.isArray(params))) {
+    return { code: 'VALIDATION_ERROR', message: 'params must be an object' };
+  }
+  if (params && Object.keys(params).length > 0) {
+    task.params = params;
+  }
+
+  const [paramError] = findParamErrors(task);
+  if (paramError) {
+    return { code: 'INVALID_PARAMS', message: paramError.message, details: { path: paramError.path } };
+  }
+  return null;
+}
+
+/**
+ * Validate the task-wide retry, timeout, onError and concurrency settings of a request and copy them onto the task
+ * Expects task.actions to be set so that a goto target can be checked
+ * @param {object} body - Request body
+ * @param {object} task - Task being built
+ * @returns {{code: string, message: string, details?: object}|null} API error, or null when valid
+ */
+function applyTaskPolicy(body, task) {
+  for (const field of POLICY_FIELDS) {
+    if (body[field] !== undefined && body[field] !== '') {
+      task[field] = body[field];
+    }
+  }
+  // skip is the default and is not stored
+  if (body.concurrency && body.concurrency !== 'skip') {
+    task.concurrency = body.concurrency;
+  }
+
+  const [policyError] = findTaskPolicyErrors(task);
+  if (policyError) {
+    return { code: 'VALIDATION_ERROR', message: policyError.message, details: { path: policyError.path } };
+  }
+  return null;
+}
+
+/**
+ * Validate the onSuccess and onFailure tasks of a request and copy them onto the task
+ * @param {object} body - Request body
+ * @param {object} task - Task being built (named)
+ * @returns {{code: string, message: string, details?: object}|null} API error, or null when valid
+ */
+function applyTaskHooks(body, task) {
+  for (const field of HOOK_FIELDS) {
+    const value = body[field];
+    if (value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+      task[field] = value;
+    }
+  }
+
+  const [hookError] = findHookErrors(task, getJobs().map(job => job.name));
+  if (hookError) {
+    return { code: 'VALIDATION_ERROR', message: hookError.message, details: { path: hookError.path } };
+  }
+  return null;
+}
+
+/**
+ * Validate the timing fields of a task request and copy them onto the task
+ * A task needs a `schedule` (cron or solar), a one-shot `at` time in the future or an event `trigger`
+ * (which may also be combined with either); date window, timezone, missed-run catch-up and
+ * exclusion calendars are optional
+ * @param {object} body - Request body
+ * @param {object} task - Task being built
+ * @returns {{code: string, message: string}|null} API error, or null when valid
+ */
+function applyTaskTiming(body, task) {
+  const { schedule, at, trigger, afterRun, startDate, endDate, timezone, catchUp, maxLateness, skipOn } = body;
+
+  if (timezone) {
+    const tzResult = validateTimezone(timezone);
+    if (!tzResult.valid) {
+      return { code: 'INVALID_TIMEZONE', message: tzResult.error };
+    }
+    task.timezone = timezone;
+  }
+
+  if (trigger !== undefined && trigger !== null) {
+    const triggerError = validateTrigger(trigger);
+    if (triggerError) {
+      return { code: 'VALIDATION_ERROR', message: triggerError, details: { path: '/trigger' } };
+    }
+    if (trigger.device && !listDeviceNames().includes(trigger.device)) {
+      return { code: 'UNKNOWN_DEVICE', message: `Unknown device: ${trigger.device}` };
+    }
+    task.trigger = trigger;
+  }
+
+  if (at) {
+    task.at = at;
+    if (afterRun) {
+      if (afterRun !== 'disable' && afterRun !== 'delete') {
+        return { code: 'VALIDATION_ERROR', message: "afterRun must be 'disable' or 'delete'" };
+      }
+      task.afterRun = afterRun;
+    }
+  } else if (schedule || !task.trigger) {
+    if (!schedule || (typeof schedule !== 'string' && typeof schedule !== 'object')) {
+      return { code: 'VALIDATION_ERROR', message: 'Schedule is required' };
+    }
+
+    const cronResult = validateSchedule(schedule);
+    if (!cronResult.valid) {
+      return { code: 'INVALID_CRON', message: cronResult.error };
+    }
+    task.schedule = normalizeSchedule(schedule);
+  }
+
+  if (catchUp && catchUp !== 'none') {
+    if (catchUp !== 'runOnce' && catchUp !== 'runAll') {
+      return { code: 'VALIDATION_ERROR', message: "catchUp must be 'none', 'runOnce' or 'runAll'" };
+    }
+    task.catchUp = catchUp;
+  }
+  if (maxLateness !== undefined && maxLateness !== '') {
+    if (parseDuration(maxLateness) === null) {
+      return { code: 'VALIDATION_ERROR', message: `Invalid maxLateness: ${maxLateness}` };
+    }
+    task.maxLateness = maxLateness;
+  }
+
+  if (skipOn !== undefined) {
+    if (!Array.isArray(skipOn) || !skipOn.every(name => typeof name === 'string')) {
+      return { code: 'VALIDATION_ERROR', message: 'skipOn must be an array of calendar names' };
+    }
+    const unknownCalendar = skipOn.find(name => !hasCalendar(name));
+    if (unknownCalendar) {
+      return { code: 'UNKNOWN_CALENDAR', message: `Unknown calendar: ${unknownCalendar}` };
+    }
+    if (skipOn.length > 0) {
+      task.skipOn = [...new Set(skipOn)];
+    }
+  }
+
+  if (startDate) {
+    task.startDate = startDate;
+  }
+  if (endDate) {
+    task.endDate = endDate;
+  }
+
+  // Resolved like the scheduler does, so a one-shot time in the future here is in the future there
+  const timing = validateTaskTiming(task, resolveTimezone(task));
+  if (!timing.valid) {
+    return { code: 'VALIDATION_ERROR', message: timing.error };
+  }
+  if (timing.runAt && timing.runAt <= Date.now()) {
+    return { code: 'VALIDATION_ERROR', message: 'One-shot time must be in the future' };
+  }
+
+  return null;
+}
+
 /**
  * Get connected device or return a consistent API error
  * @param {object} res - Express response
+ * @param {string} [name] - Device name (defaults to the default device)
  * @returns {object|null} Device when connected, else null
  */
-function getDeviceOrRespond(res) {
-  const device = getDevice();
+function getDeviceOrRespond(res, name) {
+  const device = getDevice(name);
   if (!device) {
     res.status(503).json({
       success: false,
@@ -162,8 +360,18 @@ export function registerApiRoutes(app) {
             connected: deviceStatus.connected,
             reconnecting: deviceStatus.reconnecting || false,
             target: deviceStatus.target || null,
-            lastConnectedAt: deviceStatus.lastConnectedAt || null
+            lastConnectedAt: deviceStatus.lastConnectedAt || null,
+            queueDepth: deviceStatus.queueDepth || 0
           },
+          devices: listDeviceStatuses().map(status => ({
+            name: status.name,
+            connected: status.connected,
+            reconnecting: status.reconnecting || false,
+            target: status.target || null,
+            lastConnectedAt: status.lastConnectedAt || null,
+            queueDepth: status.queueDepth || 0
+          })),
+          groups: listDeviceGroups(),
           scheduler: {
             running: schedulerStatus.running,
             taskCount: schedulerStatus.taskCount || 0
@@ -212,7 +420,7 @@ export function registerApiRoutes(app) {
     const params = req.body || {};
 
     try {
-      const device = getDevice();
+      const device = getDevice(params.device);
       if (!device) {
          return res.status(503).json({
              success: false,
@@ -258,11 +466,11 @@ export function registerApiRoutes(app) {
 
   /**
    * POST /api/v1/device/reconnect
-   * Force manual reconnection
+   * Force manual reconnection (body.device selects a named device)
    */
   app.post('/api/v1/device/reconnect', async (req, res) => {
       try {
-          await reconnect();
+          await reconnect(req.body?.device);
 
           res.json({ success: true, data: { reconnecting: true } });
       } catch (error) {
@@ -278,12 +486,11 @@ export function registerApiRoutes(app) {
       try {
           const jobs = getJobs();
           // Transform for UI - use actual enabled state from scheduler
-          const tasks = jobs.map(job => ({
-              name: job.name,
-              cron: job.schedule,
+          const tasks = jobs.map(({ schedule, lastRunStatus, ...job }) => ({
+              ...job,
+              cron: schedule,
               nextRun: job.nextRun || 'Disabled',
-              enabled: job.enabled,
-              actions: job.actions
+              lastStatus: lastRunStatus
           }));
           
           res.json({ success: true, data: { tasks } });
@@ -292,6 +499,65 @@ export function registerApiRoutes(app) {
       }
   });
 
+  /**
+   * GET /api/v1/calendars
+   * List loaded exclusion calendars (for task skipOn)
+   */
+  app.get('/api/v1/calendars', (req, res) => {
+      try {
+          res.json({ success: true, data: { calendars: listCalendars() } });
+      } catch (error) {
+          res.status(500).json({ success: false, error: { code: 'CALENDARS_ERROR', message: error.message } });
+      }
+  });
+
+  /**
+   * GET /api/v1/cron/preview?expr=...&count=5&tz=...
+   * Preview a cron expression: its next run times and an English description
+   * Runs are computed in tz, else the scheduler's default timezone
+   */
+  app.get('/api/v1/cron/preview', (req, res) => {
+      try {
+          const { expr, tz } = req.query;
+          const count = req.query.count === undefined ? 5 : Number(req.query.count);
+
+          if (!Number.isInteger(count) || count < 1 || count > 20) {
+              return res.status(400).json({
+                  success: false,
+                  error: { code: 'VALIDATION_ERROR', message: 'count must be an integer from 1 to 20' }
+              });
+          }
+
+          if (tz) {
+              const tzResult = validateTimezone(tz);
+              if (!tzResult.valid) {
+                  return res.status(400).json({ success: false, error: { code: 'INVALID_TIMEZONE', message: tzResult.error } });
+              }
+          }
+
+          const cronResult = validateCronExpression(expr);
+          if (!cronResult.valid) {
+              return res.status(400).json({
+                  success: false,
+                  error: { code: 'INVALID_CRON', message: cronResult.error, details: { expr } }
+              });
+          }
+
+          const timezone = resolveTimezone({ timezone: tz });
+          res.json({
+              success: true,
+              data: {
+                  expr,
+                  timezone,
+                  description: describeCronExpression(expr),
+                  nextRuns: getNextRunTimes(expr, count, timezone).map(date => date.toISOString())
+              }
+          });
+      } catch (error) {
+          res.status(500).json({ success: false, error: { code: 'CRON_PREVIEW_ERROR', message: error.message } });
+      }
+  });
+
   /**
     * GET /api/v1/activity
     * Get recent activity log
@@ -461,6 +727,121 @@ export function registerApiRoutes(app) {
     }
   });
 
+  /**
+   * POST /api/v1/remote/text
+   * Type text into the focused field on the connected device (body.device selects a named device)
+   */
+  app.post('/api/v1/remote/text', async (req, res) => {
+    const { text, method, device: deviceName } = req.body || {};
+
+    if (typeof text !== 'string' || text.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'text field is required and must be a non-empty string',
+          details: { received: typeof text }
+        }
+      });
+    }
+
+    const device = getDeviceOrRespond(res, deviceName);
+    if (!device) {
+      return;
+    }
+
+    try {
+      const result = await executeRegisteredAction(device, 'type-text', method === undefined ? { text } : { text, method });
+
+      if (!result.success) {
+        const statusCode = result.error.code === 'INVALID_PARAMS' ? 400 : 500;
+        return res.status(statusCode).json({ success: false, error: result.error });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...result.data,
+          sent: true
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'TYPE_TEXT_FAILED',
+          message: 'Failed to type text',
+          details: { reason: error.message }
+        }
+      });
+    }
+  });
+
+  /**
+   * GET /api/v1/remote/volume
+   * Read the media volume of the connected device
+   */
+  app.get('/api/v1/remote/volume', async (req, res) => {
+    const device = getDeviceOrRespond(res);
+    if (!device) {
+      return;
+    }
+
+    try {
+      const { level, max } = await readVolume(device);
+      res.json({
+        success: true,
+        data: {
+          level,
+          max,
+          percent: max > 0 ? Math.round((level / max) * 100) : 0
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'VOLUME_FAILED',
+          message: 'Failed to read volume',
+          details: { reason: error.message }
+        }
+      });
+    }
+  });
+
+  /**
+   * PUT /api/v1/remote/volume
+   * Set the media volume of the connected device ({ level } or { percent })
+   */
+  app.put('/api/v1/remote/volume', async (req, res) => {
+    const { level, percent } = req.body || {};
+
+    const device = getDeviceOrRespond(res);
+    if (!device) {
+      return;
+    }
+
+    try {
+      const result = await executeRegisteredAction(device, 'set-volume', { level, percent });
+
+      if (!result.success) {
+        const statusCode = result.error.code === 'INVALID_PARAMS' ? 400 : 500;
+        return res.status(statusCode).json({ success: false, error: result.error });
+      }
+
+      res.json({ success: true, data: result.data });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'VOLUME_FAILED',
+          message: 'Failed to set volume',
+          details: { reason: error.message }
+        }
+      });
+    }
+  });
+
   /**
    * GET /api/v1/remote/screenshot
    * Capture and return a screenshot from the connected device
@@ -887,15 +1268,39 @@ export function registerApiRoutes(app) {
 
   /**
    * POST /api/v1/tasks/:name/run
-   * Run a task immediately
+   * Run a task immediately, optionally with { params: {...} } for its declared params
+   * With ?dryRun=true nothing is sent to the device: the response lists the commands each step would send
    */
   app.post('/api/v1/tasks/:name/run', async (req, res) => {
       const { name } = req.params;
 
       try {
-          // Check if device is connected
-          const device = getDevice();
-          if (!device) {
+          const task = getTaskDetails(name);
+
+          if (req.query?.dryRun === 'true') {
+              if (!task) {
+                  return res.status(404).json({
+                      success: false,
+                      error: { code: 'TASK_NOT_FOUND', message: `Task '${name}' not found`, details: { taskName: name } }
+                  });
+              }
+
+              const plan = planTask(task, getActionContext(), { params: req.body?.params ?? {} });
+              if (plan.error) {
+                  return res.status(400).json({
+                      success: false,
+                      error: { code: plan.code, message: plan.error, details: { taskName: name } }
+                  });
+              }
+              return res.json({
+                  success: true,
+                  data: { taskName: name, dryRun: true, valid: plan.success, steps: plan.steps, errors: plan.errors }
+              });
+          }
+
+          // Check if the task's device is connected (group members are checked per device)
+          const device = getDevice(task?.device);
+          if (!device && !isDeviceGroup(task?.device)) {
               return res.status(503).json({
                   success: false,
                   error: {
@@ -907,7 +1312,6 @@ export function registerApiRoutes(app) {
           }
 
           // Check if task exists
-          const task = getTaskDetails(name);
           if (!task) {
               return res.status(404).json({
                   success: false,
@@ -919,17 +1323,71 @@ export function registerApiRoutes(app) {
               });
           }
 
+          // Resolve the run's params against the task's declarations
+          let params;
+          try {
+              params = resolveTaskParams(task.params, req.body?.params ?? {});
+          } catch (error) {
+              return res.status(400).json({
+                  success: false,
+                  error: {
+                      code: error.code,
+                      message: error.message,
+                      details: { taskName: name }
+                  }
+              });
+          }
+
           // Execute the task
-          const result = await executeTask(task, device, getActionContext());
+          const startTime = Date.now();
+          const result = await executeTask(task, device, getActionContext(), { params });
+          recordExecution(name, result, startTime, Date.now());
+          const devices = result.devices && result.devices.map(d => ({
+              device: d.device,
+              success: d.success,
+              status: d.status,
+              error: d.error || null
+          }));
 
-          if (result.success) {
+          if (result.status === 'skipped') {
+              res.status(409).json({
+                  success: false,
+                  error: {
+                      code: 'TASK_RUNNING',
+                      message: `Task '${name}' is already running`,
+                      details: { taskName: name }
+                  }
+              });
+          } else if (result.success) {
               res.json({
                   success: true,
                   data: {
                       taskName: name,
                       status: 'triggered',
                       message: 'Task executed successfully',
-                      duration: result.duration
+                      duration: result.duration,
+                      devices
+                  }
+              });
+          } else if (result.status === 'partial') {
+              const failedCount = devices.filter(d => !d.success).length;
+              res.status(207).json({
+                  success: true,
+                  data: {
+                      taskName: name,
+                      status: 'partial',
+                      message: `Task failed on ${failedCount} of ${devices.length} devices`,
+                      duration: result.duration,
+                      devices
+                  }
+              });
+          } else if (result.status === 'cancelled') {
+              res.status(409).json({
+                  success: false,
+                  error: {
+                      code: 'TASK_CANCELLED',
+                      message: 'Task run was cancelled',
+                      details: { taskName: name, runId: result.runId }
                   }
               });
           } else {
@@ -940,7 +1398,8 @@ export function registerApiRoutes(app) {
                       message: result.error || 'Task execution failed',
                       details: {
                           taskName: name,
-                          failedAction: result.failedAction
+                          failedAction: result.failedAction,
+                          devices
                       }
                   }
               });
@@ -957,6 +1416,147 @@ export function registerApiRoutes(app) {
       }
   });
 
+  /**
+   * GET /api/v1/runs
+   * List task runs in progress
+   */
+  app.get('/api/v1/runs', (req, res) => {
+      res.json({ success: true, data: { runs: listRuns() } });
+  });
+
+  /**
+   * DELETE /api/v1/runs/:id
+   * Cancel a task run in progress; it ends with status 'cancelled'
+   */
+  app.delete('/api/v1/runs/:id', (req, res) => {
+      const run = cancelRun(req.params.id);
+      if (!run) {
+          return res.status(404).json({
+              success: false,
+              error: {
+                  code: 'RUN_NOT_FOUND',
+                  message: `Run '${req.params.id}' is not in progress`,
+                  details: { runId: req.params.id }
+              }
+          });
+      }
+
+      res.json({ success: true, data: { run } });
+  });
+
+  /**
+   * GET /api/v1/timeline?from=&to=
+   * Scheduled runs and recorded runs within a time range (at most 62 days), for the calendar view
+   * Defaults to the week before and after now
+   */
+  app.get('/api/v1/timeline', async (req, res) => {
+    try {
+      const now = Date.now();
+      const from = new Date(req.query.from ?? now - 7 * DAY_MS);
+      const to = new Date(req.query.to ?? now + 7 * DAY_MS);
+
+      for (const [field, value] of [['from', from], ['to', to]]) {
+        if (isNaN(value.getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'VALIDATION_ERROR',
+              message: `${field} must be a valid date`,
+              details: { [field]: req.query[field] }
+            }
+          });
+        }
+      }
+
+      if (from >= to || to - from > MAX_TIMELINE_DAYS * DAY_MS) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `from must be before to, at most ${MAX_TIMELINE_DAYS} days apart`,
+            details: { from: req.query.from, to: req.query.to }
+          }
+        });
+      }
+
+      const history = await queryHistory({ from, to, limit: MAX_TIMELINE_RUNS });
+      const past = history.entries.reverse().map(record => ({
+        task: record.task,
+        time: record.startTime,
+        status: record.status,
+        duration: record.duration,
+        runId: record.runId,
+        error: record.error
+      }));
+      const upcoming = getUpcomingRuns(from, to).map(run => ({ ...run, time: run.time.toISOString() }));
+
+      res.json({
+        success: true,
+        data: { from: from.toISOString(), to: to.toISOString(), upcoming, past }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'TIMELINE_ERROR',
+          message: 'Failed to build timeline',
+          details: { reason: error.message }
+        }
+      });
+    }
+  });
+
+  /**
+   * GET /api/v1/history
+   * Paginated execution history from the persistent store
+   * Query: task, status, from, to (ISO dates), lineage (run ID), limit (default 50, max 500), offset
+   */
+  app.get('/api/v1/history', async (req, res) => {
+    try {
+      const { task, status, from, to, lineage, limit, offset } = req.query;
+
+      for (const [field, value] of [['from', from], ['to', to]]) {
+        if (value !== undefined && isNaN(new Date(value).getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'VALIDATION_ERROR',
+              message: `${field} must be a valid date`,
+              details: { [field]: value }
+            }
+          });
+        }
+      }
+
+      const parsedLimit = parseInt(limit, 10);
+      const parsedOffset = parseInt(offset, 10);
+
+      const result = await queryHistory({
+        task: task || undefined,
+        status: status || undefined,
+        from: from || undefined,
+        to: to || undefined,
+        lineage: lineage || undefined,
+        limit: isNaN(parsedLimit) ? undefined : parsedLimit,
+        offset: isNaN(parsedOffset) ? undefined : parsedOffset
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'HISTORY_ERROR',
+          message: 'Failed to retrieve history',
+          details: { reason: error.message }
+        }
+      });
+    }
+  });
+
   // --- Story 6.5: Log Viewer Endpoint ---
 
   /**
@@ -1020,6 +1620,15 @@ export function registerApiRoutes(app) {
           'clear-cache': { type: 'clear-cache', params: [{ name: 'package', type: 'string', required: true, label: 'Package Name' }] },
           'install-app': { type: 'install-app', params: [{ name: 'apkPath', type: 'string', required: true, label: 'APK Path' }] },
           'uninstall-app': { type: 'uninstall-app', params: [{ name: 'package', type: 'string', required: true, label: 'Package Name' }] },
+          'type-text': { type: 'type-text', params: [{ name: 'text', type: 'string', required: true, label: 'Text' }] },
+          'set-volume': { type: 'set-volume', params: [{ name: 'percent', type: 'number', required: true, label: 'Volume (%)' }] },
+          'switch-input': { type: 'switch-input', params: [{ name: 'input', type: 'number', required: true, label: 'HDMI Input' }] },
+          'cec-standby': { type: 'cec-standby', params: [] },
+          'open-intent': { type: 'open-intent', params: [
+            { name: 'action', type: 'string', required: false, label: 'Intent Action' },
+            { name: 'data', type: 'string', required: false, label: 'Data URI' },
+            { name: 'package', type: 'string', required: false, label: 'Package (optional)' }
+          ]},
           'shutdown': { type: 'shutdown', params: [] },
           'prevent-adb-timeout': { type: 'prevent-adb-timeout', params: [] }
         };
@@ -1041,7 +1650,7 @@ export function registerApiRoutes(app) {
    */
   app.post('/api/v1/tasks', async (req, res) => {
     try {
-      const { name, schedule, actions } = req.body;
+      const { name, actions, device, params } = req.body;
 
       // Validate required fields
       if (!name || typeof name !== 'string' || name.trim() === '') {
@@ -1051,40 +1660,59 @@ export function registerApiRoutes(app) {
         });
       }
 
-      if (!schedule || typeof schedule !== 'string') {
-        return res.status(400).json({
-          success: false,
-          error: { code: 'VALIDATION_ERROR', message: 'Schedule is required' }
-        });
+      // Validate schedule or one-shot time, date window and timezone
+      const task = { name: name.trim() };
+      const timingError = applyTaskTiming(req.body, task);
+      if (timingError) {
+        return res.status(400).json({ success: false, error: timingError });
       }
 
-      // Validate cron expression
-      const cronResult = validateCronExpression(schedule);
-      if (!cronResult.valid) {
+      if (!actions || !Array.isArray(actions) || actions.length === 0) {
         return res.status(400).json({
           success: false,
-          error: { code: 'INVALID_CRON', message: cronResult.error }
+          error: { code: 'VALIDATION_ERROR', message: 'At least one action is required' }
         });
       }
 
-      if (!actions || !Array.isArray(actions) || actions.length === 0) {
+      // Validate action types and if blocks (including nested steps)
+      const [stepError] = findStepErrors(actions);
+      if (stepError) {
         return res.status(400).json({
           success: false,
-          error: { code: 'VALIDATION_ERROR', message: 'At least one action is required' }
+          error: { code: 'INVALID_ACTION', message: stepError.message, details: { path: stepError.path } }
         });
       }
 
-      // Validate action types
-      for (const action of actions) {
-        if (!getAction(action.type)) {
-          return res.status(400).json({
-            success: false,
-            error: { code: 'INVALID_ACTION', message: `Unknown action type: ${action.type}` }
-          });
-        }
+      task.actions = actions;
+      if (device) {
+        task.device = device;
       }
 
-      const task = { name: name.trim(), schedule, actions };
+      // Validate declared params and the ${params.*} references of the actions
+      const paramError = applyTaskParams(params, task);
+      if (paramError) {
+        return res.status(400).json({ success: false, error: paramError });
+      }
+
+      // Validate retry, timeout, onError and concurrency settings for the whole task
+      const policyError = applyTaskPolicy(req.body, task);
+      if (policyError) {
+        return res.status(400).json({ success: false, error: policyError });
+      }
+
+      // Validate the tasks started when this one succeeds or fails
+      const hookError = applyTaskHooks(req.body, task);
+      if (hookError) {
+        return res.status(400).json({ success: false, error: hookError });
+      }
+
+      const unknownDevice = findUnknownDevice(task);
+      if (unknownDevice) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'UNKNOWN_DEVICE', message: `Unknown device: ${unknownDevice}` }
+        });
+      }
 
       // Save to config file
       await addTaskToConfig(task);
@@ -1123,7 +1751,7 @@ export function registerApiRoutes(app) {
   app.put('/api/v1/tasks/:name', async (req, res) => {
     try {
       const { name: taskName } = req.params;
-      const { name, schedule, actions } = req.body;
+      const { name, actions, device, params } = req.body;
 
       // Check if task exists
       const existingTask = getTaskDetails(taskName);
@@ -1142,13 +1770,11 @@ export function registerApiRoutes(app) {
         });
       }
 
-      // Validate cron expression
-      const cronResult = validateCronExpression(schedule);
-      if (!cronResult.valid) {
-        return res.status(400).json({
-          success: false,
-          error: { code: 'INVALID_CRON', message: cronResult.error }
-        });
+      // Validate schedule or one-shot time, date window and timezone
+      const updatedTask = { name: name.trim() };
+      const timingError = applyTaskTiming(req.body, updatedTask);
+      if (timingError) {
+        return res.status(400).json({ success: false, error: timingError });
       }
 
       // Validate actions
@@ -1159,16 +1785,49 @@ export function registerApiRoutes(app) {
         });
       }
 
-      for (const action of actions) {
-        if (!getAction(action.type)) {
-          return res.status(400).json({
-            success: false,
-            error: { code: 'INVALID_ACTION', message: `Unknown action type: ${action.type}` }
-          });
-        }
+      // Validate action types and if blocks (including nested steps)
+      const [stepError] = findStepErrors(actions);
+      if (stepError) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'INVALID_ACTION', message: stepError.message, details: { path: stepError.path } }
+        });
+      }
+
+      updatedTask.actions = actions;
+      if (device) {
+        updatedTask.device = device;
+      }
+      // Editing a disabled task does not enable it
+      if (existingTask.enabled === false) {
+        updatedTask.enabled = false;
       }
 
-      const updatedTask = { name: name.trim(), schedule, actions };
+      // Validate declared params and the ${params.*} references of the actions
+      const paramError = applyTaskParams(params, updatedTask);
+      if (paramError) {
+        return res.status(400).json({ success: false, error: paramError });
+      }
+
+      // Validate retry, timeout, onError and concurrency settings for the whole task
+      const policyError = applyTaskPolicy(req.body, updatedTask);
+      if (policyError) {
+        return res.status(400).json({ success: false, error: policyError });
+      }
+
+      // Validate the tasks started when this one succeeds or fails
+      const hookError = applyTaskHooks(req.body, updatedTask);
+      if (hookError) {
+        return res.status(400).json({ success: false, error: hookError });
+      }
+
+      const unknownDevice = findUnknownDevice(updatedTask);
+      if (unknownDevice) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'UNKNOWN_DEVICE', message: `Unknown device: ${unknownDevice}` }
+        });
+      }
 
       // Update in config file
       await updateTaskInConfig(taskName, updatedTask);
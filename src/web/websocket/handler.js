@@ -4,6 +4,8 @@
  */
 import { logger } from '../../utils/logger.js';
 import { getDevice } from '../../services/adb-client.js';
+import { cancelRun } from '../../services/run-registry.js';
+import { getAction } from '../../actions/index.js';
 
 // WebSocket ready state constants
 export const WS_READY_STATE = {
@@ -107,6 +109,10 @@ export class WebSocketHandler {
         return this._handleUnsubscribe(client, message.channel, clientId);
       case 'remote:key':
         return this._handleRemoteKey(message.keycode, clientId);
+      case 'remote:text':
+        return this._handleRemoteText(message.text, message.device, client.ws, clientId);
+      case 'run:cancel':
+        return this._handleRunCancel(message.runId, clientId);
       default:
         logger.warn('Unknown WebSocket message type', { type: message.type });
         return { success: false, error: `Unknown message type: ${message.type}` };
@@ -187,6 +193,78 @@ export class WebSocketHandler {
     return { success: true };
   }
 
+  /**
+   * Handle remote text input (fire-and-forget like remote:key)
+   * A failure while typing is sent back to the client as a remote:text:error message
+   * @param {string} text - Text to type into the focused field
+   * @param {string} [deviceName] - Named device to type on (defaults to the default device)
+   * @param {WebSocket} ws - Client WebSocket connection
+   * @param {string} clientId - Client ID for logging
+   * @returns {{ success: boolean, error?: string }}
+   * @private
+   */
+  _handleRemoteText(text, deviceName, ws, clientId) {
+    if (!text || typeof text !== 'string') {
+      logger.warn('Remote text missing text', { clientId });
+      return { success: false, error: 'text is required' };
+    }
+
+    const device = getDevice(deviceName);
+    if (!device) {
+      logger.warn('Remote text failed: device disconnected', { clientId, device: deviceName });
+      return { success: false, error: 'Device disconnected' };
+    }
+
+    const reportError = (error) => {
+      logger.warn('Remote text failed', { clientId, device: deviceName, error });
+      this._send(ws, { type: 'remote:text:error', data: { device: deviceName ?? null, error } });
+    };
+
+    logger.debug('Executing remote text', { clientId, device: deviceName, length: text.length });
+    getAction('type-text').execute(device, { text })
+      .then((result) => {
+        if (!result.success) {
+          reportError(result.error.message);
+        }
+      })
+      .catch(error => reportError(error.message));
+
+    return { success: true };
+  }
+
+  /**
+   * Send a message to one client if its connection is open
+   * @param {WebSocket} ws - Client WebSocket connection
+   * @param {object} message - Message object
+   * @private
+   */
+  _send(ws, message) {
+    if (ws.readyState === WS_READY_STATE.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Handle run cancellation request
+   * @param {string} runId - ID of the run to cancel
+   * @param {string} clientId - Client ID for logging
+   * @returns {{ success: boolean, error?: string }}
+   * @private
+   */
+  _handleRunCancel(runId, clientId) {
+    if (!runId || typeof runId !== 'string') {
+      return { success: false, error: 'runId is required' };
+    }
+
+    if (!cancelRun(runId)) {
+      logger.warn('Cancel requested for unknown run', { clientId, runId });
+      return { success: false, error: `Run not found: ${runId}` };
+    }
+
+    logger.info('Run cancelled via WebSocket', { clientId, runId });
+    return { success: true };
+  }
+
   /**
    * Get all clients subscribed to a channel
    * @param {string} channel - Channel name
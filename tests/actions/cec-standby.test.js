@@ -0,0 +1,103 @@
+import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { cecStandbyAction } from '../../src/actions/cec-standby.js';
+import { detectCecSupport } from '../../src/services/hdmi-cec.js';
+import { runShell } from '../../src/services/device-state.js';
+
+vi.mock('../../src/services/hdmi-cec.js', () => ({
+  detectCecSupport: vi.fn(),
+  DETECT_COMMAND: 'detect'
+}));
+
+vi.mock('../../src/services/device-state.js', () => ({
+  runShell: vi.fn()
+}));
+
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+describe('CEC Standby Action', () => {
+  const mockDevice = { id: '192.168.0.145:5555' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    runShell.mockResolvedValue('');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should broadcast standby and restore the power control mode on Android 12+', async () => {
+    detectCecSupport.mockResolvedValue({ sdk: 33, hdmiControl: true, hdmiShell: true, tv: false });
+    runShell.mockResolvedValueOnce('power_control_mode = to_tv');
+
+    const promise = cecStandbyAction.execute(mockDevice);
+    await vi.runAllTimersAsync();
+    const result = await promise;
+
+    expect(runShell.mock.calls.map(([, command]) => command)).toEqual([
+      'cmd hdmi_control cec_setting get power_control_mode',
+      'cmd hdmi_control cec_setting set power_control_mode broadcast',
+      'input keyevent KEYCODE_SLEEP',
+      'cmd hdmi_control cec_setting set power_control_mode to_tv'
+    ]);
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({ method: 'broadcast', previousMode: 'to_tv', detection: { sdk: 33 } });
+  });
+
+  it('should restore the power control mode when the sleep key fails', async () => {
+    detectCecSupport.mockResolvedValue({ sdk: 33, hdmiControl: true, hdmiShell: true, tv: false });
+    runShell
+      .mockResolvedValueOnce('power_control_mode = to_tv')
+      .mockResolvedValueOnce('')
+      .mockRejectedValueOnce(new Error('device offline'));
+
+    const result = await cecStandbyAction.execute(mockDevice);
+
+    expect(runShell.mock.calls.map(([, command]) => command)).toEqual([
+      'cmd hdmi_control cec_setting get power_control_mode',
+      'cmd hdmi_control cec_setting set power_control_mode broadcast',
+      'input keyevent KEYCODE_SLEEP',
+      'cmd hdmi_control cec_setting set power_control_mode to_tv'
+    ]);
+    expect(result.success).toBe(false);
+    expect(result.error.details.reason).toBe('device offline');
+  });
+
+  it('should leave a broadcast power control mode as it is', async () => {
+    detectCecSupport.mockResolvedValue({ sdk: 33, hdmiControl: true, hdmiShell: true, tv: false });
+    runShell.mockResolvedValueOnce('power_control_mode = broadcast');
+
+    await cecStandbyAction.execute(mockDevice);
+
+    expect(runShell.mock.calls.map(([, command]) => command)).toEqual([
+      'cmd hdmi_control cec_setting get power_control_mode',
+      'input keyevent KEYCODE_SLEEP'
+    ]);
+  });
+
+  it('should only sleep before Android 12', async () => {
+    detectCecSupport.mockResolvedValue({ sdk: 28, hdmiControl: true, hdmiShell: false, tv: false });
+
+    const result = await cecStandbyAction.execute(mockDevice);
+
+    expect(runShell).toHaveBeenCalledTimes(1);
+    expect(runShell).toHaveBeenCalledWith(mockDevice, 'input keyevent KEYCODE_SLEEP');
+    expect(result.data.method).toBe('sleep');
+    expect(result.data.note).toMatch(/TV only/);
+  });
+
+  it('should return CEC_STANDBY_FAILED when detection fails', async () => {
+    detectCecSupport.mockRejectedValue(new Error('device offline'));
+
+    const result = await cecStandbyAction.execute(mockDevice);
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('CEC_STANDBY_FAILED');
+  });
+});
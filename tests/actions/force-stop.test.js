@@ -61,4 +61,19 @@ describe('Force-Stop Action', () => {
     expect(result.success).toBe(false);
     expect(result.error.code).toBe('FORCE_STOP_FAILED');
   });
+
+  it('should plan the force-stop command without a device', () => {
+    const result = forceStopAction.plan({ package: 'com.example.app' });
+
+    expect(mockDevice.shell).not.toHaveBeenCalled();
+    expect(result.success).toBe(true);
+    expect(result.data.commands).toEqual(["am force-stop 'com.example.app'"]);
+  });
+
+  it('should return INVALID_PARAMS from plan for an invalid package', () => {
+    const result = forceStopAction.plan({ package: 'bad package' });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('INVALID_PARAMS');
+  });
 });
@@ -0,0 +1,124 @@
+import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest';
+import AdbKit from '@devicefarmer/adbkit';
+import { keysAction } from '../../src/actions/keys.js';
+
+vi.mock('@devicefarmer/adbkit', () => ({
+  default: {
+    Adb: {
+      util: {
+        readAll: vi.fn()
+      }
+    }
+  }
+}));
+
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn()
+  },
+  logAdbCommand: vi.fn()
+}));
+
+describe('Keys Action', () => {
+  let mockDevice;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    mockDevice = {
+      id: '192.168.0.145:5555',
+      shell: vi.fn().mockResolvedValue({})
+    };
+    AdbKit.Adb.util.readAll.mockResolvedValue(Buffer.from(''));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should expose action name and not retry by default', () => {
+    expect(keysAction.name).toBe('keys');
+    expect(keysAction.defaultRetries).toBe(0);
+  });
+
+  it('should send keys, long presses and repeats in order', async () => {
+    const promise = keysAction.execute(mockDevice, {
+      sequence: ['DPAD_DOWN', { key: 'KEYCODE_ENTER', longPress: true }, { key: 'DPAD_RIGHT', repeat: 2, interval: 200 }]
+    });
+    await vi.runAllTimersAsync();
+    const result = await promise;
+
+    expect(mockDevice.shell.mock.calls.map(([command]) => command)).toEqual([
+      'input keyevent KEYCODE_DPAD_DOWN',
+      'input keyevent --longpress KEYCODE_ENTER',
+      'input keyevent KEYCODE_DPAD_RIGHT',
+      'input keyevent KEYCODE_DPAD_RIGHT'
+    ]);
+    expect(result.success).toBe(true);
+    expect(result.data.presses).toBe(4);
+  });
+
+  it('should pause for the interval between presses', async () => {
+    const promise = keysAction.execute(mockDevice, { sequence: [{ key: 'DPAD_UP', repeat: 2, interval: 500 }] });
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(mockDevice.shell).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(499);
+    expect(mockDevice.shell).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+
+    expect((await promise).success).toBe(true);
+    expect(mockDevice.shell).toHaveBeenCalledTimes(2);
+  });
+
+  it.each([
+    [{}, 'sequence must be a non-empty list of keys'],
+    [{ sequence: ['DPAD_DOWN; reboot'] }, 'sequence[0]: invalid key "DPAD_DOWN; reboot"'],
+    [{ sequence: [{ key: 'ENTER', repeat: 0 }] }, 'sequence[0]: repeat must be a positive integer'],
+    [{ sequence: [{ key: 'ENTER', repeat: 101 }] }, 'sequence has more than 100 key presses']
+  ])('should return INVALID_PARAMS for %j', async (params, message) => {
+    const result = await keysAction.execute(mockDevice, params);
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('INVALID_PARAMS');
+    expect(result.error.message).toBe(message);
+    expect(mockDevice.shell).not.toHaveBeenCalled();
+  });
+
+  it('should stop when the run is cancelled', async () => {
+    const controller = new AbortController();
+    const promise = keysAction.execute(mockDevice, { sequence: ['DPAD_DOWN', 'DPAD_DOWN', 'ENTER'] }, { signal: controller.signal });
+
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort();
+    const result = await promise;
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('CANCELLED');
+    expect(result.error.details.sent).toBe(1);
+  });
+
+  it('should return KEYS_FAILED with the number of keys sent on shell error', async () => {
+    mockDevice.shell.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('ADB error'));
+
+    const promise = keysAction.execute(mockDevice, { sequence: ['DPAD_DOWN', 'ENTER'] });
+    await vi.runAllTimersAsync();
+    const result = await promise;
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('KEYS_FAILED');
+    expect(result.error.details.sent).toBe(1);
+  });
+
+  it('should plan the key commands without a device', () => {
+    const result = keysAction.plan({ sequence: ['HOME', { key: '66', repeat: 2 }] });
+
+    expect(result.success).toBe(true);
+    expect(result.data.commands).toEqual([
+      'input keyevent KEYCODE_HOME',
+      'input keyevent 66',
+      'input keyevent 66'
+    ]);
+  });
+});
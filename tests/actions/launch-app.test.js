@@ -44,7 +44,7 @@ describe('Launch-App Action', () => {
       });
 
       expect(mockDevice.shell).toHaveBeenCalledWith(
-        'am start -n com.example.app/.MainActivity'
+        "am start -n 'com.example.app/.MainActivity'"
       );
       expect(result.success).toBe(true);
       expect(result.message).toBe('App launched successfully');
@@ -61,7 +61,7 @@ describe('Launch-App Action', () => {
       });
 
       expect(mockDevice.shell).toHaveBeenCalledWith(
-        'am start -n com.google.android.youtube/com.google.android.youtube.HomeActivity'
+        "am start -n 'com.google.android.youtube/com.google.android.youtube.HomeActivity'"
       );
       expect(result.success).toBe(true);
     });
@@ -76,7 +76,7 @@ describe('Launch-App Action', () => {
       });
 
       expect(mockDevice.shell).toHaveBeenCalledWith(
-        'am start -n com.example.app/.MainActivity'
+        "am start -n 'com.example.app/.MainActivity'"
       );
       expect(result.success).toBe(true);
       expect(result.data.package).toBe('com.example.app');
@@ -103,6 +103,28 @@ describe('Launch-App Action', () => {
       expect(result.error.code).toBe('INVALID_PARAMS');
     });
 
+    it('should reject a package with shell metacharacters', async () => {
+      const result = await launchAppAction.execute(mockDevice, {
+        package: 'x; reboot'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.code).toBe('INVALID_PARAMS');
+      expect(result.error.message).toBe('Invalid package name: x; reboot');
+      expect(mockDevice.shell).not.toHaveBeenCalled();
+    });
+
+    it('should reject an activity with shell metacharacters', async () => {
+      const result = await launchAppAction.execute(mockDevice, {
+        package: 'com.example.app',
+        activity: '.Main$(reboot)'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.message).toBe('Invalid activity: .Main$(reboot)');
+      expect(mockDevice.shell).not.toHaveBeenCalled();
+    });
+
     it('should handle shell command failure', async () => {
       mockDevice.shell.mockRejectedValue(new Error('Package not found'));
 
@@ -142,7 +164,7 @@ describe('Launch-App Action', () => {
       });
 
       expect(mockDevice.shell).toHaveBeenCalledWith(
-        'am start -n com.example.app/.MainActivity'
+        "am start -n 'com.example.app/.MainActivity'"
       );
       expect(result.success).toBe(true);
     });
@@ -174,4 +196,20 @@ describe('Launch-App Action', () => {
       expect(result.error).toHaveProperty('details');
     });
   });
+
+  describe('plan', () => {
+    it('should plan the am start command', () => {
+      const result = launchAppAction.plan({ package: 'com.example.app', activity: '.Main' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.commands).toEqual(["am start -n 'com.example.app/.Main'"]);
+    });
+
+    it('should return INVALID_PARAMS when package is missing', () => {
+      const result = launchAppAction.plan({});
+
+      expect(result.success).toBe(false);
+      expect(result.error.code).toBe('INVALID_PARAMS');
+    });
+  });
 });
@@ -0,0 +1,111 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import AdbKit from '@devicefarmer/adbkit';
+import { openIntentAction } from '../../src/actions/open-intent.js';
+
+vi.mock('@devicefarmer/adbkit', () => ({
+  default: {
+    Adb: {
+      util: {
+        readAll: vi.fn()
+      }
+    }
+  }
+}));
+
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn()
+  },
+  logAdbCommand: vi.fn()
+}));
+
+describe('Open Intent Action', () => {
+  let mockDevice;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDevice = {
+      id: '192.168.0.145:5555',
+      shell: vi.fn().mockResolvedValue({})
+    };
+    AdbKit.Adb.util.readAll.mockResolvedValue(Buffer.from('Starting: Intent { act=android.intent.action.VIEW }\n'));
+  });
+
+  it('should start a deep link restricted to a package', async () => {
+    const result = await openIntentAction.execute(mockDevice, {
+      action: 'android.intent.action.VIEW',
+      data: 'https://www.netflix.com/title/80100172',
+      package: 'com.netflix.ninja'
+    });
+
+    expect(mockDevice.shell).toHaveBeenCalledWith(
+      "am start -a 'android.intent.action.VIEW' -d 'https://www.netflix.com/title/80100172' -p 'com.netflix.ninja'"
+    );
+    expect(result.success).toBe(true);
+    expect(result.data.package).toBe('com.netflix.ninja');
+  });
+
+  it('should build categories, component, flags and typed extras', async () => {
+    await openIntentAction.execute(mockDevice, {
+      component: 'org.xbmc.kodi/.Splash',
+      mimeType: 'video/*',
+      category: ['android.intent.category.DEFAULT', 'android.intent.category.BROWSABLE'],
+      flags: ['FLAG_ACTIVITY_NEW_TASK', 'FLAG_ACTIVITY_CLEAR_TOP'],
+      extras: { title: "Bob's show", autoplay: true, episode: 3, speed: 1.5, offset: { type: 'long', value: 90000 } }
+    });
+
+    expect(mockDevice.shell).toHaveBeenCalledWith(
+      "am start -t 'video/*' -c 'android.intent.category.DEFAULT' -c 'android.intent.category.BROWSABLE'" +
+      " -n 'org.xbmc.kodi/.Splash' -f '0x14000000'" +
+      " --es 'title' 'Bob'\\''s show' --ez 'autoplay' 'true' --ei 'episode' '3' --ef 'speed' '1.5' --el 'offset' '90000'"
+    );
+  });
+
+  it('should quote a data URI that contains shell syntax', async () => {
+    await openIntentAction.execute(mockDevice, { data: "plex://play?key=1'; reboot; echo '" });
+
+    expect(mockDevice.shell).toHaveBeenCalledWith("am start -d 'plex://play?key=1'\\''; reboot; echo '\\'''");
+  });
+
+  it('should fail when am start reports an error', async () => {
+    AdbKit.Adb.util.readAll.mockResolvedValue(Buffer.from('Starting: Intent { ... }\nError: Activity not started, unable to resolve Intent\n'));
+
+    const result = await openIntentAction.execute(mockDevice, { data: 'unknown://x' });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('OPEN_INTENT_FAILED');
+    expect(result.error.details.reason).toBe('Activity not started, unable to resolve Intent');
+  });
+
+  it('should report am start warnings', async () => {
+    AdbKit.Adb.util.readAll.mockResolvedValue(Buffer.from('Warning: Activity not started, its current task has been brought to the front\n'));
+
+    const result = await openIntentAction.execute(mockDevice, { component: 'org.xbmc.kodi/.Splash' });
+
+    expect(result.success).toBe(true);
+    expect(result.data.warning).toBe('Activity not started, its current task has been brought to the front');
+  });
+
+  it.each([
+    [{}, 'One of action, data, component or package is required'],
+    [{ action: 'VIEW; reboot' }, 'Invalid intent action: VIEW; reboot'],
+    [{ component: 'org.xbmc.kodi' }, 'Invalid component: org.xbmc.kodi (expected package/activity)'],
+    [{ package: 'com.x', flags: ['FLAG_NOPE'] }, 'Unknown intent flag: FLAG_NOPE'],
+    [{ package: 'com.x', extras: { n: { type: 'int', value: 'three' } } }, 'extras.n: value does not match type int'],
+    [{ package: 'com.x', extras: { n: { type: 'bytes', value: 'x' } } }, 'extras.n: type must be one of: string, boolean, int, long, float, uri']
+  ])('should return INVALID_PARAMS for %j', async (params, message) => {
+    const result = await openIntentAction.execute(mockDevice, params);
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('INVALID_PARAMS');
+    expect(result.error.message).toBe(message);
+    expect(mockDevice.shell).not.toHaveBeenCalled();
+  });
+
+  it('should plan the command without a device', () => {
+    const result = openIntentAction.plan({ type: 'open-intent', data: 'https://example.com' });
+
+    expect(result.data.commands).toEqual(["am start -d 'https://example.com'"]);
+  });
+});
@@ -43,7 +43,7 @@ describe('Play-Video Action', () => {
       });
 
       expect(mockDevice.shell).toHaveBeenCalledWith(
-        'am start -a android.intent.action.VIEW -d "https://www.youtube.com/watch?v=dQw4w9WgXcQ"'
+        "am start -a android.intent.action.VIEW -d 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'"
       );
       expect(result.success).toBe(true);
       expect(result.message).toBe('Video playback started');
@@ -60,7 +60,7 @@ describe('Play-Video Action', () => {
       });
 
       expect(mockDevice.shell).toHaveBeenCalledWith(
-        'am start -a android.intent.action.VIEW -d "https://youtu.be/dQw4w9WgXcQ"'
+        "am start -a android.intent.action.VIEW -d 'https://youtu.be/dQw4w9WgXcQ'"
       );
       expect(result.success).toBe(true);
     });
@@ -75,7 +75,7 @@ describe('Play-Video Action', () => {
       });
 
       expect(mockDevice.shell).toHaveBeenCalledWith(
-        'am start -a android.intent.action.VIEW -d "https://www.youtube.com/watch?v=dQw4w9WgXcQ"'
+        "am start -a android.intent.action.VIEW -d 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'"
       );
       expect(result.success).toBe(true);
     });
@@ -88,7 +88,7 @@ describe('Play-Video Action', () => {
       });
 
       expect(mockDevice.shell).toHaveBeenCalledWith(
-        'am start -a android.intent.action.VIEW -d "https://www.youtube.com/watch?v=dQw4w9WgXcQ"'
+        "am start -a android.intent.action.VIEW -d 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'"
       );
       expect(result.success).toBe(true);
     });
@@ -122,6 +122,20 @@ describe('Play-Video Action', () => {
     });
   });
 
+  describe('shell safety', () => {
+    it('should keep shell metacharacters in the URL inside quotes', async () => {
+      mockDevice.shell.mockResolvedValue({});
+
+      await playVideoAction.execute(mockDevice, {
+        url: 'https://www.youtube.com/watch?v=$(reboot);reboot'
+      });
+
+      expect(mockDevice.shell).toHaveBeenCalledWith(
+        "am start -a android.intent.action.VIEW -d 'https://www.youtube.com/watch?v=$(reboot);reboot'"
+      );
+    });
+  });
+
   describe('no YouTube app installed (AC3)', () => {
     it('should return error when no app handles video URL - Activity not started', async () => {
       mockDevice.shell.mockRejectedValue(
@@ -0,0 +1,104 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import { setVolumeAction } from '../../src/actions/set-volume.js';
+import { readVolume, setVolume } from '../../src/services/device-state.js';
+import { capVolumeLevel } from '../../src/services/volume-watchdog.js';
+
+vi.mock('../../src/services/device-state.js', () => ({
+  readVolume: vi.fn(),
+  setVolume: vi.fn(),
+  volumeSetCommand: level => `cmd media_session volume --stream 3 --set ${level}`,
+  VOLUME_GET_COMMAND: 'cmd media_session volume --stream 3 --get'
+}));
+
+vi.mock('../../src/services/volume-watchdog.js', () => ({
+  capVolumeLevel: vi.fn()
+}));
+
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+describe('Set Volume Action', () => {
+  const mockDevice = { id: '192.168.0.145:5555' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setVolume.mockResolvedValue();
+    capVolumeLevel.mockImplementation((device, level) => ({ level, limit: null }));
+  });
+
+  it('should not send a level above the device maxVolume', async () => {
+    capVolumeLevel.mockReturnValue({ level: 6, limit: 6 });
+    readVolume
+      .mockResolvedValueOnce({ level: 3, max: 15 })
+      .mockResolvedValueOnce({ level: 6, max: 15 });
+
+    const result = await setVolumeAction.execute(mockDevice, { level: 12 });
+
+    expect(capVolumeLevel).toHaveBeenCalledWith(mockDevice, 12, 15);
+    expect(setVolume).toHaveBeenCalledWith(mockDevice, 6);
+    expect(result.data).toEqual({ previous: 3, level: 6, max: 15, percent: 40, limit: 6 });
+  });
+
+  it('should set an absolute level and report the read-back volume', async () => {
+    readVolume
+      .mockResolvedValueOnce({ level: 3, max: 15 })
+      .mockResolvedValueOnce({ level: 12, max: 15 });
+
+    const result = await setVolumeAction.execute(mockDevice, { level: 12 });
+
+    expect(setVolume).toHaveBeenCalledWith(mockDevice, 12);
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({ previous: 3, level: 12, max: 15, percent: 80 });
+  });
+
+  it('should turn a percentage into a step of the device range', async () => {
+    readVolume.mockResolvedValue({ level: 5, max: 15 });
+
+    await setVolumeAction.execute(mockDevice, { percent: 40 });
+
+    expect(setVolume).toHaveBeenCalledWith(mockDevice, 6);
+  });
+
+  it('should cap the level at the device maximum', async () => {
+    readVolume.mockResolvedValue({ level: 15, max: 15 });
+
+    await setVolumeAction.execute(mockDevice, { level: 40 });
+
+    expect(setVolume).toHaveBeenCalledWith(mockDevice, 15);
+  });
+
+  it.each([
+    [{}, 'Exactly one of level or percent is required'],
+    [{ level: 5, percent: 50 }, 'Exactly one of level or percent is required'],
+    [{ level: -1 }, 'level must be a non-negative integer'],
+    [{ percent: 120 }, 'percent must be a number from 0 to 100']
+  ])('should return INVALID_PARAMS for %j', async (params, message) => {
+    const result = await setVolumeAction.execute(mockDevice, params);
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('INVALID_PARAMS');
+    expect(result.error.message).toBe(message);
+    expect(readVolume).not.toHaveBeenCalled();
+  });
+
+  it('should return VOLUME_FAILED when the volume cannot be read', async () => {
+    readVolume.mockRejectedValue(new Error('Could not read volume'));
+
+    const result = await setVolumeAction.execute(mockDevice, { level: 5 });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('VOLUME_FAILED');
+    expect(setVolume).not.toHaveBeenCalled();
+  });
+
+  it('should plan the commands without a device', () => {
+    const result = setVolumeAction.plan({ level: 8 });
+
+    expect(result.success).toBe(true);
+    expect(result.data.commands).toContain('cmd media_session volume --stream 3 --set 8');
+  });
+});
@@ -0,0 +1,127 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import { switchInputAction } from '../../src/actions/switch-input.js';
+import { detectCecSupport, findCecDeviceOnPort } from '../../src/services/hdmi-cec.js';
+import { runShell } from '../../src/services/device-state.js';
+
+vi.mock('../../src/services/hdmi-cec.js', () => ({
+  detectCecSupport: vi.fn(),
+  findCecDeviceOnPort: vi.fn(),
+  DETECT_COMMAND: 'detect',
+  LIST_DEVICES_COMMAND: 'list'
+}));
+
+vi.mock('../../src/services/device-state.js', () => ({
+  runShell: vi.fn()
+}));
+
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+describe('Switch Input Action', () => {
+  const mockDevice = { id: '192.168.0.145:5555' };
+  const android12 = { sdk: 31, hdmiControl: true, hdmiShell: true, tv: false };
+  const android9 = { sdk: 28, hdmiControl: true, hdmiShell: false, tv: false };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    runShell.mockResolvedValue('');
+    findCecDeviceOnPort.mockResolvedValue(null);
+  });
+
+  it('should select the CEC device on the input on an Android 12+ TV', async () => {
+    detectCecSupport.mockResolvedValue({ ...android12, tv: true });
+    findCecDeviceOnPort.mockResolvedValue(4);
+
+    const result = await switchInputAction.execute(mockDevice, { input: 'hdmi2' });
+
+    expect(findCecDeviceOnPort).toHaveBeenCalledWith(mockDevice, 2);
+    expect(runShell).toHaveBeenCalledWith(mockDevice, 'cmd hdmi_control deviceselect 4');
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({ input: 2, method: 'deviceselect', detection: { ...android12, tv: true } });
+  });
+
+  it('should press the HDMI input key when no CEC device is on the input', async () => {
+    detectCecSupport.mockResolvedValue({ ...android12, tv: true });
+
+    const result = await switchInputAction.execute(mockDevice, { input: 2 });
+
+    expect(runShell).toHaveBeenCalledWith(mockDevice, 'input keyevent KEYCODE_TV_INPUT_HDMI_2');
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({ input: 2, method: 'keyevent', detection: { ...android12, tv: true } });
+  });
+
+  it('should press the HDMI input key on a TV before Android 12', async () => {
+    detectCecSupport.mockResolvedValue({ ...android9, tv: true });
+
+    const result = await switchInputAction.execute(mockDevice, { input: 3 });
+
+    expect(findCecDeviceOnPort).not.toHaveBeenCalled();
+    expect(runShell).toHaveBeenCalledWith(mockDevice, 'input keyevent KEYCODE_TV_INPUT_HDMI_3');
+    expect(result.data.method).toBe('keyevent');
+  });
+
+  it('should fail when the TV cannot select the device', async () => {
+    detectCecSupport.mockResolvedValue({ ...android12, tv: true });
+    findCecDeviceOnPort.mockResolvedValue(4);
+    runShell.mockResolvedValue('Failed to select device: 3');
+
+    const result = await switchInputAction.execute(mockDevice, { input: 2 });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('SWITCH_INPUT_FAILED');
+  });
+
+  it('should note that a streaming device may ignore the input key', async () => {
+    detectCecSupport.mockResolvedValue(android12);
+
+    const result = await switchInputAction.execute(mockDevice, { input: 1 });
+
+    expect(result.data.note).toMatch(/not a TV/);
+  });
+
+  it('should use one-touch play for self on Android 12+', async () => {
+    detectCecSupport.mockResolvedValue(android12);
+
+    const result = await switchInputAction.execute(mockDevice, { input: 'self' });
+
+    expect(runShell).toHaveBeenCalledWith(mockDevice, 'cmd hdmi_control onetouchplay');
+    expect(result.data.method).toBe('onetouchplay');
+  });
+
+  it('should fall back to the wake key for self on older versions', async () => {
+    detectCecSupport.mockResolvedValue(android9);
+
+    const result = await switchInputAction.execute(mockDevice, { input: 'self' });
+
+    expect(runShell).toHaveBeenCalledWith(mockDevice, 'input keyevent KEYCODE_WAKEUP');
+    expect(result.data.method).toBe('wakeup');
+  });
+
+  it('should fail when one-touch play reports a failure', async () => {
+    detectCecSupport.mockResolvedValue(android12);
+    runShell.mockResolvedValue('One touch play failed: 2');
+
+    const result = await switchInputAction.execute(mockDevice, { input: 'self' });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('SWITCH_INPUT_FAILED');
+    expect(result.error.details.reason).toBe('One touch play failed: 2');
+  });
+
+  it.each([[{}], [{ input: 5 }], [{ input: 'hdmi5' }], [{ input: 'tv' }]])('should return INVALID_PARAMS for %j', async (params) => {
+    const result = await switchInputAction.execute(mockDevice, params);
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('INVALID_PARAMS');
+    expect(detectCecSupport).not.toHaveBeenCalled();
+  });
+
+  it('should plan the commands without a device', () => {
+    expect(switchInputAction.plan({ input: 3 }).data.commands).toEqual(['detect', 'list', 'cmd hdmi_control deviceselect <device on HDMI 3>']);
+    expect(switchInputAction.plan({ input: 'self' }).data.commands).toEqual(['detect', 'cmd hdmi_control onetouchplay']);
+  });
+});
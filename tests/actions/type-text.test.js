@@ -0,0 +1,92 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import AdbKit from '@devicefarmer/adbkit';
+import { typeTextAction } from '../../src/actions/type-text.js';
+
+vi.mock('@devicefarmer/adbkit', () => ({
+  default: {
+    Adb: {
+      util: {
+        readAll: vi.fn()
+      }
+    }
+  }
+}));
+
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn()
+  },
+  logAdbCommand: vi.fn()
+}));
+
+describe('Type Text Action', () => {
+  let mockDevice;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDevice = {
+      id: '192.168.0.145:5555',
+      shell: vi.fn().mockResolvedValue({})
+    };
+    AdbKit.Adb.util.readAll.mockResolvedValue(Buffer.from(''));
+  });
+
+  it('should expose action name and not retry by default', () => {
+    expect(typeTextAction.name).toBe('type-text');
+    expect(typeTextAction.defaultRetries).toBe(0);
+  });
+
+  it('should type ASCII text with input text, quoting it for the shell', async () => {
+    const result = await typeTextAction.execute(mockDevice, { text: "it's $HOME; reboot" });
+
+    expect(mockDevice.shell).toHaveBeenCalledWith("input text 'it'\\''s%s$HOME;%sreboot'");
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({ length: 18, method: 'input' });
+  });
+
+  it('should send non-ASCII text as an IME broadcast', async () => {
+    const result = await typeTextAction.execute(mockDevice, { text: 'Café ☕' });
+
+    const encoded = Buffer.from('Café ☕', 'utf8').toString('base64');
+    expect(mockDevice.shell).toHaveBeenCalledWith(`am broadcast -a ADB_INPUT_B64 --es msg '${encoded}'`);
+    expect(result.data.method).toBe('ime');
+  });
+
+  it('should use the IME when the method is forced', async () => {
+    await typeTextAction.execute(mockDevice, { text: 'abc', method: 'ime' });
+
+    expect(mockDevice.shell).toHaveBeenCalledWith("am broadcast -a ADB_INPUT_B64 --es msg 'YWJj'");
+  });
+
+  it.each([
+    [{}, 'text must be a non-empty string'],
+    [{ text: 'x'.repeat(1001) }, 'text is longer than 1000 characters'],
+    [{ text: 'abc', method: 'paste' }, 'method must be one of: auto, input, ime'],
+    [{ text: 'Café', method: 'input' }, 'method "input" only supports printable ASCII text']
+  ])('should return INVALID_PARAMS for %j', async (params, message) => {
+    const result = await typeTextAction.execute(mockDevice, params);
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('INVALID_PARAMS');
+    expect(result.error.message).toBe(message);
+    expect(mockDevice.shell).not.toHaveBeenCalled();
+  });
+
+  it('should return TYPE_TEXT_FAILED on shell error', async () => {
+    mockDevice.shell.mockRejectedValue(new Error('ADB error'));
+
+    const result = await typeTextAction.execute(mockDevice, { text: 'hello' });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('TYPE_TEXT_FAILED');
+    expect(result.error.details.reason).toBe('ADB error');
+  });
+
+  it('should plan the command without a device', () => {
+    const result = typeTextAction.plan({ text: 'hello world' });
+
+    expect(result.success).toBe(true);
+    expect(result.data.commands).toEqual(["input text 'hello%sworld'"]);
+  });
+});
@@ -34,6 +34,27 @@ describe('wait action', () => {
       expect(result.success).toBe(true);
     });
 
+    it('should end early when the run is cancelled', async () => {
+      const controller = new AbortController();
+
+      const promise = waitAction.execute({}, { duration: 60000 }, { signal: controller.signal });
+      vi.advanceTimersByTime(1000);
+      controller.abort();
+      const result = await promise;
+
+      expect(result.success).toBe(false);
+      expect(result.error.code).toBe('CANCELLED');
+    });
+
+    it('should not start when the run is already cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await waitAction.execute({}, { duration: 5000 }, { signal: controller.signal });
+
+      expect(result.error.code).toBe('CANCELLED');
+    });
+
     it('should fail for negative duration', async () => {
       const device = {};
       const params = { duration: -1000 };
@@ -65,6 +86,23 @@ describe('wait action', () => {
     });
   });
 
+  describe('plan', () => {
+    it('should plan the wait without commands', () => {
+      const result = waitAction.plan({ duration: 5000 });
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Would wait 5000ms');
+      expect(result.data.commands).toEqual([]);
+    });
+
+    it('should return INVALID_DURATION for a negative duration', () => {
+      const result = waitAction.plan({ duration: -1 });
+
+      expect(result.success).toBe(false);
+      expect(result.error.code).toBe('INVALID_DURATION');
+    });
+  });
+
   describe('action interface', () => {
     it('should have correct name', () => {
       expect(waitAction.name).toBe('wait');
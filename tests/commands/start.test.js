@@ -2,14 +2,18 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { startCommand } from '../../src/commands/start.js';
 
 // Mock dependencies
-vi.mock('../../src/utils/config.js', () => ({
-  loadConfig: vi.fn()
+vi.mock('../../src/utils/config.js', async (importOriginal) => ({
+  loadConfig: vi.fn(),
+  getConfiguredDevices: (await importOriginal()).getConfiguredDevices
 }));
 
 vi.mock('../../src/services/adb-client.js', () => ({
   connect: vi.fn(),
   disconnect: vi.fn(),
   getDevice: vi.fn(),
+  isDeviceGroup: vi.fn(() => false),
+  resolveDeviceTargets: vi.fn((name) => [name || 'default']),
+  setDeviceGroups: vi.fn(),
   startHealthCheck: vi.fn(),
   stopHealthCheck: vi.fn(),
   stopReconnect: vi.fn()
@@ -18,7 +22,17 @@ vi.mock('../../src/services/adb-client.js', () => ({
 vi.mock('../../src/services/scheduler.js', () => ({
   startScheduler: vi.fn(),
   stopScheduler: vi.fn(),
-  recordExecution: vi.fn()
+  recordExecution: vi.fn(),
+  runCatchUp: vi.fn().mockResolvedValue([])
+}));
+
+vi.mock('../../src/web/websocket/broadcaster.js', () => ({
+  onBroadcast: vi.fn()
+}));
+
+vi.mock('../../src/services/history-store.js', () => ({
+  initHistoryStore: vi.fn(),
+  pruneHistory: vi.fn().mockResolvedValue({ removed: 0 })
 }));
 
 vi.mock('../../src/utils/logger.js', () => ({
@@ -32,7 +46,8 @@ vi.mock('../../src/utils/logger.js', () => ({
 
 import { loadConfig } from '../../src/utils/config.js';
 import { connect, disconnect, getDevice, startHealthCheck } from '../../src/services/adb-client.js';
-import { startScheduler, stopScheduler, recordExecution } from '../../src/services/scheduler.js';
+import { startScheduler, stopScheduler, recordExecution, runCatchUp } from '../../src/services/scheduler.js';
+import { onBroadcast } from '../../src/web/websocket/broadcaster.js';
 import { logger } from '../../src/utils/logger.js';
 
 describe('start command', () => {
@@ -58,7 +73,7 @@ describe('start command', () => {
       await startCommand();
 
       expect(loadConfig).toHaveBeenCalled();
-      expect(connect).toHaveBeenCalledWith('192.168.1.100', 5555);
+      expect(connect).toHaveBeenCalledWith('192.168.1.100', 5555, 'default');
       expect(startHealthCheck).toHaveBeenCalledTimes(1);
       expect(startScheduler).toHaveBeenCalled();
       expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Scheduler started with 1 tasks'));
@@ -167,6 +182,53 @@ describe('start command', () => {
         expect.stringContaining('Task skipped because device is disconnected')
       );
       expect(recordExecution).toHaveBeenCalledTimes(1);
+      expect(recordExecution.mock.calls[0][1]).toEqual(expect.objectContaining({ code: 'DEVICE_DISCONNECTED' }));
+    });
+
+    it('should pass the replayed invocation time to recordExecution', async () => {
+      const mockConfig = {
+        device: { ip: '192.168.1.100', port: 5555 },
+        tasks: [{ name: 'task1', schedule: '0 0 7 * * *', actions: [{ type: 'wake' }] }]
+      };
+      const scheduledFor = new Date('2026-03-01T07:00:00Z');
+
+      loadConfig.mockResolvedValue(mockConfig);
+      connect.mockResolvedValue({ connected: true });
+      getDevice.mockReturnValue(null);
+      startScheduler.mockReturnValue({ success: true, taskCount: 1 });
+
+      await startCommand();
+
+      const schedulerExecutor = startScheduler.mock.calls[0][1];
+      await schedulerExecutor(mockConfig.tasks[0], { scheduledFor });
+
+      expect(recordExecution.mock.calls[0][1].scheduledFor).toBe(scheduledFor);
+    });
+  });
+
+  describe('missed-run catch-up', () => {
+    it('should catch up after startup and when a device reconnects', async () => {
+      loadConfig.mockResolvedValue({
+        devices: [
+          { name: 'living-room', ip: '192.168.1.100', port: 5555 },
+          { name: 'bedroom', ip: '192.168.1.101', port: 5555 }
+        ],
+        tasks: []
+      });
+      connect.mockResolvedValue({ connected: true });
+      startScheduler.mockReturnValue({ success: true, taskCount: 0 });
+
+      await startCommand();
+
+      expect(runCatchUp).toHaveBeenCalledTimes(1);
+
+      const listener = onBroadcast.mock.calls[0][0];
+      listener({ type: 'status:device:connected', data: { device: 'bedroom' } });
+
+      expect(runCatchUp).toHaveBeenCalledTimes(2);
+      const filter = runCatchUp.mock.calls[1][0];
+      expect(filter({ name: 'a', device: 'bedroom' })).toBe(true);
+      expect(filter({ name: 'b', device: 'living-room' })).toBe(false);
     });
   });
 });
@@ -18,9 +18,16 @@ vi.mock('../../src/services/scheduler.js', () => ({
   getRegisteredTasks: vi.fn()
 }));
 
+// Mock history store (empty by default)
+vi.mock('../../src/services/history-store.js', () => ({
+  initHistoryStore: vi.fn(),
+  readHistory: vi.fn().mockResolvedValue([])
+}));
+
 // Mock config module
-vi.mock('../../src/utils/config.js', () => ({
-  loadConfig: vi.fn()
+vi.mock('../../src/utils/config.js', async (importOriginal) => ({
+  loadConfig: vi.fn(),
+  getConfiguredDevices: (await importOriginal()).getConfiguredDevices
 }));
 
 // Mock logger
@@ -534,5 +541,35 @@ describe('Status Command - AC3', () => {
         expect(output.tasks[0].executionHistory[1].error).toBe('Timeout');
       });
     });
+
+    describe('Persistent History Store', () => {
+      it('should read run history from the store when the scheduler is not in-process', async () => {
+        const historyStore = await import('../../src/services/history-store.js');
+        config.loadConfig.mockResolvedValue({
+          device: { ip: '192.168.1.100', port: 5555 },
+          history: { path: '/tmp/history.jsonl' },
+          tasks: [{ name: 'stored-task', schedule: '0 30 7 * * *', actions: [] }]
+        });
+        adbClient.connect.mockResolvedValue({ connected: true });
+        adbClient.getConnectionStatus.mockReturnValue({ connected: true, device: '192.168.1.100:5555' });
+        historyStore.readHistory.mockResolvedValue([
+          { task: 'stored-task', status: 'failed', startTime: '2026-02-03T07:30:00.000Z', endTime: '2026-02-03T07:30:01.000Z', duration: 1000, error: 'Timeout' },
+          { task: 'other-task', status: 'completed', startTime: '2026-02-03T08:00:00.000Z', endTime: '2026-02-03T08:00:01.000Z', duration: 1000 },
+          { task: 'stored-task', status: 'completed', startTime: '2026-02-04T07:30:00.000Z', endTime: '2026-02-04T07:30:01.000Z', duration: 1000 }
+        ]);
+
+        await statusCommand({ json: true });
+
+        const output = JSON.parse(consoleSpy.mock.calls[0][0]);
+        expect(historyStore.initHistoryStore).toHaveBeenCalledWith({ path: '/tmp/history.jsonl' });
+        expect(output.tasks).toHaveLength(1);
+        expect(output.tasks[0].lastRunStatus).toBe('completed');
+        expect(output.tasks[0].lastRunTime).toBe('2026-02-04T07:30:01.000Z');
+        expect(output.tasks[0].failureCount).toBe(1);
+        expect(output.tasks[0].executionHistory.map(h => h.status)).toEqual(['failed', 'completed']);
+
+        historyStore.readHistory.mockResolvedValue([]);
+      });
+    });
   });
 });
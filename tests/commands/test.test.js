@@ -8,7 +8,7 @@ vi.mock('../../src/services/adb-client.js');
 
 import { testCommand } from '../../src/commands/test.js';
 import { getAction, listActions } from '../../src/actions/index.js';
-import { loadConfig } from '../../src/utils/config.js';
+import { loadConfig, getConfiguredDevices } from '../../src/utils/config.js';
 import { connect, getDevice, disconnect } from '../../src/services/adb-client.js';
 import { logger } from '../../src/utils/logger.js';
 
@@ -32,6 +32,7 @@ describe('Test Command', () => {
       device: { ip: '192.168.0.145', port: 5555 },
       tasks: []
     });
+    getConfiguredDevices.mockReturnValue([{ name: 'default', ip: '192.168.0.145', port: 5555 }]);
     connect.mockResolvedValue({ connected: true });
     getDevice.mockReturnValue(mockDevice);
     disconnect.mockResolvedValue();
@@ -61,7 +62,7 @@ describe('Test Command', () => {
       await expect(testCommand('wake-up', {})).rejects.toThrow('process.exit called');
 
       expect(getAction).toHaveBeenCalledWith('wake-up');
-      expect(connect).toHaveBeenCalledWith('192.168.0.145', 5555);
+      expect(connect).toHaveBeenCalledWith('192.168.0.145', 5555, 'default');
       expect(mockAction.execute).toHaveBeenCalledWith(mockDevice, {}, { youtube: undefined });
       expect(disconnect).toHaveBeenCalled();
       expect(mockExit).toHaveBeenCalledWith(0);
@@ -176,7 +177,7 @@ describe('Test Command', () => {
 
       expect(getAction).toHaveBeenCalledWith('morning-youtube');
       expect(getAction).toHaveBeenCalledWith('play-video');
-      expect(mockAction.execute).toHaveBeenCalledWith(mockDevice, { type: 'play-video', url: 'https://youtube.com/watch?v=morning' }, { youtube: undefined });
+      expect(mockAction.execute).toHaveBeenCalledWith(mockDevice, { type: 'play-video', url: 'https://youtube.com/watch?v=morning' }, { youtube: undefined, signal: expect.any(AbortSignal) });
       expect(mockExit).toHaveBeenCalledWith(0);
     });
 
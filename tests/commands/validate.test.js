@@ -86,7 +86,7 @@ describe('validate command', () => {
         device: { ip: '192.168.1.1', port: 5555 },
         tasks: [{
           name: 'bad-cron',
-          schedule: '30 7 * * *',
+          schedule: '30 7 * *',
           actions: [{ type: 'wake' }]
         }]
       }));
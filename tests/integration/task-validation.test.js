@@ -38,13 +38,31 @@ describe('task validation integration', () => {
     });
   });
 
+  describe('5-field cron and macros', () => {
+    it('should load them as 6-field expressions', async () => {
+      const config = {
+        device: { ip: '192.168.1.100', port: 5555 },
+        tasks: [
+          { name: 'crontab', schedule: '30 7 * * 1-5', actions: [{ type: 'wake' }] },
+          { name: 'macro', schedule: '@hourly', actions: [{ type: 'wake' }] }
+        ]
+      };
+      writeFileSync(testConfigPath, JSON.stringify(config));
+
+      const loaded = await loadConfig(testConfigPath);
+
+      expect(loaded.tasks.map(task => task.schedule)).toEqual(['0 30 7 * * 1-5', '0 0 * * * *']);
+      expect(validateTasks(loaded).valid).toBe(true);
+    });
+  });
+
   describe('invalid cron expressions', () => {
-    it('should fail for 5-field cron (missing seconds)', async () => {
+    it('should fail for 4-field cron', async () => {
       const config = {
         device: { ip: '192.168.1.100', port: 5555 },
         tasks: [{
           name: 'bad-cron',
-          schedule: '30 7 * * *',
+          schedule: '30 7 * *',
           actions: [{ type: 'wake' }]
         }]
       };
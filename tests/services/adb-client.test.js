@@ -1,10 +1,20 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PassThrough } from 'stream';
 
 // Mock @devicefarmer/adbkit before importing the module
 vi.mock('@devicefarmer/adbkit', () => ({
   default: {
     Adb: {
-      createClient: vi.fn()
+      createClient: vi.fn(),
+      util: {
+        readAll: async (stream) => {
+          const chunks = [];
+          for await (const chunk of stream) {
+            chunks.push(chunk);
+          }
+          return Buffer.concat(chunks);
+        }
+      }
     }
   }
 }));
@@ -209,6 +219,129 @@ describe('ADB Client Service', () => {
     });
   });
 
+  describe('command queue', () => {
+    it('should not issue a command until the output of the one before it has been read', async () => {
+      // Like adbkit, shell() resolves once the command starts; the output follows on the stream
+      const firstOutput = new PassThrough();
+      const secondOutput = new PassThrough();
+      mockDevice.shell
+        .mockResolvedValueOnce(firstOutput)
+        .mockResolvedValueOnce(secondOutput);
+      await adbClient.connect('192.168.1.100', 5555);
+      const device = adbClient.getDevice();
+
+      const first = device.shell('input keyevent 3');
+      const second = device.shell('input keyevent 4');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mockDevice.shell).toHaveBeenCalledTimes(1);
+      expect(adbClient.getConnectionStatus().queueDepth).toBe(2);
+
+      firstOutput.end('first');
+      const firstStream = await first;
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mockDevice.shell).toHaveBeenCalledTimes(2);
+      expect(mockDevice.shell).toHaveBeenLastCalledWith('input keyevent 4');
+      expect(adbClient.getConnectionStatus().queueDepth).toBe(1);
+
+      secondOutput.end('second');
+      const secondStream = await second;
+
+      expect((await AdbKit.Adb.util.readAll(firstStream)).toString()).toBe('first');
+      expect((await AdbKit.Adb.util.readAll(secondStream)).toString()).toBe('second');
+    });
+
+    it('should replay output to callers that listen for data and end events', async () => {
+      const output = new PassThrough();
+      mockDevice.shell.mockResolvedValueOnce(output);
+      await adbClient.connect('192.168.1.100', 5555);
+
+      const pending = adbClient.getDevice().shell('echo hi');
+      output.end('hi');
+      const stream = await pending;
+
+      const chunks = [];
+      await new Promise((resolve, reject) => {
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', resolve);
+        stream.on('error', reject);
+      });
+      expect(Buffer.concat(chunks).toString()).toBe('hi');
+    });
+
+    it('should keep going after a failed command', async () => {
+      const output = new PassThrough();
+      mockDevice.shell
+        .mockRejectedValueOnce(new Error('closed'))
+        .mockResolvedValueOnce(output);
+      await adbClient.connect('192.168.1.100', 5555);
+      const device = adbClient.getDevice();
+
+      await expect(device.shell('echo one')).rejects.toThrow('closed');
+      const pending = device.shell('echo two');
+      output.end('ok');
+      expect((await AdbKit.Adb.util.readAll(await pending)).toString()).toBe('ok');
+      await Promise.resolve();
+      expect(adbClient.getConnectionStatus().queueDepth).toBe(0);
+    });
+  });
+
+  describe('command queue timeout', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should give up the slot of a command that never ends and close its stream', async () => {
+      vi.useFakeTimers();
+      const endless = new PassThrough();
+      const output = new PassThrough();
+      mockDevice.shell
+        .mockResolvedValueOnce(endless)
+        .mockResolvedValueOnce(output);
+      await adbClient.connect('192.168.1.100', 5555);
+      const device = adbClient.getDevice();
+
+      const logcat = device.shell('logcat');
+      const rejection = expect(logcat).rejects.toMatchObject({ code: 'COMMAND_TIMEOUT' });
+      const next = device.shell('echo next');
+      await vi.advanceTimersByTimeAsync(60000);
+      await rejection;
+
+      expect(endless.destroyed).toBe(true);
+      expect(mockDevice.shell).toHaveBeenLastCalledWith('echo next');
+      output.end('next');
+      expect((await AdbKit.Adb.util.readAll(await next)).toString()).toBe('next');
+    });
+
+    it('should queue the heartbeat behind a running command', async () => {
+      vi.useFakeTimers();
+      const running = new PassThrough();
+      const ping = new PassThrough();
+      mockDevice.shell
+        .mockResolvedValueOnce(running)
+        .mockResolvedValueOnce(ping);
+      await adbClient.connect('192.168.1.100', 5555);
+
+      const pending = adbClient.getDevice().shell('pm list packages');
+      adbClient.startHealthCheck(5000);
+      await vi.advanceTimersByTimeAsync(10000);
+
+      expect(mockDevice.shell).toHaveBeenCalledTimes(1);
+      expect(adbClient.getConnectionStatus().queueDepth).toBe(2);
+
+      running.end('package:com.example');
+      await pending;
+      await vi.advanceTimersByTimeAsync(0);
+      expect(mockDevice.shell).toHaveBeenLastCalledWith('echo ping');
+      ping.end('ping');
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(adbClient.getConnectionStatus().connected).toBe(true);
+      adbClient.stopHealthCheck();
+    });
+  });
+
   describe('Health Check - AC1 (Story 1.5)', () => {
     describe('startHealthCheck()', () => {
       it('should start periodic heartbeat checks', async () => {
@@ -257,6 +390,28 @@ describe('ADB Client Service', () => {
         );
         vi.useRealTimers();
       });
+
+      it('should mark the device disconnected and broadcast it when heartbeat fails', async () => {
+        vi.useFakeTimers();
+        const { onBroadcast } = await import('../../src/web/websocket/broadcaster.js');
+        const events = [];
+        const unsubscribe = onBroadcast(event => events.push(event));
+        await adbClient.connect('192.168.1.100', 5555);
+        mockDevice.shell.mockRejectedValue(new Error('Connection lost'));
+        mockClient.connect.mockReturnValue(new Promise(() => {}));
+
+        adbClient.startHealthCheck(5000);
+        await vi.advanceTimersByTimeAsync(5000);
+
+        expect(adbClient.getConnectionStatus().connected).toBe(false);
+        expect(adbClient.getDevice()).toBeNull();
+        expect(events.map(event => event.type)).toEqual(['status:device:connected', 'status:device:disconnected']);
+        expect(events[1].data).toEqual({ target: '192.168.1.100:5555', device: 'default' });
+
+        unsubscribe();
+        adbClient.stopReconnect();
+        vi.useRealTimers();
+      });
     });
 
     describe('stopHealthCheck()', () => {
@@ -537,4 +692,70 @@ describe('ADB Client Service', () => {
       });
     });
   });
+
+  describe('Multiple named devices', () => {
+    it('should keep independent connections per device name', async () => {
+      const bedroomDevice = { id: '192.168.1.101:5555', shell: vi.fn() };
+      mockClient.getDevice.mockImplementation(target =>
+        target === '192.168.1.101:5555' ? bedroomDevice : mockDevice
+      );
+
+      await adbClient.connect('192.168.1.100', 5555, 'living-room');
+      await adbClient.connect('192.168.1.101', 5555, 'bedroom');
+
+      expect(adbClient.getDevice('living-room').id).toBe(mockDevice.id);
+      expect(adbClient.getDevice('bedroom').id).toBe(bedroomDevice.id);
+      expect(adbClient.listDeviceNames()).toEqual(['living-room', 'bedroom']);
+    });
+
+    it('should treat the first registered device as default', async () => {
+      await adbClient.connect('192.168.1.100', 5555, 'living-room');
+
+      expect(adbClient.getDefaultDeviceName()).toBe('living-room');
+      expect(adbClient.getDevice().id).toBe(mockDevice.id);
+      expect(adbClient.getConnectionStatus().name).toBe('living-room');
+    });
+
+    it('should return null for an unknown device name', async () => {
+      await adbClient.connect('192.168.1.100', 5555, 'living-room');
+
+      expect(adbClient.getDevice('garage')).toBeNull();
+      expect(adbClient.getConnectionStatus('garage').connected).toBe(false);
+    });
+
+    it('should disconnect only the named device', async () => {
+      await adbClient.connect('192.168.1.100', 5555, 'living-room');
+      await adbClient.connect('192.168.1.101', 5555, 'bedroom');
+
+      await adbClient.disconnect('bedroom');
+
+      expect(mockClient.disconnect).toHaveBeenCalledWith('192.168.1.101:5555');
+      expect(adbClient.getConnectionStatus('bedroom').connected).toBe(false);
+      expect(adbClient.getConnectionStatus('living-room').connected).toBe(true);
+    });
+
+    it('should resolve group names to member devices', () => {
+      adbClient.setDeviceGroups({ bedrooms: ['master', 'kids'] });
+
+      expect(adbClient.isDeviceGroup('bedrooms')).toBe(true);
+      expect(adbClient.isDeviceGroup('master')).toBe(false);
+      expect(adbClient.resolveDeviceTargets('bedrooms')).toEqual(['master', 'kids']);
+      expect(adbClient.resolveDeviceTargets('master')).toEqual(['master']);
+    });
+
+    it('should list status for every device', async () => {
+      mockClient.connect
+        .mockResolvedValueOnce('192.168.1.100:5555')
+        .mockRejectedValueOnce(new Error('Connection refused'));
+
+      await adbClient.connect('192.168.1.100', 5555, 'living-room');
+      await adbClient.connect('192.168.1.101', 5555, 'bedroom');
+
+      const statuses = adbClient.listDeviceStatuses();
+      expect(statuses.map(s => [s.name, s.connected])).toEqual([
+        ['living-room', true],
+        ['bedroom', false]
+      ]);
+    });
+  });
 });
@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { writeFile, mkdir, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// Mock logger to suppress output during tests
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('Calendar Service', () => {
+  let calendars;
+  let tempDir;
+
+  beforeEach(async () => {
+    vi.resetModules();
+    calendars = await import('../../src/services/calendars.js');
+    tempDir = join(tmpdir(), `atv-calendars-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('loadCalendars', () => {
+    it('should expand inline days and inclusive ranges', async () => {
+      const loaded = await calendars.loadCalendars({
+        vacation: { dates: ['2026-08-01/2026-08-03', '2026-10-30'] }
+      });
+
+      expect(loaded).toEqual([{ name: 'vacation', days: 4 }]);
+      expect(calendars.hasCalendar('vacation')).toBe(true);
+      expect(calendars.hasCalendar('holidays')).toBe(false);
+    });
+
+    it('should merge days from an .ics file with inline dates', async () => {
+      const icsPath = join(tempDir, 'holidays.ics');
+      await writeFile(icsPath, [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20261225',
+        'DTEND;VALUE=DATE:20261227',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n'));
+
+      const loaded = await calendars.loadCalendars({
+        holidays: { ics: icsPath, dates: ['2026-12-24'] }
+      });
+
+      expect(loaded).toEqual([{ name: 'holidays', days: 3 }]);
+    });
+
+    it('should fail with CALENDAR_LOAD_ERROR for missing files and bad dates', async () => {
+      await expect(calendars.loadCalendars({ holidays: { ics: join(tempDir, 'missing.ics') } }))
+        .rejects.toMatchObject({ code: 'CALENDAR_LOAD_ERROR' });
+      await expect(calendars.loadCalendars({ vacation: { dates: ['2026-08-14/2026-08-01'] } }))
+        .rejects.toThrow("Failed to load calendar 'vacation': Invalid calendar date: 2026-08-14/2026-08-01");
+    });
+
+    it('should replace previously loaded calendars', async () => {
+      await calendars.loadCalendars({ vacation: { dates: ['2026-08-01'] } });
+      await calendars.loadCalendars({ holidays: { dates: ['2026-12-25'] } });
+
+      expect(calendars.listCalendars().map(c => c.name)).toEqual(['holidays']);
+    });
+  });
+
+  describe('findExcludingCalendar', () => {
+    beforeEach(async () => {
+      await calendars.loadCalendars({
+        holidays: { dates: ['2026-12-25'] },
+        vacation: { dates: ['2026-12-24/2026-12-31'] }
+      });
+    });
+
+    it('should return the first calendar containing the date', () => {
+      const christmas = new Date('2026-12-25T07:00:00Z');
+
+      expect(calendars.findExcludingCalendar(['holidays', 'vacation'], christmas, 'UTC')).toBe('holidays');
+      expect(calendars.findExcludingCalendar(['vacation'], christmas, 'UTC')).toBe('vacation');
+      expect(calendars.findExcludingCalendar([], christmas, 'UTC')).toBeNull();
+      expect(calendars.findExcludingCalendar(undefined, christmas, 'UTC')).toBeNull();
+    });
+
+    it('should compare the calendar day in the given timezone', () => {
+      // 23:30 UTC on Dec 24 is already Dec 25 in Berlin
+      const lateEvening = new Date('2026-12-24T23:30:00Z');
+
+      expect(calendars.findExcludingCalendar(['holidays'], lateEvening, 'UTC')).toBeNull();
+      expect(calendars.findExcludingCalendar(['holidays'], lateEvening, 'Europe/Berlin')).toBe('holidays');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { pollDevices, stopDeviceMonitor } from '../../src/services/device-monitor.js';
+import { readProbe } from '../../src/services/device-state.js';
+import { listDeviceNames, getDevice } from '../../src/services/adb-client.js';
+import { emitEvent } from '../../src/web/websocket/broadcaster.js';
+
+vi.mock('../../src/services/device-state.js', () => ({
+  readProbe: vi.fn()
+}));
+
+vi.mock('../../src/services/adb-client.js', () => ({
+  listDeviceNames: vi.fn(),
+  getDevice: vi.fn()
+}));
+
+vi.mock('../../src/web/websocket/broadcaster.js', () => ({
+  emitEvent: vi.fn()
+}));
+
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('Device Monitor Service', () => {
+  const device = { id: '10.0.0.1:5555' };
+
+  /**
+   * Make the next poll of the device read the given power state and foreground app
+   */
+  function deviceState(power, foreground = null) {
+    readProbe.mockImplementation(async (_device, probe) => (probe === 'power' ? power : foreground));
+  }
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    stopDeviceMonitor();
+    listDeviceNames.mockReturnValue(['bedroom']);
+    getDevice.mockReturnValue(device);
+  });
+
+  it('should only record a baseline on the first poll', async () => {
+    deviceState('awake', 'com.example');
+    await pollDevices();
+
+    expect(emitEvent).not.toHaveBeenCalled();
+  });
+
+  it('should broadcast screen and foreground changes', async () => {
+    deviceState('asleep');
+    await pollDevices();
+
+    deviceState('awake', 'com.example');
+    await pollDevices();
+
+    expect(emitEvent).toHaveBeenCalledWith('status:device:screen:on', { device: 'bedroom' });
+    expect(emitEvent).toHaveBeenCalledWith('status:device:foreground', { device: 'bedroom', package: 'com.example', previous: null });
+
+    emitEvent.mockClear();
+    deviceState('awake', 'com.example');
+    await pollDevices();
+    expect(emitEvent).not.toHaveBeenCalled();
+
+    readProbe.mockClear();
+    deviceState('dreaming');
+    await pollDevices();
+    expect(emitEvent).toHaveBeenCalledWith('status:device:screen:off', { device: 'bedroom' });
+    expect(readProbe).not.toHaveBeenCalledWith(device, 'foreground');
+  });
+
+  it('should start over after the device disconnects', async () => {
+    deviceState('asleep');
+    await pollDevices();
+
+    getDevice.mockReturnValue(null);
+    await pollDevices();
+
+    getDevice.mockReturnValue(device);
+    deviceState('awake', 'com.example');
+    await pollDevices();
+
+    expect(emitEvent).not.toHaveBeenCalled();
+  });
+
+  it('should keep polling other devices when one cannot be read', async () => {
+    listDeviceNames.mockReturnValue(['bedroom', 'kitchen']);
+    readProbe.mockRejectedValue(new Error('Failed to read power'));
+
+    await expect(pollDevices()).resolves.toBeUndefined();
+    expect(readProbe).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import AdbKit from '@devicefarmer/adbkit';
+import { readProbe, evaluateCondition, readVolume, setVolume } from '../../src/services/device-state.js';
+
+// Mock AdbKit
+vi.mock('@devicefarmer/adbkit', () => ({
+  default: {
+    Adb: {
+      util: {
+        readAll: vi.fn()
+      }
+    }
+  }
+}));
+
+// Mock logger
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logAdbCommand: vi.fn()
+}));
+
+describe('Device State Service', () => {
+  let mockDevice;
+
+  /**
+   * Make the next shell command print the given output
+   */
+  function shellOutput(output) {
+    AdbKit.Adb.util.readAll.mockResolvedValueOnce(Buffer.from(output));
+  }
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    mockDevice = { id: '192.168.0.145:5555', shell: vi.fn().mockResolvedValue({}) };
+  });
+
+  describe('readProbe', () => {
+    it('should read the power state from mWakefulness', async () => {
+      shellOutput('  mWakefulness=Dreaming\n');
+
+      expect(await readProbe(mockDevice, 'power')).toBe('dreaming');
+      expect(mockDevice.shell).toHaveBeenCalledWith('dumpsys power | grep mWakefulness=');
+    });
+
+    it('should read the package of the focused window', async () => {
+      shellOutput('  mCurrentFocus=Window{a1b2c3 u0 com.google.android.youtube.tv/com.google.android.apps.youtube.tv.activity.ShellActivity}\n');
+
+      expect(await readProbe(mockDevice, 'foreground')).toBe('com.google.android.youtube.tv');
+    });
+
+    it('should return null when no window has focus', async () => {
+      shellOutput('  mCurrentFocus=null\n');
+
+      expect(await readProbe(mockDevice, 'foreground')).toBeNull();
+    });
+
+    it('should read the media volume', async () => {
+      shellOutput('volume is 7 in range [0..15]\n');
+
+      expect(await readProbe(mockDevice, 'volume')).toBe(7);
+    });
+
+    it('should fail with PROBE_FAILED on unreadable output', async () => {
+      shellOutput('Can\'t find service: power\n');
+
+      await expect(readProbe(mockDevice, 'power')).rejects.toMatchObject({
+        code: 'PROBE_FAILED',
+        message: 'Failed to read power: Could not read power state'
+      });
+    });
+
+    it('should fail with UNKNOWN_PROBE for unknown probes', async () => {
+      await expect(readProbe(mockDevice, 'brightness')).rejects.toMatchObject({ code: 'UNKNOWN_PROBE' });
+    });
+  });
+
+  describe('readVolume', () => {
+    it('should read the media volume and its range', async () => {
+      shellOutput('volume is 7 in range [0..15]\n');
+
+      expect(await readVolume(mockDevice)).toEqual({ level: 7, max: 15 });
+    });
+
+    it('should fall back to the STREAM_MUSIC section of dumpsys audio', async () => {
+      shellOutput('Unknown command: volume\n');
+      shellOutput([
+        '- STREAM_RING:',
+        '   Max: 7',
+        '   streamVolume:5',
+        '- STREAM_MUSIC:',
+        '   Muted: false',
+        '   Min: 0',
+        '   Max: 25',
+        '   streamVolume:11'
+      ].join('\n'));
+
+      expect(await readVolume(mockDevice)).toEqual({ level: 11, max: 25 });
+      expect(mockDevice.shell).toHaveBeenLastCalledWith('dumpsys audio');
+    });
+
+    it('should fail when neither command reports the volume', async () => {
+      shellOutput('Unknown command: volume\n');
+      shellOutput('');
+
+      await expect(readVolume(mockDevice)).rejects.toThrow('Could not read volume');
+    });
+  });
+
+  describe('setVolume', () => {
+    it('should set the media stream volume', async () => {
+      shellOutput('');
+
+      await setVolume(mockDevice, 9);
+
+      expect(mockDevice.shell).toHaveBeenCalledWith('cmd media_session volume --stream 3 --set 9');
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    it('should return the probed value and whether it matched', async () => {
+      shellOutput('  mWakefulness=Asleep\n');
+
+      const result = await evaluateCondition(mockDevice, { probe: 'power', notEquals: 'awake' });
+
+      expect(result).toEqual({ matched: true, value: 'asleep' });
+    });
+  });
+});
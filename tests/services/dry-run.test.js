@@ -0,0 +1,132 @@
+import { describe, it, expect, vi } from 'vitest';
+import { planTask, planAction } from '../../src/services/dry-run.js';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logAdbCommand: vi.fn()
+}));
+
+describe('Dry-Run Service', () => {
+  describe('planAction', () => {
+    it('should return the commands an action would send', () => {
+      const result = planAction('force-stop', { package: 'com.example.app' });
+
+      expect(result).toEqual({
+        action: 'force-stop',
+        success: true,
+        message: 'Would force-stop com.example.app',
+        commands: ["am force-stop 'com.example.app'"]
+      });
+    });
+
+    it('should return UNKNOWN_ACTION for an unregistered action', () => {
+      const result = planAction('teleport', {});
+
+      expect(result.success).toBe(false);
+      expect(result.error.code).toBe('UNKNOWN_ACTION');
+    });
+
+    it('should return the error the action would fail with', () => {
+      const result = planAction('launch-app', {});
+
+      expect(result.success).toBe(false);
+      expect(result.commands).toEqual([]);
+      expect(result.error.code).toBe('INVALID_PARAMS');
+    });
+  });
+
+  describe('planTask', () => {
+    it('should render params into the planned commands', () => {
+      const task = {
+        name: 'open-app',
+        params: { app: { default: 'com.example.app' } },
+        actions: [{ type: 'launch-app', package: '${params.app}' }]
+      };
+
+      const plan = planTask(task, {}, { params: { app: 'com.other.app' } });
+
+      expect(plan.success).toBe(true);
+      expect(plan.dryRun).toBe(true);
+      expect(plan.steps[0]).toMatchObject({
+        path: '/actions/0',
+        action: 'launch-app',
+        commands: ["am start -n 'com.other.app/.MainActivity'"],
+        retries: 2,
+        onError: 'stop'
+      });
+    });
+
+    it('should plan both branches of an if step', () => {
+      const task = {
+        name: 'wake-or-stop',
+        actions: [{
+          type: 'if',
+          condition: { probe: 'power', notEquals: 'awake' },
+          then: [{ type: 'wake' }],
+          else: [{ type: 'force-stop', package: 'com.example.app' }]
+        }]
+      };
+
+      const plan = planTask(task);
+
+      expect(plan.steps[0].condition).toBe('power != awake');
+      expect(plan.steps[0].then[0]).toMatchObject({ path: '/actions/0/then/0', action: 'wake', success: true });
+      expect(plan.steps[0].else[0].commands).toEqual(["am force-stop 'com.example.app'"]);
+    });
+
+    it('should plan every forEach iteration with its item', () => {
+      const task = {
+        name: 'stop-apps',
+        actions: [{
+          type: 'forEach',
+          items: ['com.a.app', 'com.b.app'],
+          as: 'app',
+          steps: [{ type: 'force-stop', package: '${app}' }]
+        }]
+      };
+
+      const plan = planTask(task);
+      const iterations = plan.steps[0].iterations;
+
+      expect(iterations).toHaveLength(2);
+      expect(iterations[1].item).toBe('com.b.app');
+      expect(iterations[1].steps[0].commands).toEqual(["am force-stop 'com.b.app'"]);
+    });
+
+    it('should collect steps that would fail, including nested ones', () => {
+      const task = {
+        name: 'broken',
+        actions: [
+          { type: 'wait', duration: 1000 },
+          { type: 'repeat', times: 2, steps: [{ type: 'launch-app' }] }
+        ]
+      };
+
+      const plan = planTask(task);
+
+      expect(plan.success).toBe(false);
+      expect(plan.errors).toEqual([
+        { path: '/actions/1/steps/0', action: 'launch-app', message: 'Package name is required' }
+      ]);
+    });
+
+    it('should return INVALID_PARAMS when a required param is missing', () => {
+      const task = {
+        name: 'needs-app',
+        params: { app: {} },
+        actions: [{ type: 'launch-app', package: '${params.app}' }]
+      };
+
+      const plan = planTask(task);
+
+      expect(plan.success).toBe(false);
+      expect(plan.code).toBe('INVALID_PARAMS');
+      expect(plan.steps).toEqual([]);
+    });
+  });
+});
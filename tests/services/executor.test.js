@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { executeTask, retryWithBackoff, getRetryConfig } from '../../src/services/executor.js';
+import { executeTask, executeAction, retryWithBackoff, getRetryConfig } from '../../src/services/executor.js';
 
 // Mock dependencies
 vi.mock('../../src/utils/logger.js', () => ({
@@ -19,8 +19,21 @@ vi.mock('../../src/actions/index.js', () => ({
   getAction: vi.fn()
 }));
 
+vi.mock('../../src/services/adb-client.js', () => ({
+  getDevice: vi.fn(),
+  isDeviceGroup: vi.fn(() => false),
+  resolveDeviceTargets: vi.fn()
+}));
+
+vi.mock('../../src/services/device-state.js', () => ({
+  evaluateCondition: vi.fn()
+}));
+
 import { getAction } from '../../src/actions/index.js';
-import { logger, logTaskComplete } from '../../src/utils/logger.js';
+import { getDevice, isDeviceGroup, resolveDeviceTargets } from '../../src/services/adb-client.js';
+import { evaluateCondition } from '../../src/services/device-state.js';
+import { logger, logTaskComplete, logTaskFailed } from '../../src/utils/logger.js';
+import { cancelRun, listRuns } from '../../src/services/run-registry.js';
 
 describe('retryWithBackoff', () => {
   beforeEach(() => {
@@ -119,6 +132,17 @@ describe('retryWithBackoff', () => {
     expect(result.success).toBe(true);
     expect(retryCount).toBe(2);
   });
+
+  it('should stop retrying once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const fn = vi.fn(async () => {
+      controller.abort();
+      throw new Error('interrupted');
+    });
+
+    await expect(retryWithBackoff(fn, 3, 1000, { signal: controller.signal })).rejects.toThrow('interrupted');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
 });
 
 describe('getRetryConfig', () => {
@@ -158,11 +182,163 @@ describe('executor service', () => {
       expect(result.success).toBe(true);
       expect(mockAction.execute).toHaveBeenCalledTimes(2);
       // Verify device is passed correctly to each action
-      expect(mockAction.execute).toHaveBeenCalledWith(mockDevice, { type: 'wake' }, {});
-      expect(mockAction.execute).toHaveBeenCalledWith(mockDevice, { type: 'launch-app', package: 'com.example' }, {});
+      expect(mockAction.execute).toHaveBeenCalledWith(mockDevice, { type: 'wake' }, { signal: expect.any(AbortSignal) });
+      expect(mockAction.execute).toHaveBeenCalledWith(mockDevice, { type: 'launch-app', package: 'com.example' }, { signal: expect.any(AbortSignal) });
       expect(logTaskComplete).toHaveBeenCalledWith('test-task', expect.any(Number), 'success');
     });
 
+    it('should run actions with a device field on that device', async () => {
+      const bedroomDevice = { id: '192.168.1.101:5555', shell: vi.fn() };
+      const mockAction = {
+        execute: vi.fn().mockResolvedValue({ success: true })
+      };
+      getAction.mockReturnValue(mockAction);
+      getDevice.mockReturnValue(bedroomDevice);
+
+      const task = {
+        name: 'test-task',
+        actions: [{ type: 'wake' }, { type: 'wake', device: 'bedroom' }]
+      };
+
+      const result = await executeTask(task, mockDevice);
+
+      expect(result.success).toBe(true);
+      expect(getDevice).toHaveBeenCalledWith('bedroom');
+      expect(mockAction.execute).toHaveBeenNthCalledWith(1, mockDevice, { type: 'wake' }, { signal: expect.any(AbortSignal) });
+      expect(mockAction.execute).toHaveBeenNthCalledWith(2, bedroomDevice, { type: 'wake', device: 'bedroom' }, { signal: expect.any(AbortSignal) });
+    });
+
+    it('should fail when an action targets a disconnected device', async () => {
+      const mockAction = {
+        execute: vi.fn().mockResolvedValue({ success: true })
+      };
+      getAction.mockReturnValue(mockAction);
+      getDevice.mockReturnValue(null);
+
+      const task = {
+        name: 'test-task',
+        actions: [{ type: 'wake', device: 'bedroom' }]
+      };
+
+      const result = await executeTask(task, mockDevice);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Device not connected: bedroom');
+      expect(mockAction.execute).not.toHaveBeenCalled();
+    });
+
+    describe('device groups', () => {
+      const masterDevice = { id: '192.168.1.101:5555', shell: vi.fn() };
+      const kidsDevice = { id: '192.168.1.102:5555', shell: vi.fn() };
+
+      beforeEach(() => {
+        isDeviceGroup.mockReturnValue(true);
+        resolveDeviceTargets.mockReturnValue(['master', 'kids']);
+        getDevice.mockImplementation(name => (name === 'master' ? masterDevice : kidsDevice));
+      });
+
+      afterEach(() => {
+        isDeviceGroup.mockReturnValue(false);
+        getDevice.mockReset();
+      });
+
+      it('should run the task on every group member', async () => {
+        const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+        getAction.mockReturnValue(mockAction);
+
+        const task = { name: 'bedtime', device: 'bedrooms', actions: [{ type: 'shutdown' }] };
+        const result = await executeTask(task, null);
+
+        expect(result.success).toBe(true);
+        expect(result.status).toBe('completed');
+        expect(mockAction.execute).toHaveBeenCalledWith(masterDevice, { type: 'shutdown' }, { signal: expect.any(AbortSignal) });
+        expect(mockAction.execute).toHaveBeenCalledWith(kidsDevice, { type: 'shutdown' }, { signal: expect.any(AbortSignal) });
+        expect(result.devices.map(d => d.device)).toEqual(['master', 'kids']);
+        expect(result.results.map(r => r.device)).toEqual(['master', 'kids']);
+      });
+
+      it('should report partial status when some members fail', async () => {
+        const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+        getAction.mockReturnValue(mockAction);
+        getDevice.mockImplementation(name => (name === 'master' ? masterDevice : null));
+
+        const task = { name: 'bedtime', device: 'bedrooms', actions: [{ type: 'shutdown' }] };
+        const result = await executeTask(task, null);
+
+        expect(result.success).toBe(false);
+        expect(result.status).toBe('partial');
+        expect(result.error).toBe('kids: Device not connected');
+        expect(result.devices[0]).toEqual(expect.objectContaining({ device: 'master', success: true }));
+        expect(result.devices[1]).toEqual(expect.objectContaining({ device: 'kids', success: false, code: 'DEVICE_DISCONNECTED' }));
+        expect(result.code).toBeUndefined();
+      });
+
+      it('should report failed status when every member fails', async () => {
+        getDevice.mockReturnValue(null);
+
+        const task = { name: 'bedtime', device: 'bedrooms', actions: [{ type: 'shutdown' }] };
+        const result = await executeTask(task, null);
+
+        expect(result.success).toBe(false);
+        expect(result.status).toBe('failed');
+        expect(result.code).toBe('DEVICE_DISCONNECTED');
+      });
+
+      it('should run a step pinned to a device once for the whole group', async () => {
+        const tvDevice = { id: '192.168.1.110:5555', shell: vi.fn() };
+        getDevice.mockImplementation(name => ({ master: masterDevice, kids: kidsDevice, tv: tvDevice })[name]);
+        const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+        getAction.mockReturnValue(mockAction);
+
+        const task = {
+          name: 'bedtime',
+          device: 'bedrooms',
+          actions: [
+            { type: 'repeat', times: 2, steps: [{ type: 'switch-input', device: 'tv', input: 'self' }] },
+            { type: 'shutdown' }
+          ]
+        };
+        const result = await executeTask(task, null);
+
+        const calls = mockAction.execute.mock.calls.map(([device, action]) => [device, action.type]);
+        expect(calls.filter(([device]) => device === tvDevice)).toHaveLength(2);
+        expect(calls.filter(([, type]) => type === 'shutdown')).toHaveLength(2);
+        expect(result.status).toBe('completed');
+      });
+
+      it('should fail every member when a pinned step fails', async () => {
+        const tvDevice = { id: '192.168.1.110:5555', shell: vi.fn() };
+        getDevice.mockImplementation(name => ({ master: masterDevice, kids: kidsDevice, tv: tvDevice })[name]);
+        const mockAction = {
+          execute: vi.fn(async device => (device === tvDevice ? { success: false, error: 'No CEC' } : { success: true }))
+        };
+        getAction.mockReturnValue(mockAction);
+
+        const task = {
+          name: 'bedtime',
+          device: 'bedrooms',
+          actions: [{ type: 'switch-input', device: 'tv', input: 'self' }, { type: 'shutdown' }]
+        };
+        const result = await executeTask(task, null);
+
+        expect(mockAction.execute).toHaveBeenCalledTimes(1);
+        expect(result.status).toBe('failed');
+        expect(result.devices.map(d => d.error)).toEqual(['No CEC', 'No CEC']);
+      });
+
+      it('should only run on the members given', async () => {
+        const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+        getAction.mockReturnValue(mockAction);
+
+        const task = { name: 'bedtime', device: 'bedrooms', actions: [{ type: 'shutdown' }] };
+        const result = await executeTask(task, null, {}, { members: ['kids'] });
+
+        expect(mockAction.execute).toHaveBeenCalledTimes(1);
+        expect(mockAction.execute).toHaveBeenCalledWith(kidsDevice, { type: 'shutdown' }, { signal: expect.any(AbortSignal) });
+        expect(result.devices.map(d => d.device)).toEqual(['kids']);
+      });
+    });
+
     it('should return error for unknown action type', async () => {
       getAction.mockReturnValue(undefined);
 
@@ -358,4 +534,500 @@ describe('executor service', () => {
       expect(result.results[0].retryCount).toBeUndefined();
     });
   });
+
+  describe('if steps', () => {
+    const task = {
+      name: 'morning',
+      actions: [
+        {
+          type: 'if',
+          condition: { probe: 'power', notEquals: 'awake' },
+          then: [{ type: 'wake' }],
+          else: [{ type: 'wait', duration: 10 }]
+        },
+        { type: 'launch-app', package: 'com.example' }
+      ]
+    };
+
+    it('should run the then branch when the condition matches', async () => {
+      const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+      getAction.mockReturnValue(mockAction);
+      evaluateCondition.mockResolvedValue({ matched: true, value: 'asleep' });
+
+      const result = await executeTask(task, mockDevice);
+
+      expect(result.success).toBe(true);
+      expect(evaluateCondition).toHaveBeenCalledWith(mockDevice, { probe: 'power', notEquals: 'awake' });
+      expect(mockAction.execute.mock.calls.map(([, def]) => def.type)).toEqual(['wake', 'launch-app']);
+      expect(result.results[0]).toEqual(expect.objectContaining({ action: 'if', branch: 'then', value: 'asleep' }));
+    });
+
+    it('should run the else branch when the condition does not match', async () => {
+      const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+      getAction.mockReturnValue(mockAction);
+      evaluateCondition.mockResolvedValue({ matched: false, value: 'awake' });
+
+      const result = await executeTask(task, mockDevice);
+
+      expect(result.success).toBe(true);
+      expect(mockAction.execute.mock.calls.map(([, def]) => def.type)).toEqual(['wait', 'launch-app']);
+    });
+
+    it('should fail the task at the if step when the probe cannot be read', async () => {
+      const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+      getAction.mockReturnValue(mockAction);
+      evaluateCondition.mockRejectedValue(new Error('Failed to read power: Could not read power state'));
+
+      const result = await executeTask(task, mockDevice);
+
+      expect(result.success).toBe(false);
+      expect(result.failedAtIndex).toBe(0);
+      expect(result.failedAction).toBe('if');
+      expect(result.error).toBe('Failed to read power: Could not read power state');
+      expect(mockAction.execute).not.toHaveBeenCalled();
+    });
+
+    it('should report nested failures at the index of the enclosing block', async () => {
+      getAction.mockReturnValue(undefined);
+      evaluateCondition.mockResolvedValue({ matched: true, value: 'asleep' });
+
+      const result = await executeTask(task, mockDevice);
+
+      expect(result.success).toBe(false);
+      expect(result.failedAtIndex).toBe(0);
+      expect(result.error).toBe('Unknown action: wake');
+    });
+  });
+
+  describe('loops', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should repeat nested steps and record each iteration', async () => {
+      const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+      getAction.mockReturnValue(mockAction);
+
+      const result = await executeTask({
+        name: 'rotation',
+        actions: [{ type: 'repeat', times: 3, steps: [{ type: 'wake' }, { type: 'wait', duration: 1 }] }]
+      }, mockDevice);
+
+      expect(result.success).toBe(true);
+      expect(mockAction.execute).toHaveBeenCalledTimes(6);
+      expect(result.results).toHaveLength(3);
+      expect(result.results[2]).toEqual(expect.objectContaining({ action: 'repeat', iteration: 2, success: true }));
+      expect(result.results[2].results.map(entry => entry.action)).toEqual(['wake', 'wait']);
+    });
+
+    it('should pass each forEach item to nested steps', async () => {
+      const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+      getAction.mockReturnValue(mockAction);
+
+      const result = await executeTask({
+        name: 'signage',
+        actions: [{
+          type: 'forEach',
+          items: ['aaa', 'bbb'],
+          as: 'video',
+          steps: [{ type: 'play-video', url: 'https://youtube.com/watch?v=${video}' }]
+        }]
+      }, mockDevice);
+
+      expect(result.success).toBe(true);
+      expect(mockAction.execute.mock.calls.map(([, def]) => def.url)).toEqual([
+        'https://youtube.com/watch?v=aaa',
+        'https://youtube.com/watch?v=bbb'
+      ]);
+      expect(result.results.map(entry => entry.item)).toEqual(['aaa', 'bbb']);
+    });
+
+    it('should stop repeating at the until time', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2026-06-01T17:59:00Z'));
+      const mockAction = {
+        execute: vi.fn(async () => {
+          vi.setSystemTime(Date.now() + 20000);
+          return { success: true };
+        })
+      };
+      getAction.mockReturnValue(mockAction);
+
+      const result = await executeTask({
+        name: 'until-six',
+        timezone: 'UTC',
+        actions: [{ type: 'repeat', until: '18:00', steps: [{ type: 'wake' }] }]
+      }, mockDevice);
+
+      expect(result.success).toBe(true);
+      expect(mockAction.execute).toHaveBeenCalledTimes(3);
+    });
+
+    it('should cap until loops at the iteration limit', async () => {
+      const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+      getAction.mockReturnValue(mockAction);
+
+      const result = await executeTask({
+        name: 'endless',
+        actions: [{ type: 'repeat', until: '23:59:59', steps: [{ type: 'wake' }] }]
+      }, mockDevice);
+
+      expect(result.success).toBe(true);
+      expect(mockAction.execute).toHaveBeenCalledTimes(100);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('limit of 100 iterations'), expect.any(Object));
+    });
+
+    it('should stop at a failing iteration and report the loop index', async () => {
+      const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+      getAction.mockReturnValue(mockAction);
+      getDevice.mockImplementation(name => (name === 'attic' ? null : mockDevice));
+
+      const result = await executeTask({
+        name: 'rooms',
+        actions: [
+          { type: 'wake' },
+          { type: 'forEach', items: ['lounge', 'attic', 'kitchen'], steps: [{ type: 'wake', device: '${item}' }] }
+        ]
+      }, mockDevice);
+
+      expect(result.success).toBe(false);
+      expect(result.failedAtIndex).toBe(1);
+      expect(result.failedAction).toBe('wake');
+      expect(result.error).toBe('Device not connected: attic');
+      expect(mockAction.execute).toHaveBeenCalledTimes(2);
+      expect(result.results.slice(1).map(entry => [entry.item, entry.success])).toEqual([['lounge', true], ['attic', false]]);
+    });
+  });
+
+  describe('params', () => {
+    const task = {
+      name: 'on-demand',
+      params: { videoUrl: { default: 'https://youtube.com/watch?v=default' } },
+      actions: [{ type: 'play-video', url: '${params.videoUrl}' }]
+    };
+
+    afterEach(() => {
+      delete process.env.ATV_TASK_PACKAGE;
+    });
+
+    it('should substitute supplied params and fall back to defaults', async () => {
+      const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+      getAction.mockReturnValue(mockAction);
+
+      await executeTask(task, mockDevice, {}, { params: { videoUrl: 'https://youtube.com/watch?v=abc' } });
+      await executeTask(task, mockDevice);
+
+      expect(mockAction.execute.mock.calls.map(([, def]) => def.url)).toEqual([
+        'https://youtube.com/watch?v=abc',
+        'https://youtube.com/watch?v=default'
+      ]);
+    });
+
+    it('should substitute environment variables', async () => {
+      process.env.ATV_TASK_PACKAGE = 'com.example.app';
+      const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+      getAction.mockReturnValue(mockAction);
+
+      await executeTask({ name: 'env', actions: [{ type: 'launch-app', package: '${env.ATV_TASK_PACKAGE}' }] }, mockDevice);
+
+      expect(mockAction.execute).toHaveBeenCalledWith(mockDevice, { type: 'launch-app', package: 'com.example.app' }, { signal: expect.any(AbortSignal) });
+    });
+
+    it('should not expand placeholders inside supplied values', async () => {
+      process.env.ATV_TASK_PACKAGE = 'secret';
+      const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+      getAction.mockReturnValue(mockAction);
+
+      await executeTask(task, mockDevice, {}, { params: { videoUrl: '${env.ATV_TASK_PACKAGE}' } });
+
+      expect(mockAction.execute.mock.calls[0][1].url).toBe('${env.ATV_TASK_PACKAGE}');
+    });
+
+    it('should fail without running actions when params are invalid', async () => {
+      const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+      getAction.mockReturnValue(mockAction);
+
+      const result = await executeTask(task, mockDevice, {}, { params: { other: 'x' } });
+
+      expect(result).toEqual(expect.objectContaining({ success: false, status: 'failed', code: 'INVALID_PARAMS', error: 'Unknown parameter: other' }));
+      expect(mockAction.execute).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancellation', () => {
+    const cancelCurrentRun = () => cancelRun(listRuns()[0].id);
+
+    it('should register the run while it is in progress', async () => {
+      let runs;
+      getAction.mockReturnValue({
+        execute: vi.fn(async () => {
+          runs = listRuns();
+          return { success: true };
+        })
+      });
+
+      const result = await executeTask({ name: 'tracked', actions: [{ type: 'wake' }] }, mockDevice);
+
+      expect(runs).toEqual([expect.objectContaining({ id: result.runId, task: 'tracked' })]);
+      expect(listRuns()).toEqual([]);
+    });
+
+    it('should stop before the next step and report cancelled', async () => {
+      const mockAction = {
+        execute: vi.fn(async () => {
+          cancelCurrentRun();
+          return { success: true };
+        })
+      };
+      getAction.mockReturnValue(mockAction);
+
+      const result = await executeTask({ name: 'long', actions: [{ type: 'wake' }, { type: 'wait', duration: 10 }] }, mockDevice);
+
+      expect(mockAction.execute).toHaveBeenCalledTimes(1);
+      expect(result).toEqual(expect.objectContaining({
+        success: false,
+        status: 'cancelled',
+        error: 'Run cancelled',
+        failedAtIndex: 1
+      }));
+      expect(result.cancelled).toBeUndefined();
+    });
+
+    it('should not retry an action interrupted by cancellation', async () => {
+      const mockAction = {
+        execute: vi.fn(async (device, def, context) => {
+          cancelCurrentRun();
+          return { success: false, error: context.signal.aborted ? 'Wait cancelled' : 'unexpected' };
+        })
+      };
+      getAction.mockReturnValue(mockAction);
+
+      const result = await executeTask({ name: 'waiting', actions: [{ type: 'wait', duration: 60000 }] }, mockDevice);
+
+      expect(mockAction.execute).toHaveBeenCalledTimes(1);
+      expect(result.status).toBe('cancelled');
+    });
+
+    it('should end loops when cancelled', async () => {
+      let calls = 0;
+      getAction.mockReturnValue({
+        execute: vi.fn(async () => {
+          calls++;
+          if (calls === 2) cancelCurrentRun();
+          return { success: true };
+        })
+      });
+
+      const result = await executeTask({ name: 'rotation', actions: [{ type: 'repeat', times: 10, steps: [{ type: 'wake' }] }] }, mockDevice);
+
+      expect(calls).toBe(2);
+      expect(result.status).toBe('cancelled');
+      expect(result.results.map(entry => entry.success)).toEqual([true, true, false]);
+    });
+  });
+  describe('run policies', () => {
+    const actionsByType = (actions) => getAction.mockImplementation(type => actions[type]);
+    const failing = () => ({ execute: vi.fn().mockRejectedValue(new Error('adb gone')) });
+    const succeeding = () => ({ execute: vi.fn().mockResolvedValue({ success: true }) });
+
+    it('should retry as configured and report the retries made', async () => {
+      const wake = failing();
+      actionsByType({ wake });
+
+      const result = await executeTask({ name: 'flaky', retries: 1, backoff: { delay: 0 }, actions: [{ type: 'wake' }] }, mockDevice);
+
+      expect(wake.execute).toHaveBeenCalledTimes(2);
+      expect(result.status).toBe('failed');
+      expect(logTaskFailed).toHaveBeenCalledWith('flaky', expect.any(Number), 'adb gone', 1);
+      expect(logger.error).toHaveBeenCalledWith('Action failed after 1 retries: wake', expect.objectContaining({ onError: 'stop' }));
+    });
+
+    it('should let an action override the task retries', async () => {
+      const wake = failing();
+      actionsByType({ wake });
+
+      await executeTask({ name: 'flaky', retries: 3, actions: [{ type: 'wake', retries: 0 }] }, mockDevice);
+
+      expect(wake.execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('should continue after a failed action with onError continue', async () => {
+      const shutdown = succeeding();
+      actionsByType({ wake: failing(), shutdown });
+
+      const result = await executeTask({
+        name: 'best-effort',
+        actions: [{ type: 'wake', retries: 0, onError: 'continue' }, { type: 'shutdown' }]
+      }, mockDevice);
+
+      expect(result.success).toBe(true);
+      expect(shutdown.execute).toHaveBeenCalledTimes(1);
+      expect(result.results).toEqual([
+        expect.objectContaining({ action: 'wake', success: false, error: 'adb gone', retryCount: 0 }),
+        expect.objectContaining({ action: 'shutdown', success: true })
+      ]);
+    });
+
+    it('should jump to the goto step, also from nested steps', async () => {
+      const launch = succeeding();
+      const shutdown = succeeding();
+      actionsByType({ wake: failing(), 'launch-app': launch, shutdown });
+
+      const result = await executeTask({
+        name: 'evening',
+        retries: 0,
+        onError: 'goto',
+        goto: 'off',
+        actions: [
+          { type: 'repeat', times: 3, steps: [{ type: 'wake' }] },
+          { type: 'launch-app', package: 'com.example' },
+          { id: 'off', type: 'shutdown' }
+        ]
+      }, mockDevice);
+
+      expect(result.success).toBe(true);
+      expect(launch.execute).not.toHaveBeenCalled();
+      expect(shutdown.execute).toHaveBeenCalledTimes(1);
+      expect(result.results.map(entry => entry.action)).toEqual(['repeat', 'shutdown']);
+    });
+
+    it('should stop when the goto step does not come later', async () => {
+      actionsByType({ wake: failing(), shutdown: succeeding() });
+
+      const result = await executeTask({
+        name: 'looping',
+        retries: 0,
+        onError: 'goto',
+        goto: 'start',
+        actions: [{ id: 'start', type: 'wake' }, { type: 'shutdown' }]
+      }, mockDevice);
+
+      expect(result.status).toBe('failed');
+      expect(result.error).toBe("adb gone (goto target 'start' is not a later step)");
+    });
+
+    it('should fail an attempt that runs over its timeout and abort it', async () => {
+      let attemptSignal;
+      actionsByType({
+        wait: {
+          execute: vi.fn((device, def, context) => new Promise(() => {
+            attemptSignal = context.signal;
+          }))
+        }
+      });
+
+      const result = await executeTask({ name: 'stuck', actions: [{ type: 'wait', duration: 60000, timeout: 20, retries: 0 }] }, mockDevice);
+
+      expect(result.status).toBe('failed');
+      expect(result.error).toBe('Timed out after 20ms');
+      expect(attemptSignal.aborted).toBe(true);
+    });
+  });
+  describe('triggered runs', () => {
+    it('should give actions the device event as ${trigger.*}', async () => {
+      const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+      getAction.mockReturnValue(mockAction);
+
+      await executeTask({
+        name: 'curfew',
+        actions: [{ type: 'force-stop', package: '${trigger.package}' }]
+      }, mockDevice, {}, { trigger: { event: 'app:time-limit', device: 'bedroom', package: 'com.example' } });
+
+      expect(mockAction.execute).toHaveBeenCalledWith(mockDevice, expect.objectContaining({ package: 'com.example' }), expect.any(Object));
+    });
+  });
+
+  describe('hook runs', () => {
+    it('should give actions the parent run as ${parent.*}', async () => {
+      const mockAction = { execute: vi.fn().mockResolvedValue({ success: true }) };
+      getAction.mockReturnValue(mockAction);
+
+      const result = await executeTask({
+        name: 'notify',
+        actions: [{ type: 'launch-app', package: 'com.example', activity: '${parent.task}: ${parent.error}' }]
+      }, mockDevice, {}, { parent: { runId: 'run_1', task: 'morning', error: 'wake failed' } });
+
+      expect(result.success).toBe(true);
+      expect(mockAction.execute).toHaveBeenCalledWith(mockDevice, expect.objectContaining({ activity: 'morning: wake failed' }), expect.any(Object));
+    });
+  });
+
+  describe('concurrency', () => {
+    // The first run of the task blocks in its action until released
+    const blockingAction = () => {
+      const releases = [];
+      const action = {
+        execute: vi.fn(() => new Promise(resolve => {
+          releases.push(() => resolve({ success: true }));
+        }))
+      };
+      getAction.mockReturnValue(action);
+      return { action, release: () => releases.shift()() };
+    };
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    it('should skip a run while the task is running by default', async () => {
+      const { action, release } = blockingAction();
+      const task = { name: 'busy', actions: [{ type: 'wake' }] };
+
+      const first = executeTask(task, mockDevice);
+      await flush();
+      const second = await executeTask(task, mockDevice);
+      release();
+
+      expect(second).toEqual(expect.objectContaining({ success: true, status: 'skipped', reason: 'Already running', code: 'TASK_RUNNING' }));
+      expect((await first).status).toBe('completed');
+      expect(action.execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('should queue a run until the running one has finished', async () => {
+      const { action, release } = blockingAction();
+      const task = { name: 'queued', concurrency: 'queue', actions: [{ type: 'wake' }] };
+
+      const first = executeTask(task, mockDevice);
+      await flush();
+      const second = executeTask(task, mockDevice);
+      await flush();
+      expect(action.execute).toHaveBeenCalledTimes(1);
+
+      release();
+      await first;
+      await flush();
+      expect(action.execute).toHaveBeenCalledTimes(2);
+      release();
+      expect((await second).status).toBe('completed');
+    });
+
+    it('should cancel the running run and start again with replace', async () => {
+      getAction.mockReturnValue({
+        execute: vi.fn((device, def, context) => new Promise(resolve => {
+          const finish = () => resolve({ success: false, error: 'Wait cancelled' });
+          context.signal.addEventListener('abort', finish, { once: true });
+          if (def.duration === 0) resolve({ success: true });
+        }))
+      });
+
+      const first = executeTask({ name: 'latest', concurrency: 'replace', actions: [{ type: 'wait', duration: 60000 }] }, mockDevice);
+      await flush();
+      const second = await executeTask({ name: 'latest', concurrency: 'replace', actions: [{ type: 'wait', duration: 0 }] }, mockDevice);
+
+      expect((await first).status).toBe('cancelled');
+      expect(second.status).toBe('completed');
+    });
+
+    it('should run direct actions of the same type side by side', async () => {
+      const { action, release } = blockingAction();
+
+      const first = executeAction(mockDevice, 'wake');
+      await flush();
+      const second = executeAction(mockDevice, 'wake');
+      await flush();
+      expect(action.execute).toHaveBeenCalledTimes(2);
+
+      release();
+      release();
+      expect((await first).status).toBe('completed');
+      expect((await second).status).toBe('completed');
+    });
+  });
 });
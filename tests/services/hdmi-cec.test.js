@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import AdbKit from '@devicefarmer/adbkit';
+import { detectCecSupport, findCecDeviceOnPort, DETECT_COMMAND, LIST_DEVICES_COMMAND } from '../../src/services/hdmi-cec.js';
+
+vi.mock('@devicefarmer/adbkit', () => ({
+  default: {
+    Adb: {
+      util: {
+        readAll: vi.fn()
+      }
+    }
+  }
+}));
+
+vi.mock('../../src/utils/logger.js', () => ({
+  logAdbCommand: vi.fn()
+}));
+
+describe('HDMI-CEC Service', () => {
+  const mockDevice = { id: '192.168.0.145:5555', shell: vi.fn() };
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    mockDevice.shell.mockResolvedValue({});
+  });
+
+  it('should detect cmd hdmi_control on Android 12+', async () => {
+    AdbKit.Adb.util.readAll.mockResolvedValue(Buffer.from('31\nService hdmi_control: found\n'));
+
+    expect(await detectCecSupport(mockDevice)).toEqual({ sdk: 31, hdmiControl: true, hdmiShell: true, tv: false });
+    expect(mockDevice.shell).toHaveBeenCalledWith(DETECT_COMMAND);
+  });
+
+  it('should not use cmd hdmi_control before Android 12', async () => {
+    AdbKit.Adb.util.readAll.mockResolvedValue(Buffer.from('28\nService hdmi_control: found\nlive_tv\n'));
+
+    expect(await detectCecSupport(mockDevice)).toEqual({ sdk: 28, hdmiControl: true, hdmiShell: false, tv: true });
+  });
+
+  it('should report a device without the HDMI-CEC service', async () => {
+    AdbKit.Adb.util.readAll.mockResolvedValue(Buffer.from('33\nService hdmi_control: not found\n'));
+
+    expect(await detectCecSupport(mockDevice)).toMatchObject({ hdmiControl: false, hdmiShell: false });
+  });
+
+  it('should find the logical address of the CEC device on an input', async () => {
+    AdbKit.Adb.util.readAll.mockResolvedValue(Buffer.from([
+      'mDeviceInfos:',
+      '  CEC: logical_address: 0x05 device_type: 5 cec_version: 5 vendor_id: 0 display_name: Soundbar power_status: 0 physical_address: 0x1000 port_id: 1',
+      '  CEC: logical_address: 0x04 device_type: 4 cec_version: 5 vendor_id: 0 display_name: Chromecast power_status: 0 physical_address: 0x2000 port_id: 2'
+    ].join('\n')));
+
+    expect(await findCecDeviceOnPort(mockDevice, 2)).toBe(4);
+    expect(await findCecDeviceOnPort(mockDevice, 3)).toBeNull();
+    expect(mockDevice.shell).toHaveBeenCalledWith(LIST_DEVICES_COMMAND);
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFile, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// Mock logger to suppress output during tests
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+/**
+ * Build an execution record started `minutesAgo` minutes before now
+ */
+function record(task, status, minutesAgo) {
+  const startTime = new Date(Date.now() - minutesAgo * 60 * 1000);
+  return {
+    task,
+    status,
+    startTime,
+    endTime: new Date(startTime.getTime() + 1000),
+    duration: 1000
+  };
+}
+
+describe('History Store Service', () => {
+  let historyStore;
+  let tempDir;
+  let historyPath;
+
+  beforeEach(async () => {
+    vi.resetModules();
+    historyStore = await import('../../src/services/history-store.js');
+    tempDir = join(tmpdir(), `atv-history-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    historyPath = join(tempDir, 'history.jsonl');
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('before initialization', () => {
+    it('should not write or read anything', async () => {
+      await historyStore.appendHistory(record('task', 'completed', 1));
+
+      expect(historyStore.isHistoryEnabled()).toBe(false);
+      expect(await historyStore.readHistory()).toEqual([]);
+    });
+  });
+
+  describe('appendHistory()', () => {
+    it('should append records as JSON lines, creating the directory', async () => {
+      historyStore.initHistoryStore({ path: historyPath });
+
+      await historyStore.appendHistory(record('morning', 'completed', 2));
+      await historyStore.appendHistory(record('night', 'failed', 1));
+
+      const lines = (await readFile(historyPath, 'utf8')).trim().split('\n');
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[0]).task).toBe('morning');
+      expect(JSON.parse(lines[1]).status).toBe('failed');
+      expect(typeof JSON.parse(lines[1]).startTime).toBe('string');
+    });
+  });
+
+  describe('readHistory()', () => {
+    it('should skip malformed lines', async () => {
+      historyStore.initHistoryStore({ path: historyPath });
+      await historyStore.appendHistory(record('morning', 'completed', 1));
+      await writeFile(historyPath, `${await readFile(historyPath, 'utf8')}{"task":"tru`, 'utf8');
+
+      const records = await historyStore.readHistory();
+      expect(records).toHaveLength(1);
+    });
+  });
+
+  describe('queryHistory()', () => {
+    beforeEach(async () => {
+      historyStore.initHistoryStore({ path: historyPath });
+      await historyStore.appendHistory(record('morning', 'completed', 50));
+      await historyStore.appendHistory(record('night', 'failed', 40));
+      await historyStore.appendHistory(record('morning', 'failed', 30));
+      await historyStore.appendHistory(record('morning', 'completed', 20));
+      await historyStore.appendHistory(record('night', 'completed', 10));
+    });
+
+    it('should return newest records first with total count', async () => {
+      const result = await historyStore.queryHistory();
+
+      expect(result.total).toBe(5);
+      expect(result.entries[0].task).toBe('night');
+      expect(result.entries[4].task).toBe('morning');
+    });
+
+    it('should filter by task and status', async () => {
+      const result = await historyStore.queryHistory({ task: 'morning', status: 'failed' });
+
+      expect(result.total).toBe(1);
+      expect(result.entries[0].task).toBe('morning');
+      expect(result.entries[0].status).toBe('failed');
+    });
+
+    it('should return a run with every run its hooks started', async () => {
+      await historyStore.appendHistory({ ...record('morning', 'failed', 5), runId: 'run_a' });
+      await historyStore.appendHistory({ ...record('notify', 'failed', 4), runId: 'run_b', parentRunId: 'run_a' });
+      await historyStore.appendHistory({ ...record('night', 'completed', 3), runId: 'run_c' });
+      await historyStore.appendHistory({ ...record('escalate', 'completed', 2), runId: 'run_d', parentRunId: 'run_b' });
+
+      const result = await historyStore.queryHistory({ lineage: 'run_a' });
+
+      expect(result.entries.map(entry => entry.task)).toEqual(['escalate', 'notify', 'morning']);
+    });
+
+    it('should filter by time range', async () => {
+      const result = await historyStore.queryHistory({
+        from: new Date(Date.now() - 45 * 60 * 1000),
+        to: new Date(Date.now() - 15 * 60 * 1000)
+      });
+
+      expect(result.total).toBe(3);
+    });
+
+    it('should paginate with limit and offset', async () => {
+      const result = await historyStore.queryHistory({ limit: 2, offset: 2 });
+
+      expect(result.entries).toHaveLength(2);
+      expect(result.total).toBe(5);
+      expect(result.limit).toBe(2);
+      expect(result.offset).toBe(2);
+      expect(result.entries[0].status).toBe('failed');
+    });
+  });
+
+  describe('pruneHistory()', () => {
+    it('should keep only the newest maxEntries records', async () => {
+      historyStore.initHistoryStore({ path: historyPath, maxEntries: 2 });
+      await historyStore.appendHistory(record('a', 'completed', 3));
+      await historyStore.appendHistory(record('b', 'completed', 2));
+      await historyStore.appendHistory(record('c', 'completed', 1));
+
+      const result = await historyStore.pruneHistory();
+
+      expect(result.removed).toBe(1);
+      const records = await historyStore.readHistory();
+      expect(records.map(r => r.task)).toEqual(['b', 'c']);
+    });
+
+    it('should drop records older than maxAgeDays', async () => {
+      historyStore.initHistoryStore({ path: historyPath, maxAgeDays: 1 });
+      await historyStore.appendHistory(record('old', 'completed', 2 * 24 * 60));
+      await historyStore.appendHistory(record('new', 'completed', 1));
+
+      await historyStore.pruneHistory();
+
+      const records = await historyStore.readHistory();
+      expect(records.map(r => r.task)).toEqual(['new']);
+    });
+  });
+});
@@ -122,6 +122,22 @@ describe('MQTT Service', () => {
     expect(mockExecutor).toHaveBeenCalledWith(config.tasks[0]);
   });
 
+  it('should pass params from a JSON payload to the executor', async () => {
+    const mockExecutor = vi.fn().mockResolvedValue(true);
+    const config = {
+      mqtt: { url: 'mqtt://localhost:1883' },
+      tasks: [ { name: 'Test Task' } ]
+    };
+
+    initMqtt(config, mockExecutor);
+    await eventHandlers.message(
+      'homeassistant/button/atv_super_controller_test_task/set',
+      Buffer.from(JSON.stringify({ params: { videoUrl: 'https://youtube.com/watch?v=abc' } }))
+    );
+
+    expect(mockExecutor).toHaveBeenCalledWith(config.tasks[0], { params: { videoUrl: 'https://youtube.com/watch?v=abc' } });
+  });
+
   it('should ignore messages on unknown topics', async () => {
     const mockExecutor = vi.fn().mockResolvedValue(true);
     const config = {
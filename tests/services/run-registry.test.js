@@ -0,0 +1,58 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { startRun, finishRun, cancelRun, listRuns, listTaskRuns, waitForTaskRuns } from '../../src/services/run-registry.js';
+
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() }
+}));
+
+describe('run registry', () => {
+  afterEach(() => {
+    listRuns().forEach(run => finishRun(run.id));
+  });
+
+  it('should list runs until they finish', () => {
+    const first = startRun('morning');
+    const second = startRun('evening');
+
+    expect(first.id).not.toBe(second.id);
+    expect(listRuns().map(run => [run.task, run.cancelling])).toEqual([['morning', false], ['evening', false]]);
+
+    finishRun(first.id);
+    expect(listRuns().map(run => run.id)).toEqual([second.id]);
+  });
+
+  it('should abort the signal of a cancelled run', () => {
+    const { id, signal } = startRun('signage');
+
+    const run = cancelRun(id);
+
+    expect(signal.aborted).toBe(true);
+    expect(run).toEqual(expect.objectContaining({ id, task: 'signage', cancelling: true }));
+  });
+
+  it('should return null for runs that are not in progress', () => {
+    const { id } = startRun('short');
+    finishRun(id);
+
+    expect(cancelRun(id)).toBeNull();
+    expect(cancelRun('run_unknown')).toBeNull();
+  });
+  it('should list and wait for the runs of one task', async () => {
+    const first = startRun('rotation');
+    startRun('other');
+    let done = false;
+
+    expect(listTaskRuns('rotation').map(run => run.id)).toEqual([first.id]);
+
+    const waiting = waitForTaskRuns('rotation').then(() => {
+      done = true;
+    });
+    await Promise.resolve();
+    expect(done).toBe(false);
+
+    finishRun(first.id);
+    await waiting;
+    expect(done).toBe(true);
+    expect(listTaskRuns('rotation')).toEqual([]);
+  });
+});
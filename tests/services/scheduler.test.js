@@ -3,6 +3,7 @@ import {
   registerTask,
   getRegisteredTasks,
   getNextRunTimes,
+  getUpcomingRuns,
   clearTasks,
   startScheduler,
   stopScheduler,
@@ -11,8 +12,26 @@ import {
   isSchedulerRunning,
   getTaskDetails,
   recordExecution,
-  setTaskEnabled
+  setTaskEnabled,
+  getJobs,
+  runCatchUp
 } from '../../src/services/scheduler.js';
+import { appendHistory, readHistory } from '../../src/services/history-store.js';
+import { patchTask, deleteTask } from '../../src/services/config-persistence.js';
+import { loadCalendars } from '../../src/services/calendars.js';
+import { emitEvent } from '../../src/web/websocket/broadcaster.js';
+
+// Mock history store
+vi.mock('../../src/services/history-store.js', () => ({
+  appendHistory: vi.fn().mockResolvedValue(),
+  readHistory: vi.fn().mockResolvedValue([])
+}));
+
+// Mock config persistence
+vi.mock('../../src/services/config-persistence.js', () => ({
+  patchTask: vi.fn().mockResolvedValue({}),
+  deleteTask: vi.fn().mockResolvedValue()
+}));
 
 // Mock logger
 vi.mock('../../src/utils/logger.js', () => ({
@@ -121,6 +140,58 @@ describe('scheduler service', () => {
     });
   });
 
+  describe('getUpcomingRuns', () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2026-03-02T12:00:00Z'));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should list the runs of enabled tasks from now until the end of the range, soonest first', () => {
+      registerTask({ name: 'morning', schedule: '0 30 7 * * *', timezone: 'UTC', actions: [{ type: 'wake' }] });
+      registerTask({ name: 'evening', schedule: '0 0 20 * * *', timezone: 'UTC', actions: [{ type: 'wake' }] });
+      registerTask({ name: 'off', schedule: '0 0 9 * * *', enabled: false, actions: [{ type: 'wake' }] });
+      registerTask({ name: 'on-screen', trigger: { event: 'screen:on' }, actions: [{ type: 'wake' }] });
+
+      const runs = getUpcomingRuns(new Date('2026-03-01T00:00:00Z'), new Date('2026-03-04T00:00:00Z'));
+
+      expect(runs.map(run => `${run.task} ${run.time.toISOString()}`)).toEqual([
+        'evening 2026-03-02T20:00:00.000Z',
+        'morning 2026-03-03T07:30:00.000Z',
+        'evening 2026-03-03T20:00:00.000Z'
+      ]);
+      expect(runs[0].schedule).toBe('0 0 20 * * *');
+    });
+
+    it('should leave out runs outside the task date window', () => {
+      registerTask({ name: 'window', schedule: '0 0 8 * * *', timezone: 'UTC', endDate: '2026-03-03', actions: [{ type: 'wake' }] });
+
+      const runs = getUpcomingRuns(new Date('2026-03-02T00:00:00Z'), new Date('2026-03-06T00:00:00Z'));
+
+      expect(runs.map(run => run.time.toISOString())).toEqual(['2026-03-03T08:00:00.000Z']);
+    });
+
+    it('should start at the task startDate instead of walking the ticks before it', () => {
+      registerTask({ name: 'every-second', schedule: '* * * * * *', timezone: 'UTC', startDate: '2026-03-05', actions: [{ type: 'wake' }] });
+      registerTask({ name: 'later', schedule: '* * * * * *', timezone: 'UTC', startDate: '2026-04-01', actions: [{ type: 'wake' }] });
+
+      const runs = getUpcomingRuns(new Date('2026-03-02T00:00:00Z'), new Date('2026-03-06T00:00:00Z'));
+
+      expect(runs).toHaveLength(500);
+      expect(runs.every(run => run.task === 'every-second')).toBe(true);
+      expect(runs[0].time.toISOString()).toBe('2026-03-05T00:00:00.000Z');
+    });
+
+    it('should return nothing for a range in the past', () => {
+      registerTask({ name: 'morning', schedule: '0 30 7 * * *', actions: [{ type: 'wake' }] });
+
+      expect(getUpcomingRuns(new Date('2026-02-01T00:00:00Z'), new Date('2026-02-08T00:00:00Z'))).toEqual([]);
+    });
+  });
+
   describe('startScheduler', () => {
     afterEach(() => {
       stopScheduler();
@@ -304,6 +375,15 @@ describe('scheduler service', () => {
       expect(details.lastRunTime).toBeNull();
     });
 
+    it('should report 5-field expressions and macros as 6-field expressions', () => {
+      registerTask({ name: 'crontab', schedule: '30 7 * * 1-5', actions: [{ type: 'wake' }] });
+      registerTask({ name: 'macro', schedule: '@daily', actions: [{ type: 'wake' }] });
+
+      expect(getTaskDetails('crontab').schedule).toBe('0 30 7 * * 1-5');
+      expect(getTaskDetails('macro').schedule).toBe('0 0 0 * * *');
+      expect(getTaskDetails('macro').nextRun).toBeTruthy();
+    });
+
     it('should return null for non-existent task', () => {
       const details = getTaskDetails('non-existent');
       expect(details).toBeNull();
@@ -393,6 +473,11 @@ describe('scheduler service', () => {
       expect(task.executionHistory[0].endTime).toEqual(new Date(endTime));
       expect(task.executionHistory[0].duration).toBe(1000);
       expect(task.failureCount).toBe(0);
+      expect(appendHistory).toHaveBeenCalledWith(expect.objectContaining({
+        task: 'success-task',
+        status: 'completed',
+        duration: 1000
+      }));
     });
 
     it('should record failed execution with error and increment failureCount', () => {
@@ -421,6 +506,34 @@ describe('scheduler service', () => {
       expect(task.failureCount).toBe(1);
     });
 
+    it('should record partial group execution with per-device outcome', () => {
+      registerTask({
+        name: 'group-task',
+        schedule: '0 0 8 * * *',
+        actions: [{ type: 'wake' }]
+      });
+
+      recordExecution('group-task', {
+        success: false,
+        status: 'partial',
+        error: 'kids: Device not connected',
+        duration: 500,
+        devices: [
+          { device: 'master', success: true, status: 'completed', results: [] },
+          { device: 'kids', success: false, status: 'failed', error: 'Device not connected', results: [] }
+        ]
+      }, Date.now() - 500, Date.now());
+
+      const task = getRegisteredTasks().find(t => t.name === 'group-task');
+
+      expect(task.lastRunStatus).toBe('partial');
+      expect(task.executionHistory[0].devices).toEqual([
+        { device: 'master', status: 'completed' },
+        { device: 'kids', status: 'failed', error: 'Device not connected' }
+      ]);
+      expect(task.failureCount).toBe(1);
+    });
+
     it('should maintain circular buffer - drop oldest when history exceeds MAX_HISTORY_ENTRIES', () => {
       registerTask({
         name: 'buffer-task',
@@ -536,7 +649,564 @@ describe('scheduler service', () => {
     });
   });
 
+  describe('event triggers', () => {
+    const register = (task) => registerTask({ actions: [{ type: 'wake' }], ...task });
+
+    it('should register a task with only a trigger as enabled without a next run', () => {
+      startScheduler([], vi.fn());
+
+      expect(register({ name: 'on-tv', trigger: { event: 'screen:on' } })).toEqual({ success: true, nextRun: null });
+      expect(getJobs()[0]).toEqual(expect.objectContaining({ enabled: true, nextRun: 'On screen:on' }));
+      expect(register({ name: 'bad', trigger: { event: 'screen:on', limit: '1h' } }).success).toBe(false);
+    });
+
+    it('should run matching tasks with the event', () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([], executor);
+      register({ name: 'netflix', trigger: { event: 'app:foreground', package: 'com.netflix.ninja' } });
+      register({ name: 'bedroom-on', trigger: { event: 'screen:on', device: 'bedroom' } });
+
+      emitEvent('status:device:foreground', { device: 'default', package: 'com.netflix.ninja', previous: null });
+      emitEvent('status:device:screen:on', { device: 'living-room' });
+
+      expect(executor).toHaveBeenCalledTimes(1);
+      expect(executor).toHaveBeenCalledWith(expect.objectContaining({ name: 'netflix' }), {
+        trigger: { event: 'app:foreground', device: 'default', package: 'com.netflix.ninja' }
+      });
+    });
+
+    it('should run a task without a device on the device that fired the event', () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([], executor);
+      register({ name: 'kids-tv', trigger: { event: 'screen:on', device: 'kids-room' } });
+      register({ name: 'living-tv', device: 'living-room', trigger: { event: 'screen:on' } });
+
+      emitEvent('status:device:screen:on', { device: 'kids-room' });
+
+      expect(executor).toHaveBeenCalledWith(expect.objectContaining({ name: 'kids-tv', device: 'kids-room' }), expect.anything());
+      expect(executor).toHaveBeenCalledWith(expect.objectContaining({ name: 'living-tv', device: 'living-room' }), expect.anything());
+    });
+
+    it('should not run disabled tasks', () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([], executor);
+      register({ name: 'on-tv', trigger: { event: 'device:connected' } });
+      setTaskEnabled('on-tv', false);
+
+      emitEvent('status:device:connected', { target: '10.0.0.1:5555', device: 'default' });
+
+      expect(executor).not.toHaveBeenCalled();
+      expect(getJobs()[0].enabled).toBe(false);
+    });
+
+    it('should run a time-limit task once the app stayed in the foreground long enough', () => {
+      vi.useFakeTimers();
+      try {
+        const executor = vi.fn().mockResolvedValue();
+        startScheduler([], executor);
+        register({ name: 'curfew', trigger: { event: 'app:time-limit', package: 'com.example', limit: '1h' } });
+
+        emitEvent('status:device:foreground', { device: 'default', package: 'com.example', previous: null });
+        vi.advanceTimersByTime(30 * 60 * 1000);
+        emitEvent('status:device:screen:off', { device: 'default' });
+        vi.advanceTimersByTime(60 * 60 * 1000);
+        expect(executor).not.toHaveBeenCalled();
+
+        emitEvent('status:device:foreground', { device: 'default', package: 'com.example', previous: null });
+        vi.advanceTimersByTime(60 * 60 * 1000);
+        expect(executor).toHaveBeenCalledWith(expect.objectContaining({ name: 'curfew' }), {
+          trigger: { event: 'app:time-limit', device: 'default', package: 'com.example' }
+        });
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should stop listening when the scheduler stops', () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([{ name: 'on-tv', trigger: { event: 'screen:on' }, actions: [{ type: 'wake' }] }], executor);
+      stopScheduler();
+
+      emitEvent('status:device:screen:on', { device: 'default' });
+
+      expect(executor).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('onSuccess and onFailure hooks', () => {
+    const register = (task) => registerTask({ schedule: '0 0 8 * * *', actions: [{ type: 'wake' }], ...task });
+
+    it('should start onFailure tasks with the parent run and record the lineage', async () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([], executor);
+      register({ name: 'morning', onFailure: 'notify' });
+      register({ name: 'notify' });
+
+      recordExecution('morning', { success: false, status: 'failed', error: 'wake failed', runId: 'run_1' }, Date.now() - 10, Date.now());
+
+      expect(executor).toHaveBeenCalledWith(expect.objectContaining({ name: 'notify' }), {
+        parent: { runId: 'run_1', task: 'morning', error: 'wake failed', chain: ['morning'] }
+      });
+
+      const parent = executor.mock.calls[0][1].parent;
+      recordExecution('notify', { success: true, status: 'completed', runId: 'run_2', parent }, Date.now() - 10, Date.now());
+      expect(getTaskDetails('notify').executionHistory[0]).toEqual(expect.objectContaining({ parentTask: 'morning', parentRunId: 'run_1' }));
+    });
+
+    it('should not start onSuccess tasks after a failed run', () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([], executor);
+      register({ name: 'morning', onSuccess: 'lights' });
+      register({ name: 'lights' });
+
+      recordExecution('morning', { success: false, status: 'failed', error: 'boom' }, Date.now() - 10, Date.now());
+
+      expect(executor).not.toHaveBeenCalled();
+    });
+
+    it('should not start a task that already ran in the chain', () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([], executor);
+      register({ name: 'ping', onSuccess: 'pong' });
+      register({ name: 'pong', onSuccess: 'ping' });
+
+      const parent = { runId: 'run_1', task: 'ping', chain: ['ping'] };
+      recordExecution('pong', { success: true, status: 'completed', runId: 'run_2', parent }, Date.now() - 10, Date.now());
+
+      expect(executor).not.toHaveBeenCalled();
+    });
+  });
+
   // Story 6.3 Tests - Task Management (setTaskEnabled)
+  describe('timezones', () => {
+    /**
+     * Hour of a date as seen in the given timezone
+     */
+    function hourIn(date, timeZone) {
+      return new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(new Date(date.getTime())).padStart(2, '0');
+    }
+
+    afterEach(() => {
+      stopScheduler();
+    });
+
+    it('should schedule a task in its own timezone', () => {
+      const result = registerTask({
+        name: 'tz-task',
+        schedule: '0 30 7 * * *',
+        timezone: 'America/New_York',
+        actions: [{ type: 'wake' }]
+      });
+
+      expect(result.success).toBe(true);
+      expect(hourIn(result.nextRun, 'America/New_York')).toBe('07');
+    });
+
+    it('should use the scheduler default timezone for tasks without one', () => {
+      startScheduler([
+        { name: 'default-tz-task', schedule: '0 0 22 * * *', actions: [{ type: 'wake' }] }
+      ], vi.fn(), { timezone: 'Asia/Tokyo' });
+
+      const task = getRegisteredTasks().find(t => t.name === 'default-tz-task');
+      expect(hourIn(task.nextRun, 'Asia/Tokyo')).toBe('22');
+    });
+
+    it('should reject unknown timezones', () => {
+      const result = registerTask({
+        name: 'bad-tz-task',
+        schedule: '0 30 7 * * *',
+        timezone: 'Nowhere/Special',
+        actions: [{ type: 'wake' }]
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Unknown timezone: Nowhere/Special');
+    });
+
+    it('should expose the resolved timezone in getJobs()', () => {
+      startScheduler([
+        { name: 'own-tz', schedule: '0 0 7 * * *', timezone: 'Europe/Berlin', actions: [{ type: 'wake' }] },
+        { name: 'inherited-tz', schedule: '0 0 7 * * *', actions: [{ type: 'wake' }] }
+      ], vi.fn(), { timezone: 'Asia/Tokyo' });
+
+      const jobs = getJobs();
+      expect(jobs.find(j => j.name === 'own-tz')).toEqual(expect.objectContaining({
+        timezone: 'Europe/Berlin',
+        customTimezone: 'Europe/Berlin'
+      }));
+      expect(jobs.find(j => j.name === 'inherited-tz')).toEqual(expect.objectContaining({
+        timezone: 'Asia/Tokyo',
+        customTimezone: null
+      }));
+    });
+
+    it('should keep the timezone when a task is re-enabled', () => {
+      startScheduler([
+        { name: 'toggle-tz', schedule: '0 30 7 * * *', timezone: 'America/New_York', actions: [{ type: 'wake' }] }
+      ], vi.fn());
+
+      setTaskEnabled('toggle-tz', false);
+      setTaskEnabled('toggle-tz', true);
+
+      const task = getRegisteredTasks().find(t => t.name === 'toggle-tz');
+      expect(hourIn(task.nextRun, 'America/New_York')).toBe('07');
+    });
+  });
+
+  describe('solar schedules', () => {
+    const location = { latitude: 52.52, longitude: 13.405 };
+
+    afterEach(() => {
+      stopScheduler();
+    });
+
+    it('should register a solar task when a location is configured', () => {
+      startScheduler([
+        { name: 'sunset-task', schedule: { solar: 'sunset', offset: '-30m' }, actions: [{ type: 'wake' }] }
+      ], vi.fn(), { location });
+
+      const task = getRegisteredTasks().find(t => t.name === 'sunset-task');
+      expect(task).toBeDefined();
+      expect(task.nextRun.getTime()).toBeGreaterThan(Date.now());
+      expect(task.nextRun.getTime()).toBeLessThan(Date.now() + 2 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should reject solar tasks without a location', () => {
+      startScheduler([], vi.fn());
+
+      const result = registerTask({
+        name: 'no-location',
+        schedule: { solar: 'sunrise' },
+        actions: [{ type: 'wake' }]
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Solar schedules require location latitude and longitude in config');
+    });
+
+    it('should reject unknown solar events', () => {
+      startScheduler([], vi.fn(), { location });
+
+      const result = registerTask({
+        name: 'bad-event',
+        schedule: { solar: 'moonrise' },
+        actions: [{ type: 'wake' }]
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid solar event');
+    });
+  });
+
+  describe('one-shot and date-window tasks', () => {
+    /**
+     * Local wall-clock string (no offset) for a time relative to now
+     */
+    function localIn(ms) {
+      const date = new Date(Date.now() + ms);
+      return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 19);
+    }
+
+    afterEach(() => {
+      vi.useRealTimers();
+      stopScheduler();
+    });
+
+    it('should run a one-shot task once, then disable it and persist the change', async () => {
+      vi.useFakeTimers();
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([
+        { name: 'once', at: localIn(60 * 1000), actions: [{ type: 'wake' }] }
+      ], executor);
+
+      await vi.advanceTimersByTimeAsync(61 * 1000);
+
+      expect(executor).toHaveBeenCalledTimes(1);
+      const task = getRegisteredTasks().find(t => t.name === 'once');
+      expect(task.job).toBeNull();
+      expect(task.nextRun).toBeNull();
+      expect(patchTask).toHaveBeenCalledWith('once', { enabled: false });
+    });
+
+    it('should delete a one-shot task with afterRun: delete', async () => {
+      vi.useFakeTimers();
+      startScheduler([
+        { name: 'once-delete', at: localIn(60 * 1000), afterRun: 'delete', actions: [{ type: 'wake' }] }
+      ], vi.fn().mockResolvedValue());
+
+      await vi.advanceTimersByTimeAsync(61 * 1000);
+
+      expect(getRegisteredTasks().find(t => t.name === 'once-delete')).toBeUndefined();
+      expect(deleteTask).toHaveBeenCalledWith('once-delete');
+    });
+
+    it('should keep a one-shot task whose time has passed without scheduling it', () => {
+      const result = registerTask({ name: 'missed', at: '2020-01-01T08:00', actions: [{ type: 'wake' }] });
+
+      expect(result).toEqual({ success: true, nextRun: null });
+      expect(getRegisteredTasks().find(t => t.name === 'missed').job).toBeNull();
+    });
+
+    it('should register tasks with enabled: false without a job', () => {
+      const result = registerTask({ name: 'off', schedule: '0 0 7 * * *', enabled: false, actions: [{ type: 'wake' }] });
+
+      expect(result.success).toBe(true);
+      expect(getJobs().find(j => j.name === 'off').enabled).toBe(false);
+    });
+
+    it('should reject tasks with both schedule and at', () => {
+      const result = registerTask({ name: 'both', schedule: '0 0 7 * * *', at: '2030-01-01T08:00', actions: [] });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('A task cannot have both schedule and at');
+    });
+
+    it('should not run before startDate', () => {
+      const result = registerTask({
+        name: 'holiday',
+        schedule: '0 0 7 * * *',
+        timezone: 'UTC',
+        startDate: '2099-12-20',
+        actions: [{ type: 'wake' }]
+      });
+
+      expect(result.success).toBe(true);
+      expect(new Date(result.nextRun.getTime()).toISOString()).toBe('2099-12-20T07:00:00.000Z');
+    });
+
+    it('should stop scheduling after endDate', () => {
+      const result = registerTask({
+        name: 'over',
+        schedule: '0 0 7 * * *',
+        endDate: '2020-01-06',
+        actions: [{ type: 'wake' }]
+      });
+
+      expect(result).toEqual({ success: true, nextRun: null });
+    });
+  });
+
+  describe('runCatchUp', () => {
+    const NOW = new Date('2026-03-01T10:30:00Z');
+    const hourly = { schedule: '0 0 * * * *', timezone: 'UTC', actions: [{ type: 'wake' }] };
+
+    /**
+     * Persisted run of a task started at the given ISO time
+     */
+    function storedRun(task, startTime, extra = {}) {
+      return { task, status: 'completed', startTime, endTime: startTime, duration: 0, ...extra };
+    }
+
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(NOW);
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      readHistory.mockResolvedValue([]);
+      stopScheduler();
+    });
+
+    it('should replay every missed run with runAll', async () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([{ name: 'hourly', ...hourly, catchUp: 'runAll', maxLateness: '6h' }], executor);
+      readHistory.mockResolvedValue([storedRun('hourly', '2026-03-01T07:00:05Z')]);
+
+      const result = await runCatchUp();
+
+      expect(result).toEqual([{ task: 'hourly', runs: 3 }]);
+      expect(executor.mock.calls.map(([, options]) => options.scheduledFor.toISOString())).toEqual([
+        '2026-03-01T08:00:00.000Z',
+        '2026-03-01T09:00:00.000Z',
+        '2026-03-01T10:00:00.000Z'
+      ]);
+    });
+
+    it('should keep the newest missed runs of a frequent schedule', async () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([
+        { name: 'every-second', schedule: '* * * * * *', timezone: 'UTC', actions: [{ type: 'wake' }], catchUp: 'runAll', maxLateness: '6h' }
+      ], executor);
+      readHistory.mockResolvedValue([storedRun('every-second', '2026-03-01T04:00:00Z')]);
+
+      const result = await runCatchUp();
+
+      expect(result).toEqual([{ task: 'every-second', runs: 50 }]);
+      expect(executor.mock.calls.at(-1)[1].scheduledFor.toISOString()).toBe('2026-03-01T10:30:00.000Z');
+      expect(executor.mock.calls[0][1].scheduledFor.toISOString()).toBe('2026-03-01T10:29:11.000Z');
+    });
+
+    it('should replay only the latest missed run with runOnce', async () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([{ name: 'hourly', ...hourly, catchUp: 'runOnce', maxLateness: '6h' }], executor);
+      readHistory.mockResolvedValue([storedRun('hourly', '2026-03-01T07:00:05Z')]);
+
+      await runCatchUp();
+
+      expect(executor).toHaveBeenCalledTimes(1);
+      expect(executor.mock.calls[0][1].scheduledFor.toISOString()).toBe('2026-03-01T10:00:00.000Z');
+    });
+
+    it('should drop runs later than maxLateness', async () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([{ name: 'hourly', ...hourly, catchUp: 'runAll', maxLateness: '90m' }], executor);
+      readHistory.mockResolvedValue([storedRun('hourly', '2026-03-01T07:00:05Z')]);
+
+      await runCatchUp();
+
+      expect(executor).toHaveBeenCalledTimes(2);
+    });
+
+    it('should treat runs skipped for a disconnected device as missed', async () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([{ name: 'hourly', ...hourly, catchUp: 'runAll', maxLateness: '6h' }], executor);
+      readHistory.mockResolvedValue([
+        storedRun('hourly', '2026-03-01T09:00:05Z'),
+        storedRun('hourly', '2026-03-01T10:00:01Z', { status: 'failed', code: 'DEVICE_DISCONNECTED' })
+      ]);
+
+      await runCatchUp();
+
+      expect(executor).toHaveBeenCalledTimes(1);
+      expect(executor.mock.calls[0][1].scheduledFor.toISOString()).toBe('2026-03-01T10:00:00.000Z');
+    });
+
+    it('should replay a group run for the members that were disconnected', async () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([{ name: 'hourly', ...hourly, device: 'bedrooms', catchUp: 'runAll', maxLateness: '6h' }], executor);
+      const devices = (kidsCode) => [
+        { device: 'master', status: 'completed' },
+        { device: 'kids', status: kidsCode ? 'failed' : 'completed', ...(kidsCode && { code: kidsCode }) }
+      ];
+      readHistory.mockResolvedValue([
+        storedRun('hourly', '2026-03-01T09:00:05Z', { devices: devices() }),
+        storedRun('hourly', '2026-03-01T10:00:01Z', { status: 'partial', devices: devices('DEVICE_DISCONNECTED') })
+      ]);
+
+      const result = await runCatchUp();
+
+      expect(result).toEqual([{ task: 'hourly', runs: 1 }]);
+      expect(executor).toHaveBeenCalledWith(expect.objectContaining({ name: 'hourly' }), {
+        scheduledFor: new Date('2026-03-01T10:00:00Z'),
+        members: ['kids']
+      });
+    });
+
+    it('should do nothing for catchUp none or without a previous run', async () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([
+        { name: 'no-policy', ...hourly },
+        { name: 'never-ran', ...hourly, catchUp: 'runAll' }
+      ], executor);
+      readHistory.mockResolvedValue([storedRun('no-policy', '2026-03-01T07:00:05Z')]);
+
+      expect(await runCatchUp()).toEqual([]);
+      expect(executor).not.toHaveBeenCalled();
+    });
+
+    it('should only consider tasks accepted by the filter', async () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([
+        { name: 'bedroom-task', ...hourly, device: 'bedroom', catchUp: 'runOnce' },
+        { name: 'living-task', ...hourly, device: 'living-room', catchUp: 'runOnce' }
+      ], executor);
+      readHistory.mockResolvedValue([
+        storedRun('bedroom-task', '2026-03-01T09:00:05Z'),
+        storedRun('living-task', '2026-03-01T09:00:05Z')
+      ]);
+
+      const result = await runCatchUp(task => task.device === 'bedroom');
+
+      expect(result).toEqual([{ task: 'bedroom-task', runs: 1 }]);
+    });
+
+    it('should run a missed one-shot task and then disable it', async () => {
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([
+        { name: 'missed-once', at: '2026-03-01T10:00', timezone: 'UTC', catchUp: 'runOnce', actions: [{ type: 'wake' }] }
+      ], executor);
+
+      await runCatchUp();
+
+      expect(executor).toHaveBeenCalledTimes(1);
+      expect(patchTask).toHaveBeenCalledWith('missed-once', { enabled: false });
+    });
+
+    it('should reject unknown catchUp policies', () => {
+      const result = registerTask({ name: 'bad', ...hourly, catchUp: 'sometimes' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid catchUp policy');
+    });
+  });
+
+  describe('exclusion calendars', () => {
+    afterEach(async () => {
+      vi.useRealTimers();
+      readHistory.mockResolvedValue([]);
+      stopScheduler();
+      await loadCalendars({});
+    });
+
+    it('should reject tasks referencing unknown calendars', async () => {
+      await loadCalendars({ holidays: { dates: ['2026-12-25'] } });
+
+      const result = registerTask({ name: 'wakeup', schedule: '0 0 7 * * *', skipOn: ['holidays', 'vacation'], actions: [] });
+
+      expect(result).toEqual({ success: false, error: 'Unknown calendar: vacation' });
+    });
+
+    it('should record a skipped run instead of executing on an excluded day', async () => {
+      vi.useFakeTimers();
+      const runAt = new Date(Date.now() + 60 * 1000);
+      const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'UTC' }).format(runAt);
+      await loadCalendars({ holidays: { dates: [today] } });
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([
+        { name: 'wakeup', at: runAt.toISOString(), timezone: 'UTC', skipOn: ['holidays'], actions: [{ type: 'wake' }] }
+      ], executor);
+
+      await vi.advanceTimersByTimeAsync(61 * 1000);
+
+      expect(executor).not.toHaveBeenCalled();
+      const details = getTaskDetails('wakeup');
+      expect(details.lastRunStatus).toBe('skipped');
+      expect(details.lastReason).toBe('Excluded by calendar: holidays');
+      expect(details.failureCount).toBe(0);
+      expect(appendHistory).toHaveBeenCalledWith(expect.objectContaining({
+        task: 'wakeup',
+        status: 'skipped',
+        reason: 'Excluded by calendar: holidays'
+      }));
+      expect(patchTask).toHaveBeenCalledWith('wakeup', { enabled: false });
+    });
+
+    it('should not catch up runs on excluded days', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2026-03-01T10:30:00Z'));
+      await loadCalendars({ holidays: { dates: ['2026-02-28'] } });
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([{
+        name: 'daily',
+        schedule: '0 0 7 * * *',
+        timezone: 'UTC',
+        skipOn: ['holidays'],
+        catchUp: 'runAll',
+        maxLateness: '3d',
+        actions: [{ type: 'wake' }]
+      }], executor);
+      readHistory.mockResolvedValue([
+        { task: 'daily', status: 'completed', startTime: '2026-02-27T07:00:05Z', endTime: '2026-02-27T07:00:05Z', duration: 0 }
+      ]);
+
+      const result = await runCatchUp();
+
+      expect(result).toEqual([{ task: 'daily', runs: 1 }]);
+      expect(executor.mock.calls[0][1].scheduledFor.toISOString()).toBe('2026-03-01T07:00:00.000Z');
+    });
+  });
+
   describe('setTaskEnabled - Story 6.3', () => {
     beforeEach(() => {
       // Start scheduler with a test task
@@ -581,6 +1251,23 @@ describe('scheduler service', () => {
       expect(task.nextRun).not.toBeNull();
     });
 
+    it('should run a re-enabled task with its full definition', async () => {
+      stopScheduler();
+      const executor = vi.fn().mockResolvedValue();
+      startScheduler([
+        { name: 'late', schedule: '0 0 8 * * *', catchUp: 'runOnce', maxLateness: '2h', retries: 1, actions: [{ type: 'wake' }] }
+      ], executor);
+
+      setTaskEnabled('late', false);
+      setTaskEnabled('late', true);
+      getRegisteredTasks().find(t => t.name === 'late').job.invoke();
+      await vi.waitFor(() => expect(executor).toHaveBeenCalled());
+
+      expect(executor.mock.calls[0][0]).toEqual(expect.objectContaining({ catchUp: 'runOnce', maxLateness: '2h', retries: 1 }));
+      expect(executor.mock.calls[0][0]).not.toHaveProperty('job');
+      expect(getTaskDetails('late')).toEqual(expect.objectContaining({ catchUp: 'runOnce', maxLateness: '2h', enabled: true }));
+    });
+
     it('should throw TASK_NOT_FOUND for non-existent task', () => {
       expect(() => {
         setTaskEnabled('non-existent-task', true);
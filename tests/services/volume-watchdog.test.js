@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { startVolumeWatchdog, stopVolumeWatchdog, enforceVolumeLimits, capVolumeLevel } from '../../src/services/volume-watchdog.js';
+import { readVolume, setVolume } from '../../src/services/device-state.js';
+import { getDevice } from '../../src/services/adb-client.js';
+import { emitEvent } from '../../src/web/websocket/broadcaster.js';
+
+vi.mock('../../src/services/device-state.js', () => ({
+  readVolume: vi.fn(),
+  setVolume: vi.fn()
+}));
+
+vi.mock('../../src/services/adb-client.js', () => ({
+  getDevice: vi.fn()
+}));
+
+vi.mock('../../src/web/websocket/broadcaster.js', () => ({
+  emitEvent: vi.fn()
+}));
+
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+describe('Volume Watchdog Service', () => {
+  const device = { id: '10.0.0.2:5555' };
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    vi.useFakeTimers();
+    getDevice.mockReturnValue(device);
+    setVolume.mockResolvedValue();
+    startVolumeWatchdog({
+      devices: [{ name: 'living-room' }, { name: 'kids-room', maxVolume: 40 }],
+      interval: 1000
+    });
+  });
+
+  afterEach(() => {
+    stopVolumeWatchdog();
+    vi.useRealTimers();
+  });
+
+  it('should turn a device above its limit down to the limit', async () => {
+    readVolume.mockResolvedValue({ level: 15, max: 15 });
+
+    await enforceVolumeLimits();
+
+    expect(getDevice).toHaveBeenCalledWith('kids-room');
+    expect(getDevice).not.toHaveBeenCalledWith('living-room');
+    expect(setVolume).toHaveBeenCalledWith(device, 6);
+    expect(emitEvent).toHaveBeenCalledWith('status:device:volume:limited', { device: 'kids-room', level: 15, limit: 6, max: 15 });
+  });
+
+  it('should cap a level sent to a device with a limit', () => {
+    const other = { id: '10.0.0.3:5555' };
+    getDevice.mockImplementation(name => (name === 'kids-room' ? device : other));
+
+    expect(capVolumeLevel(device, 12, 15)).toEqual({ level: 6, limit: 6 });
+    expect(capVolumeLevel(device, 4, 15)).toEqual({ level: 4, limit: 6 });
+    expect(capVolumeLevel(other, 12, 15)).toEqual({ level: 12, limit: null });
+  });
+
+  it('should leave a device at or below its limit alone', async () => {
+    readVolume.mockResolvedValue({ level: 6, max: 15 });
+
+    await enforceVolumeLimits();
+
+    expect(setVolume).not.toHaveBeenCalled();
+    expect(emitEvent).not.toHaveBeenCalled();
+  });
+
+  it('should check the devices on every interval', async () => {
+    readVolume.mockResolvedValue({ level: 2, max: 15 });
+
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(readVolume).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep polling when a device cannot be read', async () => {
+    readVolume.mockRejectedValueOnce(new Error('Could not read volume'));
+    await enforceVolumeLimits();
+
+    readVolume.mockResolvedValue({ level: 10, max: 15 });
+    await enforceVolumeLimits();
+
+    expect(setVolume).toHaveBeenCalledWith(device, 6);
+  });
+
+  it('should not poll when no device has a limit', async () => {
+    startVolumeWatchdog({ devices: [{ name: 'living-room' }], interval: 1000 });
+
+    await vi.advanceTimersByTimeAsync(3000);
+
+    expect(readVolume).not.toHaveBeenCalled();
+  });
+});
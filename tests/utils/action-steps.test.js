@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { isBlock, flattenSteps, findStepErrors, renderStep } from '../../src/utils/action-steps.js';
+
+const wakeIfAsleep = {
+  type: 'if',
+  condition: { probe: 'power', notEquals: 'awake' },
+  then: [{ type: 'wake' }],
+  else: [{ type: 'wait', duration: 1000 }]
+};
+
+describe('isBlock', () => {
+  it('should recognize if steps', () => {
+    expect(isBlock(wakeIfAsleep)).toBe(true);
+    expect(isBlock({ type: 'wake' })).toBe(false);
+    expect(isBlock(undefined)).toBe(false);
+  });
+
+  it('should recognize loop steps', () => {
+    expect(isBlock({ type: 'repeat', times: 2, steps: [] })).toBe(true);
+    expect(isBlock({ type: 'forEach', items: [], steps: [] })).toBe(true);
+  });
+});
+
+describe('renderStep', () => {
+  it('should render parameters but leave nested steps for later', () => {
+    const step = { type: 'forEach', items: ['${pkg}'], steps: [{ type: 'launch-app', package: '${item}' }] };
+
+    expect(renderStep(step, { pkg: 'com.example', item: 'outer' })).toEqual({
+      type: 'forEach',
+      items: ['com.example'],
+      steps: [{ type: 'launch-app', package: '${item}' }]
+    });
+  });
+});
+
+describe('flattenSteps', () => {
+  it('should list nested steps with their paths in execution order', () => {
+    const flat = flattenSteps([wakeIfAsleep, { type: 'shutdown' }], '/tasks/0/actions');
+
+    expect(flat.map(({ step, path }) => [step.type, path])).toEqual([
+      ['if', '/tasks/0/actions/0'],
+      ['wake', '/tasks/0/actions/0/then/0'],
+      ['wait', '/tasks/0/actions/0/else/0'],
+      ['shutdown', '/tasks/0/actions/1']
+    ]);
+  });
+});
+
+describe('findStepErrors', () => {
+  it('should accept valid nested chains', () => {
+    expect(findStepErrors([wakeIfAsleep, { type: 'shutdown' }])).toEqual([]);
+  });
+
+  it('should report unknown nested actions, bad conditions and empty then branches', () => {
+    const errors = findStepErrors([
+      { type: 'if', condition: { probe: 'power' }, then: [] },
+      { type: 'if', condition: { probe: 'volume', above: 3 }, then: [{ type: 'teleport' }] }
+    ], '/actions');
+
+    expect(errors.map(error => error.path)).toEqual([
+      '/actions/0/condition',
+      '/actions/0/then',
+      '/actions/1/then/0/type'
+    ]);
+    expect(errors[2].message).toBe('Unknown action type: teleport');
+  });
+
+  it('should accept valid loops and list their nested steps', () => {
+    const steps = [
+      { type: 'repeat', times: 3, until: '18:00', steps: [{ type: 'wake' }] },
+      { type: 'forEach', items: ['a', 'b'], as: 'video', steps: [{ type: 'play-video', url: '${video}' }] }
+    ];
+
+    expect(findStepErrors(steps)).toEqual([]);
+    expect(flattenSteps(steps).map(({ path }) => path)).toEqual(['/0', '/0/steps/0', '/1', '/1/steps/0']);
+  });
+
+  it('should report invalid loop fields', () => {
+    const errors = findStepErrors([
+      { type: 'repeat', steps: [{ type: 'wake' }] },
+      { type: 'repeat', times: 101, until: '25:00', steps: [] },
+      { type: 'forEach', items: [], as: 'not valid', steps: [{ type: 'wake' }] }
+    ], '/actions');
+
+    expect(errors.map(error => error.path)).toEqual([
+      '/actions/0',
+      '/actions/1/times',
+      '/actions/1/until',
+      '/actions/1/steps',
+      '/actions/2/items',
+      '/actions/2/as'
+    ]);
+    expect(errors[0].message).toBe('A repeat step needs times or until');
+  });
+
+  it('should not let loop variables shadow run variables', () => {
+    const [error] = findStepErrors([{ type: 'forEach', items: ['a'], as: 'params', steps: [{ type: 'wake' }] }]);
+
+    expect(error).toEqual({ path: '/0/as', message: 'as cannot be one of params, env, parent, trigger', value: 'params' });
+  });
+  it('should validate step policies, ids and goto targets', () => {
+    const errors = findStepErrors([
+      { id: 'start', type: 'wake', retries: -1 },
+      { type: 'if', condition: { probe: 'power', equals: 'awake' }, retries: 1, then: [
+        { type: 'launch-app', package: 'com.example', onError: 'goto', goto: 'start' }
+      ] },
+      { id: 'start', type: 'wake', onError: 'goto', goto: 'missing' },
+      { id: 'off', type: 'shutdown' }
+    ], '/actions');
+
+    expect(errors).toEqual([
+      { path: '/actions/0/retries', message: 'retries must be an integer from 0 to 10', value: -1 },
+      { path: '/actions/1/retries', message: 'retries is not supported on if steps', value: 1 },
+      { path: '/actions/1/then/0/goto', message: 'goto must point to a later top-level step: start', value: 'start' },
+      { path: '/actions/2/id', message: 'Duplicate step id: start', value: 'start' },
+      { path: '/actions/2/goto', message: 'Unknown step id: missing', value: 'missing' }
+    ]);
+  });
+
+  it('should accept a nested goto to a later top-level step', () => {
+    expect(findStepErrors([
+      { type: 'repeat', times: 2, steps: [{ type: 'wake', onError: 'goto', goto: 'off' }] },
+      { id: 'off', type: 'shutdown' }
+    ])).toEqual([]);
+  });
+});
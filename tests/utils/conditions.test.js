@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { validateCondition, matchCondition, describeCondition } from '../../src/utils/conditions.js';
+
+describe('validateCondition', () => {
+  it('should accept a probe with exactly one operator', () => {
+    expect(validateCondition({ probe: 'power', notEquals: 'awake' })).toBeNull();
+    expect(validateCondition({ probe: 'foreground', in: ['com.a', 'com.b'] })).toBeNull();
+    expect(validateCondition({ probe: 'volume', below: 5 })).toBeNull();
+  });
+
+  it('should reject unknown probes and operator mistakes', () => {
+    expect(validateCondition(null)).toBe('Condition must be an object');
+    expect(validateCondition({ probe: 'brightness', equals: 1 })).toContain('Unknown probe: brightness');
+    expect(validateCondition({ probe: 'power' })).toContain('exactly one of');
+    expect(validateCondition({ probe: 'power', equals: 'awake', notEquals: 'asleep' })).toContain('exactly one of');
+    expect(validateCondition({ probe: 'foreground', in: 'com.a' })).toBe('Condition operator "in" expects an array');
+    expect(validateCondition({ probe: 'volume', above: '5' })).toBe('Condition operator "above" expects a number');
+  });
+});
+
+describe('matchCondition', () => {
+  it('should compare values as strings for equality operators', () => {
+    expect(matchCondition('awake', { probe: 'power', equals: 'awake' })).toBe(true);
+    expect(matchCondition(7, { probe: 'volume', equals: '7' })).toBe(true);
+    expect(matchCondition('asleep', { probe: 'power', notEquals: 'awake' })).toBe(true);
+    expect(matchCondition('com.b', { probe: 'foreground', in: ['com.a', 'com.b'] })).toBe(true);
+  });
+
+  it('should compare numbers for above and below', () => {
+    expect(matchCondition(8, { probe: 'volume', above: 5 })).toBe(true);
+    expect(matchCondition(5, { probe: 'volume', above: 5 })).toBe(false);
+    expect(matchCondition(2, { probe: 'volume', below: 5 })).toBe(true);
+  });
+
+  it('should treat a missing value as matching only notEquals', () => {
+    expect(matchCondition(null, { probe: 'foreground', equals: 'com.a' })).toBe(false);
+    expect(matchCondition(null, { probe: 'foreground', notEquals: 'com.a' })).toBe(true);
+    expect(matchCondition(null, { probe: 'volume', below: 5 })).toBe(false);
+  });
+});
+
+describe('describeCondition', () => {
+  it('should render a short readable form', () => {
+    expect(describeCondition({ probe: 'power', notEquals: 'awake' })).toBe('power != awake');
+    expect(describeCondition({ probe: 'foreground', in: ['com.a', 'com.b'] })).toBe('foreground in com.a, com.b');
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { loadConfigFile, validateConfig, loadConfig } from '../../src/utils/config.js';
+import { loadConfigFile, validateConfig, loadConfig, getConfiguredDevices } from '../../src/utils/config.js';
+import { POLICY_FIELDS } from '../../src/utils/run-policy.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -9,6 +10,16 @@ const __dirname = dirname(__filename);
 const projectRoot = join(__dirname, '../..');
 
 describe('validateConfig', () => {
+  it('should compile the schema without strict mode warnings', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.resetModules();
+
+    await import('../../src/utils/config.js');
+
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
   describe('valid configurations', () => {
     it('should pass validation for valid config', () => {
       const validConfig = {
@@ -176,6 +187,40 @@ describe('validateConfig', () => {
       expect(result.valid).toBe(false);
     });
 
+    it('should accept a placeholder in numeric action fields', () => {
+      const config = {
+        device: { ip: '192.168.1.1', port: 5555 },
+        tasks: [{
+          name: 'test',
+          schedule: '0 0 * * *',
+          params: { delay: { type: 'number' }, level: { type: 'number' }, hdmi: { type: 'number' } },
+          actions: [
+            { type: 'wait', duration: '${params.delay}' },
+            { type: 'set-volume', level: '${params.level}' },
+            { type: 'keys', sequence: [{ key: 'DPAD_UP', repeat: '${params.level}' }], interval: '${params.delay}' },
+            { type: 'switch-input', input: '${params.hdmi}' }
+          ]
+        }]
+      };
+      const result = validateConfig(config);
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+    });
+
+    it('should fail when a numeric action field holds text around a placeholder', () => {
+      const config = {
+        device: { ip: '192.168.1.1', port: 5555 },
+        tasks: [{
+          name: 'test',
+          schedule: '0 0 * * *',
+          params: { delay: { type: 'number' } },
+          actions: [{ type: 'wait', duration: '${params.delay}ms' }]
+        }]
+      };
+      const result = validateConfig(config);
+      expect(result.valid).toBe(false);
+    });
+
     it('should fail when play-video action missing url', () => {
       const config = {
         device: { ip: '192.168.1.1', port: 5555 },
@@ -201,6 +246,67 @@ describe('validateConfig', () => {
       const result = validateConfig(config);
       expect(result.valid).toBe(false);
     });
+
+    it('should accept a keys action and reject keys that are not keycodes', () => {
+      const config = keys => ({
+        device: { ip: '192.168.1.1', port: 5555 },
+        tasks: [{
+          name: 'test',
+          schedule: '0 0 * * *',
+          actions: [{ type: 'keys', sequence: keys, interval: 150 }]
+        }]
+      });
+
+      expect(validateConfig(config(['DPAD_DOWN', { key: 'KEYCODE_ENTER', longPress: true }, { key: 'DPAD_RIGHT', repeat: 3, interval: 200 }])).valid).toBe(true);
+      expect(validateConfig(config(['dpad down'])).valid).toBe(false);
+      expect(validateConfig(config([])).valid).toBe(false);
+    });
+
+    it('should accept a set-volume action with level or percent and a device maxVolume', () => {
+      const config = (action, maxVolume = 40) => ({
+        device: { ip: '192.168.1.1', port: 5555, maxVolume },
+        tasks: [{
+          name: 'test',
+          schedule: '0 0 * * *',
+          actions: [{ type: 'set-volume', ...action }]
+        }]
+      });
+
+      expect(validateConfig(config({ level: 12 })).valid).toBe(true);
+      expect(validateConfig(config({ percent: 30 })).valid).toBe(true);
+      expect(validateConfig(config({ level: 12, percent: 30 })).valid).toBe(false);
+      expect(validateConfig(config({})).valid).toBe(false);
+      expect(validateConfig(config({ level: 12 }, 150)).valid).toBe(false);
+    });
+
+    it('should accept switch-input with an HDMI number or self, and cec-standby', () => {
+      const config = actions => ({
+        device: { ip: '192.168.1.1', port: 5555 },
+        tasks: [{ name: 'test', schedule: '0 0 * * *', actions }]
+      });
+
+      expect(validateConfig(config([{ type: 'switch-input', input: 2 }, { type: 'cec-standby' }])).valid).toBe(true);
+      expect(validateConfig(config([{ type: 'switch-input', input: 'self' }])).valid).toBe(true);
+      expect(validateConfig(config([{ type: 'switch-input', input: 'hdmi2' }])).valid).toBe(true);
+      expect(validateConfig(config([{ type: 'switch-input', input: 'hdmi5' }])).valid).toBe(false);
+      expect(validateConfig(config([{ type: 'switch-input', input: 5 }])).valid).toBe(false);
+      expect(validateConfig(config([{ type: 'switch-input' }])).valid).toBe(false);
+    });
+
+    it('should accept an open-intent action with typed extras', () => {
+      const config = action => ({
+        device: { ip: '192.168.1.1', port: 5555 },
+        tasks: [{ name: 'test', schedule: '0 0 * * *', actions: [{ type: 'open-intent', ...action }] }]
+      });
+
+      expect(validateConfig(config({
+        data: 'plex://server/library',
+        flags: ['FLAG_ACTIVITY_NEW_TASK'],
+        extras: { autoplay: true, offset: { type: 'long', value: 90000 } }
+      })).valid).toBe(true);
+      expect(validateConfig(config({ mimeType: 'video/*' })).valid).toBe(false);
+      expect(validateConfig(config({ data: 'x', extras: { offset: { type: 'bytes', value: 1 } } })).valid).toBe(false);
+    });
   });
 });
 
@@ -273,6 +379,36 @@ describe('loadConfig (AC1, AC2)', () => {
   });
 });
 
+describe('getConfiguredDevices', () => {
+  it('should name a single device "default"', () => {
+    const devices = getConfiguredDevices({ device: { ip: '192.168.1.100', port: 5555 } });
+    expect(devices).toEqual([{ name: 'default', ip: '192.168.1.100', port: 5555 }]);
+  });
+
+  it('should return the devices array when present', () => {
+    const devices = getConfiguredDevices({
+      devices: [
+        { name: 'living-room', ip: '192.168.1.100', port: 5555 },
+        { name: 'bedroom', ip: '192.168.1.101', port: 5555 }
+      ]
+    });
+    expect(devices.map(d => d.name)).toEqual(['living-room', 'bedroom']);
+  });
+
+  it('should accept a devices array in schema validation', () => {
+    const result = validateConfig({
+      devices: [{ name: 'living-room', ip: '192.168.1.100', port: 5555 }],
+      tasks: [{
+        name: 'test-task',
+        schedule: '0 0 0 * * *',
+        device: 'living-room',
+        actions: [{ type: 'wake', device: 'living-room' }]
+      }]
+    });
+    expect(result.valid).toBe(true);
+  });
+});
+
 describe('validateTasks', () => {
   // Import validateTasks for testing
   let validateTasks;
@@ -295,11 +431,22 @@ describe('validateTasks', () => {
       expect(result.valid).toBe(true);
     });
 
-    it('should fail for 5-field cron expression', () => {
+    it('should pass for 5-field cron expressions and macros', () => {
+      const config = {
+        tasks: [
+          { name: 'crontab', schedule: '30 7 * * *', actions: [{ type: 'wake' }] },
+          { name: 'macro', schedule: '@weekdays', actions: [{ type: 'wake' }] }
+        ]
+      };
+      const result = validateTasks(config);
+      expect(result.valid).toBe(true);
+    });
+
+    it('should fail for 4-field cron expression', () => {
       const config = {
         tasks: [{
           name: 'test-task',
-          schedule: '30 7 * * *',
+          schedule: '30 7 * *',
           actions: [{ type: 'wake' }]
         }]
       };
@@ -354,6 +501,451 @@ describe('validateTasks', () => {
     });
   });
 
+  describe('timezone validation', () => {
+    it('should pass for valid global and task timezones', () => {
+      const config = {
+        timezone: 'Europe/Berlin',
+        tasks: [{
+          name: 'test-task',
+          schedule: '0 0 0 * * *',
+          timezone: 'America/New_York',
+          actions: [{ type: 'wake' }]
+        }]
+      };
+      expect(validateTasks(config).valid).toBe(true);
+    });
+
+    it('should fail for unknown timezones', () => {
+      const config = {
+        timezone: 'Not/AZone',
+        tasks: [{
+          name: 'test-task',
+          schedule: '0 0 0 * * *',
+          timezone: 'Also/NotAZone',
+          actions: [{ type: 'wake' }]
+        }]
+      };
+      const result = validateTasks(config);
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(e => e.path)).toEqual(['/timezone', '/tasks/0/timezone']);
+    });
+  });
+
+  describe('solar schedules', () => {
+    it('should pass for a solar schedule with a configured location', () => {
+      const config = {
+        location: { latitude: 52.52, longitude: 13.405 },
+        tasks: [{
+          name: 'evening',
+          schedule: { solar: 'sunset', offset: '-15m' },
+          actions: [{ type: 'wake' }]
+        }]
+      };
+      expect(validateConfig({ device: { ip: '10.0.0.1', port: 5555 }, ...config }).valid).toBe(true);
+      expect(validateTasks(config).valid).toBe(true);
+    });
+
+    it('should fail when no location is configured', () => {
+      const result = validateTasks({
+        tasks: [{ name: 'evening', schedule: { solar: 'sunset' }, actions: [{ type: 'wake' }] }]
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toBe('Solar schedules require location latitude and longitude in config');
+    });
+
+    it('should reject unknown solar events and malformed offsets in the schema', () => {
+      const result = validateConfig({
+        device: { ip: '10.0.0.1', port: 5555 },
+        location: { latitude: 52.52, longitude: 13.405 },
+        tasks: [
+          { name: 'a', schedule: { solar: 'moonrise' }, actions: [{ type: 'wake' }] },
+          { name: 'b', schedule: { solar: 'sunset', offset: 'soon' }, actions: [{ type: 'wake' }] }
+        ]
+      });
+      expect(result.valid).toBe(false);
+    });
+
+    it('should reject out-of-range coordinates', () => {
+      const result = validateConfig({
+        device: { ip: '10.0.0.1', port: 5555 },
+        location: { latitude: 95, longitude: 13.405 },
+        tasks: []
+      });
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('missed-run catch-up', () => {
+    const withTask = task => ({
+      device: { ip: '10.0.0.1', port: 5555 },
+      tasks: [{ name: 'news', schedule: '0 0 7 * * *', actions: [{ type: 'wake' }], ...task }]
+    });
+
+    it('should accept catchUp policies with a maxLateness', () => {
+      expect(validateConfig(withTask({ catchUp: 'runOnce', maxLateness: '2h' })).valid).toBe(true);
+      expect(validateConfig(withTask({ catchUp: 'runAll', maxLateness: 600000 })).valid).toBe(true);
+    });
+
+    it('should reject unknown policies and malformed lateness', () => {
+      expect(validateConfig(withTask({ catchUp: 'sometimes' })).valid).toBe(false);
+      expect(validateConfig(withTask({ catchUp: 'runOnce', maxLateness: 'a while' })).valid).toBe(false);
+    });
+  });
+
+  describe('if steps', () => {
+    const withActions = actions => ({
+      device: { ip: '10.0.0.1', port: 5555 },
+      tasks: [{ name: 'morning', schedule: '0 0 7 * * *', actions }]
+    });
+
+    it('should accept nested if steps', () => {
+      const config = withActions([{
+        type: 'if',
+        condition: { probe: 'foreground', notEquals: 'com.google.android.youtube.tv' },
+        then: [{ type: 'launch-app', package: 'com.google.android.youtube.tv' }],
+        else: [{ type: 'wait', duration: 1000 }]
+      }]);
+
+      expect(validateConfig(config).valid).toBe(true);
+      expect(validateTasks(config).valid).toBe(true);
+    });
+
+    it('should reject if steps with an invalid condition or nested action', () => {
+      expect(validateConfig(withActions([
+        { type: 'if', condition: { probe: 'power' }, then: [{ type: 'wake' }] }
+      ])).valid).toBe(false);
+
+      const result = validateTasks(withActions([
+        { type: 'if', condition: { probe: 'power', equals: 'asleep' }, then: [{ type: 'teleport' }] }
+      ]));
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].path).toBe('/tasks/0/actions/0/then/0/type');
+    });
+
+    it('should check device references inside branches', () => {
+      const result = validateTasks(withActions([
+        { type: 'if', condition: { probe: 'power', equals: 'asleep' }, then: [{ type: 'wake', device: 'attic' }] }
+      ]));
+
+      expect(result.errors).toEqual([
+        { path: '/tasks/0/actions/0/then/0/device', message: 'Unknown device: attic', value: 'attic' }
+      ]);
+    });
+  });
+
+  describe('loops', () => {
+    const withActions = actions => ({
+      device: { ip: '10.0.0.1', port: 5555 },
+      tasks: [{ name: 'signage', schedule: '0 0 9 * * *', actions }]
+    });
+
+    it('should accept repeat and forEach steps with templated urls', () => {
+      const config = withActions([{
+        type: 'repeat',
+        until: '18:00',
+        steps: [{
+          type: 'forEach',
+          items: ['https://youtube.com/watch?v=aaa', 'https://youtube.com/watch?v=bbb'],
+          steps: [{ type: 'play-video', url: '${item}' }, { type: 'wait', duration: 600000 }]
+        }]
+      }]);
+
+      expect(validateConfig(config).valid).toBe(true);
+      expect(validateTasks(config).valid).toBe(true);
+    });
+
+    it('should reject loops without a bound or with too many items', () => {
+      expect(validateConfig(withActions([{ type: 'repeat', steps: [{ type: 'wake' }] }])).valid).toBe(false);
+      expect(validateConfig(withActions([{ type: 'repeat', times: 500, steps: [{ type: 'wake' }] }])).valid).toBe(false);
+      expect(validateConfig(withActions([
+        { type: 'forEach', items: Array.from({ length: 101 }, (_, i) => i), steps: [{ type: 'wake' }] }
+      ])).valid).toBe(false);
+    });
+
+    it('should report nested loop errors with their path', () => {
+      const result = validateTasks(withActions([
+        { type: 'repeat', times: 2, steps: [{ type: 'forEach', items: ['a'], steps: [{ type: 'teleport' }] }] }
+      ]));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].path).toBe('/tasks/0/actions/0/steps/0/steps/0/type');
+    });
+  });
+
+  describe('task params', () => {
+    const withParams = (params, actions) => ({
+      device: { ip: '10.0.0.1', port: 5555 },
+      tasks: [{ name: 'on-demand', schedule: '0 0 20 * * *', params, actions }]
+    });
+
+    it('should accept declared params referenced by actions', () => {
+      const config = withParams(
+        { videoUrl: { default: 'https://youtube.com/watch?v=abc', description: 'Video to play' } },
+        [{ type: 'play-video', url: '${params.videoUrl}' }]
+      );
+
+      expect(validateConfig(config).valid).toBe(true);
+      expect(validateTasks(config).valid).toBe(true);
+    });
+
+    it('should report references to undeclared params', () => {
+      const result = validateTasks(withParams({}, [{ type: 'play-video', url: '${params.videoUrl}' }]));
+
+      expect(result.errors).toEqual([
+        { path: '/tasks/0/actions/0', message: 'Undeclared parameter: videoUrl', value: 'videoUrl' }
+      ]);
+    });
+
+    it('should reject malformed declarations', () => {
+      expect(validateConfig(withParams({ 'bad name': {} }, [{ type: 'wake' }])).valid).toBe(false);
+      expect(validateConfig(withParams({ count: { type: 'date' } }, [{ type: 'wake' }])).valid).toBe(false);
+    });
+  });
+
+  describe('retry, timeout and onError policies', () => {
+    const withPolicy = (policy, actions) => ({
+      device: { ip: '10.0.0.1', port: 5555 },
+      tasks: [{ name: 'evening', schedule: '0 0 20 * * *', ...policy, actions }]
+    });
+
+    it('should accept task and action policies', () => {
+      const config = withPolicy({ retries: 1, backoff: { delay: '2s' }, timeout: '30s', onError: 'goto', goto: 'off' }, [
+        { type: 'wake', retries: 0, timeout: 5000, onError: 'continue' },
+        { id: 'off', type: 'shutdown' }
+      ]);
+
+      expect(validateConfig(config).valid).toBe(true);
+      expect(validateTasks(config).valid).toBe(true);
+    });
+
+    it('should reject invalid policies', () => {
+      expect(validateConfig(withPolicy({ retries: 20 }, [{ type: 'wake' }])).valid).toBe(false);
+      expect(validateConfig(withPolicy({}, [{ type: 'wake', onError: 'retry' }])).valid).toBe(false);
+      expect(validateConfig(withPolicy({}, [{ type: 'if', condition: { probe: 'power', equals: 'awake' }, timeout: '5s', then: [{ type: 'wake' }] }])).valid).toBe(false);
+    });
+
+    it('should define the policy fields once, matching the run policy', () => {
+      const schema = JSON.parse(readFileSync(join(projectRoot, 'schemas/config.schema.json'), 'utf8'));
+
+      expect(Object.keys(schema.$defs.runPolicy.properties)).toEqual(POLICY_FIELDS);
+      expect(validateConfig(withPolicy({}, [{ type: 'wake', retry: 1 }])).valid).toBe(false);
+      expect(validateConfig(withPolicy({ backoffs: {} }, [{ type: 'wake' }])).valid).toBe(false);
+    });
+
+    it('should accept a concurrency policy and reject unknown ones', () => {
+      expect(validateConfig(withPolicy({ concurrency: 'queue' }, [{ type: 'wake' }])).valid).toBe(true);
+      expect(validateConfig(withPolicy({ concurrency: 'parallel' }, [{ type: 'wake' }])).valid).toBe(false);
+    });
+
+    it('should report goto targets that do not exist', () => {
+      const result = validateTasks(withPolicy({ onError: 'goto', goto: 'off' }, [{ type: 'wake' }]));
+
+      expect(result.errors).toEqual([
+        { path: '/tasks/0/goto', message: 'Unknown step id: off', value: 'off' }
+      ]);
+    });
+  });
+
+  describe('event triggers', () => {
+    const config = (task) => ({
+      device: { ip: '10.0.0.1', port: 5555 },
+      tasks: [{ name: 'curfew', actions: [{ type: 'wake' }], ...task }]
+    });
+
+    it('should accept a task with only a trigger', () => {
+      const trigger = { event: 'app:foreground', package: 'com.example' };
+
+      expect(validateConfig(config({ trigger })).valid).toBe(true);
+      expect(validateTasks(config({ trigger })).valid).toBe(true);
+      expect(validateConfig(config({ trigger, schedule: '0 0 7 * * *' })).valid).toBe(true);
+    });
+
+    it('should report invalid triggers and unknown trigger devices', () => {
+      expect(validateTasks(config({ trigger: { event: 'app:time-limit', package: 'com.example', limit: 'later' } })).errors).toEqual([
+        { path: '/tasks/0/trigger', message: 'Invalid trigger limit: later', value: { event: 'app:time-limit', package: 'com.example', limit: 'later' } }
+      ]);
+      expect(validateTasks(config({ trigger: { event: 'screen:on', device: 'attic' } })).errors).toEqual([
+        { path: '/tasks/0/trigger/device', message: 'Unknown device: attic', value: 'attic' }
+      ]);
+    });
+  });
+
+  describe('onSuccess and onFailure', () => {
+    it('should accept hooks naming other tasks and report unknown ones', () => {
+      const config = {
+        device: { ip: '10.0.0.1', port: 5555 },
+        tasks: [
+          { name: 'morning', schedule: '0 0 7 * * *', onFailure: 'notify', onSuccess: ['lights'], actions: [{ type: 'wake' }] },
+          { name: 'notify', schedule: '0 0 7 * * *', enabled: false, actions: [{ type: 'wake' }] }
+        ]
+      };
+
+      expect(validateConfig(config).valid).toBe(true);
+      expect(validateTasks(config).errors).toEqual([
+        { path: '/tasks/0/onSuccess', message: 'Unknown task: lights', value: 'lights' }
+      ]);
+    });
+  });
+
+  describe('exclusion calendars', () => {
+    const withCalendars = (calendars, skipOn) => ({
+      device: { ip: '10.0.0.1', port: 5555 },
+      calendars,
+      tasks: [{ name: 'wakeup', schedule: '0 30 6 * * 1-5', skipOn, actions: [{ type: 'wake' }] }]
+    });
+
+    it('should accept inline and .ics calendars referenced by skipOn', () => {
+      const config = withCalendars({
+        holidays: { ics: './config/holidays.ics' },
+        vacation: { dates: ['2026-08-03/2026-08-14', '2026-10-30'] }
+      }, ['holidays', 'vacation']);
+
+      expect(validateConfig(config).valid).toBe(true);
+      expect(validateTasks(config).valid).toBe(true);
+    });
+
+    it('should reject malformed calendars', () => {
+      expect(validateConfig(withCalendars({ vacation: {} }, [])).valid).toBe(false);
+      expect(validateConfig(withCalendars({ vacation: { dates: ['next week'] } }, [])).valid).toBe(false);
+    });
+
+    it('should reject references to unknown calendars', () => {
+      const result = validateTasks(withCalendars({ holidays: { dates: ['2026-12-25'] } }, ['vacation']));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatchObject({ path: '/tasks/0/skipOn', message: 'Unknown calendar: vacation' });
+    });
+  });
+
+  describe('one-shot and date-window tasks', () => {
+    it('should accept a one-shot task without a schedule', () => {
+      const config = {
+        device: { ip: '10.0.0.1', port: 5555 },
+        tasks: [{ name: 'xmas', at: '2026-12-24T20:00', afterRun: 'delete', actions: [{ type: 'wake' }] }]
+      };
+      expect(validateConfig(config).valid).toBe(true);
+      expect(validateTasks(config).valid).toBe(true);
+    });
+
+    it('should require either schedule or at', () => {
+      const result = validateConfig({
+        device: { ip: '10.0.0.1', port: 5555 },
+        tasks: [{ name: 'nothing', actions: [{ type: 'wake' }] }]
+      });
+      expect(result.valid).toBe(false);
+    });
+
+    it('should report invalid dates and windows', () => {
+      const result = validateTasks({
+        tasks: [
+          { name: 'a', at: 'soon', actions: [{ type: 'wake' }] },
+          { name: 'b', schedule: '0 0 7 * * *', startDate: '2026-12-31', endDate: '2026-12-01', actions: [{ type: 'wake' }] }
+        ]
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(e => e.message)).toEqual([
+        'Invalid at date: soon',
+        'startDate must be before endDate'
+      ]);
+    });
+  });
+
+  describe('device references', () => {
+    const devices = [
+      { name: 'living-room', ip: '192.168.1.100', port: 5555 },
+      { name: 'bedroom', ip: '192.168.1.101', port: 5555 }
+    ];
+
+    it('should pass for known task and action devices', () => {
+      const config = {
+        devices,
+        tasks: [{
+          name: 'test-task',
+          schedule: '0 0 0 * * *',
+          device: 'living-room',
+          actions: [{ type: 'wake' }, { type: 'wake', device: 'bedroom' }]
+        }]
+      };
+      expect(validateTasks(config).valid).toBe(true);
+    });
+
+    it('should fail for duplicate device names', () => {
+      const config = {
+        devices: [...devices, { name: 'bedroom', ip: '192.168.1.102', port: 5555 }],
+        tasks: []
+      };
+      const result = validateTasks(config);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        { path: '/devices/2/name', message: 'Duplicate device name: bedroom', value: 'bedroom' }
+      ]);
+    });
+
+    it('should fail for unknown task device', () => {
+      const config = {
+        devices,
+        tasks: [{
+          name: 'test-task',
+          schedule: '0 0 0 * * *',
+          device: 'garage',
+          actions: [{ type: 'wake' }]
+        }]
+      };
+      const result = validateTasks(config);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].path).toBe('/tasks/0/device');
+    });
+
+    it('should accept a group as task device', () => {
+      const config = {
+        devices,
+        groups: { bedrooms: ['bedroom'] },
+        tasks: [{
+          name: 'test-task',
+          schedule: '0 0 0 * * *',
+          device: 'bedrooms',
+          actions: [{ type: 'wake' }]
+        }]
+      };
+      expect(validateConfig(config).valid).toBe(true);
+      expect(validateTasks(config).valid).toBe(true);
+    });
+
+    it('should fail for groups with unknown members', () => {
+      const config = {
+        devices,
+        groups: { bedrooms: ['bedroom', 'guest-room'] },
+        tasks: []
+      };
+      const result = validateTasks(config);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toBe('Unknown device in group: guest-room');
+    });
+
+    it('should fail when a group name shadows a device name', () => {
+      const config = {
+        devices,
+        groups: { bedroom: ['living-room'] },
+        tasks: []
+      };
+      expect(validateTasks(config).valid).toBe(false);
+    });
+
+    it('should fail for unknown action device', () => {
+      const config = {
+        devices,
+        tasks: [{
+          name: 'test-task',
+          schedule: '0 0 0 * * *',
+          actions: [{ type: 'wake', device: 'garage' }]
+        }]
+      };
+      const result = validateTasks(config);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].path).toBe('/tasks/0/actions/0/device');
+    });
+  });
+
   describe('multiple error collection', () => {
     it('should collect all validation errors', () => {
       const config = {
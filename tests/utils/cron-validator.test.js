@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { validateCronExpression, getNextRunTime } from '../../src/utils/cron-validator.js';
+import { validateCronExpression, getNextRunTime, getNextRunTimes, describeCronExpression, normalizeSchedule, validateSchedule, formatSchedule, validateTaskTiming } from '../../src/utils/cron-validator.js';
 
 describe('cron-validator', () => {
   describe('validateCronExpression', () => {
@@ -37,11 +37,30 @@ describe('cron-validator', () => {
       });
     });
 
+    describe('5-field expressions and macros', () => {
+      it('should accept a 5-field crontab line', () => {
+        const result = validateCronExpression('30 7 * * 1-5');
+        expect(result.valid).toBe(true);
+        expect(result.nextRun.getSeconds()).toBe(0);
+      });
+
+      it('should accept macros in any case', () => {
+        expect(validateCronExpression('@daily').valid).toBe(true);
+        expect(validateCronExpression('@Weekdays').valid).toBe(true);
+      });
+    });
+
     describe('invalid cron expressions', () => {
-      it('should reject 5-field cron expression (missing seconds)', () => {
-        const result = validateCronExpression('30 7 * * *');
+      it('should reject 4-field cron expression', () => {
+        const result = validateCronExpression('30 7 * *');
         expect(result.valid).toBe(false);
-        expect(result.error).toBeDefined();
+        expect(result.error).toContain('expected 5 or 6 fields');
+      });
+
+      it('should reject unknown macros', () => {
+        const result = validateCronExpression('@fortnightly');
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain('Unknown cron macro');
       });
 
       it('should reject invalid second value (60)', () => {
@@ -99,4 +118,124 @@ describe('cron-validator', () => {
       expect(nextRun).toBeNull();
     });
   });
+
+  describe('normalizeSchedule', () => {
+    it('should add seconds to 5-field expressions', () => {
+      expect(normalizeSchedule('30 7 * * 1-5')).toBe('0 30 7 * * 1-5');
+    });
+
+    it('should expand macros', () => {
+      expect(normalizeSchedule('@hourly')).toBe('0 0 * * * *');
+      expect(normalizeSchedule('@weekdays')).toBe('0 0 0 * * 1-5');
+    });
+
+    it('should keep 6-field expressions and solar schedules', () => {
+      expect(normalizeSchedule(' 0 30 7 * * * ')).toBe('0 30 7 * * *');
+      expect(normalizeSchedule({ solar: 'sunset' })).toEqual({ solar: 'sunset' });
+    });
+  });
+
+  describe('getNextRunTimes', () => {
+    it('should return the requested number of runs in the timezone', () => {
+      const from = new Date('2026-10-16T12:00:00Z'); // a Friday
+      const times = getNextRunTimes('0 30 7 * * 1-5', 3, 'Europe/Paris', from);
+
+      expect(times.map(time => time.toISOString())).toEqual([
+        '2026-10-19T05:30:00.000Z',
+        '2026-10-20T05:30:00.000Z',
+        '2026-10-21T05:30:00.000Z'
+      ]);
+    });
+
+    it('should return an empty list for an invalid expression', () => {
+      expect(getNextRunTimes('7 * * *', 3)).toEqual([]);
+    });
+  });
+
+  describe('describeCronExpression', () => {
+    it.each([
+      ['0 30 7 * * 1-5', 'At 07:30:00 on Monday through Friday'],
+      ['0 0 7,19 * * *', 'At 07:00:00 and 19:00:00'],
+      ['0 */15 * * * *', 'Every 15 minutes'],
+      ['0 30 */2 * * *', 'At minute 30 of every 2 hours'],
+      ['0 * 7 * * *', 'Every minute of hour 7'],
+      ['0 0 9 * * SAT,SUN', 'At 09:00:00 on Saturday and Sunday'],
+      ['0 0 8 1,15 * *', 'At 08:00:00 on days 1 and 15 of the month'],
+      ['0 0 8 * 12 *', 'At 08:00:00 in December'],
+      ['30 7 * * 1-5', 'At 07:30:00 on Monday through Friday'],
+      ['@daily', 'At 00:00:00'],
+      ['0 0 8 L * *', 'At 08:00:00 on the last day of the month'],
+      ['0 0 8 * * 5L', 'At 08:00:00 on the last Friday of the month'],
+      ['0 0 8 * * 1#2', 'At 08:00:00 on the second Monday of the month'],
+      ['0 0 8 1,L * *', 'At 08:00:00 on day 1 and the last day of the month']
+    ])('should describe %s', (expression, description) => {
+      expect(describeCronExpression(expression)).toBe(description);
+    });
+
+    it('should return an expression it cannot put into words as written', () => {
+      expect(describeCronExpression('0 0 8 1-10/2,15 * *')).toBe('0 0 8 1-10/2,15 * *');
+    });
+
+    it('should return null for invalid expressions', () => {
+      expect(describeCronExpression('7 * * *')).toBeNull();
+    });
+  });
+
+  describe('validateSchedule', () => {
+    it('should validate cron strings like validateCronExpression', () => {
+      expect(validateSchedule('0 30 7 * * *').valid).toBe(true);
+      expect(validateSchedule('invalid').valid).toBe(false);
+    });
+
+    it('should accept solar schedules', () => {
+      const result = validateSchedule({ solar: 'sunrise', offset: '+30m' });
+      expect(result.valid).toBe(true);
+      expect(result.nextRun).toBeNull();
+    });
+
+    it('should compute the next run when a location is given', () => {
+      const result = validateSchedule({ solar: 'sunset' }, { location: { latitude: 48.85, longitude: 2.35 } });
+      expect(result.nextRun).toBeInstanceOf(Date);
+      expect(result.nextRun.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should reject unknown solar events and bad offsets', () => {
+      expect(validateSchedule({ solar: 'moonrise' }).error).toContain('Invalid solar event');
+      expect(validateSchedule({ solar: 'sunset', offset: 'later' }).error).toContain("Invalid solar offset 'later'");
+    });
+  });
+
+  describe('formatSchedule', () => {
+    it('should format cron and solar schedules', () => {
+      expect(formatSchedule('0 30 7 * * *')).toBe('0 30 7 * * *');
+      expect(formatSchedule({ solar: 'sunset', offset: '+30m' })).toBe('sunset +30m');
+      expect(formatSchedule({ solar: 'dawn' })).toBe('dawn');
+    });
+  });
+
+  describe('validateTaskTiming', () => {
+    it('should resolve at, startDate and endDate in the given timezone', () => {
+      const result = validateTaskTiming({
+        at: '2026-12-24T20:00',
+        startDate: '2026-12-20',
+        endDate: '2027-01-06'
+      }, 'Europe/Berlin');
+
+      expect(result.valid).toBe(true);
+      expect(result.runAt.toISOString()).toBe('2026-12-24T19:00:00.000Z');
+      expect(result.start.toISOString()).toBe('2026-12-19T23:00:00.000Z');
+      // A date-only endDate includes the whole day
+      expect(result.end.toISOString()).toBe('2027-01-06T23:00:00.000Z');
+    });
+
+    it('should reject invalid dates and inverted windows', () => {
+      expect(validateTaskTiming({ at: 'christmas' }).error).toBe('Invalid at date: christmas');
+      expect(validateTaskTiming({ schedule: '0 0 7 * * *', startDate: '2026-02-30' }).error).toBe('Invalid startDate: 2026-02-30');
+      expect(validateTaskTiming({ startDate: '2026-02-01', endDate: '2026-01-01' }).error).toBe('startDate must be before endDate');
+    });
+
+    it('should reject tasks with both schedule and at', () => {
+      expect(validateTaskTiming({ schedule: '0 0 7 * * *', at: '2026-12-24T20:00' }).valid).toBe(false);
+    });
+  });
 });
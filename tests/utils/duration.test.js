@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { parseDuration } from '../../src/utils/duration.js';
+
+describe('parseDuration', () => {
+  it('should parse day, hour, minute and second units', () => {
+    expect(parseDuration('90s')).toBe(90 * 1000);
+    expect(parseDuration('30m')).toBe(30 * 60 * 1000);
+    expect(parseDuration('1h30m')).toBe(90 * 60 * 1000);
+    expect(parseDuration('1d')).toBe(24 * 60 * 60 * 1000);
+  });
+
+  it('should accept non-negative integer milliseconds', () => {
+    expect(parseDuration(0)).toBe(0);
+    expect(parseDuration(5000)).toBe(5000);
+  });
+
+  it('should return null for invalid values', () => {
+    expect(parseDuration('')).toBeNull();
+    expect(parseDuration('-1h')).toBeNull();
+    expect(parseDuration('soon')).toBeNull();
+    expect(parseDuration(1.5)).toBeNull();
+    expect(parseDuration(null)).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { parseIcsDates } from '../../src/utils/ics.js';
+
+/**
+ * Wrap VEVENT lines into a minimal calendar
+ */
+function calendar(...events) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+    'END:VCALENDAR'
+  ].join('\r\n');
+}
+
+/**
+ * Expansion window for recurring events from two YYYY-MM-DD days
+ */
+function window(from, until) {
+  return { from: Date.parse(`${from}T00:00:00Z`), until: Date.parse(`${until}T00:00:00Z`) };
+}
+
+describe('parseIcsDates', () => {
+  it('should treat the DTEND of all-day events as exclusive', () => {
+    const ics = calendar(
+      ['SUMMARY:Christmas', 'DTSTART;VALUE=DATE:20261225', 'DTEND;VALUE=DATE:20261227'],
+      ['SUMMARY:New Year', 'DTSTART;VALUE=DATE:20270101']
+    );
+
+    expect(parseIcsDates(ics)).toEqual({
+      dates: ['2026-12-25', '2026-12-26', '2027-01-01'],
+      recurringEvents: 0
+    });
+  });
+
+  it('should cover every day a timed event touches', () => {
+    const ics = calendar(
+      ['DTSTART;TZID=Europe/Berlin:20260801T180000', 'DTEND;TZID=Europe/Berlin:20260803T100000'],
+      ['DTSTART:20260810T090000Z', 'DTEND:20260811T000000Z']
+    );
+
+    expect(parseIcsDates(ics).dates).toEqual(['2026-08-01', '2026-08-02', '2026-08-03', '2026-08-10']);
+  });
+
+  it('should unfold continuation lines and count recurring events', () => {
+    const ics = calendar(
+      ['SUMMARY:Long', ' name', 'DTSTART;VALUE=DATE:2026', ' 0501', 'RRULE:FREQ=YEARLY;COUNT=2']
+    );
+
+    expect(parseIcsDates(ics, window('2026-01-01', '2030-12-31'))).toEqual({ dates: ['2026-05-01', '2027-05-01'], recurringEvents: 1 });
+  });
+
+  describe('recurring events', () => {
+    it('should repeat a yearly holiday within the window, spanning each occurrence', () => {
+      const ics = calendar(
+        ['SUMMARY:Christmas', 'DTSTART;VALUE=DATE:20201225', 'DTEND;VALUE=DATE:20201227', 'RRULE:FREQ=YEARLY']
+      );
+
+      expect(parseIcsDates(ics, window('2025-01-01', '2027-12-31')).dates).toEqual([
+        '2025-12-25', '2025-12-26', '2026-12-25', '2026-12-26', '2027-12-25', '2027-12-26'
+      ]);
+    });
+
+    it('should expand nth weekdays of a month', () => {
+      const ics = calendar(
+        ['SUMMARY:Thanksgiving', 'DTSTART;VALUE=DATE:20241128', 'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=4TH'],
+        ['SUMMARY:Last Friday', 'DTSTART;VALUE=DATE:20260130', 'RRULE:FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20260331']
+      );
+
+      expect(parseIcsDates(ics, window('2024-01-01', '2026-12-31')).dates).toEqual([
+        '2024-11-28', '2025-11-27', '2026-01-30', '2026-02-27', '2026-03-27', '2026-11-26'
+      ]);
+    });
+
+    it('should expand weekly rules with an interval and leave out EXDATEs', () => {
+      const ics = calendar([
+        'DTSTART;VALUE=DATE:20260103',
+        'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=SA,SU;COUNT=6',
+        'EXDATE;VALUE=DATE:20260117,20260118'
+      ]);
+
+      expect(parseIcsDates(ics, window('2026-01-01', '2026-12-31')).dates).toEqual([
+        '2026-01-03', '2026-01-04', '2026-01-31', '2026-02-01'
+      ]);
+    });
+
+    it('should stop an open-ended rule at the end of the window', () => {
+      const ics = calendar(['DTSTART;VALUE=DATE:20260101', 'RRULE:FREQ=DAILY']);
+
+      expect(parseIcsDates(ics, window('2026-03-01', '2026-03-03')).dates).toEqual(['2026-03-01', '2026-03-02', '2026-03-03']);
+    });
+
+    it('should reject rules that cannot be expanded to days', () => {
+      expect(() => parseIcsDates(calendar(['DTSTART;VALUE=DATE:20260101', 'RRULE:FREQ=MONTHLY;BYDAY=MO,TU;BYSETPOS=-1'])))
+        .toThrow('Unsupported RRULE part BYSETPOS');
+      expect(() => parseIcsDates(calendar(['DTSTART:20260101T090000Z', 'RRULE:FREQ=HOURLY'])))
+        .toThrow('Unsupported RRULE frequency HOURLY');
+      expect(() => parseIcsDates(calendar(['DTSTART;VALUE=DATE:20260101', 'RRULE:FREQ=DAILY;INTERVAL=0'])))
+        .toThrow('Invalid RRULE');
+    });
+  });
+
+  it('should ignore events without a readable DTSTART', () => {
+    expect(parseIcsDates(calendar(['SUMMARY:Broken', 'DTSTART:soon'])).dates).toEqual([]);
+    expect(parseIcsDates('not a calendar').dates).toEqual([]);
+  });
+});
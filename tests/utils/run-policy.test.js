@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { findPolicyErrors, findTaskPolicyErrors, resolvePolicy } from '../../src/utils/run-policy.js';
+
+describe('findPolicyErrors', () => {
+  it('should accept valid settings', () => {
+    const settings = { retries: 3, backoff: { delay: '5s', multiplier: 1.5 }, timeout: '30s', onError: 'goto', goto: 'off' };
+
+    expect(findPolicyErrors(settings, '/actions/0')).toEqual([]);
+  });
+
+  it('should report invalid settings with their paths', () => {
+    const errors = findPolicyErrors({ retries: 11, backoff: { delay: 'soon', multiplier: 0.5 }, timeout: 'forever', onError: 'ignore' }, '/actions/0');
+
+    expect(errors.map(error => error.path)).toEqual([
+      '/actions/0/retries',
+      '/actions/0/backoff/delay',
+      '/actions/0/backoff/multiplier',
+      '/actions/0/timeout',
+      '/actions/0/onError'
+    ]);
+    expect(errors[0].message).toBe('retries must be an integer from 0 to 10');
+  });
+
+  it('should require a goto target with onError goto, and only then', () => {
+    expect(findPolicyErrors({ onError: 'goto' })[0].message).toBe('onError "goto" needs the id of the step to go to');
+    expect(findPolicyErrors({ onError: 'continue', goto: 'off' })[0].message).toBe('goto is only used with onError "goto"');
+  });
+});
+
+describe('findTaskPolicyErrors', () => {
+  it('should report a goto target that is not a top-level step', () => {
+    const task = { onError: 'goto', goto: 'off', actions: [{ type: 'wake' }] };
+
+    expect(findTaskPolicyErrors(task, '/tasks/0')).toEqual([
+      { path: '/tasks/0/goto', message: 'Unknown step id: off', value: 'off' }
+    ]);
+    expect(findTaskPolicyErrors({ ...task, actions: [{ id: 'off', type: 'shutdown' }] })).toEqual([]);
+  });
+
+  it('should report an unknown concurrency policy', () => {
+    expect(findTaskPolicyErrors({ concurrency: 'parallel', actions: [] })).toEqual([
+      { path: '/concurrency', message: 'concurrency must be one of skip, queue, replace', value: 'parallel' }
+    ]);
+  });
+});
+
+describe('resolvePolicy', () => {
+  it('should default to two retries 1s then 2s apart and stop on error', () => {
+    expect(resolvePolicy({}, { type: 'wake' })).toEqual({
+      retries: 2,
+      delay: 1000,
+      multiplier: 2,
+      timeout: null,
+      onError: 'stop',
+      goto: undefined
+    });
+  });
+
+  it('should let step settings override task settings and the action default', () => {
+    const task = { retries: 4, backoff: { delay: '2s', multiplier: 3 }, timeout: '1m', onError: 'continue' };
+    const step = { type: 'wake', backoff: { delay: 500 }, onError: 'goto', goto: 'off' };
+
+    expect(resolvePolicy(task, step, { defaultRetries: 0 })).toEqual({
+      retries: 4,
+      delay: 500,
+      multiplier: 3,
+      timeout: 60000,
+      onError: 'goto',
+      goto: 'off'
+    });
+    expect(resolvePolicy({}, { type: 'wait' }, { defaultRetries: 0 }).retries).toBe(0);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { getSolarEventTime, parseOffset, getNextSolarTime } from '../../src/utils/solar.js';
+
+const LONDON = { latitude: 51.5074, longitude: -0.1278 };
+const TROMSO = { latitude: 69.6492, longitude: 18.9553 };
+
+/**
+ * Absolute difference between two dates in minutes
+ */
+function minutesBetween(a, b) {
+  return Math.abs(a.getTime() - b.getTime()) / 60000;
+}
+
+describe('solar', () => {
+  describe('getSolarEventTime', () => {
+    it('should compute London sunrise and sunset on the summer solstice', () => {
+      const day = new Date('2024-06-21T12:00:00Z');
+
+      const sunrise = getSolarEventTime('sunrise', day, LONDON.latitude, LONDON.longitude);
+      const sunset = getSolarEventTime('sunset', day, LONDON.latitude, LONDON.longitude);
+
+      expect(minutesBetween(sunrise, new Date('2024-06-21T03:43:00Z'))).toBeLessThan(3);
+      expect(minutesBetween(sunset, new Date('2024-06-21T20:21:00Z'))).toBeLessThan(3);
+    });
+
+    it('should place dawn before sunrise and dusk after sunset', () => {
+      const day = new Date('2024-03-20T12:00:00Z');
+      const at = event => getSolarEventTime(event, day, LONDON.latitude, LONDON.longitude).getTime();
+
+      expect(at('dawn')).toBeLessThan(at('sunrise'));
+      expect(at('sunrise')).toBeLessThan(at('solarNoon'));
+      expect(at('solarNoon')).toBeLessThan(at('sunset'));
+      expect(at('sunset')).toBeLessThan(at('dusk'));
+    });
+
+    it('should return null when the sun does not rise (polar night)', () => {
+      const day = new Date('2024-12-21T12:00:00Z');
+      expect(getSolarEventTime('sunrise', day, TROMSO.latitude, TROMSO.longitude)).toBeNull();
+    });
+
+    it('should throw for unknown events', () => {
+      expect(() => getSolarEventTime('moonrise', new Date(), 0, 0)).toThrow('Unknown solar event: moonrise');
+    });
+  });
+
+  describe('parseOffset', () => {
+    it('should parse signed hour, minute and second offsets', () => {
+      expect(parseOffset('+30m')).toBe(30 * 60 * 1000);
+      expect(parseOffset('-1h')).toBe(-60 * 60 * 1000);
+      expect(parseOffset('1h15m')).toBe(75 * 60 * 1000);
+      expect(parseOffset('90s')).toBe(90 * 1000);
+    });
+
+    it('should treat a missing offset as zero', () => {
+      expect(parseOffset(undefined)).toBe(0);
+      expect(parseOffset('')).toBe(0);
+    });
+
+    it('should return null for invalid offsets', () => {
+      expect(parseOffset('soon')).toBeNull();
+      expect(parseOffset('+')).toBeNull();
+      expect(parseOffset('30')).toBeNull();
+      expect(parseOffset(30)).toBeNull();
+    });
+  });
+
+  describe('getNextSolarTime', () => {
+    it('should return the same day event when it is still ahead', () => {
+      const from = new Date('2024-06-21T10:00:00Z');
+      const next = getNextSolarTime({ solar: 'sunset' }, LONDON, from);
+
+      expect(next.toISOString().slice(0, 10)).toBe('2024-06-21');
+    });
+
+    it('should roll over to the next day once the event has passed', () => {
+      const from = new Date('2024-06-21T22:00:00Z');
+      const next = getNextSolarTime({ solar: 'sunset' }, LONDON, from);
+
+      expect(next.toISOString().slice(0, 10)).toBe('2024-06-22');
+    });
+
+    it('should apply the offset', () => {
+      const from = new Date('2024-06-21T10:00:00Z');
+      const plain = getNextSolarTime({ solar: 'sunset' }, LONDON, from);
+      const offset = getNextSolarTime({ solar: 'sunset', offset: '-1h' }, LONDON, from);
+
+      expect(plain.getTime() - offset.getTime()).toBe(60 * 60 * 1000);
+    });
+
+    it('should skip days without the event', () => {
+      const from = new Date('2024-12-21T12:00:00Z');
+      const next = getNextSolarTime({ solar: 'sunrise' }, TROMSO, from);
+
+      expect(next.getTime()).toBeGreaterThan(new Date('2025-01-10T00:00:00Z').getTime());
+    });
+
+    it('should throw for invalid offsets', () => {
+      expect(() => getNextSolarTime({ solar: 'sunset', offset: 'later' }, LONDON)).toThrow('Invalid solar offset: later');
+    });
+  });
+});
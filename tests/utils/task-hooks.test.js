@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { getHookTasks, findHookErrors, resolveHooks } from '../../src/utils/task-hooks.js';
+
+describe('getHookTasks', () => {
+  it('should accept a single name or a list', () => {
+    expect(getHookTasks({ onFailure: 'notify' }, 'onFailure')).toEqual(['notify']);
+    expect(getHookTasks({ onSuccess: ['a', 'b'] }, 'onSuccess')).toEqual(['a', 'b']);
+    expect(getHookTasks({}, 'onSuccess')).toEqual([]);
+  });
+});
+
+describe('findHookErrors', () => {
+  it('should report unknown tasks, self-references and bad values', () => {
+    const task = { name: 'morning', onSuccess: ['morning', 'lights'], onFailure: 42 };
+
+    expect(findHookErrors(task, ['morning', 'notify'], '/tasks/0')).toEqual([
+      { path: '/tasks/0/onSuccess', message: 'A task cannot trigger itself: morning', value: 'morning' },
+      { path: '/tasks/0/onSuccess', message: 'Unknown task: lights', value: 'lights' },
+      { path: '/tasks/0/onFailure', message: 'onFailure must be a task name or a list of task names', value: 42 }
+    ]);
+  });
+});
+
+describe('resolveHooks', () => {
+  const task = { name: 'morning', onSuccess: 'lights', onFailure: ['notify', 'evening'] };
+
+  it('should start onSuccess after a completed run and onFailure after a failed or partial one', () => {
+    expect(resolveHooks(task, { status: 'completed' })).toEqual({ start: ['lights'], blocked: [], chain: ['morning'] });
+    expect(resolveHooks(task, { status: 'partial' }).start).toEqual(['notify', 'evening']);
+    expect(resolveHooks(task, { status: 'cancelled' }).start).toEqual([]);
+    expect(resolveHooks(task, { status: 'skipped' }).start).toEqual([]);
+  });
+
+  it('should block tasks that already ran in the chain', () => {
+    expect(resolveHooks(task, { status: 'failed' }, ['evening'])).toEqual({
+      start: ['notify'],
+      blocked: ['evening'],
+      chain: ['evening', 'morning']
+    });
+  });
+
+  it('should stop long chains', () => {
+    const chain = Array.from({ length: 9 }, (_, i) => `step-${i}`);
+
+    expect(resolveHooks(task, { status: 'completed' }, chain).blocked).toEqual(['lights']);
+  });
+});
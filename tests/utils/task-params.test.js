@@ -0,0 +1,119 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { findParamReferences, findParamErrors, resolveTaskParams, resolveRunVariables } from '../../src/utils/task-params.js';
+
+describe('findParamReferences', () => {
+  it('should list params referenced by nested steps with their paths', () => {
+    const steps = [
+      { type: 'play-video', url: '${params.videoUrl}' },
+      { type: 'forEach', items: ['${params.first}'], steps: [{ type: 'launch-app', package: '${item}' }] }
+    ];
+
+    expect(findParamReferences(steps, '/actions')).toEqual([
+      { name: 'videoUrl', path: '/actions/0' },
+      { name: 'first', path: '/actions/1' }
+    ]);
+  });
+});
+
+describe('findParamErrors', () => {
+  it('should accept declared references', () => {
+    const task = {
+      params: { videoUrl: { default: 'https://youtube.com/watch?v=abc' }, loud: { type: 'boolean' } },
+      actions: [{ type: 'play-video', url: '${params.videoUrl}' }, { type: 'launch-app', package: '${env.ATV_TASK_APP}' }]
+    };
+
+    expect(findParamErrors(task, '/tasks/0')).toEqual([]);
+  });
+
+  it('should report undeclared references and bad declarations', () => {
+    const task = {
+      params: { count: { type: 'number', default: 'three' }, mode: { type: 'date' } },
+      actions: [{ type: 'play-video', url: '${params.videoUrl}' }]
+    };
+
+    expect(findParamErrors(task, '/tasks/0')).toEqual([
+      { path: '/tasks/0/params/count/default', message: 'Default of parameter count must be a number', value: 'three' },
+      { path: '/tasks/0/params/mode/type', message: 'Invalid parameter type: expected one of string, number, boolean', value: 'date' },
+      { path: '/tasks/0/actions/0', message: 'Undeclared parameter: videoUrl', value: 'videoUrl' }
+    ]);
+  });
+
+  it('should require defaults for the params of a task that runs on its own', () => {
+    const params = { videoUrl: {}, volume: { type: 'number', default: 5 } };
+
+    for (const timing of [{ schedule: '0 0 20 * * *' }, { at: '2099-01-01T08:00' }, { trigger: { event: 'screen:on' } }]) {
+      expect(findParamErrors({ ...timing, params, actions: [] }, '/tasks/0')).toEqual([{
+        path: '/tasks/0/params/videoUrl',
+        message: 'Parameter videoUrl needs a default: the task runs on its schedule or trigger, where no params are supplied',
+        value: 'videoUrl'
+      }]);
+    }
+  });
+
+  it('should reject whole scopes and environment variables outside ATV_TASK_', () => {
+    const task = {
+      actions: [
+        { type: 'open-intent', action: 'android.intent.action.VIEW', extras: '${env}' },
+        { type: 'type-text', text: '${params}' },
+        { type: 'type-text', text: 'token ${env.SECRET_TOKEN}' }
+      ]
+    };
+
+    expect(findParamErrors(task, '/tasks/0')).toEqual([
+      { path: '/tasks/0/actions/0', message: '${env} cannot be used as a whole; reference a member, e.g. ${env.name}', value: 'env' },
+      { path: '/tasks/0/actions/1', message: '${params} cannot be used as a whole; reference a member, e.g. ${params.name}', value: 'params' },
+      { path: '/tasks/0/actions/2', message: 'Environment variable SECRET_TOKEN is not available to tasks; only ATV_TASK_* variables are', value: 'SECRET_TOKEN' }
+    ]);
+  });
+});
+
+describe('resolveRunVariables', () => {
+  afterEach(() => {
+    delete process.env.ATV_TASK_APP;
+    delete process.env.SECRET_TOKEN;
+  });
+
+  it('should only expose ATV_TASK_ environment variables', () => {
+    process.env.ATV_TASK_APP = 'org.xbmc.kodi';
+    process.env.SECRET_TOKEN = 'hunter2';
+
+    const { env } = resolveRunVariables({ actions: [] });
+
+    expect(env.ATV_TASK_APP).toBe('org.xbmc.kodi');
+    expect(Object.keys(env).every(name => name.startsWith('ATV_TASK_'))).toBe(true);
+  });
+});
+
+describe('resolveTaskParams', () => {
+  const declared = {
+    videoUrl: {},
+    volume: { type: 'number', default: 5 },
+    loop: { type: 'boolean', default: false }
+  };
+
+  it('should fill defaults and convert supplied values to the declared type', () => {
+    expect(resolveTaskParams(declared, { videoUrl: 'abc', volume: '8', loop: 'true' })).toEqual({
+      videoUrl: 'abc',
+      volume: 8,
+      loop: true
+    });
+    expect(resolveTaskParams(declared, { videoUrl: 'abc' })).toEqual({ videoUrl: 'abc', volume: 5, loop: false });
+  });
+
+  it('should resolve to no params for tasks without declarations', () => {
+    expect(resolveTaskParams(undefined, undefined)).toEqual({});
+  });
+
+  it('should reject missing, unknown and mistyped params', () => {
+    expect(() => resolveTaskParams(declared, {})).toThrow('Missing required parameter: videoUrl');
+    expect(() => resolveTaskParams(declared, { videoUrl: 'a', speed: 2 })).toThrow('Unknown parameter: speed');
+    expect(() => resolveTaskParams(declared, { videoUrl: 'a', volume: 'loud' })).toThrow('Parameter volume must be a number');
+    expect(() => resolveTaskParams(declared, { videoUrl: { nested: true } })).toThrow('Parameter videoUrl must be a string');
+
+    try {
+      resolveTaskParams(declared, []);
+    } catch (error) {
+      expect(error.code).toBe('INVALID_PARAMS');
+    }
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { renderTemplate, renderValue, findPlaceholders } from '../../src/utils/template.js';
+
+describe('renderTemplate', () => {
+  it('should substitute placeholders inside strings', () => {
+    expect(renderTemplate('https://youtube.com/watch?v=${item}', { item: 'abc' })).toBe('https://youtube.com/watch?v=abc');
+    expect(renderTemplate('${video.id}-${n}', { video: { id: 'x' }, n: 2 })).toBe('x-2');
+  });
+
+  it('should keep the type of a value when the string is a single placeholder', () => {
+    expect(renderTemplate('${n}', { n: 5000 })).toBe(5000);
+  });
+
+  it('should leave unknown placeholders untouched', () => {
+    expect(renderTemplate('${missing} and ${item}', { item: 'a' })).toBe('${missing} and a');
+    expect(renderTemplate('${missing}', {})).toBe('${missing}');
+  });
+});
+
+describe('renderValue', () => {
+  it('should render nested objects and arrays without changing the input', () => {
+    const value = { url: '${item}', extras: ['${item}', 3], flag: true };
+
+    expect(renderValue(value, { item: 'a' })).toEqual({ url: 'a', extras: ['a', 3], flag: true });
+    expect(value.url).toBe('${item}');
+  });
+});
+
+describe('findPlaceholders', () => {
+  it('should list placeholder paths in nested values', () => {
+    expect(findPlaceholders({ url: '${params.url}', extras: ['${item}-${env.HOME}', 5] })).toEqual(['params.url', 'item', 'env.HOME']);
+    expect(findPlaceholders('plain')).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { validateTimezone, getSystemTimezone, parseDateTimeInTimezone, getNextTimeOfDay } from '../../src/utils/timezone.js';
+
+describe('validateTimezone', () => {
+  it('should accept IANA timezone names', () => {
+    expect(validateTimezone('Europe/Berlin').valid).toBe(true);
+    expect(validateTimezone('America/New_York').valid).toBe(true);
+    expect(validateTimezone('UTC').valid).toBe(true);
+  });
+
+  it('should reject unknown timezone names', () => {
+    const result = validateTimezone('Mars/Olympus_Mons');
+    expect(result.valid).toBe(false);
+    expect(result.error).toBe('Unknown timezone: Mars/Olympus_Mons');
+  });
+
+  it('should reject empty values', () => {
+    expect(validateTimezone('').valid).toBe(false);
+    expect(validateTimezone(undefined).valid).toBe(false);
+  });
+});
+
+describe('getSystemTimezone', () => {
+  it('should return a valid timezone name', () => {
+    expect(validateTimezone(getSystemTimezone()).valid).toBe(true);
+  });
+});
+
+describe('parseDateTimeInTimezone', () => {
+  it('should read wall-clock times in the given timezone', () => {
+    expect(parseDateTimeInTimezone('2026-12-24T20:00', 'Europe/Berlin').toISOString()).toBe('2026-12-24T19:00:00.000Z');
+    expect(parseDateTimeInTimezone('2026-07-01 20:00:30', 'America/New_York').toISOString()).toBe('2026-07-02T00:00:30.000Z');
+  });
+
+  it('should keep explicit offsets', () => {
+    expect(parseDateTimeInTimezone('2026-12-24T20:00:00Z', 'Asia/Tokyo').toISOString()).toBe('2026-12-24T20:00:00.000Z');
+  });
+
+  it('should resolve date-only values to the start or end of the day', () => {
+    expect(parseDateTimeInTimezone('2026-01-06', 'UTC').toISOString()).toBe('2026-01-06T00:00:00.000Z');
+    expect(parseDateTimeInTimezone('2026-01-06', 'UTC', { endOfDay: true }).toISOString()).toBe('2026-01-07T00:00:00.000Z');
+  });
+
+  it('should return null for invalid values', () => {
+    expect(parseDateTimeInTimezone('2026-02-30', 'UTC')).toBeNull();
+    expect(parseDateTimeInTimezone('tomorrow', 'UTC')).toBeNull();
+    expect(parseDateTimeInTimezone(20261224, 'UTC')).toBeNull();
+  });
+});
+
+describe('getNextTimeOfDay', () => {
+  const from = new Date('2026-06-01T10:00:00Z');
+
+  it('should return the time later the same day', () => {
+    expect(getNextTimeOfDay('18:00', 'Europe/Berlin', from).toISOString()).toBe('2026-06-01T16:00:00.000Z');
+  });
+
+  it('should roll over to the next day once the time has passed', () => {
+    expect(getNextTimeOfDay('09:30', 'UTC', from).toISOString()).toBe('2026-06-02T09:30:00.000Z');
+  });
+
+  it('should return null for malformed times', () => {
+    expect(getNextTimeOfDay('24:00', 'UTC', from)).toBeNull();
+    expect(getNextTimeOfDay('6pm', 'UTC', from)).toBeNull();
+  });
+});
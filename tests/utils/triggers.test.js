@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { validateTrigger, toTriggerEvent, matchTrigger, needsDeviceMonitor, describeTrigger } from '../../src/utils/triggers.js';
+
+describe('validateTrigger', () => {
+  it('should accept valid triggers', () => {
+    expect(validateTrigger({ event: 'screen:on' })).toBeNull();
+    expect(validateTrigger({ event: 'device:connected', device: 'bedroom' })).toBeNull();
+    expect(validateTrigger({ event: 'app:foreground' })).toBeNull();
+    expect(validateTrigger({ event: 'app:time-limit', package: 'com.example', limit: '1h30m' })).toBeNull();
+  });
+
+  it('should reject invalid triggers', () => {
+    expect(validateTrigger('screen:on')).toBe('Trigger must be an object');
+    expect(validateTrigger({ event: 'volume:up' })).toMatch(/^Unknown trigger event: volume:up/);
+    expect(validateTrigger({ event: 'screen:on', app: 'x' })).toBe('Unknown trigger field: app');
+    expect(validateTrigger({ event: 'screen:on', package: 'com.example' })).toBe('Trigger event screen:on does not take a package');
+    expect(validateTrigger({ event: 'app:time-limit', limit: '2h' })).toBe('Trigger event app:time-limit needs a package');
+    expect(validateTrigger({ event: 'app:time-limit', package: 'com.example', limit: 'soon' })).toBe('Invalid trigger limit: soon');
+    expect(validateTrigger({ event: 'app:foreground', limit: '2h' })).toBe('Trigger limit is only used with app:time-limit');
+  });
+});
+
+describe('toTriggerEvent', () => {
+  it('should normalize device broadcasts and ignore the rest', () => {
+    expect(toTriggerEvent({ type: 'status:device:connected', data: { target: '10.0.0.1:5555', device: 'default' } }))
+      .toEqual({ event: 'device:connected', device: 'default' });
+    expect(toTriggerEvent({ type: 'status:device:foreground', data: { device: 'default', package: 'com.example', previous: null } }))
+      .toEqual({ event: 'app:foreground', device: 'default', package: 'com.example' });
+    expect(toTriggerEvent({ type: 'task:completed', data: {} })).toBeNull();
+  });
+});
+
+describe('matchTrigger', () => {
+  const foreground = { event: 'app:foreground', device: 'bedroom', package: 'com.example' };
+
+  it('should match on event, device and package', () => {
+    expect(matchTrigger({ event: 'app:foreground' }, foreground)).toBe(true);
+    expect(matchTrigger({ event: 'app:foreground', device: 'bedroom', package: 'com.example' }, foreground)).toBe(true);
+    expect(matchTrigger({ event: 'app:foreground', device: 'living-room' }, foreground)).toBe(false);
+    expect(matchTrigger({ event: 'app:foreground', package: 'com.other' }, foreground)).toBe(false);
+    expect(matchTrigger({ event: 'screen:on' }, foreground)).toBe(false);
+  });
+
+  it('should match a time-limit trigger on the app coming to the foreground', () => {
+    expect(matchTrigger({ event: 'app:time-limit', package: 'com.example', limit: '2h' }, foreground)).toBe(true);
+  });
+});
+
+describe('needsDeviceMonitor and describeTrigger', () => {
+  it('should only poll for screen and app events', () => {
+    expect(needsDeviceMonitor({ event: 'screen:off' })).toBe(true);
+    expect(needsDeviceMonitor({ event: 'device:disconnected' })).toBe(false);
+    expect(needsDeviceMonitor(undefined)).toBe(false);
+  });
+
+  it('should describe triggers', () => {
+    expect(describeTrigger({ event: 'screen:on' })).toBe('On screen:on');
+    expect(describeTrigger({ event: 'app:time-limit', package: 'com.example', limit: '2h', device: 'bedroom' }))
+      .toBe('On app:time-limit com.example after 2h (bedroom)');
+  });
+});
@@ -6,6 +6,10 @@ const mockActions = {};
 // Mock dependencies
 vi.mock('../../../src/services/adb-client.js', () => ({
   getDeviceStatus: vi.fn(() => ({ connected: true })),
+  listDeviceStatuses: vi.fn(() => []),
+  listDeviceNames: vi.fn(() => ['default']),
+  listDeviceGroups: vi.fn(() => ({})),
+  isDeviceGroup: vi.fn(() => false),
   connect: vi.fn(),
   reconnect: vi.fn(),
   captureScreen: vi.fn(),
@@ -20,7 +24,23 @@ vi.mock('../../../src/services/scheduler.js', () => ({
   getSchedulerStatus: vi.fn(() => ({ running: true })),
   getJobs: vi.fn(() => []),
   setTaskEnabled: vi.fn((name, enabled) => ({ name, enabled })),
-  getTaskDetails: vi.fn((name) => ({ name, schedule: '0 0 * * *', actions: [] }))
+  getTaskDetails: vi.fn((name) => ({ name, schedule: '0 0 * * *', actions: [] })),
+  addTask: vi.fn(() => ({ success: true, nextRun: null })),
+  updateTaskConfig: vi.fn(() => ({ success: true, nextRun: null })),
+  removeTask: vi.fn(() => ({ success: true })),
+  recordExecution: vi.fn(),
+  resolveTimezone: vi.fn(task => task.timezone || 'UTC'),
+  getUpcomingRuns: vi.fn(() => [])
+}));
+
+vi.mock('../../../src/services/config-persistence.js', () => ({
+  addTask: vi.fn().mockResolvedValue({}),
+  updateTask: vi.fn().mockResolvedValue({}),
+  deleteTask: vi.fn().mockResolvedValue()
+}));
+
+vi.mock('../../../src/services/history-store.js', () => ({
+  queryHistory: vi.fn().mockResolvedValue({ entries: [], total: 0, limit: 50, offset: 0 })
 }));
 
 vi.mock('../../../src/actions/index.js', () => ({
@@ -28,6 +48,10 @@ vi.mock('../../../src/actions/index.js', () => ({
   getAction: vi.fn((type) => mockActions[type])
 }));
 
+vi.mock('../../../src/services/device-state.js', () => ({
+  readVolume: vi.fn()
+}));
+
 vi.mock('../../../src/services/app-manager.js', () => ({
   listInstalledApps: vi.fn(() => []),
   getAppApkPath: vi.fn(() => '/data/app/test/base.apk')
@@ -41,6 +65,7 @@ vi.mock('../../../src/services/executor.js', () => ({
 }));
 
 vi.mock('../../../src/utils/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
   getRecentLogs: vi.fn(() => ({ logs: [], hasMore: false }))
 }));
 
@@ -60,6 +85,8 @@ describe('API Routes', () => {
     mockActions['force-stop'] = { name: 'force-stop', execute: vi.fn().mockResolvedValue({ success: true }) };
     mockActions['clear-cache'] = { name: 'clear-cache', execute: vi.fn().mockResolvedValue({ success: true }) };
     mockActions['uninstall-app'] = { name: 'uninstall-app', execute: vi.fn().mockResolvedValue({ success: true }) };
+    mockActions['type-text'] = { name: 'type-text', execute: vi.fn().mockResolvedValue({ success: true }) };
+    mockActions['set-volume'] = { name: 'set-volume', execute: vi.fn().mockResolvedValue({ success: true }) };
 
     routes = {};
     app = {
@@ -168,6 +195,23 @@ describe('API Routes', () => {
       });
   });
 
+  describe('Status', () => {
+      it('should report the command queue depth of each device', async () => {
+          const { listDeviceStatuses } = await import('../../../src/services/adb-client.js');
+          listDeviceStatuses.mockReturnValueOnce([{ name: 'default', connected: true, target: '10.0.0.1:5555', queueDepth: 2 }]);
+
+          const res = await request('GET', '/api/v1/status');
+
+          expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+              success: true,
+              data: expect.objectContaining({
+                  device: expect.objectContaining({ queueDepth: 0 }),
+                  devices: [expect.objectContaining({ name: 'default', queueDepth: 2 })]
+              })
+          }));
+      });
+  });
+
   describe('Tasks & Activity', () => {
       it('should register GET /api/v1/tasks', async () => {
           const getJobs = (await import('../../../src/services/scheduler.js')).getJobs;
@@ -294,6 +338,7 @@ describe('API Routes', () => {
       describe('POST /api/v1/tasks/:name/run', () => {
           it('should run a task immediately when device is connected', async () => {
               const executeTask = (await import('../../../src/services/executor.js')).executeTask;
+              const recordExecution = (await import('../../../src/services/scheduler.js')).recordExecution;
               const getDevice = (await import('../../../src/services/adb-client.js')).getDevice;
               const getTaskDetails = (await import('../../../src/services/scheduler.js')).getTaskDetails;
 
@@ -307,6 +352,7 @@ describe('API Routes', () => {
               expect(res).not.toBeNull();
 
               expect(executeTask).toHaveBeenCalled();
+              expect(recordExecution).toHaveBeenCalledWith('test-task', expect.objectContaining({ status: 'completed' }), expect.any(Number), expect.any(Number));
               expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
                   success: true,
                   data: expect.objectContaining({
@@ -380,6 +426,43 @@ describe('API Routes', () => {
               }));
           });
 
+          it('should report partial success for group tasks', async () => {
+              const executeTask = (await import('../../../src/services/executor.js')).executeTask;
+              const { getDevice, isDeviceGroup } = await import('../../../src/services/adb-client.js');
+              const getTaskDetails = (await import('../../../src/services/scheduler.js')).getTaskDetails;
+
+              // Group names have no device handle of their own
+              getDevice.mockReturnValue(null);
+              isDeviceGroup.mockReturnValue(true);
+              getTaskDetails.mockReturnValue({ name: 'test-task', device: 'bedrooms', actions: [{ type: 'wake' }] });
+              executeTask.mockResolvedValue({
+                  success: false,
+                  status: 'partial',
+                  duration: 100,
+                  error: 'kids: Device not connected',
+                  devices: [
+                      { device: 'master', success: true, status: 'completed', results: [] },
+                      { device: 'kids', success: false, status: 'failed', error: 'Device not connected', results: [] }
+                  ]
+              });
+
+              const res = await request('POST', '/api/v1/tasks/:name/run', {}, { name: 'test-task' });
+
+              expect(res.status).toHaveBeenCalledWith(207);
+              expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                  success: true,
+                  data: expect.objectContaining({
+                      status: 'partial',
+                      devices: [
+                          { device: 'master', success: true, status: 'completed', error: null },
+                          { device: 'kids', success: false, status: 'failed', error: 'Device not connected' }
+                      ]
+                  })
+              }));
+
+              isDeviceGroup.mockReturnValue(false);
+          });
+
           it('should handle network errors when running task', async () => {
               const executeTask = (await import('../../../src/services/executor.js')).executeTask;
               const getDevice = (await import('../../../src/services/adb-client.js')).getDevice;
@@ -421,9 +504,443 @@ describe('API Routes', () => {
               expect(executeTask).toHaveBeenCalledWith(
                   expect.objectContaining({ name: 'test-task' }),
                   expect.anything(),
-                  expect.any(Object)
+                  expect.any(Object),
+                  { params: {} }
+              );
+          });
+
+          it('should pass resolved params to executeTask', async () => {
+              const executeTask = (await import('../../../src/services/executor.js')).executeTask;
+              const getDevice = (await import('../../../src/services/adb-client.js')).getDevice;
+              const getTaskDetails = (await import('../../../src/services/scheduler.js')).getTaskDetails;
+
+              getDevice.mockReturnValue({ shell: vi.fn() });
+              getTaskDetails.mockReturnValue({
+                  name: 'test-task',
+                  schedule: '0 0 * * *',
+                  params: { videoUrl: {}, volume: { type: 'number', default: 5 } },
+                  actions: [{ type: 'play-video', url: '${params.videoUrl}' }]
+              });
+              executeTask.mockResolvedValue({ success: true, status: 'completed', duration: 100 });
+
+              await request('POST', '/api/v1/tasks/:name/run', { params: { videoUrl: 'https://youtube.com/watch?v=abc' } }, { name: 'test-task' });
+
+              expect(executeTask).toHaveBeenCalledWith(
+                  expect.objectContaining({ name: 'test-task' }),
+                  expect.anything(),
+                  expect.any(Object),
+                  { params: { videoUrl: 'https://youtube.com/watch?v=abc', volume: 5 } }
               );
           });
+
+          it('should reject runs with missing or unknown params', async () => {
+              const executeTask = (await import('../../../src/services/executor.js')).executeTask;
+              const getDevice = (await import('../../../src/services/adb-client.js')).getDevice;
+              const getTaskDetails = (await import('../../../src/services/scheduler.js')).getTaskDetails;
+
+              getDevice.mockReturnValue({ shell: vi.fn() });
+              getTaskDetails.mockReturnValue({ name: 'test-task', schedule: '0 0 * * *', params: { videoUrl: {} }, actions: [] });
+
+              const missing = await request('POST', '/api/v1/tasks/:name/run', {}, { name: 'test-task' });
+              const unknown = await request('POST', '/api/v1/tasks/:name/run', { params: { videoUrl: 'x', extra: 1 } }, { name: 'test-task' });
+
+              expect(missing.status).toHaveBeenCalledWith(400);
+              expect(missing.json).toHaveBeenCalledWith(expect.objectContaining({
+                  error: expect.objectContaining({ code: 'INVALID_PARAMS', message: 'Missing required parameter: videoUrl' })
+              }));
+              expect(unknown.json).toHaveBeenCalledWith(expect.objectContaining({
+                  error: expect.objectContaining({ code: 'INVALID_PARAMS', message: 'Unknown parameter: extra' })
+              }));
+              expect(executeTask).not.toHaveBeenCalled();
+          });
+
+          it('should preview a run with dryRun=true without a device', async () => {
+              const executeTask = (await import('../../../src/services/executor.js')).executeTask;
+              const getDevice = (await import('../../../src/services/adb-client.js')).getDevice;
+              const getTaskDetails = (await import('../../../src/services/scheduler.js')).getTaskDetails;
+
+              getDevice.mockReturnValue(null);
+              getTaskDetails.mockReturnValue({
+                  name: 'test-task',
+                  schedule: '0 0 * * *',
+                  params: { app: {} },
+                  actions: [{ type: 'force-stop', package: '${params.app}' }]
+              });
+              mockActions['force-stop'].plan = vi.fn(params => ({
+                  success: true,
+                  message: `Would force-stop ${params.package}`,
+                  data: { commands: [`am force-stop '${params.package}'`] }
+              }));
+
+              const res = await request('POST', '/api/v1/tasks/:name/run', { params: { app: 'com.example.app' } }, { name: 'test-task' }, { dryRun: 'true' });
+
+              expect(executeTask).not.toHaveBeenCalled();
+              const { data } = res.json.mock.calls[0][0];
+              expect(data).toMatchObject({ taskName: 'test-task', dryRun: true, valid: true, errors: [] });
+              expect(data.steps[0].commands).toEqual(["am force-stop 'com.example.app'"]);
+          });
+
+          it('should reject a dry run with missing params', async () => {
+              const getTaskDetails = (await import('../../../src/services/scheduler.js')).getTaskDetails;
+
+              getTaskDetails.mockReturnValue({ name: 'test-task', schedule: '0 0 * * *', params: { app: {} }, actions: [] });
+
+              const res = await request('POST', '/api/v1/tasks/:name/run', {}, { name: 'test-task' }, { dryRun: 'true' });
+
+              expect(res.status).toHaveBeenCalledWith(400);
+              expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                  error: expect.objectContaining({ code: 'INVALID_PARAMS' })
+              }));
+          });
+
+          it('should return TASK_RUNNING when the run was skipped because the task is running', async () => {
+              const executeTask = (await import('../../../src/services/executor.js')).executeTask;
+              const getDevice = (await import('../../../src/services/adb-client.js')).getDevice;
+              const getTaskDetails = (await import('../../../src/services/scheduler.js')).getTaskDetails;
+
+              getDevice.mockReturnValue({ shell: vi.fn() });
+              getTaskDetails.mockReturnValue({ name: 'test-task', schedule: '0 0 * * *', actions: [] });
+              executeTask.mockResolvedValue({ success: true, status: 'skipped', reason: 'Already running', code: 'TASK_RUNNING', results: [], duration: 0 });
+
+              const res = await request('POST', '/api/v1/tasks/:name/run', {}, { name: 'test-task' });
+
+              expect(res.status).toHaveBeenCalledWith(409);
+              expect(res.json).toHaveBeenCalledWith({
+                  success: false,
+                  error: { code: 'TASK_RUNNING', message: "Task 'test-task' is already running", details: { taskName: 'test-task' } }
+              });
+          });
+      });
+  });
+
+  describe('Task CRUD', () => {
+      describe('POST /api/v1/tasks', () => {
+          it('should create a one-shot task with at and afterRun', async () => {
+              const { addTask: addTaskToConfig } = await import('../../../src/services/config-persistence.js');
+
+              const res = await request('POST', '/api/v1/tasks', {
+                  name: 'xmas',
+                  at: '2099-12-24T20:00',
+                  afterRun: 'delete',
+                  actions: [{ type: 'wake' }]
+              });
+
+              expect(res.status).toHaveBeenCalledWith(201);
+              expect(addTaskToConfig).toHaveBeenCalledWith({
+                  name: 'xmas',
+                  at: '2099-12-24T20:00',
+                  afterRun: 'delete',
+                  actions: [{ type: 'wake' }]
+              });
+          });
+
+          it('should reject one-shot times in the past', async () => {
+              const res = await request('POST', '/api/v1/tasks', {
+                  name: 'late',
+                  at: '2020-01-01T08:00',
+                  actions: [{ type: 'wake' }]
+              });
+
+              expect(res.status).toHaveBeenCalledWith(400);
+              expect(res.json).toHaveBeenCalledWith({
+                  success: false,
+                  error: { code: 'VALIDATION_ERROR', message: 'One-shot time must be in the future' }
+              });
+          });
+
+          it('should resolve one-shot times in the global default timezone', async () => {
+              const { resolveTimezone } = await import('../../../src/services/scheduler.js');
+              resolveTimezone.mockImplementationOnce(task => task.timezone || 'Pacific/Kiritimati');
+              // Two hours ahead in UTC wall time, but already past at UTC+14
+              const at = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString().slice(0, 16);
+
+              const res = await request('POST', '/api/v1/tasks', { name: 'soon', at, actions: [{ type: 'wake' }] });
+
+              expect(res.status).toHaveBeenCalledWith(400);
+              expect(res.json).toHaveBeenCalledWith({
+                  success: false,
+                  error: { code: 'VALIDATION_ERROR', message: 'One-shot time must be in the future' }
+              });
+          });
+
+          it('should keep a disabled task disabled when it is updated', async () => {
+              const { getTaskDetails, updateTaskConfig } = await import('../../../src/services/scheduler.js');
+              const { updateTask: updateTaskInConfig } = await import('../../../src/services/config-persistence.js');
+              getTaskDetails.mockReturnValueOnce({ name: 'evening', schedule: '0 0 20 * * *', enabled: false, actions: [] });
+
+              const res = await request('PUT', '/api/v1/tasks/:name', {
+                  name: 'evening',
+                  schedule: '0 0 21 * * *',
+                  actions: [{ type: 'wake' }]
+              }, { name: 'evening' });
+
+              expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+              expect(updateTaskInConfig).toHaveBeenCalledWith('evening', expect.objectContaining({ enabled: false }));
+              expect(updateTaskConfig).toHaveBeenCalledWith('evening', expect.objectContaining({ enabled: false }));
+          });
+
+          it('should reject skipOn references to unknown calendars', async () => {
+              const res = await request('POST', '/api/v1/tasks', {
+                  name: 'wakeup',
+                  schedule: '0 30 6 * * 1-5',
+                  skipOn: ['holidays'],
+                  actions: [{ type: 'wake' }]
+              });
+
+              expect(res.status).toHaveBeenCalledWith(400);
+              expect(res.json).toHaveBeenCalledWith({
+                  success: false,
+                  error: { code: 'UNKNOWN_CALENDAR', message: 'Unknown calendar: holidays' }
+              });
+          });
+
+          it('should store a date window with a schedule', async () => {
+              const { addTask: addTaskToConfig } = await import('../../../src/services/config-persistence.js');
+
+              const res = await request('POST', '/api/v1/tasks', {
+                  name: 'holiday',
+                  schedule: '0 0 7 * * *',
+                  startDate: '2099-12-20',
+                  endDate: '2100-01-06',
+                  actions: [{ type: 'wake' }]
+              });
+
+              expect(res.status).toHaveBeenCalledWith(201);
+              expect(addTaskToConfig).toHaveBeenCalledWith(expect.objectContaining({
+                  startDate: '2099-12-20',
+                  endDate: '2100-01-06'
+              }));
+          });
+
+          it('should reject references to undeclared params', async () => {
+              const res = await request('POST', '/api/v1/tasks', {
+                  name: 'video',
+                  schedule: '0 0 20 * * *',
+                  params: { videoUrl: { default: 'https://youtube.com/watch?v=abc' } },
+                  actions: [{ type: 'launch-app', package: '${params.app}' }]
+              });
+
+              expect(res.status).toHaveBeenCalledWith(400);
+              expect(res.json).toHaveBeenCalledWith({
+                  success: false,
+                  error: { code: 'INVALID_PARAMS', message: 'Undeclared parameter: app', details: { path: '/actions/0' } }
+              });
+          });
+
+          it('should store task retry and onError settings', async () => {
+              const { addTask: addTaskToConfig } = await import('../../../src/services/config-persistence.js');
+
+              const res = await request('POST', '/api/v1/tasks', {
+                  name: 'evening',
+                  schedule: '0 0 20 * * *',
+                  retries: 1,
+                  onError: 'goto',
+                  goto: 'off',
+                  actions: [{ type: 'wake', timeout: '10s' }, { id: 'off', type: 'force-stop', package: 'com.example' }]
+              });
+
+              expect(res.status).toHaveBeenCalledWith(201);
+              expect(addTaskToConfig).toHaveBeenCalledWith(expect.objectContaining({ retries: 1, onError: 'goto', goto: 'off' }));
+          });
+
+          it('should reject a goto target that is not a step', async () => {
+              const res = await request('POST', '/api/v1/tasks', {
+                  name: 'evening',
+                  schedule: '0 0 20 * * *',
+                  onError: 'goto',
+                  goto: 'off',
+                  actions: [{ type: 'wake' }]
+              });
+
+              expect(res.status).toHaveBeenCalledWith(400);
+              expect(res.json).toHaveBeenCalledWith({
+                  success: false,
+                  error: { code: 'VALIDATION_ERROR', message: 'Unknown step id: off', details: { path: '/goto' } }
+              });
+          });
+
+          it('should create a task that only runs on its trigger', async () => {
+              const { addTask: addTaskToConfig } = await import('../../../src/services/config-persistence.js');
+
+              const res = await request('POST', '/api/v1/tasks', {
+                  name: 'curfew',
+                  trigger: { event: 'app:time-limit', package: 'com.example', limit: '2h' },
+                  actions: [{ type: 'wake' }]
+              });
+
+              expect(res.status).toHaveBeenCalledWith(201);
+              expect(addTaskToConfig).toHaveBeenCalledWith({
+                  name: 'curfew',
+                  trigger: { event: 'app:time-limit', package: 'com.example', limit: '2h' },
+                  actions: [{ type: 'wake' }]
+              });
+          });
+
+          it('should reject invalid triggers', async () => {
+              const res = await request('POST', '/api/v1/tasks', {
+                  name: 'curfew',
+                  trigger: { event: 'app:time-limit', package: 'com.example' },
+                  actions: [{ type: 'wake' }]
+              });
+
+              expect(res.status).toHaveBeenCalledWith(400);
+              expect(res.json).toHaveBeenCalledWith({
+                  success: false,
+                  error: { code: 'VALIDATION_ERROR', message: 'Invalid trigger limit: undefined', details: { path: '/trigger' } }
+              });
+          });
+
+          it('should require a schedule or at', async () => {
+              const res = await request('POST', '/api/v1/tasks', { name: 'none', actions: [{ type: 'wake' }] });
+
+              expect(res.status).toHaveBeenCalledWith(400);
+              expect(res.json).toHaveBeenCalledWith({
+                  success: false,
+                  error: { code: 'VALIDATION_ERROR', message: 'Schedule is required' }
+              });
+          });
+      });
+  });
+
+  describe('Runs', () => {
+      it('should list and cancel runs in progress', async () => {
+          const { startRun, finishRun } = await import('../../../src/services/run-registry.js');
+          const { id, signal } = startRun('signage');
+
+          const list = await request('GET', '/api/v1/runs');
+          const res = await request('DELETE', '/api/v1/runs/:id', {}, { id });
+          finishRun(id);
+
+          expect(list.json).toHaveBeenCalledWith({
+              success: true,
+              data: { runs: [expect.objectContaining({ id, task: 'signage' })] }
+          });
+          expect(signal.aborted).toBe(true);
+          expect(res.json).toHaveBeenCalledWith({
+              success: true,
+              data: { run: expect.objectContaining({ id, cancelling: true }) }
+          });
+      });
+
+      it('should return RUN_NOT_FOUND for runs that are not in progress', async () => {
+          const res = await request('DELETE', '/api/v1/runs/:id', {}, { id: 'run_missing' });
+
+          expect(res.status).toHaveBeenCalledWith(404);
+          expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+              error: expect.objectContaining({ code: 'RUN_NOT_FOUND' })
+          }));
+      });
+  });
+
+  describe('Execution History', () => {
+      describe('GET /api/v1/history', () => {
+          it('should pass filters and pagination to the history store', async () => {
+              const { queryHistory } = await import('../../../src/services/history-store.js');
+              queryHistory.mockResolvedValue({ entries: [{ task: 'morning', status: 'failed' }], total: 1, limit: 10, offset: 0 });
+
+              const res = await request('GET', '/api/v1/history', {}, {}, {
+                  task: 'morning',
+                  status: 'failed',
+                  from: '2026-01-01T00:00:00Z',
+                  limit: '10'
+              });
+
+              expect(queryHistory).toHaveBeenCalledWith({
+                  task: 'morning',
+                  status: 'failed',
+                  from: '2026-01-01T00:00:00Z',
+                  to: undefined,
+                  limit: 10,
+                  offset: undefined
+              });
+              expect(res.json).toHaveBeenCalledWith({
+                  success: true,
+                  data: { entries: [{ task: 'morning', status: 'failed' }], total: 1, limit: 10, offset: 0 }
+              });
+          });
+
+          it('should reject invalid dates', async () => {
+              const res = await request('GET', '/api/v1/history', {}, {}, { to: 'yesterday-ish' });
+
+              expect(res.status).toHaveBeenCalledWith(400);
+              expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                  success: false,
+                  error: expect.objectContaining({ code: 'VALIDATION_ERROR' })
+              }));
+          });
+      });
+  });
+
+  describe('Timeline', () => {
+      describe('GET /api/v1/timeline', () => {
+          it('should combine upcoming runs and recorded runs, oldest first', async () => {
+              const { queryHistory } = await import('../../../src/services/history-store.js');
+              const { getUpcomingRuns } = await import('../../../src/services/scheduler.js');
+              queryHistory.mockResolvedValue({
+                  entries: [
+                      { task: 'evening', status: 'failed', startTime: '2026-03-02T20:00:00.000Z', duration: 10, error: 'Device not connected' },
+                      { task: 'morning', status: 'completed', startTime: '2026-03-02T07:30:00.000Z', duration: 20, runId: 'r1' }
+                  ],
+                  total: 2, limit: 500, offset: 0
+              });
+              getUpcomingRuns.mockReturnValue([
+                  { task: 'morning', time: new Date('2026-03-03T07:30:00Z'), schedule: '0 30 7 * * *' }
+              ]);
+
+              const res = await request('GET', '/api/v1/timeline', {}, {}, { from: '2026-03-02T00:00:00Z', to: '2026-03-09T00:00:00Z' });
+
+              expect(queryHistory).toHaveBeenCalledWith(expect.objectContaining({ limit: 500 }));
+              expect(getUpcomingRuns).toHaveBeenCalledWith(new Date('2026-03-02T00:00:00Z'), new Date('2026-03-09T00:00:00Z'));
+              const { data } = res.json.mock.calls[0][0];
+              expect(data.past.map(run => run.task)).toEqual(['morning', 'evening']);
+              expect(data.past[1]).toMatchObject({ status: 'failed', error: 'Device not connected' });
+              expect(data.upcoming).toEqual([
+                  { task: 'morning', time: '2026-03-03T07:30:00.000Z', schedule: '0 30 7 * * *' }
+              ]);
+          });
+
+          it('should reject invalid or too long ranges', async () => {
+              const invalid = await request('GET', '/api/v1/timeline', {}, {}, { from: 'soon' });
+              const tooLong = await request('GET', '/api/v1/timeline', {}, {}, { from: '2026-01-01T00:00:00Z', to: '2026-06-01T00:00:00Z' });
+
+              expect(invalid.status).toHaveBeenCalledWith(400);
+              expect(tooLong.status).toHaveBeenCalledWith(400);
+              expect(tooLong.json).toHaveBeenCalledWith(expect.objectContaining({
+                  error: expect.objectContaining({ code: 'VALIDATION_ERROR' })
+              }));
+          });
+      });
+  });
+
+  describe('Cron Preview', () => {
+      describe('GET /api/v1/cron/preview', () => {
+          it('should return the next runs and a description', async () => {
+              const res = await request('GET', '/api/v1/cron/preview', {}, {}, { expr: '0 30 7 * * 1-5', count: '3', tz: 'UTC' });
+
+              const { data } = res.json.mock.calls[0][0];
+              expect(data.description).toBe('At 07:30:00 on Monday through Friday');
+              expect(data.timezone).toBe('UTC');
+              expect(data.nextRuns).toHaveLength(3);
+              expect(data.nextRuns[0]).toMatch(/T07:30:00\.000Z$/);
+          });
+
+          it('should reject an invalid expression', async () => {
+              const res = await request('GET', '/api/v1/cron/preview', {}, {}, { expr: '7 * * *' });
+
+              expect(res.status).toHaveBeenCalledWith(400);
+              expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                  error: expect.objectContaining({ code: 'INVALID_CRON' })
+              }));
+          });
+
+          it('should reject an out of range count', async () => {
+              const res = await request('GET', '/api/v1/cron/preview', {}, {}, { expr: '0 0 7 * * *', count: '500' });
+
+              expect(res.status).toHaveBeenCalledWith(400);
+              expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                  error: expect.objectContaining({ code: 'VALIDATION_ERROR' })
+              }));
+          });
       });
   });
 
@@ -591,6 +1108,121 @@ describe('API Routes', () => {
               }
           });
       });
+
+      describe('POST /api/v1/remote/text', () => {
+          it('should type the text with the type-text action', async () => {
+              const getDevice = (await import('../../../src/services/adb-client.js')).getDevice;
+              const device = { shell: vi.fn() };
+              getDevice.mockReturnValue(device);
+              mockActions['type-text'].execute.mockResolvedValue({ success: true, data: { length: 5, method: 'input' } });
+
+              const res = await request('POST', '/api/v1/remote/text', { text: 'hello' });
+
+              expect(mockActions['type-text'].execute).toHaveBeenCalledWith(device, { type: 'type-text', text: 'hello' }, expect.any(Object));
+              expect(res.json).toHaveBeenCalledWith({
+                  success: true,
+                  data: { length: 5, method: 'input', sent: true }
+              });
+          });
+
+          it('should type on the named device', async () => {
+              const getDevice = (await import('../../../src/services/adb-client.js')).getDevice;
+              getDevice.mockReturnValue({ shell: vi.fn() });
+              mockActions['type-text'].execute.mockResolvedValue({ success: true, data: { length: 5, method: 'input' } });
+
+              await request('POST', '/api/v1/remote/text', { text: 'hello', device: 'bedroom' });
+
+              expect(getDevice).toHaveBeenCalledWith('bedroom');
+          });
+
+          it('should return VALIDATION_ERROR when text is missing', async () => {
+              const res = await request('POST', '/api/v1/remote/text', {});
+
+              expect(res.status).toHaveBeenCalledWith(400);
+              expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                  error: expect.objectContaining({ code: 'VALIDATION_ERROR' })
+              }));
+          });
+
+          it('should return 400 when the action rejects the params', async () => {
+              const getDevice = (await import('../../../src/services/adb-client.js')).getDevice;
+              getDevice.mockReturnValue({ shell: vi.fn() });
+              mockActions['type-text'].execute.mockResolvedValue({
+                  success: false,
+                  error: { code: 'INVALID_PARAMS', message: 'text is longer than 1000 characters' }
+              });
+
+              const res = await request('POST', '/api/v1/remote/text', { text: 'x'.repeat(1001) });
+
+              expect(res.status).toHaveBeenCalledWith(400);
+              expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                  error: expect.objectContaining({ code: 'INVALID_PARAMS' })
+              }));
+          });
+
+          it('should return DEVICE_DISCONNECTED when no device connected', async () => {
+              const getDevice = (await import('../../../src/services/adb-client.js')).getDevice;
+              getDevice.mockReturnValue(null);
+
+              const res = await request('POST', '/api/v1/remote/text', { text: 'hello' });
+
+              expect(res.status).toHaveBeenCalledWith(503);
+              expect(mockActions['type-text'].execute).not.toHaveBeenCalled();
+          });
+      });
+
+      describe('/api/v1/remote/volume', () => {
+          beforeEach(async () => {
+              const getDevice = (await import('../../../src/services/adb-client.js')).getDevice;
+              getDevice.mockReturnValue({ shell: vi.fn() });
+          });
+
+          it('should read the media volume as level and percent', async () => {
+              const { readVolume } = await import('../../../src/services/device-state.js');
+              readVolume.mockResolvedValue({ level: 6, max: 15 });
+
+              const res = await request('GET', '/api/v1/remote/volume');
+
+              expect(res.json).toHaveBeenCalledWith({ success: true, data: { level: 6, max: 15, percent: 40 } });
+          });
+
+          it('should return VOLUME_FAILED when the volume cannot be read', async () => {
+              const { readVolume } = await import('../../../src/services/device-state.js');
+              readVolume.mockRejectedValue(new Error('Could not read volume'));
+
+              const res = await request('GET', '/api/v1/remote/volume');
+
+              expect(res.status).toHaveBeenCalledWith(500);
+              expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                  error: expect.objectContaining({ code: 'VOLUME_FAILED' })
+              }));
+          });
+
+          it('should set the volume with the set-volume action', async () => {
+              const data = { previous: 3, level: 6, max: 15, percent: 40 };
+              mockActions['set-volume'].execute.mockResolvedValue({ success: true, data });
+
+              const res = await request('PUT', '/api/v1/remote/volume', { percent: 40 });
+
+              expect(mockActions['set-volume'].execute).toHaveBeenCalledWith(
+                  expect.anything(),
+                  expect.objectContaining({ type: 'set-volume', percent: 40 }),
+                  expect.any(Object)
+              );
+              expect(res.json).toHaveBeenCalledWith({ success: true, data });
+          });
+
+          it('should return 400 when the action rejects the volume', async () => {
+              mockActions['set-volume'].execute.mockResolvedValue({
+                  success: false,
+                  error: { code: 'INVALID_PARAMS', message: 'percent must be a number from 0 to 100' }
+              });
+
+              const res = await request('PUT', '/api/v1/remote/volume', { percent: 150 });
+
+              expect(res.status).toHaveBeenCalledWith(400);
+          });
+      });
   });
 
   describe('App Manager', () => {
@@ -1,11 +1,21 @@
 /**
  * Tests for WebSocket Handler
  */
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { WebSocket } from 'ws';
 import { fileURLToPath } from 'url';
 import path from 'path';
 
+vi.mock('../../../src/services/adb-client.js', async importOriginal => ({
+  ...(await importOriginal()),
+  getDevice: vi.fn(() => null)
+}));
+
+vi.mock('../../../src/actions/index.js', async importOriginal => ({
+  ...(await importOriginal()),
+  getAction: vi.fn()
+}));
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 describe('WebSocket Handler', () => {
@@ -160,4 +170,41 @@ describe('WebSocket Handler', () => {
       ws.close();
     });
   });
+
+  describe('remote:text', () => {
+    let handler;
+    let ws;
+    let getDevice;
+    let execute;
+
+    beforeEach(async () => {
+      const { WebSocketHandler } = await import('../../../src/web/websocket/handler.js');
+      getDevice = (await import('../../../src/services/adb-client.js')).getDevice;
+      execute = vi.fn();
+      (await import('../../../src/actions/index.js')).getAction.mockReturnValue({ execute });
+
+      handler = new WebSocketHandler();
+      ws = { readyState: 1, send: vi.fn() };
+      handler.registerClient(ws);
+      getDevice.mockReturnValue({ shell: vi.fn() });
+    });
+
+    it('should type on the named device', async () => {
+      execute.mockResolvedValue({ success: true });
+
+      expect(handler.handleMessage(ws, { type: 'remote:text', text: 'hello', device: 'bedroom' })).toEqual({ success: true });
+
+      expect(getDevice).toHaveBeenCalledWith('bedroom');
+      expect(execute).toHaveBeenCalledWith(expect.any(Object), { text: 'hello' });
+    });
+
+    it('should send an error message when typing throws', async () => {
+      execute.mockRejectedValue(new Error('closed'));
+
+      handler.handleMessage(ws, { type: 'remote:text', text: 'hello' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(ws.send).toHaveBeenCalledWith(JSON.stringify({ type: 'remote:text:error', data: { device: null, error: 'closed' } }));
+    });
+  });
 });